@@ -74,13 +74,59 @@ const config = {
     maxHistorySize: parseInt(process.env.EVENT_HISTORY_SIZE || '1000', 10),
     defaultTTL: parseInt(process.env.EVENT_DEFAULT_TTL || '3600000', 10), // 1 hour
     enablePersistence: process.env.EVENT_PERSISTENCE === 'true',
-    compressionThreshold: parseInt(process.env.EVENT_COMPRESSION_THRESHOLD || '1024', 10)
+    persistenceBackend: process.env.EVENT_PERSISTENCE_BACKEND || 'redis', // redis | file
+    persistenceStream: process.env.EVENT_PERSISTENCE_STREAM || 'events:log',
+    persistenceMaxLength: parseInt(process.env.EVENT_PERSISTENCE_MAX_LENGTH || '1000000', 10),
+    persistenceDir: process.env.EVENT_PERSISTENCE_DIR || 'data/events',
+    persistenceSegmentSize: parseInt(process.env.EVENT_PERSISTENCE_SEGMENT_SIZE || '67108864', 10), // 64MB
+    groupVisibilityTimeout: parseInt(process.env.EVENT_GROUP_VISIBILITY_TIMEOUT || '30000', 10),
+    groupMaxDeliveries: parseInt(process.env.EVENT_GROUP_MAX_DELIVERIES || '0', 10), // 0 = unlimited
+    groupStreamMaxLength: parseInt(process.env.EVENT_GROUP_STREAM_MAX_LENGTH || '100000', 10),
+    deadLetterMaxSize: parseInt(process.env.EVENT_DLQ_MAX_SIZE || '10000', 10),
+    requestTimeout: parseInt(process.env.EVENT_REQUEST_TIMEOUT || '30000', 10),
+    schedulerInterval: parseInt(process.env.EVENT_SCHEDULER_INTERVAL || '1000', 10),
+    schedulerFile: process.env.EVENT_SCHEDULER_FILE || 'data/scheduler/jobs.json', // used without Redis
+    outboxInterval: parseInt(process.env.EVENT_OUTBOX_INTERVAL || '1000', 10),
+    outboxLease: parseInt(process.env.EVENT_OUTBOX_LEASE || '30000', 10),
+    outboxFile: process.env.EVENT_OUTBOX_FILE || 'data/outbox/journal.json', // used without Redis
+    schemaValidation: process.env.EVENT_SCHEMA_VALIDATION || 'warn', // strict | warn | off
+    reservedTopics: process.env.EVENT_RESERVED_TOPICS?.split(','), // defaults to the built-in system namespaces
+    tracing: process.env.EVENT_TRACING !== 'false',
+    traceTTL: parseInt(process.env.EVENT_TRACE_TTL || '86400000', 10), // 24 hours
+    traceMaxEntries: parseInt(process.env.EVENT_TRACE_MAX_ENTRIES || '1000', 10),
+    compressionThreshold: parseInt(process.env.EVENT_COMPRESSION_THRESHOLD || '1024', 10), // bytes, 0 = off
+    compressionAlgorithm: process.env.EVENT_COMPRESSION_ALGORITHM || 'gzip', // gzip | brotli
+    offloadThreshold: parseInt(process.env.EVENT_OFFLOAD_THRESHOLD || '0', 10), // bytes, 0 = off
+    offloadBackend: process.env.EVENT_OFFLOAD_BACKEND || 'redis', // redis | file
+    offloadDir: process.env.EVENT_OFFLOAD_DIR || 'data/payloads', // must be shared between nodes
+    offloadTTL: parseInt(process.env.EVENT_OFFLOAD_TTL || '3600000', 10)
+  },
+
+  // WebSocket gateway
+  websocket: {
+    authTimeout: parseInt(process.env.WS_AUTH_TIMEOUT || '10000', 10),
+    maxSubscriptions: parseInt(process.env.WS_MAX_SUBSCRIPTIONS || '100', 10)
   },
 
   // Service Manager
   serviceManager: {
     discoveryInterval: parseInt(process.env.SERVICE_DISCOVERY_INTERVAL || '60000', 10),
     healthCheckTimeout: parseInt(process.env.HEALTH_CHECK_TIMEOUT || '5000', 10),
+    healthyThreshold: parseInt(process.env.HEALTH_CHECK_HEALTHY_THRESHOLD || '1', 10),
+    unhealthyThreshold: parseInt(process.env.HEALTH_CHECK_UNHEALTHY_THRESHOLD || '3', 10),
+    healthHistorySize: parseInt(process.env.HEALTH_CHECK_HISTORY_SIZE || '50', 10),
+    allowExecProbes: process.env.HEALTH_CHECK_ALLOW_EXEC === 'true', // exec probes run commands on this host
+    allowProcesses: process.env.SERVICE_ALLOW_PROCESSES === 'true', // services registered with a command or worker run on this host
+    leaseTTL: parseInt(process.env.SERVICE_LEASE_TTL || '30000', 10), // 0 registers services without a lease
+    leaseGrace: parseInt(process.env.SERVICE_LEASE_GRACE || '30000', 10), // time a service stays stale before removal
+    leaseSweepInterval: parseInt(process.env.SERVICE_LEASE_SWEEP_INTERVAL || '5000', 10),
+    loadBalancing: process.env.SERVICE_LOAD_BALANCING || 'round-robin', // round-robin | least-latency | consistent-hash
+    callTimeout: parseInt(process.env.SERVICE_CALL_TIMEOUT || '30000', 10),
+    callRetries: parseInt(process.env.SERVICE_CALL_RETRIES || '2', 10),
+    drainDeadline: parseInt(process.env.SERVICE_DRAIN_DEADLINE || '30000', 10), // in-flight calls are aborted after it
+    sloEvaluationInterval: parseInt(process.env.SLO_EVALUATION_INTERVAL || '60000', 10),
+    sloBucketSize: parseInt(process.env.SLO_BUCKET_SIZE || '60000', 10), // resolution of SLO windows
+    auditSize: parseInt(process.env.SERVICE_AUDIT_SIZE || '5000', 10), // registry changes kept in the audit trail
     circuitBreakerThreshold: parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD || '5', 10),
     circuitBreakerResetTimeout: parseInt(process.env.CIRCUIT_BREAKER_RESET || '60000', 10)
   },
@@ -90,7 +136,10 @@ const config = {
     batchSize: parseInt(process.env.PIPELINE_BATCH_SIZE || '100', 10),
     processingTimeout: parseInt(process.env.PIPELINE_TIMEOUT || '30000', 10),
     maxRetries: parseInt(process.env.PIPELINE_MAX_RETRIES || '3', 10),
-    deadLetterQueue: process.env.PIPELINE_DLQ === 'true'
+    deadLetterQueue: process.env.PIPELINE_DLQ === 'true',
+    schedulerInterval: parseInt(process.env.PIPELINE_SCHEDULER_INTERVAL || '1000', 10),
+    scheduleFile: process.env.PIPELINE_SCHEDULE_FILE || 'data/pipeline/schedules.json', // used without Redis
+    misfireThreshold: parseInt(process.env.PIPELINE_MISFIRE_THRESHOLD || '60000', 10) // later runs count as missed
   },
 
   // Auto Integration
@@ -129,7 +178,8 @@ const config = {
   autoweaveCore: {
     baseUrl: process.env.AUTOWEAVE_CORE_URL || 'http://localhost:3000',
     wsUrl: process.env.AUTOWEAVE_CORE_WS_URL || 'ws://localhost:3000/ws',
-    anpServerUrl: process.env.ANP_SERVER_URL || 'http://localhost:8083'
+    anpServerUrl: process.env.ANP_SERVER_URL || 'http://localhost:8083',
+    cloudEvents: process.env.AUTOWEAVE_CORE_CLOUDEVENTS === 'true'
   }
 };
 
@@ -163,6 +213,18 @@ function validateConfig() {
     errors.push('ANALYTICS_SAMPLING_RATE must be between 0 and 1');
   }
 
+  if (!['strict', 'warn', 'off'].includes(config.eventBus.schemaValidation)) {
+    errors.push('EVENT_SCHEMA_VALIDATION must be one of strict, warn, off');
+  }
+
+  if (!['gzip', 'brotli'].includes(config.eventBus.compressionAlgorithm)) {
+    errors.push('EVENT_COMPRESSION_ALGORITHM must be one of gzip, brotli');
+  }
+
+  if (!['redis', 'file'].includes(config.eventBus.offloadBackend)) {
+    errors.push('EVENT_OFFLOAD_BACKEND must be one of redis, file');
+  }
+
   if (errors.length > 0) {
     throw new Error(`Configuration errors:\n${errors.join('\n')}`);
   }
@@ -1,6 +1,7 @@
 import { EventEmitter } from 'eventemitter3';
 import WebSocket from 'ws';
 import fetch from 'node-fetch';
+import { fromCloudEvent, toCloudEvent } from '../core/event-bus/cloudevents.js';
 
 /**
  * AutoWeave Core Connector - Bridges backend services with AutoWeave Core
@@ -23,6 +24,7 @@ class AutoWeaveCoreConnector extends EventEmitter {
     this.coreBaseUrl = config.autoweaveCore?.baseUrl || 'http://localhost:3000';
     this.coreWsUrl = config.autoweaveCore?.wsUrl || 'ws://localhost:3000/ws';
     this.anpServerUrl = config.autoweaveCore?.anpServerUrl || 'http://localhost:8083';
+    this.cloudEvents = config.autoweaveCore?.cloudEvents || false; // forward events as CloudEvents
     
     // Event synchronization
     this.eventForwarders = new Map();
@@ -45,14 +47,21 @@ class AutoWeaveCoreConnector extends EventEmitter {
       'agent.status.changed',
       'integration.created',
       'integration.updated',
+      'integration.registered',
+      'service.registered',
+      'service.draining',
+      'service.drained',
+      'slo.burn',
+      'pipeline.registered',
       'memory.updated',
       'analytics.insight'
     ];
     
+    // Outbox events are delivered at least once, so drop redeliveries
     for (const eventPattern of eventsToForward) {
       this.eventBus.subscribe(eventPattern, (event) => {
         this.forwardEventToCore(eventPattern, event);
-      });
+      }, { dedupe: true });
     }
     
     // Listen for events from Core
@@ -245,10 +254,17 @@ class AutoWeaveCoreConnector extends EventEmitter {
    * Handle event from Core
    */
   async handleCoreEvent(event) {
-    const { topic, data } = event;
-    
-    // Forward to local event bus
-    this.eventBus.publish(`core.${topic}`, data);
+    // Core may send CloudEvents, whose type is the topic
+    const { topic, data, options } = event.specversion
+      ? fromCloudEvent(event)
+      : event;
+    
+    // Forward to local event bus (CloudEvents keep their ID, source and time)
+    if (options) {
+      this.eventBus.publish(`core.${topic}`, data, options);
+    } else {
+      this.eventBus.publish(`core.${topic}`, data);
+    }
     
     // Handle specific events
     switch (topic) {
@@ -403,11 +419,13 @@ class AutoWeaveCoreConnector extends EventEmitter {
     
     this.sendWebSocketMessage({
       type: 'event',
-      content: {
-        topic: `backend.${topic}`,
-        data: event.data,
-        timestamp: event.timestamp || new Date()
-      }
+      content: this.cloudEvents
+        ? toCloudEvent(event, { type: `backend.${topic}` })
+        : {
+          topic: `backend.${topic}`,
+          data: event.data,
+          timestamp: event.timestamp || new Date()
+        }
     });
   }
 
@@ -0,0 +1,259 @@
+/**
+ * CloudEvents 1.0 mapping for event bus events
+ *
+ * `id`, `type` (topic) and `source` map to the event envelope;
+ * `correlationid` and `ttl` are carried as extensions. Attributes the bus has
+ * no field for (`time`, `subject`, `dataschema`, `datacontenttype` and other
+ * extensions) are kept in `metadata.cloudevents`, so an event read in and
+ * written back out keeps them.
+ */
+
+export const SPEC_VERSION = '1.0';
+
+export const ContentTypes = {
+  STRUCTURED: 'application/cloudevents+json',
+  BATCH: 'application/cloudevents-batch+json',
+  JSON: 'application/json'
+};
+
+const EXTENSION_NAME = /^[a-z0-9]{1,20}$/;
+
+/**
+ * Check whether a content type is JSON
+ * @param {string} contentType - Content type
+ * @returns {boolean} Whether data of this type is JSON
+ */
+function isJson(contentType) {
+  if (!contentType) return true;
+  const type = contentType.split(';')[0].trim().toLowerCase();
+  return type === 'application/json' || type.endsWith('+json') || type === 'text/json';
+}
+
+/**
+ * Check whether an HTTP request carried no body
+ * @param {Object} headers - Request headers
+ * @param {*} body - Parsed body
+ * @returns {boolean} Whether the body is empty
+ */
+function isEmptyBody(headers, body) {
+  if (body === undefined || body === null) return true;
+  if (Buffer.isBuffer(body) || typeof body === 'string') return body.length === 0;
+
+  // Body parsers leave `{}` when there was nothing to parse
+  return Object.keys(body).length === 0 && !Number(headers['content-length']);
+}
+
+/**
+ * Convert an event bus event to a structured CloudEvent
+ * @param {Object} event - Event bus event
+ * @param {Object} options - Conversion options
+ * @param {string} options.type - CloudEvent type (defaults to the topic)
+ * @returns {Object} CloudEvent
+ */
+export function toCloudEvent(event, { type } = {}) {
+  const { extensions = {}, dataBase64, ...attributes } = event.metadata?.cloudevents || {};
+
+  const cloudEvent = {
+    specversion: SPEC_VERSION,
+    id: event.id,
+    source: event.source || 'system',
+    type: type || event.topic,
+    time: attributes.time || event.timestamp,
+    datacontenttype: attributes.datacontenttype || ContentTypes.JSON
+  };
+
+  if (attributes.subject) cloudEvent.subject = attributes.subject;
+  if (attributes.dataschema) cloudEvent.dataschema = attributes.dataschema;
+
+  Object.assign(cloudEvent, extensions);
+  if (event.correlationId) cloudEvent.correlationid = event.correlationId;
+  if (event.ttl) cloudEvent.ttl = event.ttl;
+
+  if (dataBase64) {
+    cloudEvent.data_base64 = event.data;
+  } else if (event.data !== undefined) {
+    cloudEvent.data = event.data;
+  }
+
+  return cloudEvent;
+}
+
+/**
+ * Convert a structured CloudEvent to event bus publish arguments
+ * @param {Object} cloudEvent - CloudEvent
+ * @returns {Object} { topic, data, options } for `EventBus.publish`
+ */
+export function fromCloudEvent(cloudEvent) {
+  validateCloudEvent(cloudEvent);
+
+  const {
+    specversion,
+    id,
+    source,
+    type,
+    time,
+    subject,
+    datacontenttype,
+    dataschema,
+    data,
+    data_base64: dataBase64,
+    correlationid,
+    ttl,
+    ...extensions
+  } = cloudEvent;
+
+  const cloudevents = { extensions };
+  if (subject !== undefined) cloudevents.subject = subject;
+  if (datacontenttype !== undefined) cloudevents.datacontenttype = datacontenttype;
+  if (dataschema !== undefined) cloudevents.dataschema = dataschema;
+  if (dataBase64 !== undefined) cloudevents.dataBase64 = true;
+  if (time !== undefined) cloudevents.time = time;
+
+  return {
+    topic: type,
+    data: dataBase64 !== undefined ? dataBase64 : data,
+    options: {
+      id,
+      source,
+      correlationId: correlationid,
+      ttl: ttl !== undefined ? Number(ttl) : undefined,
+      metadata: { cloudevents }
+    }
+  };
+}
+
+/**
+ * Check the required context attributes of a CloudEvent
+ * @param {Object} cloudEvent - CloudEvent
+ */
+export function validateCloudEvent(cloudEvent) {
+  if (!cloudEvent || typeof cloudEvent !== 'object' || Array.isArray(cloudEvent)) {
+    throw new Error('Invalid CloudEvent: expected an object');
+  }
+
+  for (const attribute of ['specversion', 'id', 'source', 'type']) {
+    if (typeof cloudEvent[attribute] !== 'string' || cloudEvent[attribute] === '') {
+      throw new Error(`Invalid CloudEvent: missing ${attribute}`);
+    }
+  }
+
+  if (cloudEvent.specversion !== SPEC_VERSION) {
+    throw new Error(`Invalid CloudEvent: unsupported specversion ${cloudEvent.specversion}`);
+  }
+
+  for (const name of Object.keys(cloudEvent)) {
+    if (name !== 'data' && name !== 'data_base64' && !EXTENSION_NAME.test(name)) {
+      throw new Error(`Invalid CloudEvent: invalid attribute name ${name}`);
+    }
+  }
+}
+
+/**
+ * Read CloudEvents from an HTTP request
+ *
+ * Structured (`application/cloudevents+json`), batch
+ * (`application/cloudevents-batch+json`) and binary (`ce-*` headers with
+ * the data as body) modes are supported.
+ * @param {Object} headers - Request headers (lower-case names)
+ * @param {*} body - Parsed JSON, string or Buffer body
+ * @returns {Array} CloudEvents
+ */
+export function fromHttp(headers, body) {
+  const contentType = (headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const parse = (value) => (Buffer.isBuffer(value) || typeof value === 'string')
+    ? JSON.parse(value.toString())
+    : value;
+
+  if (contentType === ContentTypes.STRUCTURED) {
+    return [parse(body)];
+  }
+
+  if (contentType === ContentTypes.BATCH) {
+    const batch = parse(body);
+    if (!Array.isArray(batch)) {
+      throw new Error('Invalid CloudEvent batch: expected an array');
+    }
+    return batch;
+  }
+
+  if (!headers['ce-specversion']) {
+    throw new Error('Invalid CloudEvent: expected ce-* headers or a CloudEvents content type');
+  }
+
+  const cloudEvent = {};
+  for (const [name, value] of Object.entries(headers)) {
+    if (name.startsWith('ce-')) {
+      cloudEvent[name.slice(3)] = decodeURIComponent(value);
+    }
+  }
+
+  if (headers['content-type']) {
+    cloudEvent.datacontenttype = headers['content-type'];
+  }
+
+  if (!isEmptyBody(headers, body)) {
+    if (isJson(cloudEvent.datacontenttype)) {
+      cloudEvent.data = parse(body);
+    } else if (Buffer.isBuffer(body)) {
+      if (cloudEvent.datacontenttype.startsWith('text/')) {
+        cloudEvent.data = body.toString();
+      } else {
+        cloudEvent.data_base64 = body.toString('base64');
+      }
+    } else {
+      cloudEvent.data = body;
+    }
+  }
+
+  return [cloudEvent];
+}
+
+/**
+ * Write a CloudEvent as an HTTP message
+ * @param {Object} cloudEvent - CloudEvent
+ * @param {string} mode - 'structured' or 'binary'
+ * @returns {Object} { headers, body }
+ */
+export function toHttp(cloudEvent, mode = 'structured') {
+  if (mode === 'structured') {
+    return {
+      headers: { 'Content-Type': ContentTypes.STRUCTURED },
+      body: JSON.stringify(cloudEvent)
+    };
+  }
+
+  if (mode !== 'binary') {
+    throw new Error(`Invalid CloudEvents mode: ${mode}`);
+  }
+
+  const { data, data_base64: dataBase64, datacontenttype, ...attributes } = cloudEvent;
+  const headers = { 'Content-Type': datacontenttype || ContentTypes.JSON };
+
+  for (const [name, value] of Object.entries(attributes)) {
+    if (value !== undefined) {
+      headers[`ce-${name}`] = encodeURIComponent(String(value));
+    }
+  }
+
+  let body;
+  if (dataBase64 !== undefined) {
+    body = Buffer.from(dataBase64, 'base64');
+  } else if (data !== undefined) {
+    body = isJson(datacontenttype) ? JSON.stringify(data) : String(data);
+  }
+
+  return { headers, body };
+}
+
+/**
+ * Pick the CloudEvents mode a client asked for with its Accept header
+ * @param {string} accept - Accept header
+ * @returns {string|null} 'structured', 'batch' or null for the native format
+ */
+export function negotiate(accept = '') {
+  const types = accept.split(',').map(type => type.split(';')[0].trim().toLowerCase());
+
+  if (types.includes(ContentTypes.BATCH)) return 'batch';
+  if (types.includes(ContentTypes.STRUCTURED)) return 'structured';
+  return null;
+}
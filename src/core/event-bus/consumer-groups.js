@@ -0,0 +1,525 @@
+import { EventEmitter } from 'eventemitter3';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Consumer Group Manager - Competing consumers with acknowledgements
+ *
+ * Each event matching a group's topic pattern is delivered to exactly one
+ * member of the group. With Redis, every (group, pattern) pair is backed by
+ * a stream read through XREADGROUP, so members on different nodes compete
+ * for entries and unacknowledged entries survive restarts. Without Redis,
+ * groups only span the local process.
+ */
+class ConsumerGroupManager extends EventEmitter {
+  constructor({ logger, config = {}, redis = null, nodeId, matchesTopic }) {
+    super();
+    this.logger = logger;
+    this.redis = redis;
+    this.nodeId = nodeId;
+    this.matchesTopic = matchesTopic;
+
+    this.visibilityTimeout = config.groupVisibilityTimeout || 30000;
+    this.maxDeliveries = config.groupMaxDeliveries || 0; // 0 = unlimited
+    this.streamMaxLength = config.groupStreamMaxLength || 100000;
+    this.blockTimeout = config.groupBlockTimeout || 5000;
+
+    this.registryKey = 'eventbus:groups';
+    this.groups = new Map(); // Groups with members on this node
+    this.registry = new Set(); // Cluster-wide group registrations (Redis)
+  }
+
+  /**
+   * Build the key identifying a group subscription
+   * @param {string} group - Group name
+   * @param {string} pattern - Topic pattern
+   * @returns {string} Registry entry
+   */
+  getKey(group, pattern) {
+    return JSON.stringify({ group, pattern });
+  }
+
+  /**
+   * Reload cluster-wide group registrations
+   */
+  async refreshRegistry() {
+    try {
+      const members = await this.redis.smembers(this.registryKey);
+      this.registry = new Set([
+        ...members,
+        ...this.groups.keys()
+      ]);
+    } catch (error) {
+      this.logger.error('Failed to refresh consumer group registry:', error);
+    }
+  }
+
+  /**
+   * Add a member to a consumer group
+   * @param {string} pattern - Topic pattern
+   * @param {Function} handler - Event handler, called with (event, { ack, deliveryCount, group })
+   * @param {Object} options - Subscription options
+   * @param {string} options.group - Group name
+   * @param {string} options.ack - 'auto' (ack when the handler resolves) or 'manual'
+   * @param {number} options.visibilityTimeout - Redelivery delay for unacked events (first member wins)
+   * @param {number} options.maxDeliveries - Deliveries before an event is dropped (first member wins)
+   * @param {boolean|Object} options.deadLetter - Dead-letter dropped events (first member wins)
+   * @returns {Object} Member ID and unsubscribe function
+   */
+  subscribe(pattern, handler, options = {}) {
+    const key = this.getKey(options.group, pattern);
+    let group = this.groups.get(key);
+
+    if (!group) {
+      group = {
+        key,
+        group: options.group,
+        pattern,
+        stream: `eventbus:group:${options.group}:${pattern}`,
+        visibilityTimeout: options.visibilityTimeout || this.visibilityTimeout,
+        maxDeliveries: options.maxDeliveries ?? this.maxDeliveries,
+        deadLetter: options.deadLetter || false,
+        members: [],
+        cursor: 0,
+        pending: new Map(),
+        reader: null,
+        redeliveryTimer: null,
+        stopped: false,
+        stats: {
+          delivered: 0,
+          acked: 0,
+          redelivered: 0,
+          failed: 0,
+          dropped: 0
+        }
+      };
+      this.groups.set(key, group);
+
+      if (this.redis) {
+        this.startRedisGroup(group);
+      }
+
+      this.logger.info(`Consumer group joined: ${group.group} on ${pattern}`);
+    }
+
+    const member = { id: uuidv4(), handler, options };
+    group.members.push(member);
+
+    return {
+      id: member.id,
+      unsubscribe: () => this.removeMember(key, member.id)
+    };
+  }
+
+  /**
+   * Remove a member from a group, leaving the group when it was the last one
+   * @param {string} key - Group key
+   * @param {string} memberId - Member ID
+   * @returns {boolean} Whether the member was removed
+   */
+  removeMember(key, memberId) {
+    const group = this.groups.get(key);
+    if (!group) return false;
+
+    const index = group.members.findIndex(member => member.id === memberId);
+    if (index === -1) return false;
+
+    group.members.splice(index, 1);
+
+    if (group.members.length === 0) {
+      this.stopGroup(group);
+      this.groups.delete(key);
+      this.logger.info(`Consumer group left: ${group.group} on ${group.pattern}`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Stop consuming for a group on this node
+   * @param {Object} group - Group record
+   */
+  stopGroup(group) {
+    group.stopped = true;
+
+    if (group.redeliveryTimer) {
+      clearInterval(group.redeliveryTimer);
+    }
+
+    if (group.reader) {
+      group.reader.disconnect();
+    }
+
+    // Local pending deliveries are lost with the process anyway
+    for (const record of group.pending.values()) {
+      clearTimeout(record.timer);
+    }
+    group.pending.clear();
+  }
+
+  /**
+   * Dispatch an event to every group whose pattern matches
+   * @param {Object} event - Event object
+   * @returns {number} Number of groups the event was dispatched to
+   */
+  async dispatch(event) {
+    if (this.redis) {
+      // Read on every publish so groups just created on other nodes get the event too
+      await this.refreshRegistry();
+
+      const targets = Array.from(this.registry)
+        .map(entry => JSON.parse(entry))
+        .filter(({ pattern }) => this.matchesTopic(event.topic, pattern));
+
+      for (const { group, pattern } of targets) {
+        await this.redis.xadd(
+          `eventbus:group:${group}:${pattern}`,
+          'MAXLEN', '~', this.streamMaxLength,
+          '*', 'event', JSON.stringify(event)
+        );
+      }
+
+      return targets.length;
+    }
+
+    let dispatched = 0;
+    for (const group of this.groups.values()) {
+      if (this.matchesTopic(event.topic, group.pattern)) {
+        this.deliverLocal(group, event, 1);
+        dispatched++;
+      }
+    }
+
+    return dispatched;
+  }
+
+  /**
+   * Pick the next local member of a group (round-robin)
+   * @param {Object} group - Group record
+   * @returns {Object} Member
+   */
+  pickMember(group) {
+    if (group.members.length === 0) return null;
+
+    const member = group.members[group.cursor % group.members.length];
+    group.cursor++;
+    return member;
+  }
+
+  /**
+   * Run a member handler for a delivery
+   * @param {Object} group - Group record
+   * @param {Object} event - Event object
+   * @param {number} deliveryCount - Delivery attempt number
+   * @param {Function} acknowledge - Acknowledges the delivery
+   * @returns {Error|null} Handler error, if any
+   */
+  async invoke(group, event, deliveryCount, acknowledge) {
+    const member = this.pickMember(group);
+    if (!member) return null;
+
+    let acked = false;
+    const ack = async () => {
+      if (acked) return;
+      acked = true;
+      await acknowledge();
+      group.stats.acked++;
+    };
+
+    group.stats.delivered++;
+    if (deliveryCount > 1) {
+      group.stats.redelivered++;
+    }
+
+    try {
+      await member.handler(event, { ack, deliveryCount, group: group.group });
+
+      if (member.options.ack !== 'manual') {
+        await ack();
+      }
+
+      return null;
+    } catch (error) {
+      // Left unacknowledged: redelivered once the visibility timeout expires
+      group.stats.failed++;
+      this.logger.error(`Consumer group ${group.group} failed to handle ${event.topic}:`, error);
+      this.emit('group:error', {
+        group: group.group,
+        pattern: group.pattern,
+        event,
+        error,
+        deliveryCount
+      });
+
+      return error;
+    }
+  }
+
+  /**
+   * Give up on an event that exceeded its delivery limit
+   * @param {Object} group - Group record
+   * @param {Object} event - Event object
+   * @param {number} deliveries - Number of deliveries made
+   * @param {Error} error - Last handler error, when known on this node
+   */
+  drop(group, event, deliveries, error = null) {
+    group.stats.dropped++;
+    this.logger.warn(`Consumer group ${group.group} dropped ${event.topic} after ${deliveries} deliveries`);
+    this.emit('group:dropped', {
+      group: group.group,
+      pattern: group.pattern,
+      event,
+      deliveries,
+      error,
+      deadLetter: group.deadLetter
+    });
+  }
+
+  /**
+   * Deliver an event within the local process
+   * @param {Object} group - Group record
+   * @param {Object} event - Event object
+   * @param {number} deliveryCount - Delivery attempt number
+   */
+  deliverLocal(group, event, deliveryCount) {
+    const deliveryId = uuidv4();
+    const record = { event, deliveryCount, timer: null, lastError: null };
+
+    record.timer = setTimeout(() => {
+      if (!group.pending.delete(deliveryId)) return;
+
+      if (group.maxDeliveries && deliveryCount >= group.maxDeliveries) {
+        this.drop(group, event, deliveryCount, record.lastError);
+      } else {
+        this.deliverLocal(group, event, deliveryCount + 1);
+      }
+    }, group.visibilityTimeout);
+
+    group.pending.set(deliveryId, record);
+
+    this.invoke(group, event, deliveryCount, async () => {
+      clearTimeout(record.timer);
+      group.pending.delete(deliveryId);
+    }).then(error => {
+      record.lastError = error;
+    });
+  }
+
+  /**
+   * Join a Redis-backed group and start consuming
+   * @param {Object} group - Group record
+   */
+  async startRedisGroup(group) {
+    try {
+      await this.redis.sadd(this.registryKey, group.key);
+      this.registry.add(group.key);
+
+      try {
+        // Start from the beginning so entries added before creation are not skipped
+        await this.redis.xgroup('CREATE', group.stream, group.group, '0', 'MKSTREAM');
+      } catch (error) {
+        if (!error.message.includes('BUSYGROUP')) throw error;
+      }
+
+      // Blocking reads need a dedicated connection
+      group.reader = this.redis.duplicate();
+      group.reader.on('error', (err) => {
+        this.logger.error(`Consumer group ${group.group} reader error:`, err);
+      });
+
+      group.redeliveryTimer = setInterval(() => {
+        this.claimStale(group).catch(error => {
+          this.logger.error(`Consumer group ${group.group} redelivery failed:`, error);
+        });
+      }, Math.max(1000, Math.floor(group.visibilityTimeout / 2)));
+
+      this.readLoop(group);
+    } catch (error) {
+      this.logger.error(`Failed to start consumer group ${group.group}:`, error);
+    }
+  }
+
+  /**
+   * Read new entries for a group until it is stopped
+   * @param {Object} group - Group record
+   */
+  async readLoop(group) {
+    while (!group.stopped) {
+      try {
+        const result = await group.reader.xreadgroup(
+          'GROUP', group.group, this.nodeId,
+          'COUNT', 10,
+          'BLOCK', this.blockTimeout,
+          'STREAMS', group.stream, '>'
+        );
+
+        if (!result) continue;
+
+        for (const [, entries] of result) {
+          for (const [id, fields] of entries) {
+            await this.deliverRedis(group, id, fields, 1);
+          }
+        }
+      } catch (error) {
+        if (group.stopped) break;
+
+        this.logger.error(`Consumer group ${group.group} read failed:`, error);
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+  }
+
+  /**
+   * Parse the event stored in a stream entry
+   * @param {Array} fields - Flat field/value array
+   * @returns {Object|null} Event object
+   */
+  parseEntry(fields) {
+    if (!fields) return null;
+
+    // Match field names only; a value may also be the string 'event'
+    for (let i = 0; i < fields.length; i += 2) {
+      if (fields[i] === 'event') {
+        try {
+          return JSON.parse(fields[i + 1]);
+        } catch (error) {
+          return null;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Deliver a stream entry to a local member
+   * @param {Object} group - Group record
+   * @param {string} id - Stream entry ID
+   * @param {Array} fields - Entry fields
+   * @param {number} deliveryCount - Delivery attempt number
+   */
+  async deliverRedis(group, id, fields, deliveryCount) {
+    const event = this.parseEntry(fields);
+
+    if (!event) {
+      // Trimmed or corrupt entry, nothing left to deliver
+      await this.redis.xack(group.stream, group.group, id);
+      return;
+    }
+
+    await this.invoke(group, event, deliveryCount, () =>
+      this.redis.xack(group.stream, group.group, id)
+    );
+  }
+
+  /**
+   * Claim entries whose visibility timeout expired, from any consumer
+   * @param {Object} group - Group record
+   */
+  async claimStale(group) {
+    if (group.stopped) return;
+
+    const pending = await this.redis.xpending(group.stream, group.group, '-', '+', 100);
+
+    for (const [id, , idle, deliveries] of pending) {
+      if (idle < group.visibilityTimeout) continue;
+
+      // XCLAIM resets the idle time, so only one node wins each entry
+      const claimed = await this.redis.xclaim(
+        group.stream, group.group, this.nodeId, group.visibilityTimeout, id
+      );
+
+      for (const [claimedId, fields] of claimed) {
+        if (group.maxDeliveries && deliveries >= group.maxDeliveries) {
+          const event = this.parseEntry(fields);
+          if (event) {
+            this.drop(group, event, deliveries);
+          }
+          await this.redis.xack(group.stream, group.group, claimedId);
+        } else {
+          await this.deliverRedis(group, claimedId, fields, deliveries + 1);
+        }
+      }
+    }
+  }
+
+  /**
+   * Permanently delete a group registration and its stream
+   * @param {string} groupName - Group name
+   * @param {string} pattern - Topic pattern
+   */
+  async deleteGroup(groupName, pattern) {
+    const key = this.getKey(groupName, pattern);
+    const group = this.groups.get(key);
+
+    if (group) {
+      this.stopGroup(group);
+      this.groups.delete(key);
+    }
+
+    if (this.redis) {
+      await this.redis.srem(this.registryKey, key);
+      await this.redis.del(`eventbus:group:${groupName}:${pattern}`);
+      this.registry.delete(key);
+    } else if (!group) {
+      throw new Error(`Consumer group ${groupName} on ${pattern} not found`);
+    }
+
+    this.logger.info(`Consumer group deleted: ${groupName} on ${pattern}`);
+  }
+
+  /**
+   * Get per-group delivery and lag metrics
+   * @returns {Array} Group metrics
+   */
+  async getMetrics() {
+    const results = [];
+
+    for (const group of this.groups.values()) {
+      const entry = {
+        group: group.group,
+        pattern: group.pattern,
+        members: group.members.length,
+        ...group.stats,
+        pending: group.pending.size,
+        lag: group.pending.size
+      };
+
+      if (this.redis) {
+        try {
+          const info = await this.redis.xinfo('GROUPS', group.stream);
+          const record = info
+            .map(fields => {
+              const obj = {};
+              for (let i = 0; i < fields.length; i += 2) {
+                obj[fields[i]] = fields[i + 1];
+              }
+              return obj;
+            })
+            .find(g => g.name === group.group);
+
+          entry.pending = record?.pending ?? 0;
+          // `lag` is only reported by Redis 7+
+          entry.lag = record?.lag ?? null;
+        } catch (error) {
+          this.logger.warn(`Failed to read metrics for consumer group ${group.group}:`, error.message);
+        }
+      }
+
+      results.push(entry);
+    }
+
+    return results;
+  }
+
+  /**
+   * Stop all groups on this node
+   */
+  async close() {
+    for (const group of this.groups.values()) {
+      this.stopGroup(group);
+    }
+    this.groups.clear();
+  }
+}
+
+export default ConsumerGroupManager;
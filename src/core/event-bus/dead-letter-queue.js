@@ -0,0 +1,115 @@
+/**
+ * Dead Letter Queue - Keeps events that subscribers failed to handle
+ *
+ * Entries are the `dlq.<topic>` events published by the event bus. With
+ * Redis they are stored in a hash indexed by a sorted set so every node
+ * sees the same queue; otherwise they are kept in memory.
+ */
+class DeadLetterQueue {
+  constructor({ logger, redis = null, maxSize = 10000 }) {
+    this.logger = logger;
+    this.redis = redis;
+    this.maxSize = maxSize;
+    this.entriesKey = 'eventbus:dlq:entries';
+    this.indexKey = 'eventbus:dlq:index';
+    this.entries = new Map();
+  }
+
+  /**
+   * Add a dead-letter entry
+   * @param {Object} entry - Dead-letter event
+   */
+  async add(entry) {
+    if (this.redis) {
+      await this.redis.hset(this.entriesKey, entry.id, JSON.stringify(entry));
+      await this.redis.zadd(this.indexKey, new Date(entry.timestamp).getTime(), entry.id);
+
+      // Limit DLQ size
+      const size = await this.redis.zcard(this.indexKey);
+      if (size > this.maxSize) {
+        const removed = await this.redis.zrange(this.indexKey, 0, size - this.maxSize - 1);
+        await this.redis.zrem(this.indexKey, ...removed);
+        await this.redis.hdel(this.entriesKey, ...removed);
+        this.logger.warn(`DLQ size limit reached, removed ${removed.length} oldest entries`);
+      }
+      return;
+    }
+
+    this.entries.set(entry.id, entry);
+
+    // Limit DLQ size
+    if (this.entries.size > this.maxSize) {
+      const oldest = this.entries.keys().next().value;
+      this.entries.delete(oldest);
+      this.logger.warn('DLQ size limit reached, removing oldest entry', { id: oldest });
+    }
+  }
+
+  /**
+   * Get a dead-letter entry
+   * @param {string} id - Entry ID
+   * @returns {Object|null} Entry
+   */
+  async get(id) {
+    if (this.redis) {
+      const raw = await this.redis.hget(this.entriesKey, id);
+      return raw ? JSON.parse(raw) : null;
+    }
+
+    return this.entries.get(id) || null;
+  }
+
+  /**
+   * List dead-letter entries (newest first)
+   * @param {Object} filter - Filter criteria
+   * @param {string} filter.topic - Original event topic
+   * @param {number} filter.limit - Maximum number of entries
+   * @returns {Array} Entries
+   */
+  async list({ topic, limit = 100 } = {}) {
+    let entries;
+
+    if (this.redis) {
+      const ids = await this.redis.zrevrange(this.indexKey, 0, -1);
+      const raw = ids.length > 0 ? await this.redis.hmget(this.entriesKey, ...ids) : [];
+      entries = raw.filter(Boolean).map(item => JSON.parse(item));
+    } else {
+      entries = Array.from(this.entries.values()).reverse();
+    }
+
+    if (topic) {
+      entries = entries.filter(entry => entry.data.originalEvent.topic === topic);
+    }
+
+    return entries.slice(0, limit);
+  }
+
+  /**
+   * Remove a dead-letter entry
+   * @param {string} id - Entry ID
+   * @returns {boolean} Whether the entry existed
+   */
+  async remove(id) {
+    if (this.redis) {
+      const removed = await this.redis.hdel(this.entriesKey, id);
+      await this.redis.zrem(this.indexKey, id);
+      return removed > 0;
+    }
+
+    return this.entries.delete(id);
+  }
+
+  /**
+   * Get the number of entries
+   * @returns {number} Size
+   */
+  async size() {
+    if (this.redis) {
+      return this.redis.zcard(this.indexKey);
+    }
+
+    return this.entries.size;
+  }
+}
+
+export default DeadLetterQueue;
@@ -1,6 +1,18 @@
 import { EventEmitter } from 'eventemitter3';
+import { AsyncLocalStorage } from 'async_hooks';
 import Redis from 'ioredis';
 import { v4 as uuidv4 } from 'uuid';
+import { createEventStore } from './stores/index.js';
+import ConsumerGroupManager from './consumer-groups.js';
+import DeadLetterQueue from './dead-letter-queue.js';
+import SchemaRegistry from './schema-registry.js';
+import EventScheduler from './scheduler.js';
+import Outbox from './outbox.js';
+import OrderedDispatcher from './ordered-dispatcher.js';
+import TopicTrie, { isWildcard, matchSegments, toRedisGlob } from './topic-trie.js';
+import PayloadCodec from './payload-codec.js';
+import TraceStore from './trace-store.js';
+import { DEFAULT_RESERVED_TOPICS, hasTopicPermission, principalName } from './topic-acl.js';
 
 /**
  * Event Bus - Distributed event system for service communication
@@ -11,9 +23,17 @@ class EventBus extends EventEmitter {
     this.logger = logger;
     this.config = config;
     this.localSubscriptions = new Map();
+    this.topicIndex = new TopicTrie();
+    this.redisGlobs = new Map(); // Redis glob -> wildcard patterns subscribed through it
     this.eventHistory = [];
     this.maxHistorySize = config.maxHistorySize || 1000;
     
+    // Node identity and reply inbox for request/reply
+    this.nodeId = config.nodeId || config.app?.nodeId || uuidv4();
+    this.replyInbox = `eventbus:replies:${this.nodeId}`;
+    this.requestTimeout = config.eventBus?.requestTimeout || 30000;
+    this.pendingRequests = new Map(); // correlation ID -> pending request
+    
     // Redis for distributed events
     if (config.redis) {
       this.publisher = new Redis(config.redis);
@@ -21,13 +41,129 @@ class EventBus extends EventEmitter {
       this.setupRedis();
     }
     
+    // Compression and offloading of large payloads sent over Redis
+    this.codec = new PayloadCodec({
+      logger,
+      redis: this.publisher || null,
+      config: config.eventBus || {}
+    });
+    this.codec.start();
+    
     // Event metrics
     this.metrics = {
       published: 0,
       received: 0,
       errors: 0,
-      latency: []
+      persisted: 0,
+      deadLettered: 0,
+      validationFailures: 0,
+      latency: [],
+      requests: {
+        sent: 0,
+        completed: 0,
+        timeouts: 0,
+        cancelled: 0,
+        lateReplies: 0,
+        latency: []
+      }
     };
+    
+    // Durable event log
+    this.eventStore = null;
+    if (config.eventBus?.enablePersistence) {
+      this.eventStore = createEventStore({
+        config: config.eventBus,
+        logger,
+        redis: this.publisher
+      });
+    }
+    
+    // Namespaces principals may not publish to
+    this.reservedTopics = config.eventBus?.reservedTopics || DEFAULT_RESERVED_TOPICS;
+    
+    // Event being handled, so events published by a handler record their cause
+    this.eventContext = new AsyncLocalStorage();
+    
+    // Per-correlation traces of events and handler runs
+    this.traces = null;
+    if (config.eventBus?.tracing !== false) {
+      this.traces = new TraceStore({
+        logger,
+        redis: this.publisher || null,
+        ttl: config.eventBus?.traceTTL,
+        maxEntries: config.eventBus?.traceMaxEntries
+      });
+    }
+    
+    // Event schemas
+    this.validationMode = config.eventBus?.schemaValidation || 'warn';
+    this.schemaRegistry = new SchemaRegistry({
+      logger,
+      redis: this.publisher || null,
+      matchesTopic: (topic, pattern) => this.matchesTopic(topic, pattern)
+    });
+    
+    if (this.publisher) {
+      this.schemaRegistry.load().catch(err => {
+        this.logger.error('Failed to load event schemas:', err);
+      });
+    }
+    
+    // Delayed and recurring events
+    this.scheduler = new EventScheduler({
+      logger,
+      redis: this.publisher || null,
+      file: config.eventBus?.schedulerFile || null,
+      pollInterval: config.eventBus?.schedulerInterval || 1000,
+      publish: (topic, data, options) => this.publish(topic, data, options)
+    });
+    this.scheduler.start();
+    
+    // State changes committed together with their events
+    this.outbox = new Outbox({
+      logger,
+      redis: this.publisher || null,
+      file: config.eventBus?.outboxFile || null,
+      pollInterval: config.eventBus?.outboxInterval || 1000,
+      lease: config.eventBus?.outboxLease || 30000,
+      nodeId: this.nodeId,
+      publish: (topic, data, options) => this.publish(topic, data, options)
+    });
+    this.outbox.start();
+    
+    // Dead letters from failing subscribers
+    this.deadLetters = new DeadLetterQueue({
+      logger,
+      redis: this.publisher || null,
+      maxSize: config.eventBus?.deadLetterMaxSize
+    });
+    
+    // Consumer groups (competing consumers)
+    this.consumerGroups = new ConsumerGroupManager({
+      logger,
+      config: config.eventBus || {},
+      redis: this.publisher || null,
+      nodeId: this.nodeId,
+      matchesTopic: (topic, pattern) => this.matchesTopic(topic, pattern)
+    });
+    this.consumerGroups.on('group:error', (info) => this.emit('group:error', info));
+    this.consumerGroups.on('group:dropped', (info) => {
+      this.emit('group:dropped', info);
+      
+      if (info.deadLetter) {
+        const error = info.error || new Error(`Exceeded ${info.deliveries} deliveries`);
+        this.deadLetter(info.event, error, info.deliveries, {
+          id: null,
+          topic: info.pattern,
+          options: { name: `group:${info.group}` }
+        }).catch(err => this.logger.error('Failed to dead-letter event:', err));
+      }
+    });
+    
+    // Pick up schemas registered on other nodes
+    if (this.publisher) {
+      this.subscribe('schema.registered', (event) => this.schemaRegistry.reload(event.data.pattern));
+    }
   }
 
   /**
@@ -48,7 +184,13 @@ class EventBus extends EventEmitter {
     // Handle messages
     this.subscriber.on('message', async (channel, message) => {
       try {
-        const event = JSON.parse(message);
+        const event = await this.codec.decode(JSON.parse(message));
+        
+        if (channel === this.replyInbox) {
+          this.handleReply(event);
+          return;
+        }
+        
         await this.handleRemoteEvent(channel, event);
       } catch (error) {
         this.logger.error('Error handling Redis message:', error);
@@ -56,6 +198,22 @@ class EventBus extends EventEmitter {
       }
     });
     
+    // Wildcard subscriptions arrive through pattern subscriptions
+    this.subscriber.on('pmessage', async (glob, channel, message) => {
+      try {
+        const event = await this.codec.decode(JSON.parse(message));
+        await this.handleRemoteEvent(channel, event, glob);
+      } catch (error) {
+        this.logger.error('Error handling Redis message:', error);
+        this.metrics.errors++;
+      }
+    });
+    
+    // Replies to requests made by this node
+    this.subscriber.subscribe(this.replyInbox).catch(err => {
+      this.logger.error('Failed to subscribe to reply inbox:', err);
+    });
+    
     this.logger.info('Redis event bus connected');
   }
 
@@ -64,46 +222,86 @@ class EventBus extends EventEmitter {
    * @param {string} topic - Event topic
    * @param {Object} data - Event data
    * @param {Object} options - Publishing options
-   * @returns {string} Event ID
+   * @param {string} options.validation - Schema validation mode override: 'strict', 'warn' or 'off'
+   * @param {number} options.delay - Publish after this many milliseconds
+   * @param {string|number} options.at - Publish at this time
+   * @param {string} options.cron - Publish on this cron schedule (`options.tz` sets the time zone)
+   * @param {string} options.correlationId - Correlation ID (inherited from the handled event, else the event ID)
+   * @param {string} options.causationId - ID of the event that caused this one (set inside handlers)
+   * @param {Object} options.principal - Auth context of an external caller; checked against topic ACLs,
+   *   and never allowed a `validation` override (routes pass client options through `externalPublishOptions`)
+   * @returns {string} Event ID, or the scheduled job ID for delayed and recurring events
    */
   async publish(topic, data, options = {}) {
+    // External callers are checked here; the event records who published it
+    if (options.principal) {
+      const { principal, validation, ...rest } = options;
+      this.authorize(principal, 'publish', topic);
+      options = {
+        ...rest,
+        metadata: { ...rest.metadata, principal: principalName(principal) }
+      };
+    }
+    
+    // Delayed and recurring events go to the scheduler
+    if (options.delay !== undefined || options.at !== undefined || options.cron) {
+      const job = await this.scheduler.schedule(topic, data, options);
+      this.emit('event:scheduled', job);
+      return job.id;
+    }
+    
+    const id = options.id || uuidv4();
+    const cause = this.eventContext.getStore();
+    
     const event = {
-      id: options.id || uuidv4(),
+      id,
       topic,
       data,
       timestamp: new Date().toISOString(),
       source: options.source || 'system',
-      correlationId: options.correlationId,
+      nodeId: this.nodeId,
+      correlationId: options.correlationId || cause?.correlationId || id,
+      causationId: options.causationId || cause?.id,
+      replyTo: options.replyTo,
       metadata: options.metadata || {},
       ttl: options.ttl
     };
+    
+    this.validateEvent(event, options.validation || this.validationMode);
 
     try {
-      // Local subscribers
-      const localSubs = this.localSubscriptions.get(topic) || [];
-      const wildcardSubs = this.getWildcardSubscriptions(topic);
-      const allSubs = [...localSubs, ...wildcardSubs];
+      // Append to the durable log before delivery
+      if (this.eventStore) {
+        await this.eventStore.append(event);
+        this.metrics.persisted++;
+      }
+      
+      this.trace(event.correlationId, {
+        type: 'event',
+        id: event.id,
+        topic,
+        source: event.source,
+        nodeId: this.nodeId,
+        causationId: event.causationId,
+        timestamp: event.timestamp
+      });
+      
+      // Recorded before delivery so a stream resuming from history can't miss it
+      this.addToHistory(event);
       
       // Notify local subscribers
-      for (const { handler, options: subOptions } of allSubs) {
-        this.processEvent(handler, event, subOptions);
+      for (const subscription of this.topicIndex.match(topic)) {
+        this.deliver(subscription, event);
       }
+      
+      // Consumer groups receive each event once per group
+      await this.consumerGroups.dispatch(event);
 
-      // Distributed publish
+      // Distributed publish (wildcard subscribers match the channel by glob)
       if (this.publisher) {
-        await this.publisher.publish(topic, JSON.stringify(event));
-        
-        // Publish to wildcard channels
-        const topicParts = topic.split('.');
-        for (let i = 1; i <= topicParts.length; i++) {
-          const wildcardTopic = topicParts.slice(0, i).join('.') + '.*';
-          await this.publisher.publish(wildcardTopic, JSON.stringify(event));
-        }
+        await this.publisher.publish(topic, await this.codec.encode(event));
       }
 
-      // Add to history
-      this.addToHistory(event);
-      
       // Update metrics
       this.metrics.published++;
       
@@ -119,28 +317,105 @@ class EventBus extends EventEmitter {
     }
   }
 
+  /**
+   * Validate event data against the schema registered for its topic
+   * @param {Object} event - Event object (metadata is stamped with the schema version)
+   * @param {string} mode - 'strict' throws, 'warn' logs, 'off' skips validation
+   */
+  validateEvent(event, mode) {
+    if (mode === 'off') return;
+    
+    const result = this.schemaRegistry.validate(event.topic, event.data);
+    if (!result) return;
+    
+    event.metadata = {
+      ...event.metadata,
+      schemaPattern: result.pattern,
+      schemaVersion: result.version
+    };
+    
+    if (result.valid) return;
+    
+    this.metrics.validationFailures++;
+    
+    if (mode === 'strict') {
+      const error = new Error(`Event data for ${event.topic} failed schema validation`);
+      error.validationErrors = result.errors;
+      throw error;
+    }
+    
+    this.logger.warn(`Event data for ${event.topic} does not match schema ${result.pattern} v${result.version}`, {
+      eventId: event.id,
+      errors: result.errors
+    });
+  }
+
+  /**
+   * Register or evolve the schema for a topic pattern
+   * @param {string} pattern - Topic pattern
+   * @param {Object} schema - JSON Schema for event data
+   * @param {Object} options - Registration options (compatibility, description)
+   * @returns {Object} Registered version
+   */
+  async registerSchema(pattern, schema, options = {}) {
+    const registered = await this.schemaRegistry.register(pattern, schema, options);
+    
+    await this.publish('schema.registered', {
+      pattern,
+      version: registered.version
+    }, { source: this.nodeId });
+    
+    this.emit('schema:registered', registered);
+    return registered;
+  }
+
   /**
    * Subscribe to events
-   * @param {string} topic - Topic pattern (supports wildcards)
+   * @param {string} topic - Topic pattern (`*` matches one segment, `#` zero or more)
    * @param {Function} handler - Event handler
    * @param {Object} options - Subscription options
+   * @param {string} options.group - Consumer group; each event goes to one member of the group
+   * @param {string} options.ack - Group acknowledgement mode: 'auto' or 'manual'
+   * @param {string} options.name - Subscriber name reported in dead letters
+   * @param {number} options.retry - Local retries after a handler failure
+   * @param {boolean} options.dedupe - Skip events whose ID this subscription has already handled
+   * @param {number} options.dedupeWindow - Number of recent event IDs remembered (default 1000)
+   * @param {Function} options.orderingKey - Returns the key of an event; events with the same key
+   *   are handled one at a time in order, different keys in parallel
+   * @param {number} options.concurrency - Maximum events handled at once (default unbounded)
+   * @param {boolean|Object} options.deadLetter - Publish to `dlq.<topic>` once attempts are
+   *   exhausted; `{ maxAttempts }` overrides `retry`
+   * @param {Object} options.principal - Auth context of an external subscriber; checked against topic ACLs
    * @returns {Function} Unsubscribe function
    */
   subscribe(topic, handler, options = {}) {
+    if (options.principal) {
+      this.authorize(options.principal, 'subscribe', topic);
+    }
+    
+    if (options.group) {
+      return this.subscribeGroup(topic, handler, options);
+    }
+    
     // Local subscription
     if (!this.localSubscriptions.has(topic)) {
       this.localSubscriptions.set(topic, []);
-      
-      // Redis subscription
-      if (this.subscriber) {
-        this.subscriber.subscribe(topic).catch(err => {
-          this.logger.error(`Failed to subscribe to ${topic}:`, err);
-        });
-      }
+      this.subscribeRedis(topic);
     }
     
-    const subscription = { handler, options, id: uuidv4() };
+    const subscription = {
+      handler,
+      options,
+      id: uuidv4(),
+      topic,
+      dispatcher: new OrderedDispatcher({
+        logger: this.logger,
+        orderingKey: options.orderingKey,
+        concurrency: options.concurrency
+      })
+    };
     this.localSubscriptions.get(topic).push(subscription);
+    this.topicIndex.add(topic, subscription);
     
     this.logger.debug(`Subscribed to: ${topic}`);
     this.emit('subscription:created', { topic, subscriptionId: subscription.id });
@@ -152,15 +427,12 @@ class EventBus extends EventEmitter {
         const index = subs.findIndex(sub => sub.id === subscription.id);
         if (index !== -1) {
           subs.splice(index, 1);
+          this.topicIndex.remove(topic, subscription.id);
           
           // Unsubscribe from Redis if no more local subscribers
           if (subs.length === 0) {
             this.localSubscriptions.delete(topic);
-            if (this.subscriber) {
-              this.subscriber.unsubscribe(topic).catch(err => {
-                this.logger.error(`Failed to unsubscribe from ${topic}:`, err);
-              });
-            }
+            this.unsubscribeRedis(topic);
           }
           
           this.logger.debug(`Unsubscribed from: ${topic}`);
@@ -170,6 +442,120 @@ class EventBus extends EventEmitter {
     };
   }
 
+  /**
+   * Check whether a principal may act on a topic
+   * @param {Object} principal - Auth context
+   * @param {string} action - 'publish' or 'subscribe'
+   * @param {string} topic - Topic or topic pattern
+   * @returns {boolean} Whether the action is allowed
+   */
+  isAllowed(principal, action, topic) {
+    if (!principal) return true;
+    
+    return hasTopicPermission(principal.permissions, action, topic, { reserved: this.reservedTopics });
+  }
+
+  /**
+   * Require that a principal may act on a topic
+   * @param {Object} principal - Auth context (internal callers pass none)
+   * @param {string} action - 'publish' or 'subscribe'
+   * @param {string} topic - Topic or topic pattern
+   */
+  authorize(principal, action, topic) {
+    if (this.isAllowed(principal, action, topic)) return;
+    
+    this.logger.warn(`Denied ${action} on ${topic}`, { principal: principalName(principal) });
+    
+    const error = new Error(`Not allowed to ${action} ${topic}`);
+    error.code = 'FORBIDDEN';
+    throw error;
+  }
+
+  /**
+   * Subscribe to a topic pattern on Redis
+   *
+   * Exact topics use a channel subscription; wildcard patterns share a
+   * pattern subscription per Redis glob.
+   * @param {string} topic - Topic pattern
+   */
+  subscribeRedis(topic) {
+    if (!this.subscriber) return;
+    
+    const onError = err => this.logger.error(`Failed to subscribe to ${topic}:`, err);
+    
+    if (!isWildcard(topic)) {
+      this.subscriber.subscribe(topic).catch(onError);
+      return;
+    }
+    
+    const glob = toRedisGlob(topic);
+    if (!this.redisGlobs.has(glob)) {
+      this.redisGlobs.set(glob, new Set());
+      this.subscriber.psubscribe(glob).catch(onError);
+    }
+    this.redisGlobs.get(glob).add(topic);
+  }
+
+  /**
+   * Drop the Redis subscription of a topic pattern
+   * @param {string} topic - Topic pattern
+   * @returns {Promise} Resolves once Redis confirmed
+   */
+  unsubscribeRedis(topic) {
+    if (!this.subscriber) return;
+    
+    const onError = err => this.logger.error(`Failed to unsubscribe from ${topic}:`, err);
+    
+    if (!isWildcard(topic)) {
+      return this.subscriber.unsubscribe(topic).catch(onError);
+    }
+    
+    const glob = toRedisGlob(topic);
+    const patterns = this.redisGlobs.get(glob);
+    if (!patterns) return;
+    
+    patterns.delete(topic);
+    if (patterns.size === 0) {
+      this.redisGlobs.delete(glob);
+      return this.subscriber.punsubscribe(glob).catch(onError);
+    }
+  }
+
+  /**
+   * Subscribe as a member of a consumer group
+   * @param {string} topic - Topic pattern
+   * @param {Function} handler - Event handler, called with (event, { ack, deliveryCount, group })
+   * @param {Object} options - Subscription options
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeGroup(topic, handler, options) {
+    const subscription = { id: null, topic, options };
+    const traced = async (event, delivery) => {
+      const start = Date.now();
+      try {
+        const result = await this.eventContext.run(event, () => handler(event, delivery));
+        this.traceHandler(event, subscription, start, delivery?.deliveryCount || 1);
+        return result;
+      } catch (error) {
+        this.traceHandler(event, subscription, start, delivery?.deliveryCount || 1, error);
+        throw error;
+      }
+    };
+    
+    const { id, unsubscribe } = this.consumerGroups.subscribe(topic, traced, options);
+    subscription.id = id;
+    
+    this.logger.debug(`Subscribed to: ${topic} (group ${options.group})`);
+    this.emit('subscription:created', { topic, subscriptionId: id, group: options.group });
+    
+    return () => {
+      if (unsubscribe()) {
+        this.logger.debug(`Unsubscribed from: ${topic} (group ${options.group})`);
+        this.emit('subscription:removed', { topic, subscriptionId: id, group: options.group });
+      }
+    };
+  }
+
   /**
    * Subscribe once to an event
    * @param {string} topic - Event topic
@@ -202,23 +588,52 @@ class EventBus extends EventEmitter {
     ]);
   }
 
+  /**
+   * Queue an event on a subscription's dispatcher
+   * @param {Object} subscription - Local subscription
+   * @param {Object} event - Event object
+   */
+  deliver(subscription, event) {
+    subscription.dispatcher.dispatch(event, () =>
+      this.processEvent(subscription.handler, event, subscription.options, { subscription })
+    );
+  }
+
   /**
    * Process an event
    * @param {Function} handler - Event handler
    * @param {Object} event - Event object
    * @param {Object} options - Processing options
+   * @param {Object} context - Delivery context
+   * @param {number} context.attempt - Attempt number
+   * @param {Object} context.subscription - Subscription the event is delivered to
    */
-  async processEvent(handler, event, options = {}) {
+  async processEvent(handler, event, options = {}, context = {}) {
+    const attempt = context.attempt || 1;
+    const start = Date.now();
+    
     try {
-      const start = Date.now();
-      
       // Apply filters
       if (options.filter && !options.filter(event)) {
         return;
       }
       
-      // Handle event
-      await handler(event);
+      // Redelivered events (e.g. relayed twice by the outbox) are handled once
+      if (options.dedupe && attempt === 1 && this.isDuplicate(context.subscription, event)) {
+        this.logger.debug(`Skipping duplicate event ${event.id}`);
+        return;
+      }
+      
+      // Handle event (events it publishes are caused by this one)
+      const result = await this.eventContext.run(event, () => handler(event));
+      this.traceHandler(event, context.subscription, start, attempt);
+      
+      // A handler result answers the request
+      if (result !== undefined && event.replyTo) {
+        this.reply(event, result).catch(err => {
+          this.logger.error('Failed to send reply:', err);
+        });
+      }
       
       // Track latency
       const latency = Date.now() - start;
@@ -230,30 +645,233 @@ class EventBus extends EventEmitter {
     } catch (error) {
       this.logger.error('Error processing event:', error);
       this.metrics.errors++;
+      this.traceHandler(event, context.subscription, start, attempt, error);
       
       // Emit error event
-      this.emit('event:error', { event, error });
+      this.emit('event:error', { event, error, attempt });
       
       // Retry logic
-      if (options.retry && options.retry > 0) {
+      const maxAttempts = options.deadLetter?.maxAttempts || (options.retry || 0) + 1;
+      if (attempt < maxAttempts && options.orderingKey) {
+        // Hold the key until the retry is done so later events wait their turn
+        await new Promise(resolve => setTimeout(resolve, options.retryDelay || 1000));
+        await this.processEvent(handler, event, options, { ...context, attempt: attempt + 1 });
+      } else if (attempt < maxAttempts) {
         setTimeout(() => {
-          this.processEvent(handler, event, { 
-            ...options, 
-            retry: options.retry - 1 
-          });
+          this.processEvent(handler, event, options, { ...context, attempt: attempt + 1 });
         }, options.retryDelay || 1000);
+      } else if (options.deadLetter) {
+        this.deadLetter(event, error, attempt, context.subscription).catch(err => {
+          this.logger.error('Failed to dead-letter event:', err);
+        });
       }
     }
   }
 
+  /**
+   * Remember an event ID for a deduplicating subscription
+   * @param {Object} subscription - Subscription
+   * @param {Object} event - Event
+   * @returns {boolean} Whether the subscription already saw the event
+   */
+  isDuplicate(subscription, event) {
+    if (!subscription) return false;
+    
+    subscription.seen = subscription.seen || new Set();
+    if (subscription.seen.has(event.id)) return true;
+    
+    subscription.seen.add(event.id);
+    if (subscription.seen.size > (subscription.options.dedupeWindow || 1000)) {
+      subscription.seen.delete(subscription.seen.values().next().value);
+    }
+    return false;
+  }
+
+  /**
+   * Record a trace entry without holding up delivery
+   * @param {string} correlationId - Correlation ID
+   * @param {Object} entry - Trace entry
+   */
+  trace(correlationId, entry) {
+    if (!this.traces) return;
+    
+    this.traces.record(correlationId, entry).catch(err => {
+      this.logger.error('Failed to record trace:', err);
+    });
+  }
+
+  /**
+   * Record a handler run in the trace of its event
+   * @param {Object} event - Handled event
+   * @param {Object} subscription - Subscription the handler belongs to
+   * @param {number} start - Start time in milliseconds
+   * @param {number} attempt - Attempt number
+   * @param {Error} error - Handler error, if it failed
+   */
+  traceHandler(event, subscription = {}, start, attempt, error) {
+    if (!event.correlationId) return;
+    
+    this.trace(event.correlationId, {
+      type: 'handler',
+      eventId: event.id,
+      subscriptionId: subscription.id,
+      pattern: subscription.topic,
+      name: subscription.options?.name,
+      group: subscription.options?.group,
+      nodeId: this.nodeId,
+      startedAt: new Date(start).toISOString(),
+      duration: Date.now() - start,
+      attempt,
+      status: error ? 'failed' : 'completed',
+      error: error?.message
+    });
+  }
+
+  /**
+   * Get the causal tree of a correlation
+   * @param {string} correlationId - Correlation ID
+   * @returns {Object|null} Trace, or null if nothing was recorded
+   */
+  async getTrace(correlationId) {
+    if (!this.traces) {
+      throw new Error('Event tracing is not enabled');
+    }
+    
+    return this.traces.get(correlationId);
+  }
+
+  /**
+   * Republish a failed event to its dead-letter topic
+   * @param {Object} event - Event that failed
+   * @param {Error} error - Last handler error
+   * @param {number} attempts - Number of attempts made
+   * @param {Object} subscription - Failing subscription
+   * @returns {string} Dead-letter event ID
+   */
+  async deadLetter(event, error, attempts, subscription = {}) {
+    // A failing dead-letter consumer must not create dlq.dlq.* chains
+    if (event.topic.startsWith('dlq.')) {
+      this.logger.error(`Dropping dead-letter event ${event.id} after handler failure`);
+      return null;
+    }
+    
+    const topic = `dlq.${event.topic}`;
+    const data = {
+      originalEvent: event,
+      error: {
+        message: error.message,
+        stack: error.stack
+      },
+      attempts,
+      subscriber: subscription.options?.name || subscription.handler?.name || subscription.id || 'anonymous',
+      subscriptionId: subscription.id || null,
+      pattern: subscription.topic || event.topic,
+      failedAt: new Date().toISOString()
+    };
+    
+    const id = await this.publish(topic, data, {
+      correlationId: event.correlationId,
+      causationId: event.id,
+      source: 'eventbus'
+    });
+    
+    await this.deadLetters.add({ id, topic, data, timestamp: data.failedAt });
+    this.metrics.deadLettered++;
+    
+    this.logger.warn(`Event ${event.id} dead-lettered to ${topic} after ${attempts} attempts`);
+    this.emit('event:dead-lettered', { id, topic, event, error, attempts });
+    
+    return id;
+  }
+
+  /**
+   * List dead-lettered events
+   * @param {Object} filter - Filter criteria (topic, limit)
+   * @returns {Array} Dead-letter entries, newest first
+   */
+  async getDeadLetters(filter = {}) {
+    return this.deadLetters.list(filter);
+  }
+
+  /**
+   * Redrive a dead-lettered event
+   * 
+   * The event goes back to the subscription that failed when it still exists
+   * on this node, otherwise it is republished to its original topic.
+   * @param {string} id - Dead-letter entry ID
+   * @param {Object} options - Redrive options
+   * @param {Object} options.principal - Auth context of an external caller; needs publish on the original topic
+   * @returns {Object} Redrive result
+   */
+  async redriveDeadLetter(id, { principal } = {}) {
+    const entry = await this.deadLetters.get(id);
+    if (!entry) {
+      throw new Error(`Dead-letter entry ${id} not found`);
+    }
+    
+    const { originalEvent, subscriptionId } = entry.data;
+    if (principal) {
+      this.authorize(principal, 'publish', originalEvent.topic);
+    }
+    const metadata = {
+      ...originalEvent.metadata,
+      redrivenFrom: id,
+      redriveCount: (originalEvent.metadata?.redriveCount || 0) + 1
+    };
+    
+    const subscription = subscriptionId ? this.getSubscription(subscriptionId) : null;
+    let result;
+    
+    if (subscription) {
+      this.deliver(subscription, { ...originalEvent, metadata });
+      result = { id, mode: 'subscriber', eventId: originalEvent.id };
+    } else {
+      const eventId = await this.publish(originalEvent.topic, originalEvent.data, {
+        source: originalEvent.source,
+        correlationId: originalEvent.correlationId,
+        metadata,
+        principal
+      });
+      result = { id, mode: 'topic', eventId };
+    }
+    
+    await this.deadLetters.remove(id);
+    
+    this.logger.info(`Dead-letter entry ${id} redriven to ${result.mode}`);
+    this.emit('event:redriven', result);
+    
+    return result;
+  }
+
+  /**
+   * Discard a dead-lettered event
+   * @param {string} id - Dead-letter entry ID
+   * @param {Object} options - Discard options
+   * @param {Object} options.principal - Auth context of an external caller; needs publish on the original topic
+   */
+  async discardDeadLetter(id, { principal } = {}) {
+    if (principal) {
+      const entry = await this.deadLetters.get(id);
+      if (entry) {
+        this.authorize(principal, 'publish', entry.data.originalEvent.topic);
+      }
+    }
+    
+    const removed = await this.deadLetters.remove(id);
+    if (!removed) {
+      throw new Error(`Dead-letter entry ${id} not found`);
+    }
+  }
+
   /**
    * Handle remote event from Redis
    * @param {string} channel - Redis channel
    * @param {Object} event - Event object
+   * @param {string} glob - Redis glob for pattern subscriptions
    */
-  async handleRemoteEvent(channel, event) {
-    // Skip if we published this event
-    if (event.source === this.config.nodeId) {
+  async handleRemoteEvent(channel, event, glob) {
+    // Skip if we published this event (already delivered locally)
+    if (event.nodeId === this.nodeId) {
       return;
     }
     
@@ -261,14 +879,22 @@ class EventBus extends EventEmitter {
     this.metrics.received++;
     
     // Process for local subscribers
-    const subscribers = this.localSubscriptions.get(channel) || [];
-    for (const { handler, options } of subscribers) {
-      this.processEvent(handler, event, options);
+    let subscribers;
+    if (glob) {
+      // Only patterns subscribed through this glob, so each event is handled once per subscription
+      const patterns = Array.from(this.redisGlobs.get(glob) || [])
+        .filter(pattern => this.matchesTopic(event.topic, pattern));
+      subscribers = patterns.flatMap(pattern => this.localSubscriptions.get(pattern) || []);
+    } else {
+      subscribers = this.localSubscriptions.get(channel) || [];
     }
     
-    // Add to history
     this.addToHistory(event);
     
+    for (const subscription of subscribers) {
+      this.deliver(subscription, event);
+    }
+    
     this.emit('event:received', event);
   }
 
@@ -278,42 +904,46 @@ class EventBus extends EventEmitter {
    * @returns {Array} Matching subscriptions
    */
   getWildcardSubscriptions(topic) {
-    const matches = [];
-    const topicParts = topic.split('.');
-    
-    for (const [pattern, subs] of this.localSubscriptions) {
-      if (pattern.includes('*')) {
-        const patternParts = pattern.split('.');
-        if (this.matchesWildcard(topicParts, patternParts)) {
-          matches.push(...subs);
-        }
-      }
-    }
-    
-    return matches;
+    return this.topicIndex.match(topic).filter(subscription => isWildcard(subscription.topic));
   }
 
   /**
    * Check if topic matches wildcard pattern
    * @param {Array} topicParts - Topic parts
-   * @param {Array} patternParts - Pattern parts
+   * @param {Array} patternParts - Pattern parts (`*` matches one segment, `#` zero or more)
    * @returns {boolean} Match result
    */
   matchesWildcard(topicParts, patternParts) {
-    if (patternParts.length > topicParts.length) {
-      return false;
-    }
-    
-    for (let i = 0; i < patternParts.length; i++) {
-      if (patternParts[i] === '*') {
-        return true;
-      }
-      if (patternParts[i] !== topicParts[i]) {
-        return false;
+    return matchSegments(topicParts, patternParts);
+  }
+
+  /**
+   * Check if a topic matches a topic or wildcard pattern
+   * @param {string} topic - Event topic
+   * @param {string} pattern - Topic pattern
+   * @returns {boolean} Match result
+   */
+  matchesTopic(topic, pattern) {
+    return topic === pattern || (
+      isWildcard(pattern) &&
+      this.matchesWildcard(topic.split('.'), pattern.split('.'))
+    );
+  }
+
+  /**
+   * Find a local subscription by ID
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Object} Subscription with its topic
+   */
+  getSubscription(subscriptionId) {
+    for (const [topic, subs] of this.localSubscriptions) {
+      const subscription = subs.find(sub => sub.id === subscriptionId);
+      if (subscription) {
+        return { ...subscription, topic };
       }
     }
     
-    return patternParts.length === topicParts.length;
+    return null;
   }
 
   /**
@@ -342,20 +972,15 @@ class EventBus extends EventEmitter {
   /**
    * Get event history
    * @param {Object} filter - Filter criteria
-   * @returns {Array} Filtered events
+   * @returns {Array} Filtered events, newest first (ties broken by publish order)
    */
   getHistory(filter = {}) {
-    let events = [...this.eventHistory];
+    // Reversed first so events published in the same millisecond stay newest first
+    let events = [...this.eventHistory].reverse();
     
     // Filter by topic
     if (filter.topic) {
-      events = events.filter(e => 
-        e.topic === filter.topic || 
-        (filter.topic.includes('*') && this.matchesWildcard(
-          e.topic.split('.'), 
-          filter.topic.split('.')
-        ))
-      );
+      events = events.filter(e => this.matchesTopic(e.topic, filter.topic));
     }
     
     // Filter by time range
@@ -385,6 +1010,59 @@ class EventBus extends EventEmitter {
     return events;
   }
 
+  /**
+   * Replay persisted events to a subscriber
+   * @param {Object} options - Replay options
+   * @param {string} options.topic - Topic or wildcard pattern
+   * @param {string} options.since - ISO date lower bound
+   * @param {string} options.until - ISO date upper bound
+   * @param {string|number} options.fromOffset - Log offset to start from (inclusive)
+   * @param {number} options.limit - Maximum number of events
+   * @param {string} options.subscriptionId - Subscription to re-deliver to
+   * @param {Function} options.handler - Handler to re-deliver to instead of a subscription
+   * @returns {Object} Replay summary
+   */
+  async replay({ topic, since, until, fromOffset, limit = 1000, subscriptionId, handler } = {}) {
+    if (!this.eventStore) {
+      throw new Error('Event persistence is not enabled');
+    }
+    
+    const target = handler
+      ? { handler, options: {} }
+      : this.getSubscription(subscriptionId);
+    
+    if (!target) {
+      throw new Error(`Subscription ${subscriptionId} not found`);
+    }
+    
+    const entries = await this.eventStore.read({
+      fromOffset,
+      since,
+      until,
+      limit,
+      filter: topic ? (event) => this.matchesTopic(event.topic, topic) : null
+    });
+    
+    // Deliver sequentially to preserve log order
+    for (const { offset, event } of entries) {
+      await this.processEvent(target.handler, {
+        ...event,
+        metadata: { ...event.metadata, replayed: true, offset }
+      }, target.options, { subscription: target });
+    }
+    
+    const summary = {
+      replayed: entries.length,
+      firstOffset: entries.length > 0 ? entries[0].offset : null,
+      lastOffset: entries.length > 0 ? entries[entries.length - 1].offset : null
+    };
+    
+    this.logger.info(`Replayed ${summary.replayed} events`, { topic, subscriptionId });
+    this.emit('event:replayed', { topic, subscriptionId, ...summary });
+    
+    return summary;
+  }
+
   /**
    * Clear event history
    */
@@ -401,43 +1079,205 @@ class EventBus extends EventEmitter {
     const avgLatency = this.metrics.latency.length > 0
       ? this.metrics.latency.reduce((a, b) => a + b, 0) / this.metrics.latency.length
       : 0;
+    const requestLatency = this.metrics.requests.latency;
+    const avgRequestLatency = requestLatency.length > 0
+      ? requestLatency.reduce((a, b) => a + b, 0) / requestLatency.length
+      : 0;
     
     return {
       published: this.metrics.published,
       received: this.metrics.received,
       errors: this.metrics.errors,
+      persisted: this.metrics.persisted,
+      deadLettered: this.metrics.deadLettered,
+      validationFailures: this.metrics.validationFailures,
+      scheduledFired: this.scheduler.fired,
+      outboxRelayed: this.outbox.relayed,
+      payloads: this.codec.getStats(),
+      requests: {
+        sent: this.metrics.requests.sent,
+        completed: this.metrics.requests.completed,
+        timeouts: this.metrics.requests.timeouts,
+        cancelled: this.metrics.requests.cancelled,
+        lateReplies: this.metrics.requests.lateReplies,
+        pending: this.pendingRequests.size,
+        averageLatency: avgRequestLatency
+      },
+      persistence: this.eventStore ? this.eventStore.backend : null,
       averageLatency: avgLatency,
       subscriptions: this.localSubscriptions.size,
+      consumerGroups: this.consumerGroups.groups.size,
       historySize: this.eventHistory.length,
       connected: this.publisher ? this.publisher.status === 'ready' : false
     };
   }
 
+  /**
+   * Get consumer group metrics
+   * @returns {Array} Per-group delivery and lag metrics
+   */
+  async getGroupMetrics() {
+    return this.consumerGroups.getMetrics();
+  }
+
+  /**
+   * Get delivery metrics of local subscriptions
+   * @returns {Array} Per-subscription queue depth, concurrency and wait times
+   */
+  getSubscriptionMetrics() {
+    return Array.from(this.localSubscriptions.values()).flat().map(subscription => ({
+      id: subscription.id,
+      topic: subscription.topic,
+      name: subscription.options.name || subscription.handler.name || null,
+      ...subscription.dispatcher.getMetrics()
+    }));
+  }
+
   /**
    * Request-response pattern
    * @param {string} topic - Request topic
    * @param {Object} data - Request data
    * @param {Object} options - Request options
-   * @returns {Promise} Response promise
+   * @param {number} options.timeout - Milliseconds to wait for the reply
+   * @param {AbortSignal} options.signal - Cancels the request when aborted
+   * @returns {Promise} Response data of the first reply
    */
   async request(topic, data, options = {}) {
+    const [reply] = await this.sendRequest(topic, data, { ...options, expected: 1 });
+    return reply.data;
+  }
+
+  /**
+   * Scatter-gather: collect replies from every responder until the deadline
+   * @param {string} topic - Request topic
+   * @param {Object} data - Request data
+   * @param {Object} options - Request options
+   * @param {number} options.timeout - Deadline in milliseconds
+   * @param {number} options.expected - Resolve early once this many replies arrived
+   * @param {AbortSignal} options.signal - Cancels the request when aborted
+   * @returns {Promise<Array>} Replies ({ data, source, nodeId, latency })
+   */
+  async requestAll(topic, data, options = {}) {
+    return this.sendRequest(topic, data, { expected: Infinity, ...options, gather: true });
+  }
+
+  /**
+   * Publish a request and track its replies
+   *
+   * Replies are addressed to this node's inbox, so they reach the requester
+   * whichever node the responder runs on.
+   * @param {string} topic - Request topic
+   * @param {Object} data - Request data
+   * @param {Object} options - Request and publish options
+   * @returns {Promise<Array>} Replies
+   */
+  sendRequest(topic, data, options = {}) {
+    const {
+      timeout = this.requestTimeout,
+      expected,
+      gather = false,
+      signal,
+      ...publishOptions
+    } = options;
     const correlationId = uuidv4();
-    const responseTopic = `${topic}.response.${correlationId}`;
-    const timeout = options.timeout || 30000;
-    
-    // Wait for response
-    const responsePromise = this.waitFor(responseTopic, timeout);
+    const start = Date.now();
     
-    // Send request
-    await this.publish(topic, data, {
-      ...options,
-      correlationId,
-      replyTo: responseTopic
+    return new Promise((resolve, reject) => {
+      const pending = { topic, replies: [], done: false };
+      
+      const finish = (outcome, error) => {
+        if (pending.done) return;
+        pending.done = true;
+        
+        clearTimeout(pending.timer);
+        signal?.removeEventListener('abort', onAbort);
+        this.pendingRequests.delete(correlationId);
+        this.recordRequest(topic, correlationId, outcome, Date.now() - start, pending.replies.length);
+        
+        if (error) {
+          reject(error);
+        } else {
+          resolve(pending.replies);
+        }
+      };
+      
+      const onAbort = () => {
+        const error = new Error(`Request to ${topic} cancelled`);
+        error.code = 'CANCELLED';
+        finish('cancelled', error);
+      };
+      
+      pending.onReply = (reply) => {
+        pending.replies.push({
+          data: reply.data,
+          source: reply.source,
+          nodeId: reply.nodeId,
+          latency: Date.now() - start
+        });
+        
+        if (pending.replies.length >= expected) {
+          finish('replied');
+        }
+      };
+      
+      pending.cancel = (reason) => {
+        const error = new Error(reason);
+        error.code = 'CANCELLED';
+        finish('cancelled', error);
+      };
+      
+      pending.timer = setTimeout(() => {
+        if (gather) {
+          finish(pending.replies.length > 0 || expected === Infinity ? 'replied' : 'timeout');
+          return;
+        }
+        
+        const error = new Error(`Request timeout: no reply to ${topic} within ${timeout}ms`);
+        error.code = 'TIMEOUT';
+        finish('timeout', error);
+      }, timeout);
+      
+      this.metrics.requests.sent++;
+      this.pendingRequests.set(correlationId, pending);
+      
+      if (signal?.aborted) {
+        onAbort();
+        return;
+      }
+      signal?.addEventListener('abort', onAbort, { once: true });
+      
+      this.publish(topic, data, {
+        ...publishOptions,
+        correlationId,
+        replyTo: this.replyInbox
+      }).catch(error => finish('failed', error));
     });
+  }
+
+  /**
+   * Update request metrics once a request settles
+   * @param {string} topic - Request topic
+   * @param {string} correlationId - Request correlation ID
+   * @param {string} outcome - 'replied', 'timeout', 'cancelled' or 'failed'
+   * @param {number} latency - Milliseconds since the request was sent
+   * @param {number} replies - Number of replies received
+   */
+  recordRequest(topic, correlationId, outcome, latency, replies) {
+    const stats = this.metrics.requests;
+    
+    if (outcome === 'replied') {
+      stats.completed++;
+      stats.latency.push(latency);
+      if (stats.latency.length > 100) {
+        stats.latency.shift();
+      }
+    } else if (outcome === 'timeout') {
+      stats.timeouts++;
+    } else if (outcome === 'cancelled') {
+      stats.cancelled++;
+    }
     
-    // Wait for and return response
-    const response = await responsePromise;
-    return response.data;
+    this.emit('request:completed', { topic, correlationId, outcome, latency, replies });
   }
 
   /**
@@ -450,10 +1290,50 @@ class EventBus extends EventEmitter {
       throw new Error('No replyTo topic in request event');
     }
     
-    await this.publish(event.replyTo, data, {
+    // Requests from older publishers name a reply topic instead of an inbox
+    if (!event.replyTo.startsWith('eventbus:replies:')) {
+      await this.publish(event.replyTo, data, {
+        correlationId: event.correlationId,
+        causationId: event.id,
+        source: this.nodeId
+      });
+      return;
+    }
+    
+    const reply = {
+      id: uuidv4(),
       correlationId: event.correlationId,
-      source: this.config.nodeId
-    });
+      inReplyTo: event.id,
+      data,
+      source: this.nodeId,
+      nodeId: this.nodeId,
+      timestamp: new Date().toISOString()
+    };
+    
+    if (event.replyTo === this.replyInbox) {
+      this.handleReply(reply);
+    } else if (this.publisher) {
+      await this.publisher.publish(event.replyTo, await this.codec.encode(reply));
+    } else {
+      throw new Error(`Cannot reach reply inbox ${event.replyTo} without Redis`);
+    }
+  }
+
+  /**
+   * Handle a reply addressed to this node
+   * @param {Object} reply - Reply message
+   */
+  handleReply(reply) {
+    const pending = this.pendingRequests.get(reply.correlationId);
+    
+    if (!pending) {
+      // The request already timed out, was cancelled or got enough replies
+      this.metrics.requests.lateReplies++;
+      this.logger.debug('Dropping reply for unknown request', { correlationId: reply.correlationId });
+      return;
+    }
+    
+    pending.onReply(reply);
   }
 
   /**
@@ -483,14 +1363,31 @@ class EventBus extends EventEmitter {
    * Close event bus connections
    */
   async close() {
+    this.scheduler.stop();
+    this.outbox.stop();
+    this.codec.stop();
+    await this.outbox.relaying;
+    
+    // Fail outstanding requests
+    for (const pending of this.pendingRequests.values()) {
+      pending.cancel('Event bus closed');
+    }
+    
     // Unsubscribe all
     for (const topic of this.localSubscriptions.keys()) {
-      if (this.subscriber) {
-        await this.subscriber.unsubscribe(topic);
-      }
+      await this.unsubscribeRedis(topic);
     }
     
     this.localSubscriptions.clear();
+    this.topicIndex = new TopicTrie();
+    
+    // Leave consumer groups
+    await this.consumerGroups.close();
+    
+    // Flush the event log
+    if (this.eventStore) {
+      await this.eventStore.close();
+    }
     
     // Close Redis connections
     if (this.publisher) {
@@ -0,0 +1,157 @@
+/**
+ * Ordered Dispatcher - Per-subscription delivery queue
+ *
+ * Events that share an ordering key run one at a time in arrival order;
+ * different keys run in parallel, up to the subscription's concurrency.
+ * Events without a key are independent of each other. Queue depth and wait
+ * times are kept as backpressure metrics.
+ */
+class OrderedDispatcher {
+  constructor({ logger, orderingKey = null, concurrency = Infinity }) {
+    this.logger = logger;
+    this.orderingKey = orderingKey;
+    this.concurrency = concurrency;
+
+    this.queues = new Map(); // key -> waiting tasks
+    this.ready = []; // keys whose next task may start
+    this.busy = new Set(); // keys with a task running
+    this.active = 0;
+    this.pending = 0;
+    this.idleWaiters = [];
+
+    this.metrics = {
+      processed: 0,
+      highWaterMark: 0,
+      waits: []
+    };
+  }
+
+  /**
+   * Resolve the ordering key of an event
+   * @param {Object} event - Event
+   * @returns {*} Key, or the event ID when unordered
+   */
+  keyOf(event) {
+    if (!this.orderingKey) return event.id;
+
+    try {
+      const key = this.orderingKey(event);
+      return key === undefined || key === null ? event.id : key;
+    } catch (error) {
+      this.logger.warn(`Ordering key failed for event ${event.id}:`, error.message);
+      return event.id;
+    }
+  }
+
+  /**
+   * Queue an event for delivery
+   * @param {Object} event - Event
+   * @param {Function} run - Delivers the event; resolves when handling is done
+   */
+  dispatch(event, run) {
+    const key = this.keyOf(event);
+
+    let queue = this.queues.get(key);
+    if (!queue) {
+      queue = [];
+      this.queues.set(key, queue);
+    }
+    queue.push({ run, queuedAt: Date.now() });
+
+    this.pending++;
+
+    if (queue.length === 1 && !this.busy.has(key)) {
+      this.ready.push(key);
+    }
+
+    this.pump();
+    this.metrics.highWaterMark = Math.max(this.metrics.highWaterMark, this.pending);
+  }
+
+  /**
+   * Start tasks while there is spare concurrency
+   */
+  pump() {
+    while (this.active < this.concurrency && this.ready.length > 0) {
+      const key = this.ready.shift();
+      const task = this.queues.get(key).shift();
+
+      this.pending--;
+      this.active++;
+      this.busy.add(key);
+
+      this.metrics.waits.push(Date.now() - task.queuedAt);
+      if (this.metrics.waits.length > 100) {
+        this.metrics.waits.shift();
+      }
+
+      // Start right away so unordered delivery keeps its timing
+      Promise.resolve(task.run())
+        .catch(err => this.logger.error('Event delivery failed:', err))
+        .finally(() => this.complete(key));
+    }
+  }
+
+  /**
+   * Release a key once its task finished
+   * @param {*} key - Ordering key
+   */
+  complete(key) {
+    this.active--;
+    this.busy.delete(key);
+    this.metrics.processed++;
+
+    if (this.queues.get(key).length > 0) {
+      this.ready.push(key);
+    } else {
+      this.queues.delete(key);
+    }
+
+    this.pump();
+
+    if (this.active === 0 && this.pending === 0) {
+      this.idleWaiters.splice(0).forEach(resolve => resolve());
+    }
+  }
+
+  /**
+   * Wait until every queued event has been handled
+   * @returns {Promise} Resolves when idle
+   */
+  idle() {
+    if (this.active === 0 && this.pending === 0) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  /**
+   * Get backpressure metrics
+   * @returns {Object} Queue depth, concurrency and wait times
+   */
+  getMetrics() {
+    const { waits } = this.metrics;
+    let oldest = null;
+
+    for (const queue of this.queues.values()) {
+      if (queue.length > 0 && (oldest === null || queue[0].queuedAt < oldest)) {
+        oldest = queue[0].queuedAt;
+      }
+    }
+
+    return {
+      ordered: Boolean(this.orderingKey),
+      concurrency: this.concurrency === Infinity ? null : this.concurrency,
+      active: this.active,
+      pending: this.pending,
+      keys: this.queues.size,
+      highWaterMark: this.metrics.highWaterMark,
+      processed: this.metrics.processed,
+      averageWait: waits.length > 0 ? waits.reduce((a, b) => a + b, 0) / waits.length : 0,
+      oldestPendingAge: oldest === null ? 0 : Date.now() - oldest
+    };
+  }
+}
+
+export default OrderedDispatcher;
@@ -0,0 +1,257 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Transactional Outbox - State changes and their events committed together
+ *
+ * `commit()` stages hash writes and events in one Redis MULTI, or in one
+ * journal file write without Redis. A relay then publishes staged events and
+ * removes them once published. Each event keeps its staged ID when it is
+ * retried, so delivery is at least once and consumers can drop duplicates by
+ * event ID (see the `dedupe` subscription option).
+ */
+class Outbox {
+  constructor({ logger, redis = null, file = null, pollInterval = 1000, lease = 30000, nodeId, publish }) {
+    this.logger = logger;
+    this.redis = redis;
+    this.file = file;
+    this.pollInterval = pollInterval;
+    this.lease = lease;
+    this.nodeId = nodeId;
+    this.publish = publish;
+    this.entriesKey = 'eventbus:outbox:entries';
+    this.pendingKey = 'eventbus:outbox:pending';
+    this.lockPrefix = 'eventbus:outbox:lock:';
+
+    // Local mode: journal of state and pending entries
+    this.state = {}; // key -> field -> value
+    this.entries = new Map(); // entry ID -> entry
+
+    this.timer = null;
+    this.relaying = null;
+    this.relayed = 0;
+
+    this.ready = this.load().catch(err => {
+      this.logger.error('Failed to load outbox journal:', err);
+    });
+  }
+
+  /**
+   * Load the local journal
+   */
+  async load() {
+    if (this.redis || !this.file) return;
+
+    try {
+      const journal = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      this.state = journal.state || {};
+      for (const entry of journal.entries || []) {
+        this.entries.set(entry.id, entry);
+      }
+      if (this.entries.size > 0) {
+        this.logger.info(`Loaded ${this.entries.size} unpublished outbox events`);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  /**
+   * Write the local journal
+   */
+  async save() {
+    if (!this.file) return;
+
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify({
+      state: this.state,
+      entries: Array.from(this.entries.values())
+    }));
+    await fs.rename(tmp, this.file);
+  }
+
+  /**
+   * Start relaying staged events
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.flush(), this.pollInterval);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Stop relaying
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Commit state writes and events together
+   * @param {Object} change - Change to commit
+   * @param {Array} change.writes - `{ key, field, value }` hash writes (`value: null` deletes the field)
+   * @param {Array} change.events - `{ topic, data, options }` events to publish
+   * @returns {Array} IDs of the staged events
+   */
+  async commit({ writes = [], events = [] }) {
+    const entries = events.map(({ topic, data, options = {} }) => ({
+      id: options.id || uuidv4(),
+      topic,
+      data,
+      options,
+      stagedAt: Date.now(),
+      attempts: 0
+    }));
+
+    if (this.redis) {
+      const multi = this.redis.multi();
+      for (const { key, field, value } of writes) {
+        if (value === null || value === undefined) {
+          multi.hdel(key, field);
+        } else {
+          multi.hset(key, field, JSON.stringify(value));
+        }
+      }
+      for (const entry of entries) {
+        multi.hset(this.entriesKey, entry.id, JSON.stringify(entry));
+        multi.zadd(this.pendingKey, entry.stagedAt, entry.id);
+      }
+      await multi.exec();
+    } else {
+      await this.ready;
+      for (const { key, field, value } of writes) {
+        this.state[key] = this.state[key] || {};
+        if (value === null || value === undefined) {
+          delete this.state[key][field];
+        } else {
+          this.state[key][field] = value;
+        }
+      }
+      for (const entry of entries) {
+        this.entries.set(entry.id, entry);
+      }
+      await this.save();
+    }
+
+    // Publish right away; the relay timer covers failures and crashes
+    this.flush();
+
+    return entries.map(entry => entry.id);
+  }
+
+  /**
+   * Read a hash written through the outbox
+   * @param {string} key - Hash key
+   * @returns {Object} Field -> value
+   */
+  async read(key) {
+    if (this.redis) {
+      const raw = await this.redis.hgetall(key);
+      return Object.fromEntries(
+        Object.entries(raw || {}).map(([field, value]) => [field, JSON.parse(value)])
+      );
+    }
+
+    await this.ready;
+    return { ...this.state[key] };
+  }
+
+  /**
+   * Relay staged events, without overlapping runs
+   * @returns {Promise} Resolves when the run completes
+   */
+  flush() {
+    if (!this.relaying) {
+      this.relaying = this.relay()
+        .catch(err => this.logger.error('Outbox relay failed:', err))
+        .finally(() => {
+          this.relaying = null;
+        });
+    }
+    return this.relaying;
+  }
+
+  /**
+   * Publish all staged events
+   */
+  async relay() {
+    await this.ready;
+
+    if (this.redis) {
+      const ids = await this.redis.zrangebyscore(this.pendingKey, '-inf', Date.now(), 'LIMIT', 0, 100);
+
+      for (const id of ids) {
+        // The lease lets another node retry if this one dies mid-publish
+        const locked = await this.redis.set(`${this.lockPrefix}${id}`, this.nodeId, 'PX', this.lease, 'NX');
+        if (!locked) continue;
+
+        const raw = await this.redis.hget(this.entriesKey, id);
+        if (raw) {
+          await this.deliver(JSON.parse(raw));
+        } else {
+          await this.redis.zrem(this.pendingKey, id);
+        }
+      }
+      return;
+    }
+
+    for (const entry of Array.from(this.entries.values())) {
+      await this.deliver(entry);
+    }
+  }
+
+  /**
+   * Publish one staged event and remove it once published
+   * @param {Object} entry - Outbox entry
+   */
+  async deliver(entry) {
+    try {
+      await this.publish(entry.topic, entry.data, {
+        ...entry.options,
+        id: entry.id,
+        metadata: { ...entry.options.metadata, outbox: true }
+      });
+    } catch (error) {
+      entry.attempts++;
+      entry.lastError = error.message;
+      this.logger.warn(`Outbox event ${entry.id} (${entry.topic}) not published:`, error.message);
+
+      if (this.redis) {
+        await this.redis.hset(this.entriesKey, entry.id, JSON.stringify(entry));
+      }
+      return;
+    }
+
+    this.relayed++;
+
+    if (this.redis) {
+      await this.redis.multi()
+        .zrem(this.pendingKey, entry.id)
+        .hdel(this.entriesKey, entry.id)
+        .del(`${this.lockPrefix}${entry.id}`)
+        .exec();
+      return;
+    }
+
+    this.entries.delete(entry.id);
+    await this.save();
+  }
+
+  /**
+   * Number of staged events not yet published
+   * @returns {number} Count
+   */
+  async size() {
+    if (this.redis) {
+      return this.redis.zcard(this.pendingKey);
+    }
+
+    return this.entries.size;
+  }
+}
+
+export default Outbox;
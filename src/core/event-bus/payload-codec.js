@@ -0,0 +1,224 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { promisify } from 'util';
+import zlib from 'zlib';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+const brotliDecompress = promisify(zlib.brotliDecompress);
+
+const codecs = {
+  gzip: { encode: gzip, decode: gunzip },
+  br: { encode: brotliCompress, decode: brotliDecompress }
+};
+
+/**
+ * Payload Codec - Compression and offloading of event data on the wire
+ *
+ * Event data larger than the compression threshold is compressed and sent
+ * base64-encoded, with the codec recorded in `metadata.encoding`. Data larger
+ * than the offload threshold is stored under a Redis key or in a blob
+ * directory and replaced by `metadata.payloadRef`. Decoding restores the
+ * original data, so subscribers never see either form.
+ */
+class PayloadCodec {
+  constructor({ logger, redis = null, config = {} }) {
+    this.logger = logger;
+    this.redis = redis;
+    this.compressionThreshold = config.compressionThreshold ?? 1024;
+    this.encoding = config.compressionAlgorithm === 'brotli' ? 'br' : 'gzip';
+    this.offloadThreshold = config.offloadThreshold || 0; // 0 = never offload
+    this.offloadBackend = config.offloadBackend || (redis ? 'redis' : 'file');
+    this.offloadDir = config.offloadDir || 'data/payloads';
+    this.offloadTTL = config.offloadTTL || config.defaultTTL || 3600000;
+    this.keyPrefix = 'eventbus:payloads:';
+    this.purgeTimer = null;
+
+    this.stats = {
+      compressed: 0,
+      offloaded: 0,
+      bytesIn: 0,
+      bytesOut: 0
+    };
+  }
+
+  /**
+   * Start removing expired blobs (Redis keys expire on their own)
+   */
+  start() {
+    if (this.purgeTimer || this.offloadThreshold === 0 || this.offloadBackend !== 'file') return;
+
+    this.purgeTimer = setInterval(() => {
+      this.purge().catch(err => this.logger.error('Failed to purge offloaded payloads:', err));
+    }, Math.max(this.offloadTTL, 60000));
+    this.purgeTimer.unref?.();
+  }
+
+  /**
+   * Stop removing expired blobs
+   */
+  stop() {
+    clearInterval(this.purgeTimer);
+    this.purgeTimer = null;
+  }
+
+  /**
+   * Encode an event for the wire
+   * @param {Object} event - Event object (not modified)
+   * @returns {string} Serialized event
+   */
+  async encode(event) {
+    if (event.data === undefined) {
+      return JSON.stringify(event);
+    }
+
+    const raw = JSON.stringify(event.data);
+    const size = Buffer.byteLength(raw);
+    const compress = this.compressionThreshold > 0 && size > this.compressionThreshold;
+    const offload = this.offloadThreshold > 0 && size > this.offloadThreshold;
+
+    if (!compress && !offload) {
+      return JSON.stringify(event);
+    }
+
+    const metadata = { ...event.metadata, originalSize: size };
+    let payload = raw;
+
+    if (compress) {
+      const compressed = await codecs[this.encoding].encode(raw);
+      payload = compressed.toString('base64');
+      metadata.encoding = this.encoding;
+      this.stats.compressed++;
+      this.stats.bytesIn += size;
+      this.stats.bytesOut += compressed.length;
+    }
+
+    if (offload) {
+      metadata.payloadRef = await this.offload(event.id, payload);
+      this.stats.offloaded++;
+      payload = null;
+    }
+
+    return JSON.stringify({ ...event, data: payload, metadata });
+  }
+
+  /**
+   * Restore the original data of a received event
+   * @param {Object} event - Event as received
+   * @returns {Object} Event with its original data
+   */
+  async decode(event) {
+    const { encoding, payloadRef } = event.metadata || {};
+    if (!encoding && !payloadRef) {
+      return event;
+    }
+
+    let payload = payloadRef ? await this.fetch(payloadRef) : event.data;
+
+    if (encoding) {
+      const codec = codecs[encoding];
+      if (!codec) {
+        throw new Error(`Unsupported payload encoding: ${encoding}`);
+      }
+      payload = (await codec.decode(Buffer.from(payload, 'base64'))).toString();
+    }
+
+    const metadata = { ...event.metadata };
+    delete metadata.encoding;
+    delete metadata.payloadRef;
+    delete metadata.originalSize;
+
+    return { ...event, data: JSON.parse(payload), metadata };
+  }
+
+  /**
+   * Store a payload out of band
+   * @param {string} eventId - Event ID
+   * @param {string} payload - Encoded payload
+   * @returns {string} Payload reference (`redis:<key>` or `file:<path>`)
+   */
+  async offload(eventId, payload) {
+    if (this.offloadBackend === 'redis') {
+      if (!this.redis) {
+        throw new Error('Payload offloading to Redis requires a Redis connection');
+      }
+      const key = `${this.keyPrefix}${eventId}`;
+      await this.redis.set(key, payload, 'PX', this.offloadTTL);
+      return `redis:${key}`;
+    }
+
+    await fs.mkdir(this.offloadDir, { recursive: true });
+    const file = path.join(this.offloadDir, `${eventId}.payload`);
+    await fs.writeFile(file, payload);
+    return `file:${file}`;
+  }
+
+  /**
+   * Load an offloaded payload
+   * @param {string} ref - Payload reference
+   * @returns {string} Encoded payload
+   */
+  async fetch(ref) {
+    const separator = ref.indexOf(':');
+    const backend = ref.slice(0, separator);
+    const location = ref.slice(separator + 1);
+
+    let payload = null;
+    if (backend === 'redis' && this.redis) {
+      payload = await this.redis.get(location);
+    } else if (backend === 'file') {
+      payload = await fs.readFile(location, 'utf8').catch(error => {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      });
+    }
+
+    if (payload === null) {
+      throw new Error(`Offloaded payload ${ref} not found`);
+    }
+
+    return payload;
+  }
+
+  /**
+   * Remove offloaded blobs older than the offload TTL
+   * @returns {number} Number of blobs removed
+   */
+  async purge() {
+    let files;
+    try {
+      files = await fs.readdir(this.offloadDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    const cutoff = Date.now() - this.offloadTTL;
+    let removed = 0;
+
+    for (const name of files) {
+      const file = path.join(this.offloadDir, name);
+      const { mtimeMs } = await fs.stat(file);
+      if (mtimeMs < cutoff) {
+        await fs.unlink(file);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Get codec statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      ratio: this.stats.bytesIn > 0 ? this.stats.bytesOut / this.stats.bytesIn : 1
+    };
+  }
+}
+
+export default PayloadCodec;
@@ -0,0 +1,390 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import cronParser from 'cron-parser';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Event Scheduler - Delayed and recurring event publishing
+ *
+ * With Redis, jobs live in a hash indexed by a sorted set of due times. A
+ * node takes a due job with a lease and only drops it from the sorted set
+ * once its next run is stored, so each run fires on one node and a job
+ * whose node dies mid-run is picked up again when the lease expires. Without
+ * Redis, jobs are kept in memory and optionally written to a JSON file so
+ * they survive restarts.
+ */
+class EventScheduler {
+  constructor({ logger, redis = null, file = null, pollInterval = 1000, leaseTTL = 30000, publish }) {
+    this.logger = logger;
+    this.redis = redis;
+    this.file = file;
+    this.pollInterval = pollInterval;
+    this.leaseTTL = leaseTTL;
+    this.publish = publish;
+    this.jobsKey = 'eventbus:scheduled:jobs';
+    this.indexKey = 'eventbus:scheduled:index';
+    this.leasePrefix = 'eventbus:scheduled:lease:';
+
+    this.jobs = new Map(); // local mode: job ID -> job
+    this.timer = null;
+    this.polling = false;
+    this.fired = 0;
+
+    this.ready = this.load().catch(err => {
+      this.logger.error('Failed to load scheduled events:', err);
+    });
+  }
+
+  /**
+   * Load jobs from the local file
+   */
+  async load() {
+    if (this.redis || !this.file) return;
+
+    try {
+      const jobs = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      for (const job of jobs) {
+        this.jobs.set(job.id, job);
+      }
+      this.logger.info(`Loaded ${jobs.length} scheduled events`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  /**
+   * Write jobs to the local file
+   */
+  async save() {
+    if (!this.file) return;
+
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(Array.from(this.jobs.values())));
+    await fs.rename(tmp, this.file);
+  }
+
+  /**
+   * Start polling for due jobs
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.poll().catch(err => this.logger.error('Scheduler poll failed:', err));
+    }, this.pollInterval);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Compute when a job is next due
+   * @param {Object} timing - { delay, at, cron, tz }
+   * @param {number} from - Reference time in milliseconds
+   * @returns {number} Due time in milliseconds
+   */
+  nextRun({ delay, at, cron, tz }, from = Date.now()) {
+    if (cron) {
+      try {
+        return cronParser.parseExpression(cron, { currentDate: new Date(from), tz }).next().getTime();
+      } catch (error) {
+        throw new Error(`Invalid cron expression: ${cron}`);
+      }
+    }
+
+    if (at !== undefined) {
+      const time = new Date(at).getTime();
+      if (Number.isNaN(time)) {
+        throw new Error(`Invalid schedule time: ${at}`);
+      }
+      return time;
+    }
+
+    if (delay !== undefined) {
+      const ms = Number(delay);
+      if (!Number.isFinite(ms) || ms < 0) {
+        throw new Error(`Invalid delay: ${delay}`);
+      }
+      return from + ms;
+    }
+
+    throw new Error('One of delay, at or cron is required');
+  }
+
+  /**
+   * Schedule an event
+   * @param {string} topic - Event topic
+   * @param {Object} data - Event data
+   * @param {Object} options - Publish options with `delay`, `at` or `cron` (and `tz`)
+   * @returns {Object} Scheduled job
+   */
+  async schedule(topic, data, options = {}) {
+    const { delay, at, cron, tz, ...publishOptions } = options;
+
+    const job = {
+      id: uuidv4(),
+      topic,
+      data,
+      options: publishOptions,
+      cron,
+      tz,
+      dueAt: this.nextRun({ delay, at, cron, tz }),
+      runs: 0,
+      lastRunAt: null,
+      createdAt: new Date().toISOString()
+    };
+
+    await this.store(job);
+
+    this.logger.debug(`Event scheduled: ${topic}`, { jobId: job.id, dueAt: new Date(job.dueAt).toISOString() });
+    return this.describe(job);
+  }
+
+  /**
+   * Persist a job
+   * @param {Object} job - Job
+   */
+  async store(job) {
+    if (this.redis) {
+      await this.redis.hset(this.jobsKey, job.id, JSON.stringify(job));
+      await this.redis.zadd(this.indexKey, job.dueAt, job.id);
+      return;
+    }
+
+    await this.ready;
+    this.jobs.set(job.id, job);
+    await this.save();
+  }
+
+  /**
+   * Get a raw job
+   * @param {string} id - Job ID
+   * @returns {Object|null} Job
+   */
+  async getJob(id) {
+    if (this.redis) {
+      const raw = await this.redis.hget(this.jobsKey, id);
+      return raw ? JSON.parse(raw) : null;
+    }
+
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Get a scheduled event
+   * @param {string} id - Job ID
+   * @returns {Object|null} Scheduled job
+   */
+  async get(id) {
+    const job = await this.getJob(id);
+    return job ? this.describe(job) : null;
+  }
+
+  /**
+   * List scheduled events (soonest first)
+   * @param {Object} filter - Filter criteria
+   * @param {string} filter.topic - Event topic
+   * @param {number} filter.limit - Maximum number of jobs
+   * @returns {Array} Scheduled jobs
+   */
+  async list({ topic, limit = 100 } = {}) {
+    let jobs;
+
+    if (this.redis) {
+      const ids = await this.redis.zrange(this.indexKey, 0, -1);
+      const raw = ids.length > 0 ? await this.redis.hmget(this.jobsKey, ...ids) : [];
+      jobs = raw.filter(Boolean).map(item => JSON.parse(item));
+    } else {
+      jobs = Array.from(this.jobs.values()).sort((a, b) => a.dueAt - b.dueAt);
+    }
+
+    if (topic) {
+      jobs = jobs.filter(job => job.topic === topic);
+    }
+
+    return jobs.slice(0, limit).map(job => this.describe(job));
+  }
+
+  /**
+   * Cancel a scheduled event
+   * @param {string} id - Job ID
+   * @returns {boolean} Whether the job existed
+   */
+  async cancel(id) {
+    if (this.redis) {
+      await this.redis.zrem(this.indexKey, id);
+      return (await this.redis.hdel(this.jobsKey, id)) > 0;
+    }
+
+    const removed = this.jobs.delete(id);
+    if (removed) {
+      await this.save();
+    }
+    return removed;
+  }
+
+  /**
+   * Change when a scheduled event fires
+   * @param {string} id - Job ID
+   * @param {Object} timing - { delay, at, cron, tz }
+   * @returns {Object} Scheduled job
+   */
+  async reschedule(id, timing = {}) {
+    const job = await this.getJob(id);
+    if (!job) {
+      throw new Error(`Scheduled event ${id} not found`);
+    }
+
+    job.cron = timing.cron;
+    job.tz = timing.tz;
+    job.dueAt = this.nextRun(timing);
+
+    await this.store(job);
+    return this.describe(job);
+  }
+
+  /**
+   * Fire all due jobs
+   */
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      await this.ready;
+      const now = Date.now();
+
+      if (this.redis) {
+        const ids = await this.redis.zrangebyscore(this.indexKey, '-inf', now, 'LIMIT', 0, 100);
+        for (const id of ids) {
+          // Only the node holding the lease runs the job
+          const lease = await this.lease(id);
+          if (!lease) continue;
+
+          try {
+            // Another node may have run it between the range read and the lease
+            const job = await this.getJob(id);
+            if (!job) {
+              await this.redis.zrem(this.indexKey, id);
+            } else if (job.dueAt <= now) {
+              await this.run(job);
+            }
+          } finally {
+            await this.releaseLease(id, lease);
+          }
+        }
+        return;
+      }
+
+      for (const job of Array.from(this.jobs.values())) {
+        if (job.dueAt <= now) {
+          this.jobs.delete(job.id);
+          await this.run(job);
+        }
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Take the lease on a due job
+   * @param {string} id - Job ID
+   * @returns {string|null} Lease token, or null if another node holds it
+   */
+  async lease(id) {
+    const token = uuidv4();
+    const acquired = await this.redis.set(`${this.leasePrefix}${id}`, token, 'PX', this.leaseTTL, 'NX');
+    return acquired === 'OK' ? token : null;
+  }
+
+  /**
+   * Give up the lease on a job
+   * @param {string} id - Job ID
+   * @param {string} token - Lease token
+   */
+  async releaseLease(id, token) {
+    const key = `${this.leasePrefix}${id}`;
+    if (await this.redis.get(key) === token) {
+      await this.redis.del(key);
+    }
+  }
+
+  /**
+   * Publish a due job and schedule its next run
+   * @param {Object} job - Job
+   */
+  async run(job) {
+    const scheduledFor = new Date(job.dueAt).toISOString();
+
+    try {
+      await this.publish(job.topic, job.data, {
+        ...job.options,
+        metadata: {
+          ...job.options.metadata,
+          scheduledJobId: job.id,
+          scheduledFor
+        }
+      });
+      this.fired++;
+    } catch (error) {
+      this.logger.error(`Scheduled event ${job.id} failed to publish:`, error);
+    }
+
+    job.runs++;
+    job.lastRunAt = new Date().toISOString();
+
+    if (job.cron) {
+      // Skip re-arming a job cancelled while it was running
+      if (this.redis && !(await this.redis.hexists(this.jobsKey, job.id))) return;
+
+      job.dueAt = this.nextRun(job, Math.max(Date.now(), job.dueAt));
+      await this.store(job);
+    } else if (this.redis) {
+      await this.redis.zrem(this.indexKey, job.id);
+      await this.redis.hdel(this.jobsKey, job.id);
+    } else {
+      await this.save();
+    }
+  }
+
+  /**
+   * Public view of a job
+   * @param {Object} job - Job
+   * @returns {Object} Scheduled job
+   */
+  describe(job) {
+    return {
+      id: job.id,
+      topic: job.topic,
+      data: job.data,
+      cron: job.cron,
+      tz: job.tz,
+      nextRunAt: new Date(job.dueAt).toISOString(),
+      runs: job.runs,
+      lastRunAt: job.lastRunAt,
+      createdAt: job.createdAt
+    };
+  }
+
+  /**
+   * Number of pending jobs
+   * @returns {number} Count
+   */
+  async size() {
+    if (this.redis) {
+      return this.redis.zcard(this.indexKey);
+    }
+
+    return this.jobs.size;
+  }
+}
+
+export default EventScheduler;
@@ -0,0 +1,288 @@
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+
+/**
+ * Schema Registry - Versioned JSON Schemas for event payloads
+ *
+ * Schemas are registered per topic pattern. Each pattern keeps an ordered
+ * list of versions; publishers are validated against the latest version of
+ * the most specific pattern matching their topic. With Redis, schemas are
+ * stored in a hash shared by every node.
+ */
+class SchemaRegistry {
+  constructor({ logger, redis = null, matchesTopic }) {
+    this.logger = logger;
+    this.redis = redis;
+    this.matchesTopic = matchesTopic;
+    this.key = 'eventbus:schemas';
+
+    this.subjects = new Map(); // pattern -> { pattern, compatibility, versions }
+    this.validators = new Map(); // `${pattern}@${version}` -> compiled validator
+
+    this.ajv = new Ajv({ allErrors: true, strict: false });
+    addFormats(this.ajv);
+  }
+
+  /**
+   * Load schemas from storage
+   */
+  async load() {
+    if (!this.redis) return;
+
+    const stored = await this.redis.hgetall(this.key);
+    for (const raw of Object.values(stored || {})) {
+      this.setSubject(JSON.parse(raw));
+    }
+
+    this.logger.info(`Schema registry loaded: ${this.subjects.size} topic patterns`);
+  }
+
+  /**
+   * Reload a single pattern from storage
+   * @param {string} pattern - Topic pattern
+   */
+  async reload(pattern) {
+    if (!this.redis) return;
+
+    const raw = await this.redis.hget(this.key, pattern);
+    if (raw) {
+      this.setSubject(JSON.parse(raw));
+    }
+  }
+
+  /**
+   * Replace a subject in the local cache
+   * @param {Object} subject - Subject record
+   */
+  setSubject(subject) {
+    this.subjects.set(subject.pattern, subject);
+
+    // Drop compiled validators of the previous copy
+    for (const key of this.validators.keys()) {
+      if (key.startsWith(`${subject.pattern}@`)) {
+        this.validators.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Register a schema version for a topic pattern
+   * @param {string} pattern - Topic pattern
+   * @param {Object} schema - JSON Schema for event data
+   * @param {Object} options - Registration options
+   * @param {string} options.compatibility - 'backward' (default) or 'none'
+   * @param {string} options.description - Version description
+   * @returns {Object} Registered version
+   */
+  async register(pattern, schema, options = {}) {
+    if (!pattern) {
+      throw new Error('Schema pattern is required');
+    }
+
+    // Fail early on schemas Ajv cannot compile
+    try {
+      this.ajv.compile(schema);
+    } catch (error) {
+      throw new Error(`Invalid JSON Schema: ${error.message}`);
+    }
+
+    const existing = this.subjects.get(pattern);
+    const compatibility = options.compatibility || existing?.compatibility || 'backward';
+
+    if (existing && compatibility === 'backward') {
+      const latest = existing.versions[existing.versions.length - 1];
+      const check = this.checkCompatibility(latest.schema, schema);
+
+      if (!check.compatible) {
+        const error = new Error(`Schema for ${pattern} is not backward compatible with version ${latest.version}`);
+        error.compatibilityIssues = check.issues;
+        throw error;
+      }
+    }
+
+    const version = {
+      version: existing ? existing.versions[existing.versions.length - 1].version + 1 : 1,
+      schema,
+      description: options.description,
+      registeredAt: new Date().toISOString()
+    };
+
+    const subject = {
+      pattern,
+      compatibility,
+      versions: [...(existing?.versions || []), version]
+    };
+
+    if (this.redis) {
+      await this.redis.hset(this.key, pattern, JSON.stringify(subject));
+    }
+    this.setSubject(subject);
+
+    this.logger.info(`Schema registered: ${pattern} v${version.version}`);
+
+    return { pattern, ...version };
+  }
+
+  /**
+   * Check that every payload valid under the old schema is valid under the new one
+   *
+   * This is a structural check covering the changes producers typically make:
+   * new required fields, narrowed types or enums, and closed objects.
+   * @param {Object} oldSchema - Current schema
+   * @param {Object} newSchema - Proposed schema
+   * @param {string} path - JSON path used in issue messages
+   * @returns {Object} { compatible, issues }
+   */
+  checkCompatibility(oldSchema = {}, newSchema = {}, path = '$') {
+    const issues = [];
+    const typesOf = (schema) => [].concat(schema.type || []);
+
+    // Types may only be widened
+    const oldTypes = typesOf(oldSchema);
+    const newTypes = typesOf(newSchema);
+    if (newTypes.length > 0) {
+      const accepts = (type) => newTypes.includes(type) ||
+        (type === 'integer' && newTypes.includes('number'));
+
+      if (oldTypes.length === 0) {
+        issues.push(`${path}: type restricted to ${newTypes.join(', ')}`);
+      } else {
+        for (const type of oldTypes) {
+          if (!accepts(type)) {
+            issues.push(`${path}: type ${type} no longer accepted`);
+          }
+        }
+      }
+    }
+
+    // Enums may only grow
+    if (newSchema.enum) {
+      const removed = (oldSchema.enum || []).filter(value => !newSchema.enum.includes(value));
+      if (!oldSchema.enum) {
+        issues.push(`${path}: enum added`);
+      } else if (removed.length > 0) {
+        issues.push(`${path}: enum values removed (${removed.join(', ')})`);
+      }
+    }
+
+    // New required fields break existing producers
+    const oldRequired = oldSchema.required || [];
+    for (const field of newSchema.required || []) {
+      if (!oldRequired.includes(field)) {
+        issues.push(`${path}.${field}: became required`);
+      }
+    }
+
+    const oldProps = oldSchema.properties || {};
+    const newProps = newSchema.properties || {};
+
+    // Closing an object rejects fields that used to be allowed
+    if (newSchema.additionalProperties === false) {
+      if (oldSchema.additionalProperties !== false) {
+        issues.push(`${path}: additional properties no longer allowed`);
+      }
+      for (const field of Object.keys(oldProps)) {
+        if (!newProps[field]) {
+          issues.push(`${path}.${field}: removed from a closed object`);
+        }
+      }
+    }
+
+    for (const [field, schema] of Object.entries(newProps)) {
+      if (oldProps[field]) {
+        issues.push(...this.checkCompatibility(oldProps[field], schema, `${path}.${field}`).issues);
+      }
+    }
+
+    if (oldSchema.items && newSchema.items) {
+      issues.push(...this.checkCompatibility(oldSchema.items, newSchema.items, `${path}[]`).issues);
+    }
+
+    return { compatible: issues.length === 0, issues };
+  }
+
+  /**
+   * Find the subject governing a topic
+   *
+   * An exact pattern wins, then the wildcard pattern with the most literal segments.
+   * @param {string} topic - Event topic
+   * @returns {Object|null} Subject
+   */
+  resolve(topic) {
+    if (this.subjects.has(topic)) {
+      return this.subjects.get(topic);
+    }
+
+    let best = null;
+    let bestScore = -1;
+
+    for (const subject of this.subjects.values()) {
+      if (!this.matchesTopic(topic, subject.pattern)) continue;
+
+      const score = subject.pattern.split('.').filter(part => part !== '*' && part !== '#').length;
+      if (score > bestScore) {
+        best = subject;
+        bestScore = score;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Validate event data against the latest schema for its topic
+   * @param {string} topic - Event topic
+   * @param {*} data - Event data
+   * @returns {Object|null} Validation result, or null when no schema applies
+   */
+  validate(topic, data) {
+    const subject = this.resolve(topic);
+    if (!subject) return null;
+
+    const latest = subject.versions[subject.versions.length - 1];
+    const key = `${subject.pattern}@${latest.version}`;
+
+    let validator = this.validators.get(key);
+    if (!validator) {
+      validator = this.ajv.compile(latest.schema);
+      this.validators.set(key, validator);
+    }
+
+    const valid = validator(data);
+
+    return {
+      valid,
+      pattern: subject.pattern,
+      version: latest.version,
+      errors: valid ? [] : validator.errors.map(err => ({
+        path: err.instancePath || '/',
+        message: err.message,
+        params: err.params
+      }))
+    };
+  }
+
+  /**
+   * Get a subject with all its versions
+   * @param {string} pattern - Topic pattern
+   * @returns {Object|null} Subject
+   */
+  get(pattern) {
+    return this.subjects.get(pattern) || null;
+  }
+
+  /**
+   * List registered patterns
+   * @returns {Array} Subject summaries
+   */
+  list() {
+    return Array.from(this.subjects.values()).map(subject => ({
+      pattern: subject.pattern,
+      compatibility: subject.compatibility,
+      latestVersion: subject.versions[subject.versions.length - 1].version,
+      versions: subject.versions.length
+    }));
+  }
+}
+
+export default SchemaRegistry;
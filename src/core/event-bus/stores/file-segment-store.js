@@ -0,0 +1,187 @@
+import { promises as fs, createReadStream } from 'fs';
+import path from 'path';
+import readline from 'readline';
+
+/**
+ * File segment event store - Append-only event log on local disk
+ *
+ * Events are written as JSON lines to segment files named after the offset
+ * of their first entry. A new segment is started once the active one
+ * exceeds `segmentSize` bytes.
+ */
+class FileSegmentStore {
+  constructor({ logger, directory = 'data/events', segmentSize = 64 * 1024 * 1024 }) {
+    this.logger = logger;
+    this.directory = directory;
+    this.segmentSize = segmentSize;
+    this.backend = 'file';
+    
+    this.segments = [];
+    this.activeSegment = null;
+    this.activeSize = 0;
+    this.nextOffset = 0;
+    
+    // Serialize writes so offsets match file order
+    this.writeChain = Promise.resolve();
+    this.ready = this.init();
+  }
+
+  /**
+   * Load existing segments and recover the next offset
+   */
+  async init() {
+    await fs.mkdir(this.directory, { recursive: true });
+    
+    const files = (await fs.readdir(this.directory))
+      .filter(file => file.endsWith('.log'))
+      .sort();
+    
+    this.segments = files.map(file => ({
+      baseOffset: parseInt(file, 10),
+      file: path.join(this.directory, file)
+    }));
+    
+    if (this.segments.length === 0) return;
+    
+    this.activeSegment = this.segments[this.segments.length - 1];
+    let content = await fs.readFile(this.activeSegment.file, 'utf8');
+    
+    // Drop a partially written trailing line left by a crash
+    const lastNewline = content.lastIndexOf('\n');
+    if (lastNewline !== content.length - 1) {
+      content = content.substring(0, lastNewline + 1);
+      await fs.truncate(this.activeSegment.file, Buffer.byteLength(content));
+      this.logger.warn(`Truncated partial entry in ${this.activeSegment.file}`);
+    }
+    
+    const lines = content.split('\n').filter(Boolean);
+    this.nextOffset = this.activeSegment.baseOffset + lines.length;
+    this.activeSize = Buffer.byteLength(content);
+    
+    this.logger.info(`Event log loaded: ${this.segments.length} segments, next offset ${this.nextOffset}`);
+  }
+
+  /**
+   * Start a new segment at the current offset
+   */
+  async rollSegment() {
+    const name = `${String(this.nextOffset).padStart(20, '0')}.log`;
+    this.activeSegment = {
+      baseOffset: this.nextOffset,
+      file: path.join(this.directory, name)
+    };
+    this.activeSize = 0;
+    this.segments.push(this.activeSegment);
+    
+    await fs.writeFile(this.activeSegment.file, '');
+  }
+
+  /**
+   * Append an event to the log
+   * @param {Object} event - Event object
+   * @returns {number} Offset of the appended event
+   */
+  append(event) {
+    const result = this.writeChain.then(async () => {
+      await this.ready;
+      
+      if (!this.activeSegment || this.activeSize >= this.segmentSize) {
+        await this.rollSegment();
+      }
+      
+      const offset = this.nextOffset;
+      const line = JSON.stringify({ offset, event }) + '\n';
+      
+      await fs.appendFile(this.activeSegment.file, line);
+      this.activeSize += Buffer.byteLength(line);
+      this.nextOffset++;
+      
+      return offset;
+    });
+    
+    this.writeChain = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Read events from the log
+   * @param {Object} options - Read options
+   * @param {number} options.fromOffset - Offset to start from (inclusive)
+   * @param {string} options.since - ISO date lower bound
+   * @param {string} options.until - ISO date upper bound
+   * @param {number} options.limit - Maximum number of entries
+   * @param {Function} options.filter - Event predicate
+   * @returns {Array} Array of { offset, event }
+   */
+  async read({ fromOffset, since, until, limit = 1000, filter } = {}) {
+    await this.ready;
+    
+    const startOffset = fromOffset !== undefined && fromOffset !== null
+      ? parseInt(fromOffset, 10)
+      : 0;
+    const sinceTime = since ? new Date(since).getTime() : null;
+    const untilTime = until ? new Date(until).getTime() : null;
+    const results = [];
+    
+    for (let i = 0; i < this.segments.length && results.length < limit; i++) {
+      const next = this.segments[i + 1];
+      
+      // Skip segments that end before the requested offset
+      if (next && next.baseOffset <= startOffset) continue;
+      
+      const lines = readline.createInterface({
+        input: createReadStream(this.segments[i].file, { encoding: 'utf8' }),
+        crlfDelay: Infinity
+      });
+      
+      for await (const line of lines) {
+        if (!line) continue;
+        
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          this.logger.warn('Skipping corrupt event log entry:', error.message);
+          continue;
+        }
+        
+        if (entry.offset < startOffset) continue;
+        
+        const time = new Date(entry.event.timestamp).getTime();
+        if (sinceTime !== null && time < sinceTime) continue;
+        if (untilTime !== null && time > untilTime) break;
+        if (filter && !filter(entry.event)) continue;
+        
+        results.push(entry);
+        if (results.length >= limit) break;
+      }
+      
+      lines.close();
+    }
+    
+    return results;
+  }
+
+  /**
+   * Get store statistics
+   * @returns {Object} Statistics
+   */
+  async getStats() {
+    await this.ready;
+    return {
+      backend: this.backend,
+      directory: this.directory,
+      segments: this.segments.length,
+      length: this.nextOffset
+    };
+  }
+
+  /**
+   * Wait for pending writes to complete
+   */
+  async close() {
+    await this.writeChain;
+  }
+}
+
+export default FileSegmentStore;
@@ -0,0 +1,41 @@
+import RedisStreamStore from './redis-stream-store.js';
+import FileSegmentStore from './file-segment-store.js';
+
+/**
+ * Create the event store configured for the event bus
+ * @param {Object} options - Store options
+ * @param {Object} options.config - Event bus configuration
+ * @param {Object} options.logger - Logger
+ * @param {Object} options.redis - Redis client (required for the redis backend)
+ * @returns {Object} Event store instance
+ */
+export function createEventStore({ config = {}, logger, redis }) {
+  let backend = config.persistenceBackend || 'redis';
+  
+  if (backend === 'redis' && !redis) {
+    logger.warn('Redis event store requested without a Redis connection, using file store');
+    backend = 'file';
+  }
+  
+  switch (backend) {
+    case 'redis':
+      return new RedisStreamStore({
+        logger,
+        redis,
+        streamKey: config.persistenceStream,
+        maxLength: config.persistenceMaxLength
+      });
+      
+    case 'file':
+      return new FileSegmentStore({
+        logger,
+        directory: config.persistenceDir,
+        segmentSize: config.persistenceSegmentSize
+      });
+      
+    default:
+      throw new Error(`Unknown event store backend: ${backend}`);
+  }
+}
+
+export { RedisStreamStore, FileSegmentStore };
@@ -0,0 +1,121 @@
+/**
+ * Redis Streams event store - Append-only event log backed by XADD/XRANGE
+ */
+class RedisStreamStore {
+  constructor({ logger, redis, streamKey = 'events:log', maxLength = null, pageSize = 500 }) {
+    this.logger = logger;
+    this.redis = redis;
+    this.streamKey = streamKey;
+    this.maxLength = maxLength;
+    this.pageSize = pageSize;
+    this.backend = 'redis';
+  }
+
+  /**
+   * Append an event to the stream
+   * @param {Object} event - Event object
+   * @returns {string} Stream entry ID used as offset
+   */
+  async append(event) {
+    const args = [this.streamKey];
+    
+    // Approximate trimming keeps XADD cheap
+    if (this.maxLength) {
+      args.push('MAXLEN', '~', this.maxLength);
+    }
+    
+    args.push('*', 'topic', event.topic, 'event', JSON.stringify(event));
+    
+    return this.redis.xadd(...args);
+  }
+
+  /**
+   * Read events from the stream
+   * @param {Object} options - Read options
+   * @param {string} options.fromOffset - Stream ID to start from (inclusive)
+   * @param {string} options.since - ISO date lower bound
+   * @param {string} options.until - ISO date upper bound
+   * @param {number} options.limit - Maximum number of entries
+   * @param {Function} options.filter - Event predicate
+   * @returns {Array} Array of { offset, event }
+   */
+  async read({ fromOffset, since, until, limit = 1000, filter } = {}) {
+    // Stream IDs start with the append time in ms, so time bounds map to ID bounds
+    let start = fromOffset || (since ? String(new Date(since).getTime()) : '-');
+    const end = until ? String(new Date(until).getTime()) : '+';
+    
+    const results = [];
+    let skipId = null;
+    
+    while (results.length < limit) {
+      const entries = await this.redis.xrange(
+        this.streamKey, start, end, 'COUNT', this.pageSize
+      );
+      
+      const fresh = skipId ? entries.filter(([id]) => id !== skipId) : entries;
+      if (fresh.length === 0) break;
+      
+      for (const [id, fields] of fresh) {
+        const event = this.parseEntry(id, fields);
+        if (!event) continue;
+        if (filter && !filter(event)) continue;
+        
+        results.push({ offset: id, event });
+        if (results.length >= limit) break;
+      }
+      
+      if (entries.length < this.pageSize) break;
+      
+      // Next page starts at the last ID seen; skip it to avoid duplicates
+      start = entries[entries.length - 1][0];
+      skipId = start;
+    }
+    
+    return results;
+  }
+
+  /**
+   * Parse a raw stream entry
+   * @param {string} id - Stream entry ID
+   * @param {Array} fields - Flat field/value array
+   * @returns {Object|null} Event object
+   */
+  parseEntry(id, fields) {
+    // Match field names only; a value may also be the string 'event'
+    let value = null;
+    for (let i = 0; i < fields.length; i += 2) {
+      if (fields[i] === 'event') {
+        value = fields[i + 1];
+        break;
+      }
+    }
+    if (value === null) return null;
+    
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      this.logger.warn(`Skipping corrupt event log entry ${id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get store statistics
+   * @returns {Object} Statistics
+   */
+  async getStats() {
+    const length = await this.redis.xlen(this.streamKey);
+    return {
+      backend: this.backend,
+      stream: this.streamKey,
+      length
+    };
+  }
+
+  /**
+   * Close the store (the Redis connection is owned by the event bus)
+   */
+  async close() {}
+}
+
+export default RedisStreamStore;
@@ -0,0 +1,128 @@
+/**
+ * Topic ACL - Topic-level publish and subscribe permissions
+ *
+ * Accepted permissions: `*`, `events:*`, `events:<action>` and
+ * `events:<action>:<pattern>` where the pattern covers the topic, e.g.
+ * `events:publish:analytics.*` or `events:subscribe:integration.#`.
+ * Reserved namespaces can only be published to by internal code (no
+ * principal), or by principals holding `*` or `events:system`.
+ */
+
+/**
+ * Namespaces written only by the backend itself
+ */
+export const DEFAULT_RESERVED_TOPICS = [
+  'service.#',
+  'pipeline.control.#',
+  'schema.#',
+  'dlq.#',
+  'eventbus.#',
+  'core.#'
+];
+
+/**
+ * Publish options external callers may set; anything else, such as
+ * `validation` or `replyTo`, is only for code inside the backend
+ */
+export const EXTERNAL_PUBLISH_OPTIONS = [
+  'id',
+  'source',
+  'correlationId',
+  'causationId',
+  'metadata',
+  'ttl',
+  'delay',
+  'at',
+  'cron',
+  'tz'
+];
+
+/**
+ * Keep only the publish options an external caller may set
+ * @param {Object} options - Publish options from a client
+ * @returns {Object} Allowed options
+ */
+export function externalPublishOptions(options = {}) {
+  return Object.fromEntries(
+    EXTERNAL_PUBLISH_OPTIONS
+      .filter(name => options[name] !== undefined)
+      .map(name => [name, options[name]])
+  );
+}
+
+/**
+ * Check whether a granted pattern covers every topic a requested pattern matches
+ * @param {Array} granted - Granted pattern segments
+ * @param {Array} requested - Requested topic or pattern segments
+ * @param {number} g - Granted position
+ * @param {number} r - Requested position
+ * @returns {boolean} Whether the grant covers the request
+ */
+function covers(granted, requested, g = 0, r = 0) {
+  if (g === granted.length) return r === requested.length;
+
+  if (granted[g] === '#') {
+    // '#' absorbs any run of requested segments, wildcards included
+    return covers(granted, requested, g + 1, r) ||
+      (r < requested.length && covers(granted, requested, g, r + 1));
+  }
+
+  if (r === requested.length || requested[r] === '#') return false;
+  if (granted[g] === '*') return covers(granted, requested, g + 1, r + 1);
+
+  return granted[g] === requested[r] && covers(granted, requested, g + 1, r + 1);
+}
+
+/**
+ * Check whether a pattern covers a topic or narrower pattern
+ * @param {string} granted - Granted pattern
+ * @param {string} requested - Requested topic or pattern
+ * @returns {boolean} Whether the grant covers the request
+ */
+export function patternCovers(granted, requested) {
+  return covers(granted.split('.'), requested.split('.'));
+}
+
+/**
+ * Check whether a topic lies in a reserved namespace
+ * @param {string} topic - Topic or pattern
+ * @param {Array} reserved - Reserved patterns
+ * @returns {boolean} Whether the topic is reserved
+ */
+export function isReservedTopic(topic, reserved = DEFAULT_RESERVED_TOPICS) {
+  return reserved.some(pattern => patternCovers(pattern, topic));
+}
+
+/**
+ * Check whether permissions allow an action on a topic
+ * @param {Array} permissions - Principal permissions
+ * @param {string} action - 'publish' or 'subscribe'
+ * @param {string} topic - Topic or topic pattern
+ * @param {Object} options - Check options
+ * @param {Array} options.reserved - Reserved patterns
+ * @returns {boolean} Whether the action is allowed
+ */
+export function hasTopicPermission(permissions = [], action, topic, { reserved = DEFAULT_RESERVED_TOPICS } = {}) {
+  if (permissions.includes('*')) return true;
+
+  if (action === 'publish' && isReservedTopic(topic, reserved) && !permissions.includes('events:system')) {
+    return false;
+  }
+
+  const prefix = `events:${action}:`;
+
+  return permissions.some(permission =>
+    permission === 'events:*' ||
+    permission === `events:${action}` ||
+    (permission.startsWith(prefix) && patternCovers(permission.slice(prefix.length), topic))
+  );
+}
+
+/**
+ * Name a principal for logs and event metadata
+ * @param {Object} principal - Auth context
+ * @returns {string} Principal name
+ */
+export function principalName(principal) {
+  return principal.username || principal.userId || principal.apiKey || principal.sub || 'unknown';
+}
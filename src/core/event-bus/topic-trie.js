@@ -0,0 +1,172 @@
+/**
+ * Topic Trie - Index of subscriptions by topic pattern
+ *
+ * Topics are dot-separated segments. In patterns `*` matches exactly one
+ * segment and `#` matches zero or more segments, so `integration.*.error`
+ * matches `integration.slack.error` and `integration.#` matches
+ * `integration`, `integration.slack` and `integration.slack.error`.
+ */
+
+/**
+ * Check whether a pattern contains wildcards
+ * @param {string} pattern - Topic pattern
+ * @returns {boolean} Whether the pattern contains `*` or `#` segments
+ */
+export function isWildcard(pattern) {
+  return pattern.split('.').some(part => part === '*' || part === '#');
+}
+
+/**
+ * Match topic segments against pattern segments
+ * @param {Array} topicParts - Topic segments
+ * @param {Array} patternParts - Pattern segments
+ * @param {number} t - Topic position
+ * @param {number} p - Pattern position
+ * @returns {boolean} Match result
+ */
+export function matchSegments(topicParts, patternParts, t = 0, p = 0) {
+  while (p < patternParts.length) {
+    const part = patternParts[p];
+
+    if (part === '#') {
+      // Collapse consecutive '#' and try every possible span
+      while (patternParts[p + 1] === '#') p++;
+      if (p === patternParts.length - 1) return true;
+
+      for (let skip = t; skip <= topicParts.length; skip++) {
+        if (matchSegments(topicParts, patternParts, skip, p + 1)) return true;
+      }
+      return false;
+    }
+
+    if (t >= topicParts.length) return false;
+    if (part !== '*' && part !== topicParts[t]) return false;
+
+    t++;
+    p++;
+  }
+
+  return t === topicParts.length;
+}
+
+/**
+ * Convert a pattern to a Redis PSUBSCRIBE glob
+ *
+ * The glob may match more channels than the pattern (Redis `*` also spans
+ * dots), so deliveries are still checked with `matchSegments`.
+ * @param {string} pattern - Topic pattern
+ * @returns {string} Redis glob
+ */
+export function toRedisGlob(pattern) {
+  return pattern
+    .split('.')
+    .map(part => {
+      if (part === '#') return '\0';
+      if (part === '*') return '*';
+      return part.replace(/[?*[\]\\]/g, '\\$&');
+    })
+    .join('.')
+    .replace(/\.?\0\.?/g, '*')
+    .replace(/\*+/g, '*');
+}
+
+class TopicTrie {
+  constructor() {
+    this.root = this.createNode();
+    this.size = 0;
+  }
+
+  createNode() {
+    return { children: new Map(), subscriptions: [] };
+  }
+
+  /**
+   * Index a subscription under its pattern
+   * @param {string} pattern - Topic pattern
+   * @param {Object} subscription - Subscription (must have an `id`)
+   */
+  add(pattern, subscription) {
+    let node = this.root;
+
+    for (const part of pattern.split('.')) {
+      if (!node.children.has(part)) {
+        node.children.set(part, this.createNode());
+      }
+      node = node.children.get(part);
+    }
+
+    node.subscriptions.push(subscription);
+    this.size++;
+  }
+
+  /**
+   * Remove a subscription
+   * @param {string} pattern - Topic pattern
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {boolean} Whether the subscription was indexed
+   */
+  remove(pattern, subscriptionId) {
+    const path = [this.root];
+
+    for (const part of pattern.split('.')) {
+      const next = path[path.length - 1].children.get(part);
+      if (!next) return false;
+      path.push(next);
+    }
+
+    const node = path[path.length - 1];
+    const index = node.subscriptions.findIndex(sub => sub.id === subscriptionId);
+    if (index === -1) return false;
+
+    node.subscriptions.splice(index, 1);
+    this.size--;
+
+    // Prune branches left empty
+    const parts = pattern.split('.');
+    for (let i = parts.length; i > 0; i--) {
+      const current = path[i];
+      if (current.subscriptions.length > 0 || current.children.size > 0) break;
+      path[i - 1].children.delete(parts[i - 1]);
+    }
+
+    return true;
+  }
+
+  /**
+   * Find subscriptions whose pattern matches a topic
+   * @param {string} topic - Event topic
+   * @returns {Array} Matching subscriptions
+   */
+  match(topic) {
+    const parts = topic.split('.');
+    const found = new Map();
+
+    const visit = (node, index) => {
+      // '#' may swallow any number of remaining segments, including none
+      const hash = node.children.get('#');
+      if (hash) {
+        for (let skip = index; skip <= parts.length; skip++) {
+          visit(hash, skip);
+        }
+      }
+
+      if (index === parts.length) {
+        for (const subscription of node.subscriptions) {
+          found.set(subscription.id, subscription);
+        }
+        return;
+      }
+
+      const literal = node.children.get(parts[index]);
+      if (literal) visit(literal, index + 1);
+
+      const star = node.children.get('*');
+      if (star) visit(star, index + 1);
+    };
+
+    visit(this.root, 0);
+    return Array.from(found.values());
+  }
+}
+
+export default TopicTrie;
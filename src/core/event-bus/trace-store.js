@@ -0,0 +1,134 @@
+/**
+ * Trace Store - Record of events and handler runs per correlation ID
+ *
+ * With Redis, each correlation is a capped list that expires after the trace
+ * TTL, so handler runs on every node end up in one trace. Without Redis,
+ * the most recent traces are kept in memory.
+ */
+class TraceStore {
+  constructor({ logger, redis = null, ttl = 86400000, maxEntries = 1000, maxTraces = 1000 }) {
+    this.logger = logger;
+    this.redis = redis;
+    this.ttl = ttl;
+    this.maxEntries = maxEntries;
+    this.maxTraces = maxTraces;
+    this.keyPrefix = 'eventbus:traces:';
+
+    this.traces = new Map(); // local mode: correlation ID -> entries
+  }
+
+  /**
+   * Append an entry to a trace
+   * @param {string} correlationId - Correlation ID
+   * @param {Object} entry - Event (`type: 'event'`) or handler run (`type: 'handler'`)
+   */
+  async record(correlationId, entry) {
+    if (this.redis) {
+      const key = `${this.keyPrefix}${correlationId}`;
+      await this.redis.multi()
+        .rpush(key, JSON.stringify(entry))
+        .ltrim(key, -this.maxEntries, -1)
+        .pexpire(key, this.ttl)
+        .exec();
+      return;
+    }
+
+    let entries = this.traces.get(correlationId);
+    if (!entries) {
+      entries = [];
+      this.traces.set(correlationId, entries);
+
+      // Drop the oldest trace
+      if (this.traces.size > this.maxTraces) {
+        this.traces.delete(this.traces.keys().next().value);
+      }
+    }
+
+    entries.push(entry);
+    if (entries.length > this.maxEntries) {
+      entries.shift();
+    }
+  }
+
+  /**
+   * Get the raw entries of a trace
+   * @param {string} correlationId - Correlation ID
+   * @returns {Array} Entries in recording order
+   */
+  async getEntries(correlationId) {
+    if (this.redis) {
+      const raw = await this.redis.lrange(`${this.keyPrefix}${correlationId}`, 0, -1);
+      return raw.map(item => JSON.parse(item));
+    }
+
+    return [...(this.traces.get(correlationId) || [])];
+  }
+
+  /**
+   * Build the causal tree of a trace
+   * @param {string} correlationId - Correlation ID
+   * @returns {Object|null} Trace with root events, timings and failures
+   */
+  async get(correlationId) {
+    const entries = await this.getEntries(correlationId);
+    if (entries.length === 0) return null;
+
+    const nodes = new Map();
+    for (const entry of entries) {
+      if (entry.type === 'event') {
+        nodes.set(entry.id, { ...entry, handlers: [], children: [] });
+      }
+    }
+
+    const failures = [];
+    let start = Infinity;
+    let end = 0;
+
+    for (const node of nodes.values()) {
+      const time = new Date(node.timestamp).getTime();
+      start = Math.min(start, time);
+      end = Math.max(end, time);
+    }
+
+    for (const entry of entries) {
+      if (entry.type !== 'handler') continue;
+
+      const startedAt = new Date(entry.startedAt).getTime();
+      start = Math.min(start, startedAt);
+      end = Math.max(end, startedAt + entry.duration);
+
+      if (entry.status === 'failed') {
+        failures.push(entry);
+      }
+
+      const node = nodes.get(entry.eventId);
+      if (node) {
+        node.handlers.push(entry);
+      }
+    }
+
+    const roots = [];
+    for (const node of nodes.values()) {
+      node.offset = new Date(node.timestamp).getTime() - start;
+
+      const parent = node.causationId && nodes.get(node.causationId);
+      if (parent) {
+        parent.children.push(node);
+      } else {
+        roots.push(node);
+      }
+    }
+
+    return {
+      correlationId,
+      startedAt: new Date(start).toISOString(),
+      duration: end - start,
+      events: nodes.size,
+      handlers: entries.length - nodes.size,
+      failures,
+      roots
+    };
+  }
+}
+
+export default TraceStore;
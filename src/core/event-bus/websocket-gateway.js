@@ -0,0 +1,446 @@
+import { v4 as uuidv4 } from 'uuid';
+import { externalPublishOptions } from './topic-acl.js';
+
+/**
+ * WebSocket protocol version spoken by the gateway
+ */
+export const PROTOCOL_VERSION = 1;
+
+/**
+ * Error codes sent in `error` messages
+ */
+export const ErrorCodes = {
+  AUTH_REQUIRED: 'AUTH_REQUIRED',
+  INVALID_TOKEN: 'INVALID_TOKEN',
+  INSUFFICIENT_PERMISSIONS: 'INSUFFICIENT_PERMISSIONS',
+  VALIDATION_ERROR: 'VALIDATION_ERROR',
+  INVALID_MESSAGE: 'INVALID_MESSAGE',
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+  NOT_FOUND: 'NOT_FOUND',
+  TIMEOUT: 'TIMEOUT',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+/**
+ * Create an error carrying a protocol error code
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ */
+function protocolError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * WebSocket Gateway - Event bus access for WebSocket clients
+ *
+ * Clients authenticate with a JWT or API key, either on the upgrade request
+ * (`?token=`, `Authorization` or the API key header) or with an `auth`
+ * message. Every subscription gets an ID and is torn down with the socket.
+ */
+class WebSocketGateway {
+  constructor({ logger, eventBus, auth, config = {} }) {
+    this.logger = logger;
+    this.eventBus = eventBus;
+    this.auth = auth;
+    this.authTimeout = config.authTimeout || 10000;
+    this.maxSubscriptions = config.maxSubscriptions || 100;
+
+    this.connections = new Map(); // connection ID -> connection
+  }
+
+  /**
+   * Handle connections of a WebSocket server
+   * @param {WebSocketServer} wss - WebSocket server
+   */
+  attach(wss) {
+    wss.on('connection', (ws, req) => {
+      this.handleConnection(ws, req);
+    });
+  }
+
+  /**
+   * Set up a new connection
+   * @param {WebSocket} ws - Socket
+   * @param {IncomingMessage} req - Upgrade request
+   * @returns {Object} Connection
+   */
+  handleConnection(ws, req) {
+    const connection = {
+      id: uuidv4(),
+      ws,
+      auth: null,
+      subscriptions: new Map(), // subscription ID -> { topic, unsubscribe }
+      authTimer: null
+    };
+    this.connections.set(connection.id, connection);
+
+    this.logger.info('WebSocket connection established', {
+      connectionId: connection.id,
+      ip: req.socket?.remoteAddress
+    });
+
+    // Messages wait for the handshake so they are checked against its outcome
+    connection.ready = this.authenticate(connection, this.extractCredentials(req))
+      .catch(() => {})
+      .then(() => {
+        if (!connection.auth) {
+          connection.authTimer = setTimeout(() => {
+            this.send(connection, {
+              type: 'error',
+              code: ErrorCodes.AUTH_REQUIRED,
+              message: 'Authentication timeout'
+            });
+            ws.close(4401, 'Authentication timeout');
+          }, this.authTimeout);
+        }
+
+        this.send(connection, {
+          type: 'welcome',
+          connectionId: connection.id,
+          authenticated: !!connection.auth
+        });
+      });
+
+    ws.on('message', async (message) => {
+      await connection.ready;
+      // The socket may have closed during the handshake
+      if (!this.isOpen(connection)) return;
+      await this.handleMessage(connection, message);
+    });
+
+    ws.on('close', () => {
+      this.teardown(connection);
+    });
+
+    ws.on('error', (error) => {
+      this.logger.error('WebSocket error', error);
+    });
+
+    return connection;
+  }
+
+  /**
+   * Read credentials from the upgrade request
+   * @param {IncomingMessage} req - Upgrade request
+   * @returns {Object} { token, apiKey }
+   */
+  extractCredentials(req) {
+    const headers = req.headers || {};
+    const url = new URL(req.url || '/', 'http://localhost');
+    const authHeader = headers.authorization;
+
+    return {
+      apiKey: headers[this.auth.apiKeyHeader],
+      token: authHeader && authHeader.startsWith('Bearer ')
+        ? authHeader.substring(7)
+        : url.searchParams.get('token')
+    };
+  }
+
+  /**
+   * Authenticate a connection
+   * @param {Object} connection - Connection
+   * @param {Object} credentials - { token, apiKey }
+   * @returns {Object|null} Auth context
+   */
+  async authenticate(connection, credentials) {
+    let auth;
+    try {
+      auth = await this.auth.authenticateCredentials(credentials);
+    } catch (error) {
+      throw protocolError(ErrorCodes.INVALID_TOKEN, error.message);
+    }
+
+    if (auth) {
+      connection.auth = auth;
+      clearTimeout(connection.authTimer);
+      this.logger.debug('WebSocket connection authenticated', {
+        connectionId: connection.id,
+        principal: auth.username || auth.apiKey
+      });
+    }
+
+    return auth;
+  }
+
+  /**
+   * Handle a client message
+   * @param {Object} connection - Connection
+   * @param {string|Buffer} raw - Raw message
+   */
+  async handleMessage(connection, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      this.sendError(connection, null, protocolError(ErrorCodes.INVALID_MESSAGE, 'Message must be valid JSON'));
+      return;
+    }
+
+    try {
+      if (!message || typeof message.type !== 'string') {
+        throw protocolError(ErrorCodes.INVALID_MESSAGE, 'Message type is required');
+      }
+
+      if (message.v !== undefined && message.v !== PROTOCOL_VERSION) {
+        throw protocolError(ErrorCodes.UNSUPPORTED_VERSION, `Unsupported protocol version ${message.v}`);
+      }
+
+      if (!connection.auth && message.type !== 'auth' && message.type !== 'ping') {
+        throw protocolError(ErrorCodes.AUTH_REQUIRED, 'Authentication required');
+      }
+
+      switch (message.type) {
+        case 'auth':
+          await this.handleAuth(connection, message);
+          break;
+
+        case 'subscribe':
+          this.handleSubscribe(connection, message);
+          break;
+
+        case 'unsubscribe':
+          this.handleUnsubscribe(connection, message);
+          break;
+
+        case 'publish':
+          await this.handlePublish(connection, message);
+          break;
+
+        case 'request':
+          await this.handleRequest(connection, message);
+          break;
+
+        case 'ping':
+          this.send(connection, { type: 'pong', id: message.id });
+          break;
+
+        default:
+          throw protocolError(ErrorCodes.UNKNOWN_TYPE, `Unknown message type: ${message.type}`);
+      }
+    } catch (error) {
+      this.sendError(connection, message, error);
+    }
+  }
+
+  /**
+   * Handle an `auth` message
+   */
+  async handleAuth(connection, message) {
+    const auth = await this.authenticate(connection, {
+      token: message.token,
+      apiKey: message.apiKey
+    });
+
+    if (!auth) {
+      throw protocolError(ErrorCodes.AUTH_REQUIRED, 'Token or apiKey is required');
+    }
+
+    this.send(connection, {
+      type: 'authenticated',
+      id: message.id,
+      permissions: auth.permissions || []
+    });
+  }
+
+  /**
+   * Handle a `subscribe` message
+   */
+  handleSubscribe(connection, message) {
+    // Subscribing a closed connection would leak the subscription
+    if (!this.isOpen(connection)) return;
+
+    const { topic } = message;
+    if (!topic) {
+      throw protocolError(ErrorCodes.VALIDATION_ERROR, 'Topic is required');
+    }
+
+    this.checkPermission(connection, 'subscribe', topic);
+
+    if (connection.subscriptions.size >= this.maxSubscriptions) {
+      throw protocolError(ErrorCodes.VALIDATION_ERROR, `Subscription limit of ${this.maxSubscriptions} reached`);
+    }
+
+    const subscriptionId = uuidv4();
+    const unsubscribe = this.eventBus.subscribe(topic, (event) => {
+      this.send(connection, {
+        type: 'event',
+        subscriptionId,
+        topic: event.topic,
+        data: event
+      });
+    }, { name: `ws:${connection.id}`, principal: connection.auth });
+
+    connection.subscriptions.set(subscriptionId, { topic, unsubscribe });
+
+    this.send(connection, {
+      type: 'subscribed',
+      id: message.id,
+      subscriptionId,
+      topic
+    });
+  }
+
+  /**
+   * Handle an `unsubscribe` message
+   */
+  handleUnsubscribe(connection, message) {
+    const subscription = connection.subscriptions.get(message.subscriptionId);
+    if (!subscription) {
+      throw protocolError(ErrorCodes.NOT_FOUND, `Subscription ${message.subscriptionId} not found`);
+    }
+
+    subscription.unsubscribe();
+    connection.subscriptions.delete(message.subscriptionId);
+
+    this.send(connection, {
+      type: 'unsubscribed',
+      id: message.id,
+      subscriptionId: message.subscriptionId,
+      topic: subscription.topic
+    });
+  }
+
+  /**
+   * Handle a `publish` message
+   */
+  async handlePublish(connection, message) {
+    const { topic, data, options = {} } = message;
+    if (!topic) {
+      throw protocolError(ErrorCodes.VALIDATION_ERROR, 'Topic is required');
+    }
+
+    this.checkPermission(connection, 'publish', topic);
+
+    const eventId = await this.eventBus.publish(topic, data, { ...externalPublishOptions(options), principal: connection.auth });
+
+    this.send(connection, {
+      type: 'ack',
+      id: message.id,
+      eventId
+    });
+  }
+
+  /**
+   * Handle a `request` message
+   */
+  async handleRequest(connection, message) {
+    const { topic, data, timeout } = message;
+    if (!topic) {
+      throw protocolError(ErrorCodes.VALIDATION_ERROR, 'Topic is required');
+    }
+
+    this.checkPermission(connection, 'publish', topic);
+
+    const response = await this.eventBus.request(topic, data, { timeout, principal: connection.auth });
+
+    this.send(connection, {
+      type: 'reply',
+      id: message.id,
+      data: response
+    });
+  }
+
+  /**
+   * Check that a connection may act on a topic (see the event bus topic ACLs)
+   * @param {Object} connection - Connection
+   * @param {string} action - 'publish' or 'subscribe'
+   * @param {string} topic - Topic or topic pattern
+   */
+  checkPermission(connection, action, topic) {
+    if (!this.eventBus.isAllowed(connection.auth, action, topic)) {
+      throw protocolError(ErrorCodes.INSUFFICIENT_PERMISSIONS, `Not allowed to ${action} ${topic}`);
+    }
+  }
+
+  /**
+   * Send a message if the socket is open
+   * @param {Object} connection - Connection
+   * @param {Object} payload - Message
+   */
+  send(connection, payload) {
+    if (connection.ws.readyState !== 1) return;
+
+    connection.ws.send(JSON.stringify({ v: PROTOCOL_VERSION, ...payload }));
+  }
+
+  /**
+   * Check whether a connection is still open
+   * @param {Object} connection - Connection
+   * @returns {boolean} True until the socket closes
+   */
+  isOpen(connection) {
+    return this.connections.has(connection.id) && connection.ws.readyState === 1;
+  }
+
+  /**
+   * Send an error message for a failed client message
+   * @param {Object} connection - Connection
+   * @param {Object|null} message - Client message
+   * @param {Error} error - Error
+   */
+  sendError(connection, message, error) {
+    let code = error.code;
+    let details;
+
+    if (error.validationErrors) {
+      code = ErrorCodes.VALIDATION_ERROR;
+      details = error.validationErrors;
+    } else if (code === 'FORBIDDEN') {
+      code = ErrorCodes.INSUFFICIENT_PERMISSIONS;
+    } else if (!Object.values(ErrorCodes).includes(code)) {
+      code = ErrorCodes.INTERNAL_ERROR;
+      this.logger.error('WebSocket message error', error);
+    }
+
+    this.send(connection, {
+      type: 'error',
+      id: message?.id,
+      code,
+      message: error.message,
+      details
+    });
+  }
+
+  /**
+   * Remove all subscriptions of a closed connection
+   * @param {Object} connection - Connection
+   */
+  teardown(connection) {
+    clearTimeout(connection.authTimer);
+
+    for (const subscription of connection.subscriptions.values()) {
+      subscription.unsubscribe();
+    }
+
+    this.logger.info('WebSocket connection closed', {
+      connectionId: connection.id,
+      subscriptions: connection.subscriptions.size
+    });
+
+    connection.subscriptions.clear();
+    this.connections.delete(connection.id);
+  }
+
+  /**
+   * Get gateway statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    let subscriptions = 0;
+    for (const connection of this.connections.values()) {
+      subscriptions += connection.subscriptions.size;
+    }
+
+    return {
+      connections: this.connections.size,
+      subscriptions
+    };
+  }
+}
+
+export default WebSocketGateway;
@@ -0,0 +1,195 @@
+/**
+ * Dependency Graph - Service dependency validation, startup waves and rendering
+ *
+ * A dependency is a service ID or name (required), or `{ service, optional }`.
+ * Required dependencies must be registered and running before a service
+ * starts; optional ones only order startup when they are registered.
+ */
+
+/**
+ * Normalize a service's dependency list
+ * @param {Array} dependencies - Dependency references
+ * @returns {Array} `{ ref, optional }` entries
+ */
+export function normalizeDependencies(dependencies = []) {
+  return dependencies.map(dependency => typeof dependency === 'string'
+    ? { ref: dependency, optional: false }
+    : { ref: dependency.service || dependency.id || dependency.name, optional: Boolean(dependency.optional) });
+}
+
+/**
+ * Build the dependency graph of a set of services
+ * @param {Array} services - Services
+ * @param {Function} resolveExternal - Finds a dependency outside `services` (e.g. in the registry)
+ * @returns {Object} Graph with `nodes`, `edges`, `waves` (service IDs by depth),
+ *   `cycle` (service names, or null) and `missing` required dependencies
+ */
+export function buildGraph(services, resolveExternal = () => null) {
+  const byId = new Map(services.map(service => [service.id, service]));
+  const byName = new Map(services.map(service => [service.name, service]));
+  const resolve = (ref) => byId.get(ref) || byName.get(ref) || null;
+
+  const edges = [];
+  const missing = [];
+  const externals = new Map(); // dependencies managed elsewhere; they take no part in waves
+  const dependsOn = new Map(); // service ID -> resolved dependency IDs
+
+  for (const service of services) {
+    const targets = [];
+    for (const { ref, optional } of normalizeDependencies(service.dependencies)) {
+      const target = resolve(ref);
+      const external = target ? null : resolveExternal(ref);
+
+      if (target) {
+        targets.push(target.id);
+      } else if (external) {
+        externals.set(external.id, external);
+      } else if (!optional) {
+        missing.push({ service: service.name, dependency: ref });
+      }
+
+      edges.push({
+        from: service.id,
+        to: target?.id || external?.id || null,
+        ref,
+        optional,
+        external: Boolean(external),
+        missing: !target && !external
+      });
+    }
+    dependsOn.set(service.id, targets);
+  }
+
+  // Depth-first search; a grey node reached again closes a cycle
+  const state = new Map(); // ID -> 'visiting' | 'done'
+  const depth = new Map();
+  const stack = [];
+  let cycle = null;
+
+  const visit = (id) => {
+    if (state.get(id) === 'done' || cycle) return;
+    if (state.get(id) === 'visiting') {
+      cycle = [...stack.slice(stack.indexOf(id)), id].map(node => byId.get(node).name);
+      return;
+    }
+
+    state.set(id, 'visiting');
+    stack.push(id);
+
+    let level = 0;
+    for (const target of dependsOn.get(id)) {
+      visit(target);
+      if (cycle) return;
+      level = Math.max(level, depth.get(target) + 1);
+    }
+
+    stack.pop();
+    state.set(id, 'done');
+    depth.set(id, level);
+  };
+
+  for (const service of services) {
+    visit(service.id);
+  }
+
+  const waves = [];
+  if (!cycle) {
+    for (const service of services) {
+      const level = depth.get(service.id);
+      waves[level] = waves[level] || [];
+      waves[level].push(service.id);
+    }
+  }
+
+  return {
+    nodes: [
+      ...services.map(service => ({
+        id: service.id,
+        name: service.name,
+        status: service.status,
+        wave: cycle ? null : depth.get(service.id)
+      })),
+      ...Array.from(externals.values()).map(service => ({
+        id: service.id,
+        name: service.name,
+        status: service.status,
+        wave: null,
+        external: true
+      }))
+    ],
+    edges,
+    waves,
+    cycle,
+    missing
+  };
+}
+
+/**
+ * Check a graph can be started
+ * @param {Object} graph - Graph from buildGraph
+ * @throws {Error} On a cycle or a missing required dependency
+ */
+export function assertStartable(graph) {
+  if (graph.cycle) {
+    throw new Error(`Circular dependency detected: ${graph.cycle.join(' -> ')}`);
+  }
+
+  if (graph.missing.length > 0) {
+    const list = graph.missing.map(({ service, dependency }) => `${service} -> ${dependency}`).join(', ');
+    throw new Error(`Missing required dependencies: ${list}`);
+  }
+}
+
+/**
+ * Render a graph in Graphviz DOT
+ * @param {Object} graph - Graph from buildGraph
+ * @returns {string} DOT source
+ */
+export function toDot(graph) {
+  const quote = (value) => `"${String(value).replace(/"/g, '\\"')}"`;
+  const lines = ['digraph services {', '  rankdir=LR;'];
+
+  for (const node of graph.nodes) {
+    const style = node.external ? ', style=dotted' : '';
+    lines.push(`  ${quote(node.id)} [label=${quote(`${node.name}\\n${node.status}`)}${style}];`);
+  }
+
+  for (const edge of graph.edges) {
+    let target = edge.to;
+    if (edge.missing) {
+      target = `missing:${edge.ref}`;
+      lines.push(`  ${quote(target)} [label=${quote(`${edge.ref}\\nmissing`)}, color=red, style=dashed];`);
+    }
+    const style = edge.optional ? ' [style=dashed]' : '';
+    lines.push(`  ${quote(edge.from)} -> ${quote(target)}${style};`);
+  }
+
+  lines.push('}');
+  return lines.join('\n');
+}
+
+/**
+ * Render a graph as a Mermaid flowchart
+ * @param {Object} graph - Graph from buildGraph
+ * @returns {string} Mermaid source
+ */
+export function toMermaid(graph) {
+  const ids = new Map(graph.nodes.map((node, index) => [node.id, `s${index}`]));
+  const label = (value) => `["${String(value).replace(/"/g, '#quot;')}"]`;
+  const lines = ['graph TD'];
+
+  for (const node of graph.nodes) {
+    lines.push(`  ${ids.get(node.id)}${label(`${node.name} (${node.status})`)}`);
+  }
+
+  graph.edges.forEach((edge, index) => {
+    let target = ids.get(edge.to);
+    if (edge.missing) {
+      target = `m${index}`;
+      lines.push(`  ${target}${label(`${edge.ref} (missing)`)}`);
+    }
+    lines.push(`  ${ids.get(edge.from)} ${edge.optional ? '-.->' : '-->'} ${target}`);
+  });
+
+  return lines.join('\n');
+}
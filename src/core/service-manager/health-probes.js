@@ -0,0 +1,207 @@
+import net from 'net';
+import { execFile } from 'child_process';
+import fetch from 'node-fetch';
+import Redis from 'ioredis';
+
+/**
+ * Health Probes - Checks run against a service to decide its health
+ *
+ * A service's `healthCheck` is either an async function (custom probe) or an
+ * object with a `type`:
+ * - `http`: `{ url, method, headers, expectedStatus, expectedBody, bodyPattern }`
+ * - `tcp`: `{ host, port }`
+ * - `redis`: `{ url }` or `{ host, port, password, db }`, answered with PONG
+ * - `custom`: `{ check }` where `check(service)` is an async function
+ * - `exec`: `{ command, args }`, healthy on exit code 0 (opt-in, see `allowExec`)
+ *
+ * Untyped `{ handler }` and `{ endpoint }` checks from older registrations are
+ * still accepted as custom and HTTP probes.
+ *
+ * A probe resolves with details when the check passes and rejects otherwise.
+ */
+
+/**
+ * Check whether an HTTP status is accepted
+ * @param {number} status - Response status
+ * @param {number|Array} expected - Accepted status or statuses (default 2xx and 3xx)
+ * @returns {boolean} Whether the status is accepted
+ */
+function statusAccepted(status, expected) {
+  if (expected === undefined) return status >= 200 && status < 400;
+  return [].concat(expected).includes(status);
+}
+
+/**
+ * HTTP probe
+ */
+async function httpProbe(config, { signal }) {
+  if (!config.url) {
+    throw new Error('HTTP health check requires a url');
+  }
+
+  const response = await fetch(config.url, {
+    method: config.method || 'GET',
+    headers: config.headers,
+    signal
+  });
+
+  if (!statusAccepted(response.status, config.expectedStatus)) {
+    throw new Error(`Unexpected status ${response.status}`);
+  }
+
+  if (config.expectedBody !== undefined || config.bodyPattern !== undefined) {
+    const body = await response.text();
+    if (config.expectedBody !== undefined && !body.includes(config.expectedBody)) {
+      throw new Error('Response body does not contain the expected text');
+    }
+    if (config.bodyPattern !== undefined && !new RegExp(config.bodyPattern).test(body)) {
+      throw new Error('Response body does not match the expected pattern');
+    }
+  }
+
+  return { status: response.status };
+}
+
+/**
+ * TCP connect probe
+ */
+function tcpProbe(config, { timeout }) {
+  if (!config.port) {
+    return Promise.reject(new Error('TCP health check requires a port'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host: config.host || 'localhost', port: config.port });
+
+    socket.setTimeout(timeout);
+    socket.once('connect', () => {
+      socket.end();
+      resolve({ host: config.host || 'localhost', port: config.port });
+    });
+    socket.once('timeout', () => {
+      socket.destroy();
+      reject(new Error('Connection timed out'));
+    });
+    socket.once('error', (error) => {
+      socket.destroy();
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Redis PING probe
+ */
+async function redisProbe(config, { timeout }) {
+  const options = {
+    lazyConnect: true,
+    connectTimeout: timeout,
+    maxRetriesPerRequest: 0,
+    retryStrategy: () => null
+  };
+  const client = config.url
+    ? new Redis(config.url, options)
+    : new Redis({ host: config.host, port: config.port, password: config.password, db: config.db, ...options });
+
+  try {
+    await client.connect();
+    const reply = await client.ping();
+    if (reply !== 'PONG') {
+      throw new Error(`Unexpected PING reply: ${reply}`);
+    }
+    return { reply };
+  } finally {
+    client.disconnect();
+  }
+}
+
+/**
+ * Exec probe
+ */
+function execProbe(config, { timeout }) {
+  if (!config.command) {
+    return Promise.reject(new Error('Exec health check requires a command'));
+  }
+
+  return new Promise((resolve, reject) => {
+    execFile(config.command, config.args || [], { timeout }, (error, stdout) => {
+      if (error) {
+        reject(new Error(error.killed ? 'Command timed out' : `Command failed: ${error.message}`));
+        return;
+      }
+      resolve({ output: stdout.trim().slice(0, 200) });
+    });
+  });
+}
+
+/**
+ * Custom function probe
+ */
+async function customProbe(check, service) {
+  const result = await check(service);
+
+  if (result === false || result?.status === 'unhealthy') {
+    throw new Error(result?.error || 'Custom health check reported unhealthy');
+  }
+
+  return result === true || result === undefined ? {} : result;
+}
+
+/**
+ * Map the untyped shape of older registrations onto a probe type
+ *
+ * `{ handler }` becomes a custom probe and `{ endpoint }` an HTTP probe
+ * against the service's `url`.
+ * @param {Object} healthCheck - Health check configuration
+ * @param {Object} service - Service
+ * @returns {Object} Health check with a `type`
+ */
+function withLegacyType(healthCheck, service) {
+  if (healthCheck.type) return healthCheck;
+
+  if (typeof healthCheck.handler === 'function') {
+    return { ...healthCheck, type: 'custom', check: healthCheck.handler };
+  }
+
+  if (healthCheck.endpoint && service.url) {
+    return { ...healthCheck, type: 'http', url: new URL(healthCheck.endpoint, service.url).toString() };
+  }
+
+  return healthCheck;
+}
+
+/**
+ * Build the probe for a service's health check
+ * @param {Object} service - Service with a `healthCheck`
+ * @param {Object} options - Probe options
+ * @param {boolean} options.allowExec - Allow `exec` probes (they run commands on this host)
+ * @returns {Function} Probe, called with `{ timeout, signal }`
+ */
+export function createProbe(service, { allowExec = false } = {}) {
+  if (typeof service.healthCheck === 'function') {
+    return () => customProbe(service.healthCheck, service);
+  }
+
+  const healthCheck = withLegacyType(service.healthCheck, service);
+
+  switch (healthCheck.type) {
+    case 'http':
+      return (context) => httpProbe(healthCheck, context);
+    case 'tcp':
+      return (context) => tcpProbe(healthCheck, context);
+    case 'redis':
+      return (context) => redisProbe(healthCheck, context);
+    case 'custom':
+      if (typeof healthCheck.check !== 'function') {
+        throw new Error('Custom health check requires a check function');
+      }
+      return () => customProbe(healthCheck.check, service);
+    case 'exec':
+      if (!allowExec) {
+        throw new Error('Exec health checks are disabled');
+      }
+      return (context) => execProbe(healthCheck, context);
+    default:
+      throw new Error(`Unknown health check type: ${healthCheck.type}`);
+  }
+}
@@ -1,20 +1,82 @@
 import EventEmitter from 'eventemitter3';
 import { v4 as uuidv4 } from 'uuid';
-import pRetry from 'p-retry';
 import ServiceRegistry from './service-registry.js';
+import { createProbe } from './health-probes.js';
+import ProcessSupervisor from './process-supervisor.js';
+import LoadBalancer, { STRATEGIES, hash } from './load-balancer.js';
+import SloTracker from './slo.js';
+import fetch from 'node-fetch';
+import semver from 'semver';
+import {
+  normalizeDependencies,
+  buildGraph,
+  assertStartable,
+  toDot,
+  toMermaid
+} from './dependency-graph.js';
+
+// Methods that are safe to retry on another instance
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Upstream statuses that mean "try another instance"
+const RETRYABLE_STATUSES = [502, 503, 504];
 
 /**
  * Service Manager - Manages lifecycle of all backend services
  */
 class ServiceManager extends EventEmitter {
-  constructor({ logger, config }) {
+  constructor({ logger, config, eventBus = null }) {
     super();
     this.logger = logger;
     this.config = config;
-    this.registry = new ServiceRegistry({ logger });
+    this.eventBus = eventBus;
+    const settings = config.serviceManager || {};
+    this.registry = new ServiceRegistry({
+      logger,
+      outbox: eventBus?.outbox,
+      redis: eventBus?.publisher || null,
+      leaseTTL: settings.leaseTTL,
+      leaseGrace: settings.leaseGrace,
+      sweepInterval: settings.leaseSweepInterval,
+      auditSize: settings.auditSize
+    });
     this.services = new Map();
     this.healthChecks = new Map();
+    this.probes = new Map();
+    this.healthState = new Map(); // serviceId -> { successes, failures, history }
+    this.supervisors = new Map(); // serviceId -> ProcessSupervisor for managed processes
+    this.heartbeated = new Set(); // serviceIds registered with their own ttl; their callers renew the lease
+    this.imported = new Set(); // serviceIds added by a registry import; this node renews their leases
     this.circuitBreakers = new Map();
+    this.instanceMetrics = new Map(); // serviceId -> call metrics of instances registered on other nodes
+    this.inFlight = new Map(); // serviceId -> AbortControllers of calls in progress
+    this.idleWaiters = new Map(); // serviceId -> resolves a drain once its calls finish
+    this.drains = new Map(); // serviceId -> promise of the latest drain
+    this.slos = new Map(); // serviceId -> SloTracker of the events this node sees
+    this.canaries = new Map(); // service name -> { version, weight, updatedAt, routed }
+    this.canariesKey = 'service:canaries';
+    this.loadBalancer = new LoadBalancer();
+
+    // Expired leases remove services registered through this node too
+    this.registry.on('service:stale', service => this.emit('service:stale', service));
+    this.registry.on('service:expired', service => this.handleExpired(service));
+    this.registry.start();
+
+    // Services registered through this node stay leased for as long as the node is up
+    this.leaseRenewal = setInterval(() => this.renewLocalLeases(), Math.max(this.registry.leaseTTL / 3, 1000));
+    this.leaseRenewal.unref?.();
+
+    // Canary settings are shared through the outbox; reload them when any node changes one
+    if (eventBus?.outbox) {
+      this.loadCanaries().catch(err => this.logger.error('Failed to load canaries:', err));
+      eventBus.subscribe('service.canary.#', () => {
+        this.loadCanaries().catch(err => this.logger.error('Failed to load canaries:', err));
+      });
+    }
+
+    // Burn-rate alerts
+    this.sloEvaluation = setInterval(() => this.evaluateSlos(), settings.sloEvaluationInterval || 60000);
+    this.sloEvaluation.unref?.();
   }
 
   /**
@@ -24,14 +86,26 @@ class ServiceManager extends EventEmitter {
    */
   async registerService(serviceConfig) {
     const serviceId = serviceConfig.id || uuidv4();
+    const version = serviceConfig.version || '1.0.0';
+    if (!semver.valid(version)) {
+      throw new Error(`Service version must be valid semver: ${version}`);
+    }
+
     const service = {
       id: serviceId,
       name: serviceConfig.name,
-      version: serviceConfig.version || '1.0.0',
+      version: semver.clean(version),
       endpoints: serviceConfig.endpoints || [],
       healthCheck: serviceConfig.healthCheck,
       dependencies: serviceConfig.dependencies || [],
       metadata: serviceConfig.metadata || {},
+      ttl: serviceConfig.ttl ?? this.registry.leaseTTL,
+      url: serviceConfig.url || null,
+      loadBalancing: serviceConfig.loadBalancing || null,
+      mode: 'active', // active | draining | drained | maintenance
+      drain: null,
+      slo: serviceConfig.slo || null,
+      managed: serviceConfig.worker ? 'worker' : (serviceConfig.command ? 'process' : null),
       status: 'initializing',
       startedAt: null,
       lastHealthCheck: null,
@@ -42,30 +116,62 @@ class ServiceManager extends EventEmitter {
       }
     };
 
-    // Validate dependencies
-    for (const dep of service.dependencies) {
-      if (!this.services.has(dep) && !this.registry.getService(dep)) {
-        throw new Error(`Dependency ${dep} not found`);
+    // Build the health probe (rejects unknown probe types)
+    const probe = service.healthCheck
+      ? createProbe(service, { allowExec: this.config.serviceManager?.allowExecProbes })
+      : null;
+
+    if (service.loadBalancing && !STRATEGIES.includes(service.loadBalancing)) {
+      throw new Error(`Unknown load balancing strategy: ${service.loadBalancing}`);
+    }
+
+    // Validate SLO definitions
+    const sloTracker = service.slo ? this.createSloTracker(service) : null;
+
+    // Managed services are run by this node (commands come from the registration)
+    if (service.managed && !this.config.serviceManager?.allowProcesses) {
+      throw new Error('Managed processes are disabled');
+    }
+
+    // Validate dependencies (optional ones may be registered later)
+    for (const { ref, optional } of normalizeDependencies(service.dependencies)) {
+      if (!ref) {
+        throw new Error('Dependencies must name a service');
+      }
+      if (!optional && !this.findService(ref)) {
+        throw new Error(`Dependency ${ref} not found`);
       }
     }
 
+    // Reject registrations that would close a cycle
+    const { cycle } = buildGraph([service, ...this.services.values()]);
+    if (cycle) {
+      throw new Error(`Circular dependency detected: ${cycle.join(' -> ')}`);
+    }
+
     // Register in registry
     await this.registry.register(service);
     this.services.set(serviceId, service);
 
+    // A caller that sets its own ttl heartbeats; otherwise this node renews the lease
+    if (serviceConfig.ttl !== undefined && !service.managed) {
+      this.heartbeated.add(serviceId);
+    }
+
+    if (service.managed) {
+      this.supervisors.set(serviceId, this.createSupervisor(service, serviceConfig));
+    }
+
     // Initialize circuit breaker
-    this.circuitBreakers.set(serviceId, {
-      state: 'closed',
-      failures: 0,
-      successThreshold: 3,
-      failureThreshold: 5,
-      timeout: 30000,
-      resetTimeout: 60000,
-      lastFailure: null
-    });
+    this.circuitBreakers.set(serviceId, this.createCircuitBreaker());
+
+    if (sloTracker) {
+      this.slos.set(serviceId, sloTracker);
+    }
 
     // Setup health check
-    if (service.healthCheck) {
+    if (probe) {
+      this.probes.set(serviceId, probe);
       this.setupHealthCheck(serviceId);
     }
 
@@ -86,11 +192,12 @@ class ServiceManager extends EventEmitter {
     }
 
     try {
-      // Check dependencies
-      for (const dep of service.dependencies) {
-        const depService = this.services.get(dep) || this.registry.getService(dep);
+      // Check required dependencies
+      for (const { ref, optional } of normalizeDependencies(service.dependencies)) {
+        if (optional) continue;
+        const depService = this.findService(ref);
         if (!depService || depService.status !== 'running') {
-          throw new Error(`Dependency ${dep} is not running`);
+          throw new Error(`Dependency ${ref} is not running`);
         }
       }
 
@@ -98,8 +205,14 @@ class ServiceManager extends EventEmitter {
       service.status = 'starting';
       this.emit('service:starting', service);
 
-      // Simulate service startup
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      const supervisor = this.supervisors.get(serviceId);
+      if (supervisor) {
+        // Resolves once the readiness probe passes
+        await supervisor.start();
+      } else {
+        // Simulate service startup
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
 
       service.status = 'running';
       service.startedAt = new Date();
@@ -107,6 +220,11 @@ class ServiceManager extends EventEmitter {
       this.logger.info(`Service started: ${service.name}`);
       this.emit('service:started', service);
 
+      // Resume health checks stopped by stopService
+      if (this.probes.has(serviceId) && !this.healthChecks.has(serviceId)) {
+        this.setupHealthCheck(serviceId);
+      }
+
       // Update registry
       await this.registry.update(serviceId, service);
 
@@ -139,8 +257,13 @@ class ServiceManager extends EventEmitter {
         this.healthChecks.delete(serviceId);
       }
 
-      // Custom stop logic would go here
-      await new Promise(resolve => setTimeout(resolve, 500));
+      const supervisor = this.supervisors.get(serviceId);
+      if (supervisor) {
+        await supervisor.stop();
+      } else {
+        // Custom stop logic would go here
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
 
       service.status = 'stopped';
       service.stoppedAt = new Date();
@@ -157,85 +280,254 @@ class ServiceManager extends EventEmitter {
     }
   }
 
+  /**
+   * Create the supervisor of a managed service
+   * @param {Object} service - Service
+   * @param {Object} serviceConfig - Registration with `command`/`args`/`env`/`cwd` or `worker`,
+   *   `readiness`, `restart`, `stopTimeout` and `logBufferSize`
+   * @returns {ProcessSupervisor} Supervisor
+   */
+  createSupervisor(service, serviceConfig) {
+    const supervisor = new ProcessSupervisor({
+      logger: this.logger,
+      name: service.name,
+      allowExec: this.config.serviceManager?.allowExecProbes,
+      spec: {
+        command: serviceConfig.command,
+        args: serviceConfig.args,
+        env: serviceConfig.env,
+        cwd: serviceConfig.cwd,
+        worker: serviceConfig.worker,
+        workerData: serviceConfig.workerData,
+        readiness: serviceConfig.readiness,
+        restart: serviceConfig.restart,
+        stopTimeout: serviceConfig.stopTimeout,
+        logBufferSize: serviceConfig.logBufferSize
+      }
+    });
+
+    const updateRegistry = () => {
+      this.registry.update(service.id, service).catch(err => {
+        this.logger.error(`Failed to update registry for ${service.name}:`, err);
+      });
+    };
+
+    supervisor.on('restarting', ({ attempt, delay }) => {
+      service.status = 'restarting';
+      this.logger.warn(`Restarting ${service.name} in ${delay}ms (attempt ${attempt})`);
+      this.emit('service:restarting', { service, attempt, delay });
+      updateRegistry();
+    });
+
+    supervisor.on('ready', () => {
+      // Initial starts are reported by startService
+      if (service.status !== 'restarting') return;
+
+      service.status = 'running';
+      service.startedAt = new Date();
+      this.emit('service:started', service);
+      updateRegistry();
+    });
+
+    supervisor.on('stopped', () => {
+      service.status = 'stopped';
+      service.stoppedAt = new Date();
+      this.emit('service:stopped', service);
+      updateRegistry();
+    });
+
+    supervisor.on('failed', (status) => {
+      service.status = 'failed';
+      this.emit('service:failed', {
+        service,
+        error: new Error(`Process exited with code ${status.lastExit?.code ?? 'unknown'}`)
+      });
+      updateRegistry();
+    });
+
+    return supervisor;
+  }
+
+  /**
+   * Get the captured output of a managed service
+   * @param {string} serviceId - Service ID
+   * @param {Object} options - Log filter (`limit`, `stream`)
+   * @returns {Array} Log lines, oldest first
+   */
+  getServiceLogs(serviceId, options = {}) {
+    if (!this.services.has(serviceId)) {
+      throw new Error(`Service ${serviceId} not found`);
+    }
+
+    const supervisor = this.supervisors.get(serviceId);
+    if (!supervisor) {
+      throw new Error(`Service ${serviceId} is not a managed process`);
+    }
+
+    return supervisor.getLogs(options);
+  }
+
   /**
    * Setup health check for a service
    * @param {string} serviceId - Service ID
    */
   setupHealthCheck(serviceId) {
     const service = this.services.get(serviceId);
-    if (!service || !service.healthCheck) return;
+    if (!service || !this.probes.has(serviceId)) return;
 
-    const interval = service.healthCheck.interval || 30000;
-    const timeout = service.healthCheck.timeout || 5000;
+    const interval = service.healthCheck.interval || this.config.monitoring?.healthCheckInterval || 30000;
 
-    const healthCheckFn = async () => {
-      try {
-        const start = Date.now();
-        
-        // Execute health check
-        const result = await pRetry(
-          async () => {
-            // Custom health check logic would go here
-            // For now, simulate a health check
-            if (Math.random() > 0.95) {
-              throw new Error('Health check failed');
-            }
-            return { status: 'healthy' };
-          },
-          {
-            retries: 2,
-            minTimeout: 1000,
-            maxTimeout: timeout
-          }
-        );
-
-        const latency = Date.now() - start;
-        service.metrics.latency.push(latency);
-        
-        // Keep only last 100 latency measurements
-        if (service.metrics.latency.length > 100) {
-          service.metrics.latency.shift();
-        }
+    service.healthStatus = 'unknown';
+    this.healthState.set(serviceId, { successes: 0, failures: 0, history: [] });
 
-        service.lastHealthCheck = {
-          timestamp: new Date(),
-          status: 'healthy',
-          latency,
-          details: result
-        };
+    const healthCheckFn = () => {
+      this.checkServiceHealth(serviceId).catch(err => {
+        this.logger.error(`Health check errored for ${service.name}:`, err);
+      });
+    };
 
-        // Update circuit breaker
-        this.updateCircuitBreaker(serviceId, true);
+    // Run initial health check
+    healthCheckFn();
 
-        this.emit('service:health', {
-          serviceId,
-          health: service.lastHealthCheck
-        });
+    // Schedule periodic health checks
+    const intervalId = setInterval(healthCheckFn, interval);
+    this.healthChecks.set(serviceId, intervalId);
+  }
 
-      } catch (error) {
-        service.lastHealthCheck = {
-          timestamp: new Date(),
-          status: 'unhealthy',
-          error: error.message
-        };
+  /**
+   * Run a service's health probe once
+   *
+   * The service turns healthy after `healthyThreshold` passes in a row and
+   * unhealthy after `unhealthyThreshold` failures in a row; the first result
+   * decides while the health is still unknown.
+   * @param {string} serviceId - Service ID
+   * @returns {Object} Health check result
+   */
+  async checkServiceHealth(serviceId) {
+    const service = this.services.get(serviceId);
+    const probe = this.probes.get(serviceId);
+    if (!service || !probe) {
+      throw new Error(`Service ${serviceId} not found or has no health check`);
+    }
+
+    const settings = this.config.serviceManager || {};
+    const timeout = service.healthCheck.timeout || settings.healthCheckTimeout || 5000;
+    const healthyThreshold = service.healthCheck.healthyThreshold || settings.healthyThreshold || 1;
+    const unhealthyThreshold = service.healthCheck.unhealthyThreshold || settings.unhealthyThreshold || 3;
+    const historySize = settings.healthHistorySize || 50;
+
+    let state = this.healthState.get(serviceId);
+    if (!state) {
+      state = { successes: 0, failures: 0, history: [] };
+      this.healthState.set(serviceId, state);
+    }
+
+    const start = Date.now();
+    const controller = new AbortController();
+    let timer;
+    let result;
+
+    try {
+      const details = await Promise.race([
+        probe({ timeout, signal: controller.signal }),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => {
+            controller.abort();
+            reject(new Error(`Health check timed out after ${timeout}ms`));
+          }, timeout);
+        })
+      ]);
+      result = { timestamp: new Date(), status: 'pass', latency: Date.now() - start, details };
+    } catch (error) {
+      result = { timestamp: new Date(), status: 'fail', latency: Date.now() - start, error: error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+
+    state.history.push(result);
+    if (state.history.length > historySize) {
+      state.history.shift();
+    }
 
-        // Update circuit breaker
-        this.updateCircuitBreaker(serviceId, false);
+    const previous = service.healthStatus || 'unknown';
+    let next = previous;
 
-        this.logger.warn(`Health check failed for ${service.name}:`, error.message);
+    if (result.status === 'pass') {
+      state.successes++;
+      state.failures = 0;
+      if (previous === 'unknown' || state.successes >= healthyThreshold) {
+        next = 'healthy';
+      }
+
+      service.metrics.latency.push(result.latency);
+      // Keep only last 100 latency measurements
+      if (service.metrics.latency.length > 100) {
+        service.metrics.latency.shift();
+      }
+      this.logger.debug(`Health check passed for ${service.name} (${result.latency}ms)`);
+    } else {
+      state.failures++;
+      state.successes = 0;
+      if (previous === 'unknown' || state.failures >= unhealthyThreshold) {
+        next = 'unhealthy';
+      }
+      this.logger.warn(`Health check failed for ${service.name}:`, result.error);
+    }
+
+    service.healthStatus = next;
+    service.lastHealthCheck = {
+      timestamp: result.timestamp,
+      status: next,
+      latency: result.latency,
+      ...(result.details && { details: result.details }),
+      ...(result.error && { error: result.error })
+    };
+
+    // Update circuit breaker
+    this.updateCircuitBreaker(serviceId, result.status === 'pass');
+    this.getSloTracker(serviceId)?.record({ success: result.status === 'pass', latency: result.latency });
+
+    this.emit('service:health', {
+      serviceId,
+      health: service.lastHealthCheck
+    });
+
+    if (next !== previous) {
+      this.logger.info(`Service ${service.name} is now ${next}`);
+      if (next === 'unhealthy') {
         this.emit('service:unhealthy', {
           serviceId,
-          error
+          error: new Error(result.error)
         });
       }
-    };
+    }
 
-    // Run initial health check
-    healthCheckFn();
+    return result;
+  }
 
-    // Schedule periodic health checks
-    const intervalId = setInterval(healthCheckFn, interval);
-    this.healthChecks.set(serviceId, intervalId);
+  /**
+   * Get the health check history of a service
+   * @param {string} serviceId - Service ID
+   * @returns {Array} Recent results, oldest first
+   */
+  getHealthHistory(serviceId) {
+    return [...(this.healthState.get(serviceId)?.history || [])];
+  }
+
+  /**
+   * Create a closed circuit breaker
+   * @returns {Object} Circuit breaker state
+   */
+  createCircuitBreaker() {
+    return {
+      state: 'closed',
+      failures: 0,
+      successThreshold: 3,
+      failureThreshold: 5,
+      timeout: 30000,
+      resetTimeout: 60000,
+      lastFailure: null
+    };
   }
 
   /**
@@ -247,9 +539,15 @@ class ServiceManager extends EventEmitter {
     const breaker = this.circuitBreakers.get(serviceId);
     if (!breaker) return;
 
+    // Frozen while the service is out of rotation
+    const service = this.services.get(serviceId) || this.registry.getService(serviceId);
+    if (service?.mode && service.mode !== 'active') return;
+
     if (success) {
+      // Only consecutive failures open the breaker
+      breaker.failures = 0;
+
       if (breaker.state === 'half-open') {
-        breaker.failures = 0;
         breaker.state = 'closed';
         this.logger.info(`Circuit breaker closed for service ${serviceId}`);
       }
@@ -276,11 +574,15 @@ class ServiceManager extends EventEmitter {
    * @returns {boolean} Service availability
    */
   isServiceAvailable(serviceId) {
-    const service = this.services.get(serviceId);
+    const service = this.services.get(serviceId) || this.registry.getService(serviceId);
     if (!service || service.status !== 'running') {
       return false;
     }
 
+    if (service.mode && service.mode !== 'active') {
+      return false;
+    }
+
     const breaker = this.circuitBreakers.get(serviceId);
     if (breaker && breaker.state === 'open') {
       return false;
@@ -302,6 +604,7 @@ class ServiceManager extends EventEmitter {
         status: service.status,
         health: service.lastHealthCheck,
         circuitBreaker: this.circuitBreakers.get(id)?.state || 'unknown',
+        mode: service.mode,
         uptime: service.startedAt ? Date.now() - service.startedAt.getTime() : 0,
         metrics: {
           requests: service.metrics.requests,
@@ -317,65 +620,104 @@ class ServiceManager extends EventEmitter {
   }
 
   /**
-   * Start all registered services
+   * Start all registered services, in parallel waves by dependency depth
    */
   async startAll() {
-    const services = Array.from(this.services.values());
-    
-    // Sort by dependencies
-    const sorted = this.topologicalSort(services);
-    
-    for (const service of sorted) {
-      if (service.status !== 'running') {
-        await this.startService(service.id);
+    const graph = this.buildDependencyGraph();
+    assertStartable(graph);
+
+    for (const wave of graph.waves) {
+      const services = wave
+        .map(id => this.services.get(id))
+        .filter(service => service.status !== 'running');
+
+      // Let the whole wave settle before failing, so no start is left half done
+      const results = await Promise.allSettled(services.map(service => this.startService(service.id)));
+      const failure = results.find(result => result.status === 'rejected');
+      if (failure) {
+        throw failure.reason;
       }
     }
+
+    this.logger.info('All services started');
   }
 
   /**
-   * Stop all services
+   * Stop all services, dependents first, in parallel waves
    */
   async stopAll() {
-    const services = Array.from(this.services.values());
-    
-    // Stop in reverse dependency order
-    const sorted = this.topologicalSort(services).reverse();
-    
-    for (const service of sorted) {
-      if (service.status === 'running') {
-        await this.stopService(service.id);
-      }
+    const graph = this.buildDependencyGraph();
+
+    // A cycle has no order; stop everything at once
+    const waves = graph.cycle ? [Array.from(this.services.keys())] : [...graph.waves].reverse();
+
+    for (const wave of waves) {
+      await Promise.allSettled(wave
+        .map(id => this.services.get(id))
+        .filter(service => service.status === 'running' || service.status === 'restarting')
+        .map(service => this.stopService(service.id)));
     }
+
+    this.logger.info('All services stopped');
   }
 
   /**
-   * Topological sort for dependency resolution
-   * @param {Array} services - Array of services
-   * @returns {Array} Sorted services
+   * Find a service by ID or name, locally or in the registry
+   * @param {string} ref - Service ID or name
+   * @returns {Object|null} Service
    */
-  topologicalSort(services) {
-    const visited = new Set();
-    const result = [];
-    
-    const visit = (service) => {
-      if (visited.has(service.id)) return;
-      visited.add(service.id);
-      
-      for (const dep of service.dependencies) {
-        const depService = services.find(s => s.id === dep);
-        if (depService) {
-          visit(depService);
-        }
-      }
-      
-      result.push(service);
-    };
-    
-    for (const service of services) {
-      visit(service);
+  findService(ref) {
+    return this.services.get(ref) ||
+      Array.from(this.services.values()).find(service => service.name === ref) ||
+      this.registry.getService(ref) ||
+      this.registry.getServicesByName(ref)[0] ||
+      null;
+  }
+
+  /**
+   * Get the services a service depends on
+   * @param {string} serviceId - Service ID
+   * @returns {Array} Registered dependencies (required and optional)
+   */
+  resolveDependencies(serviceId) {
+    const service = this.services.get(serviceId);
+    if (!service) {
+      throw new Error(`Service ${serviceId} not found`);
+    }
+
+    return normalizeDependencies(service.dependencies)
+      .map(({ ref }) => this.findService(ref))
+      .filter(Boolean);
+  }
+
+  /**
+   * Build the dependency graph of the managed services
+   * @returns {Object} Graph with nodes, edges, startup waves, cycle and missing dependencies
+   */
+  buildDependencyGraph() {
+    return buildGraph(Array.from(this.services.values()), (ref) =>
+      this.registry.getService(ref) || this.registry.getServicesByName(ref)[0] || null
+    );
+  }
+
+  /**
+   * Render the dependency graph
+   * @param {string} format - 'json', 'dot' or 'mermaid'
+   * @returns {Object|string} Graph
+   */
+  getDependencyGraph(format = 'json') {
+    const graph = this.buildDependencyGraph();
+
+    switch (format) {
+      case 'json':
+        return graph;
+      case 'dot':
+        return toDot(graph);
+      case 'mermaid':
+        return toMermaid(graph);
+      default:
+        throw new Error(`Unsupported graph format: ${format}`);
     }
-    
-    return result;
   }
 
   /**
@@ -395,6 +737,777 @@ class ServiceManager extends EventEmitter {
     return Array.from(this.services.values());
   }
 
+  /**
+   * Get the callable instances of a service (registered here or on other nodes)
+   * @param {string} serviceName - Service name
+   * @returns {Array} Instances with a `url`
+   */
+  getInstances(serviceName) {
+    return this.registry.getServicesByName(serviceName)
+      .map(entry => this.services.get(entry.id) || entry)
+      .filter(instance => instance.url);
+  }
+
+  /**
+   * Describe the instances of a service for load balancing
+   * @param {string} serviceName - Service name
+   * @returns {Array} Instances with availability, circuit breaker and call metrics
+   */
+  describeInstances(serviceName) {
+    return this.getInstances(serviceName).map(instance => {
+      const metrics = this.getInstanceMetrics(instance.id);
+      return {
+        id: instance.id,
+        url: instance.url,
+        version: instance.version,
+        status: instance.status,
+        healthStatus: instance.healthStatus || 'unknown',
+        available: this.isServiceAvailable(instance.id) && instance.healthStatus !== 'unhealthy',
+        circuitBreaker: this.circuitBreakers.get(instance.id)?.state || 'closed',
+        metrics: {
+          requests: metrics.requests,
+          errors: metrics.errors,
+          averageLatency: metrics.latency.length > 0
+            ? metrics.latency.reduce((a, b) => a + b, 0) / metrics.latency.length
+            : 0
+        }
+      };
+    });
+  }
+
+  /**
+   * Get the metrics record of an instance
+   * @param {string} serviceId - Instance (service) ID
+   * @returns {Object} `{ requests, errors, latency }`
+   */
+  getInstanceMetrics(serviceId) {
+    const local = this.services.get(serviceId);
+    if (local) return local.metrics;
+
+    if (!this.instanceMetrics.has(serviceId)) {
+      this.instanceMetrics.set(serviceId, { requests: 0, errors: 0, latency: [] });
+    }
+    return this.instanceMetrics.get(serviceId);
+  }
+
+  /**
+   * Call a service, load balanced across its healthy instances
+   *
+   * Idempotent requests that fail to connect, time out or get a 502, 503 or
+   * 504 are retried on another instance. Every attempt counts towards the
+   * instance's metrics and circuit breaker.
+   * @param {string} serviceName - Service name
+   * @param {Object} request - Request
+   * @param {string} request.method - HTTP method (default GET)
+   * @param {string} request.path - Path appended to the instance `url`
+   * @param {Object} request.query - Query parameters
+   * @param {Object} request.headers - Request headers
+   * @param {*} request.body - Body; plain objects are sent as JSON
+   * @param {string} request.key - Hash key for `consistent-hash`
+   * @param {string} request.strategy - Strategy (default: the service's `loadBalancing`)
+   * @param {number} request.timeout - Timeout of each attempt in ms
+   * @param {boolean} request.idempotent - Whether retries are safe (default: by method)
+   * @param {boolean} request.raw - Return the body as a Buffer
+   * @param {string} request.version - Semver range the instance must satisfy (bypasses canaries)
+   * @returns {Object} `{ status, headers, body, instance, version, canary, attempts }`
+   */
+  async call(serviceName, request = {}) {
+    const settings = this.config.serviceManager || {};
+    const method = (request.method || 'GET').toUpperCase();
+    const idempotent = request.idempotent ?? IDEMPOTENT_METHODS.includes(method);
+    const maxAttempts = idempotent ? (settings.callRetries ?? 2) + 1 : 1;
+    const timeout = request.timeout || settings.callTimeout || 30000;
+
+    let instances = this.getInstances(serviceName);
+    if (instances.length === 0) {
+      throw new Error(`Service ${serviceName} not found`);
+    }
+
+    if (request.version) {
+      if (!semver.validRange(request.version)) {
+        throw new Error(`Invalid version range: ${request.version}`);
+      }
+      instances = instances.filter(instance => semver.satisfies(instance.version, request.version));
+      if (instances.length === 0) {
+        throw new Error(`No available instances of ${serviceName} match ${request.version}`);
+      }
+    }
+
+    // Split traffic between the canary version and the rest
+    const { canaryIds, preferred } = request.version
+      ? { canaryIds: null, preferred: null }
+      : this.routeCanary(serviceName, instances, request.key);
+
+    const strategy = request.strategy ||
+      instances.find(instance => instance.loadBalancing)?.loadBalancing ||
+      settings.loadBalancing ||
+      'round-robin';
+
+    const tried = new Set();
+    let lastError = null;
+    let lastResponse = null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const candidates = instances.filter(instance =>
+        !tried.has(instance.id) &&
+        instance.healthStatus !== 'unhealthy' &&
+        this.isServiceAvailable(instance.id)
+      );
+      if (candidates.length === 0) break;
+
+      // Stay in the chosen group while it has instances left
+      const group = preferred ? candidates.filter(candidate => preferred.has(candidate.id)) : [];
+
+      const instance = this.loadBalancer.pick(serviceName, group.length > 0 ? group : candidates, {
+        strategy,
+        key: request.key,
+        latency: candidate => this.getInstanceMetrics(candidate.id).latency
+      });
+      tried.add(instance.id);
+
+      const start = Date.now();
+      try {
+        const response = await this.send(instance, method, request, timeout);
+        this.recordCall(instance.id, Date.now() - start, response.status < 500);
+
+        const result = {
+          ...response,
+          instance: instance.id,
+          version: instance.version,
+          canary: Boolean(canaryIds?.has(instance.id)),
+          attempts: attempt
+        };
+
+        if (RETRYABLE_STATUSES.includes(response.status) && attempt < maxAttempts) {
+          lastResponse = result;
+          this.logger.warn(`Call to ${serviceName} instance ${instance.id} returned ${response.status}, retrying`);
+          continue;
+        }
+
+        return result;
+      } catch (error) {
+        this.recordCall(instance.id, Date.now() - start, false);
+        lastError = error;
+        this.logger.warn(`Call to ${serviceName} instance ${instance.id} failed: ${error.message}`);
+      }
+    }
+
+    if (lastResponse) {
+      return lastResponse;
+    }
+    if (lastError) {
+      throw new Error(`Call to ${serviceName} failed: ${lastError.message}`);
+    }
+    throw new Error(`No available instances of ${serviceName}`);
+  }
+
+  /**
+   * Decide whether a call goes to the canary version of a service
+   * @param {string} serviceName - Service name
+   * @param {Array} instances - Candidate instances
+   * @param {string} key - Optional key; the same key always lands on the same side
+   * @returns {Object} `{ canaryIds, preferred }` instance ID sets, or nulls without a canary
+   */
+  routeCanary(serviceName, instances, key) {
+    const canary = this.canaries.get(serviceName);
+    if (!canary) {
+      return { canaryIds: null, preferred: null };
+    }
+
+    const canaryIds = new Set(instances
+      .filter(instance => semver.satisfies(instance.version, canary.version, { includePrerelease: true }))
+      .map(instance => instance.id));
+    const stableIds = new Set(instances.filter(instance => !canaryIds.has(instance.id)).map(instance => instance.id));
+
+    // Nothing to split without instances on both sides
+    if (canaryIds.size === 0 || stableIds.size === 0) {
+      return { canaryIds, preferred: null };
+    }
+
+    const roll = key !== undefined && key !== null
+      ? (hash(`canary:${key}`) % 10000) / 100
+      : Math.random() * 100;
+    const toCanary = roll < canary.weight;
+
+    canary.routed[toCanary ? 'canary' : 'stable']++;
+    return { canaryIds, preferred: toCanary ? canaryIds : stableIds };
+  }
+
+  /**
+   * Send a share of a service's calls to the instances of a version range
+   * @param {string} serviceName - Service name
+   * @param {Object} canary - Canary settings
+   * @param {string} canary.version - Semver range of the canary instances (e.g. `2.0.0-rc.1` or `^2.0.0`)
+   * @param {number} canary.weight - Percentage of calls, 0-100
+   * @returns {Object} Canary settings
+   */
+  async setCanary(serviceName, { version, weight } = {}) {
+    if (!version || !semver.validRange(version)) {
+      throw new Error(`Invalid version range: ${version}`);
+    }
+    if (typeof weight !== 'number' || weight < 0 || weight > 100) {
+      throw new Error('Canary weight must be a percentage between 0 and 100');
+    }
+
+    const canary = { version, weight, updatedAt: new Date() };
+    await this.eventBus?.outbox.commit({
+      writes: [{ key: this.canariesKey, field: serviceName, value: canary }],
+      events: [{ topic: 'service.canary.updated', data: { name: serviceName, version, weight }, options: { source: 'service-manager' } }]
+    });
+
+    this.canaries.set(serviceName, { ...canary, routed: { canary: 0, stable: 0 } });
+    this.logger.info(`Canary for ${serviceName}: ${weight}% to ${version}`);
+    this.emit('service:canary', { name: serviceName, version, weight });
+
+    return this.getCanary(serviceName);
+  }
+
+  /**
+   * Send all of a service's calls to every version again
+   * @param {string} serviceName - Service name
+   */
+  async clearCanary(serviceName) {
+    if (!this.canaries.has(serviceName)) {
+      throw new Error(`Canary for ${serviceName} not found`);
+    }
+
+    await this.eventBus?.outbox.commit({
+      writes: [{ key: this.canariesKey, field: serviceName, value: null }],
+      events: [{ topic: 'service.canary.cleared', data: { name: serviceName }, options: { source: 'service-manager' } }]
+    });
+
+    this.canaries.delete(serviceName);
+    this.logger.info(`Canary for ${serviceName} cleared`);
+  }
+
+  /**
+   * Get a service's canary settings
+   * @param {string} serviceName - Service name
+   * @returns {Object|null} `{ name, version, weight, updatedAt, routed }`
+   */
+  getCanary(serviceName) {
+    const canary = this.canaries.get(serviceName);
+    return canary ? { name: serviceName, ...canary, routed: { ...canary.routed } } : null;
+  }
+
+  /**
+   * List canaries
+   * @returns {Array} Canary settings
+   */
+  listCanaries() {
+    return Array.from(this.canaries.keys()).map(name => this.getCanary(name));
+  }
+
+  /**
+   * Reload canary settings written through the outbox
+   */
+  async loadCanaries() {
+    const stored = await this.eventBus.outbox.read(this.canariesKey);
+
+    const canaries = new Map();
+    for (const [name, canary] of Object.entries(stored)) {
+      canaries.set(name, {
+        version: canary.version,
+        weight: canary.weight,
+        updatedAt: new Date(canary.updatedAt),
+        routed: this.canaries.get(name)?.routed || { canary: 0, stable: 0 }
+      });
+    }
+    this.canaries = canaries;
+  }
+
+  /**
+   * Send one request to an instance
+   * @param {Object} instance - Instance with a `url`
+   * @param {string} method - HTTP method
+   * @param {Object} request - Request (see `call`)
+   * @param {number} timeout - Timeout in ms
+   * @returns {Object} `{ status, headers, body }`
+   */
+  async send(instance, method, request, timeout) {
+    const path = request.path || '/';
+    const url = new URL(instance.url.replace(/\/$/, '') + (path.startsWith('/') ? path : `/${path}`));
+    for (const [key, value] of Object.entries(request.query || {})) {
+      url.searchParams.append(key, value);
+    }
+
+    const headers = { ...request.headers };
+    let body = request.body;
+    if (body !== undefined && body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) {
+      body = JSON.stringify(body);
+      headers['content-type'] = headers['content-type'] || 'application/json';
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    if (!this.inFlight.has(instance.id)) {
+      this.inFlight.set(instance.id, new Set());
+    }
+    const inFlight = this.inFlight.get(instance.id);
+    inFlight.add(controller);
+
+    try {
+      const response = await fetch(url, {
+        method,
+        headers,
+        body: method === 'GET' || method === 'HEAD' ? undefined : body,
+        signal: controller.signal,
+        redirect: 'manual'
+      });
+
+      let responseBody;
+      if (request.raw) {
+        responseBody = Buffer.from(await response.arrayBuffer());
+      } else if (response.headers.get('content-type')?.includes('application/json')) {
+        responseBody = await response.json();
+      } else {
+        responseBody = await response.text();
+      }
+
+      return {
+        status: response.status,
+        headers: Object.fromEntries(response.headers.entries()),
+        body: responseBody
+      };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(controller.drained
+          ? `Request aborted: instance ${instance.id} drained`
+          : `Request timed out after ${timeout}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      inFlight.delete(controller);
+      if (inFlight.size === 0) {
+        this.inFlight.delete(instance.id);
+        this.idleWaiters.get(instance.id)?.();
+      }
+    }
+  }
+
+  /**
+   * Take a service out of rotation once its in-flight calls finish
+   *
+   * Discovery and load balancing skip the service straight away and its
+   * circuit breaker stops counting. Calls still in progress after the
+   * deadline are aborted (idempotent ones are retried elsewhere).
+   * @param {string} serviceId - Service ID
+   * @param {Object} options - Drain options
+   * @param {number} options.deadline - Time allowed for in-flight calls in ms
+   * @param {string} options.mode - Mode once drained: 'drained' or 'maintenance'
+   * @param {string} options.reason - Why the service is taken out
+   * @returns {Object} Drain state (see `waitForDrain`)
+   */
+  async drainService(serviceId, { deadline, mode = 'drained', reason = null } = {}) {
+    const service = this.services.get(serviceId);
+    if (!service) {
+      throw new Error(`Service ${serviceId} not found`);
+    }
+
+    if (service.mode === 'draining' && service.drain.mode === mode) {
+      return service.drain;
+    }
+
+    // A drain already waiting gives way to this one
+    this.idleWaiters.get(serviceId)?.();
+
+    const timeout = deadline ?? this.config.serviceManager?.drainDeadline ?? 30000;
+    if (typeof timeout !== 'number' || timeout < 0) {
+      throw new Error('Drain deadline must be a non-negative number of milliseconds');
+    }
+    const drain = {
+      mode,
+      reason,
+      startedAt: new Date(),
+      deadline: new Date(Date.now() + timeout),
+      inFlight: this.inFlight.get(serviceId)?.size || 0,
+      completedAt: null,
+      aborted: 0
+    };
+
+    service.mode = 'draining';
+    service.drain = drain;
+    await this.registry.update(serviceId, service, {
+      topic: 'service.draining',
+      data: { serviceId, name: service.name, mode, reason, deadline: drain.deadline, inFlight: drain.inFlight }
+    });
+
+    this.logger.info(`Service draining: ${service.name} (${drain.inFlight} calls in flight)`);
+    this.emit('service:draining', service);
+
+    this.drains.set(serviceId, this.waitForIdle(serviceId, timeout)
+      .then(aborted => this.completeDrain(service, drain, aborted))
+      .catch(err => {
+        this.logger.error(`Failed to complete drain of ${service.name}:`, err);
+        return drain;
+      }));
+
+    return drain;
+  }
+
+  /**
+   * Wait for the latest drain of a service to complete
+   * @param {string} serviceId - Service ID
+   * @returns {Promise<Object|null>} Drain state
+   */
+  async waitForDrain(serviceId) {
+    const service = this.services.get(serviceId);
+    if (!service) {
+      throw new Error(`Service ${serviceId} not found`);
+    }
+
+    return this.drains.get(serviceId) || service.drain;
+  }
+
+  /**
+   * Put a service in maintenance: drained, with a reason, until resumed
+   * @param {string} serviceId - Service ID
+   * @param {Object} options - `{ reason, deadline }`
+   * @returns {Object} Drain state
+   */
+  async setMaintenance(serviceId, { reason = null, deadline } = {}) {
+    return this.drainService(serviceId, { mode: 'maintenance', reason, deadline });
+  }
+
+  /**
+   * Wait for a service's in-flight calls, aborting them at the deadline
+   * @param {string} serviceId - Service ID
+   * @param {number} timeout - Deadline in ms
+   * @returns {Promise<number>} Number of aborted calls
+   */
+  waitForIdle(serviceId, timeout) {
+    const inFlight = this.inFlight.get(serviceId);
+    if (!inFlight || inFlight.size === 0) {
+      return Promise.resolve(0);
+    }
+
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.idleWaiters.delete(serviceId);
+        const aborted = inFlight.size;
+        for (const controller of inFlight) {
+          controller.drained = true;
+          controller.abort();
+        }
+        resolve(aborted);
+      }, timeout);
+
+      this.idleWaiters.set(serviceId, () => {
+        clearTimeout(timer);
+        this.idleWaiters.delete(serviceId);
+        resolve(0);
+      });
+    });
+  }
+
+  /**
+   * Finish a drain unless the service was resumed or drained again meanwhile
+   * @param {Object} service - Service
+   * @param {Object} drain - Drain state
+   * @param {number} aborted - Calls aborted at the deadline
+   * @returns {Object} Drain state
+   */
+  async completeDrain(service, drain, aborted) {
+    if (service.drain !== drain || this.services.get(service.id) !== service) {
+      return drain;
+    }
+
+    drain.completedAt = new Date();
+    drain.aborted = aborted;
+    service.mode = drain.mode;
+
+    await this.registry.update(service.id, service, {
+      topic: 'service.drained',
+      data: {
+        serviceId: service.id,
+        name: service.name,
+        mode: drain.mode,
+        reason: drain.reason,
+        duration: drain.completedAt - drain.startedAt,
+        aborted
+      }
+    });
+
+    if (aborted > 0) {
+      this.logger.warn(`Service ${service.name} drained with ${aborted} calls aborted at the deadline`);
+    } else {
+      this.logger.info(`Service drained: ${service.name}`);
+    }
+    this.emit('service:drained', service);
+
+    return drain;
+  }
+
+  /**
+   * Put a drained or maintenance service back into rotation
+   * @param {string} serviceId - Service ID
+   */
+  async resumeService(serviceId) {
+    const service = this.services.get(serviceId);
+    if (!service) {
+      throw new Error(`Service ${serviceId} not found`);
+    }
+
+    if (service.mode === 'active') return;
+
+    // A drain still waiting resolves without completing
+    this.idleWaiters.get(serviceId)?.();
+    this.drains.delete(serviceId);
+
+    service.mode = 'active';
+    service.drain = null;
+    await this.registry.update(serviceId, service, {
+      topic: 'service.resumed',
+      data: { serviceId, name: service.name }
+    });
+
+    this.logger.info(`Service resumed: ${service.name}`);
+    this.emit('service:resumed', service);
+  }
+
+  /**
+   * Record the outcome of a call to an instance
+   * @param {string} serviceId - Instance (service) ID
+   * @param {number} latency - Duration in ms
+   * @param {boolean} success - Whether the instance answered without a server error
+   */
+  recordCall(serviceId, latency, success) {
+    const metrics = this.getInstanceMetrics(serviceId);
+    metrics.requests++;
+    if (!success) {
+      metrics.errors++;
+    }
+    metrics.latency.push(latency);
+    if (metrics.latency.length > 100) {
+      metrics.latency.shift();
+    }
+
+    this.getSloTracker(serviceId)?.record({ success, latency });
+
+    // Instances registered on other nodes get a breaker on their first call
+    if (!this.circuitBreakers.has(serviceId)) {
+      this.circuitBreakers.set(serviceId, this.createCircuitBreaker());
+    }
+    this.updateCircuitBreaker(serviceId, success);
+  }
+
+  /**
+   * Create the SLO tracker of a service
+   * @param {Object} service - Service with `slo` definitions
+   * @returns {SloTracker} Tracker
+   */
+  createSloTracker(service) {
+    return new SloTracker({
+      objectives: service.slo,
+      bucketSize: this.config.serviceManager?.sloBucketSize || 60000
+    });
+  }
+
+  /**
+   * Get the SLO tracker of a service, creating it for instances registered elsewhere
+   * @param {string} serviceId - Service ID
+   * @returns {SloTracker|null} Tracker, or null without SLOs
+   */
+  getSloTracker(serviceId) {
+    if (this.slos.has(serviceId)) {
+      return this.slos.get(serviceId);
+    }
+
+    const entry = this.registry.getService(serviceId);
+    if (!entry?.slo) return null;
+
+    try {
+      const tracker = this.createSloTracker(entry);
+      this.slos.set(serviceId, tracker);
+      return tracker;
+    } catch (error) {
+      this.logger.warn(`Ignoring invalid SLOs of ${entry.name}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Evaluate a service's SLOs without raising alerts
+   * @param {string} serviceId - Service ID
+   * @returns {Object} SLO report with the error budget left per objective
+   */
+  getSloReport(serviceId) {
+    const service = this.services.get(serviceId) || this.registry.getService(serviceId);
+    if (!service) {
+      throw new Error(`Service ${serviceId} not found`);
+    }
+
+    const tracker = this.getSloTracker(serviceId);
+    if (!tracker) {
+      throw new Error(`Service ${serviceId} has no SLOs`);
+    }
+
+    const evaluatedAt = new Date();
+    const { objectives } = tracker.evaluate(evaluatedAt.getTime(), { alert: false });
+
+    return {
+      serviceId,
+      name: service.name,
+      evaluatedAt,
+      objectives
+    };
+  }
+
+  /**
+   * Evaluate the SLOs of every tracked service and publish `slo.burn` for alerts that start firing
+   */
+  evaluateSlos() {
+    for (const [serviceId, tracker] of this.slos) {
+      const service = this.services.get(serviceId) || this.registry.getService(serviceId);
+      if (!service) {
+        // The service left the registry; drop its tracker
+        this.slos.delete(serviceId);
+        continue;
+      }
+
+      for (const alert of tracker.evaluate().burning) {
+        const data = { serviceId, name: service.name, ...alert };
+
+        this.logger.warn(`SLO ${alert.objective} of ${service.name} burning ${alert.longRate.toFixed(1)}x (${alert.severity})`);
+        this.emit('slo:burn', data);
+        this.eventBus?.publish('slo.burn', data).catch(err => {
+          this.logger.error('Failed to publish slo.burn:', err);
+        });
+      }
+    }
+  }
+
+  /**
+   * Renew a service's registry lease
+   * @param {string} serviceId - Service ID
+   * @param {Object} options - Heartbeat options (`ttl`)
+   * @returns {Object|null} Renewed lease, or null for services without one
+   */
+  async heartbeat(serviceId, options = {}) {
+    const lease = await this.registry.renew(serviceId, options);
+
+    const service = this.services.get(serviceId);
+    if (service && options.ttl !== undefined) {
+      service.ttl = options.ttl;
+    }
+
+    return lease;
+  }
+
+  /**
+   * Renew the leases of services registered or imported through this node,
+   * except those whose callers heartbeat themselves
+   */
+  async renewLocalLeases() {
+    const serviceIds = [
+      ...Array.from(this.services.keys()).filter(serviceId => !this.heartbeated.has(serviceId)),
+      ...this.imported
+    ];
+
+    for (const serviceId of serviceIds) {
+      const service = this.services.get(serviceId) || this.registry.getService(serviceId);
+      if (!service) {
+        // Expired or removed elsewhere
+        this.imported.delete(serviceId);
+        continue;
+      }
+      if (!(service.ttl > 0)) continue;
+
+      try {
+        await this.registry.renew(serviceId);
+      } catch (error) {
+        this.logger.error(`Failed to renew lease for ${serviceId}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Import a registry export, keeping services run by this node in step
+   * @param {Object} data - Registry export
+   * @param {Object} options - `{ strategy, dryRun }` (see `ServiceRegistry.import`)
+   * @returns {Object} Differences
+   */
+  async importRegistry(data, options = {}) {
+    const result = await this.registry.import(data, options);
+    if (!result.applied) return result;
+
+    // Nothing else heartbeats for imported services
+    for (const { id } of result.added) {
+      this.imported.add(id);
+    }
+
+    for (const { id, changes } of result.changed) {
+      const local = this.services.get(id);
+      if (!local) continue;
+      for (const [field, { to }] of Object.entries(changes)) {
+        local[field] = to;
+      }
+    }
+
+    for (const { id } of result.removed) {
+      const local = this.services.get(id);
+      this.imported.delete(id);
+      await this.releaseService(id);
+      if (local) {
+        this.emit('service:deregistered', local);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Drop the local state of a service whose lease expired
+   * @param {Object} service - Expired registry entry
+   */
+  async handleExpired(service) {
+    const local = this.services.get(service.id);
+    await this.releaseService(service.id);
+
+    this.logger.warn(`Service expired: ${service.name} (${service.id})`);
+    this.emit('service:expired', local || service);
+  }
+
+  /**
+   * Stop and forget a service that left the registry
+   * @param {string} serviceId - Service ID
+   */
+  async releaseService(serviceId) {
+    const local = this.services.get(serviceId);
+
+    if (local) {
+      clearInterval(this.healthChecks.get(serviceId));
+      this.healthChecks.delete(serviceId);
+      this.probes.delete(serviceId);
+      this.healthState.delete(serviceId);
+      this.services.delete(serviceId);
+      this.heartbeated.delete(serviceId);
+
+      const supervisor = this.supervisors.get(serviceId);
+      this.supervisors.delete(serviceId);
+      await supervisor?.stop().catch(err => {
+        this.logger.error(`Failed to stop service ${local.name}:`, err.message);
+      });
+    }
+
+    this.circuitBreakers.delete(serviceId);
+    this.instanceMetrics.delete(serviceId);
+    this.idleWaiters.get(serviceId)?.();
+    this.drains.delete(serviceId);
+    this.slos.delete(serviceId);
+  }
+
+  /**
+   * Stop lease renewal, sweeping and SLO evaluation
+   */
+  close() {
+    clearInterval(this.leaseRenewal);
+    clearInterval(this.sloEvaluation);
+    this.registry.stop();
+  }
+
   /**
    * Deregister a service
    * @param {string} serviceId - Service ID
@@ -405,17 +1518,28 @@ class ServiceManager extends EventEmitter {
       throw new Error(`Service ${serviceId} not found`);
     }
 
-    // Stop service if running
+    // Stop service if running (or waiting to be restarted)
     if (service.status === 'running') {
       await this.stopService(serviceId);
     }
+    await this.supervisors.get(serviceId)?.stop();
+    this.supervisors.delete(serviceId);
 
     // Remove from registry
     await this.registry.deregister(serviceId);
     
     // Clean up
+    clearInterval(this.healthChecks.get(serviceId));
+    this.healthChecks.delete(serviceId);
+    this.probes.delete(serviceId);
+    this.healthState.delete(serviceId);
     this.services.delete(serviceId);
+    this.heartbeated.delete(serviceId);
+    this.imported.delete(serviceId);
     this.circuitBreakers.delete(serviceId);
+    this.idleWaiters.get(serviceId)?.();
+    this.drains.delete(serviceId);
+    this.slos.delete(serviceId);
     
     this.logger.info(`Service deregistered: ${service.name}`);
     this.emit('service:deregistered', service);
@@ -0,0 +1,133 @@
+import crypto from 'crypto';
+
+/**
+ * Load Balancer - Picks one instance of a service for each call
+ *
+ * Strategies:
+ * - `round-robin`: instances take turns, per service name
+ * - `least-latency`: the instance with the lowest average of its recent latencies
+ *   (instances without measurements are tried first)
+ * - `consistent-hash`: a hash ring with virtual nodes maps a key (e.g. a
+ *   session or tenant ID) to the same instance while the set of instances
+ *   stays the same, and moves few keys when it changes
+ */
+export const STRATEGIES = ['round-robin', 'least-latency', 'consistent-hash'];
+
+class LoadBalancer {
+  constructor({ virtualNodes = 100 } = {}) {
+    this.virtualNodes = virtualNodes;
+    this.cursors = new Map(); // service name -> round-robin position
+    this.rings = new Map(); // service name -> { signature, ring }
+  }
+
+  /**
+   * Pick an instance
+   * @param {string} serviceName - Service name
+   * @param {Array} instances - Available instances
+   * @param {Object} options - Selection options
+   * @param {string} options.strategy - Strategy name
+   * @param {string} options.key - Hash key for `consistent-hash`
+   * @param {Function} options.latency - Returns an instance's recent latencies
+   * @returns {Object|null} Instance
+   */
+  pick(serviceName, instances, { strategy = 'round-robin', key, latency = () => [] } = {}) {
+    if (instances.length === 0) return null;
+
+    switch (strategy) {
+      case 'round-robin':
+        return this.roundRobin(serviceName, instances);
+      case 'least-latency':
+        return this.leastLatency(instances, latency);
+      case 'consistent-hash':
+        return this.consistentHash(serviceName, instances, key);
+      default:
+        throw new Error(`Unknown load balancing strategy: ${strategy}`);
+    }
+  }
+
+  /**
+   * Round-robin selection
+   */
+  roundRobin(serviceName, instances) {
+    const cursor = this.cursors.get(serviceName) || 0;
+    this.cursors.set(serviceName, (cursor + 1) % Number.MAX_SAFE_INTEGER);
+
+    // Sorted so the rotation does not depend on registration order per node
+    const sorted = [...instances].sort((a, b) => a.id.localeCompare(b.id));
+    return sorted[cursor % sorted.length];
+  }
+
+  /**
+   * Lowest average latency selection
+   */
+  leastLatency(instances, latency) {
+    let best = null;
+    let bestAverage = Infinity;
+
+    for (const instance of instances) {
+      const samples = latency(instance);
+      const average = samples.length > 0
+        ? samples.reduce((a, b) => a + b, 0) / samples.length
+        : -1;
+
+      if (average < bestAverage) {
+        best = instance;
+        bestAverage = average;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Consistent hash selection
+   */
+  consistentHash(serviceName, instances, key) {
+    if (key === undefined || key === null) {
+      throw new Error('Consistent hashing requires a key');
+    }
+
+    const signature = instances.map(instance => instance.id).sort().join(',');
+    let cached = this.rings.get(serviceName);
+
+    if (!cached || cached.signature !== signature) {
+      const ring = [];
+      for (const instance of instances) {
+        for (let i = 0; i < this.virtualNodes; i++) {
+          ring.push({ hash: hash(`${instance.id}#${i}`), id: instance.id });
+        }
+      }
+      ring.sort((a, b) => a.hash - b.hash);
+      cached = { signature, ring };
+      this.rings.set(serviceName, cached);
+    }
+
+    // First virtual node clockwise from the key
+    const point = hash(String(key));
+    const { ring } = cached;
+    let low = 0;
+    let high = ring.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (ring[mid].hash < point) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    const { id } = ring[low % ring.length];
+    return instances.find(instance => instance.id === id);
+  }
+}
+
+/**
+ * 32-bit position on the hash ring
+ * @param {string} value - Value to hash
+ * @returns {number} Position
+ */
+export function hash(value) {
+  return crypto.createHash('md5').update(value).digest().readUInt32BE(0);
+}
+
+export default LoadBalancer;
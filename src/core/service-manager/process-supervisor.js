@@ -0,0 +1,323 @@
+import EventEmitter from 'eventemitter3';
+import { spawn } from 'child_process';
+import { Worker } from 'worker_threads';
+import readline from 'readline';
+import { createProbe } from './health-probes.js';
+
+/**
+ * Process Supervisor - Runs one managed service as a child process or worker thread
+ *
+ * The service is ready once its readiness probe passes (or as soon as it has
+ * spawned without one). Unexpected exits are handled by the restart policy:
+ * `no`, `always`, or `on-failure` (non-zero exit or signal), with exponential
+ * backoff and a cap on consecutive restarts. stdout and stderr lines are kept
+ * in a bounded log buffer.
+ */
+class ProcessSupervisor extends EventEmitter {
+  constructor({ logger, name, spec, allowExec = false }) {
+    super();
+    this.logger = logger;
+    this.name = name;
+    this.spec = spec;
+
+    const restart = spec.restart || {};
+    this.policy = restart.policy || 'no';
+    this.maxRestarts = restart.maxRestarts ?? 5;
+    this.backoff = {
+      initial: restart.initialDelay || 1000,
+      max: restart.maxDelay || 30000,
+      factor: restart.factor || 2,
+      resetAfter: restart.resetAfter || 60000 // uptime after which the restart count resets
+    };
+    this.stopTimeout = spec.stopTimeout || 10000;
+    this.logBufferSize = spec.logBufferSize || 500;
+
+    this.readiness = spec.readiness ? createProbe({ healthCheck: spec.readiness }, { allowExec }) : null;
+
+    this.child = null;
+    this.state = 'stopped'; // starting | running | stopping | stopped | backoff | failed
+    this.restarts = 0;
+    this.startedAt = null;
+    this.lastExit = null;
+    this.restartTimer = null;
+    this.logs = [];
+  }
+
+  /**
+   * Start the process and wait until it is ready
+   */
+  async start() {
+    if (this.child) return;
+
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+    this.state = 'starting';
+
+    try {
+      await this.spawn();
+      await this.waitUntilReady();
+    } catch (error) {
+      if (this.child) {
+        this.state = 'stopping';
+        await this.terminate();
+      }
+      this.state = 'failed';
+      throw error;
+    }
+
+    this.state = 'running';
+    this.emit('ready', this.getStatus());
+  }
+
+  /**
+   * Launch the child process or worker thread
+   */
+  spawn() {
+    const { command, args = [], env = {}, cwd, worker } = this.spec;
+
+    this.startedAt = null;
+
+    return new Promise((resolve, reject) => {
+      let child;
+
+      try {
+        child = worker
+          ? new Worker(worker, { argv: args, env: { ...process.env, ...env }, stdout: true, stderr: true, workerData: this.spec.workerData })
+          : spawn(command, args, { cwd, env: { ...process.env, ...env }, stdio: ['ignore', 'pipe', 'pipe'] });
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
+      this.child = child;
+      this.capture(child.stdout, 'stdout');
+      this.capture(child.stderr, 'stderr');
+
+      child.once(worker ? 'online' : 'spawn', () => {
+        this.startedAt = new Date();
+        this.logger.info(`Service process started: ${this.name}${child.pid ? ` (pid ${child.pid})` : ''}`);
+        this.emit('started', this.getStatus());
+        resolve();
+      });
+
+      child.on('error', (error) => {
+        // Errors before the spawn mean it never started
+        if (!this.startedAt) {
+          this.child = null;
+          reject(error);
+          return;
+        }
+        this.append('stderr', error.message);
+      });
+
+      child.once('exit', (code, signal) => this.handleExit(child, code, signal));
+    });
+  }
+
+  /**
+   * Keep output lines in the log buffer
+   * @param {Stream} stream - stdout or stderr
+   * @param {string} name - Stream name
+   */
+  capture(stream, name) {
+    if (!stream) return;
+
+    readline.createInterface({ input: stream }).on('line', line => this.append(name, line));
+  }
+
+  /**
+   * Append a line to the log buffer
+   * @param {string} stream - Stream name
+   * @param {string} line - Output line
+   */
+  append(stream, line) {
+    const entry = { timestamp: new Date(), stream, line };
+    this.logs.push(entry);
+    if (this.logs.length > this.logBufferSize) {
+      this.logs.shift();
+    }
+    this.emit('log', entry);
+  }
+
+  /**
+   * Poll the readiness probe until it passes
+   */
+  async waitUntilReady() {
+    if (!this.readiness) return;
+
+    const timeout = this.spec.readiness.timeout || 1000;
+    const interval = this.spec.readiness.interval || 500;
+    const deadline = Date.now() + (this.spec.readiness.deadline || 30000);
+    let lastError;
+
+    while (Date.now() < deadline) {
+      if (!this.child) {
+        throw new Error(`Service ${this.name} exited before it was ready`);
+      }
+
+      // Abort the probe at its timeout or the deadline, whichever comes first
+      const wait = Math.max(Math.min(timeout, deadline - Date.now()), 0);
+      const controller = new AbortController();
+      let timer;
+
+      try {
+        await Promise.race([
+          this.readiness({ timeout: wait, signal: controller.signal }),
+          new Promise((_, reject) => {
+            timer = setTimeout(() => {
+              controller.abort();
+              reject(new Error(`Readiness check timed out after ${wait}ms`));
+            }, wait);
+          })
+        ]);
+        return;
+      } catch (error) {
+        lastError = error;
+      } finally {
+        clearTimeout(timer);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+
+    throw new Error(`Service ${this.name} not ready: ${lastError?.message || 'readiness deadline passed'}`);
+  }
+
+  /**
+   * React to the process exiting
+   * @param {Object} child - Exited process or worker
+   * @param {number} code - Exit code
+   * @param {string} signal - Terminating signal
+   */
+  handleExit(child, code, signal) {
+    if (this.child !== child) return;
+
+    const uptime = this.startedAt ? Date.now() - this.startedAt.getTime() : 0;
+    this.child = null;
+    this.lastExit = { code, signal: signal || null, at: new Date(), uptime };
+    this.emit('exit', this.lastExit);
+
+    if (this.state === 'stopping' || this.state === 'starting') return;
+
+    this.logger.warn(`Service process exited: ${this.name} (code ${code}${signal ? `, signal ${signal}` : ''})`);
+
+    if (uptime >= this.backoff.resetAfter) {
+      this.restarts = 0;
+    }
+
+    this.recover(code !== 0 || Boolean(signal));
+  }
+
+  /**
+   * Apply the restart policy after an exit or a failed restart
+   * @param {boolean} failed - Whether the process failed
+   */
+  recover(failed) {
+    const restart = this.policy === 'always' || (this.policy === 'on-failure' && failed);
+    if (!restart) {
+      this.state = failed ? 'failed' : 'stopped';
+      this.emit(failed ? 'failed' : 'stopped', this.getStatus());
+      return;
+    }
+
+    if (this.restarts >= this.maxRestarts) {
+      this.state = 'failed';
+      this.logger.error(`Service ${this.name} exceeded ${this.maxRestarts} restarts`);
+      this.emit('failed', this.getStatus());
+      return;
+    }
+
+    const delay = Math.min(this.backoff.initial * Math.pow(this.backoff.factor, this.restarts), this.backoff.max);
+    this.restarts++;
+    this.state = 'backoff';
+    this.emit('restarting', { attempt: this.restarts, delay });
+
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      this.start().catch(error => {
+        this.logger.error(`Failed to restart ${this.name}:`, error.message);
+        this.recover(true);
+      });
+    }, delay);
+  }
+
+  /**
+   * Stop the process: SIGTERM (or a shutdown message for workers), then SIGKILL after the timeout
+   */
+  async stop() {
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+
+    if (!this.child) {
+      this.state = 'stopped';
+      return;
+    }
+
+    this.state = 'stopping';
+    await this.terminate();
+    this.state = 'stopped';
+    this.restarts = 0;
+  }
+
+  /**
+   * Terminate the running process gracefully, then forcefully
+   */
+  async terminate() {
+    const child = this.child;
+    if (!child) return;
+
+    const exited = new Promise(resolve => child.once('exit', resolve));
+
+    if (this.spec.worker) {
+      child.postMessage({ type: 'shutdown' });
+    } else {
+      child.kill('SIGTERM');
+    }
+
+    let timer;
+    const timedOut = new Promise(resolve => {
+      timer = setTimeout(() => resolve(true), this.stopTimeout);
+    });
+
+    if (await Promise.race([exited.then(() => false), timedOut])) {
+      this.logger.warn(`Service ${this.name} did not stop in ${this.stopTimeout}ms, killing it`);
+      if (this.spec.worker) {
+        child.terminate();
+      } else {
+        child.kill('SIGKILL');
+      }
+      await exited;
+    }
+    clearTimeout(timer);
+  }
+
+  /**
+   * Get recent output
+   * @param {Object} options - Filter options
+   * @param {number} options.limit - Maximum lines
+   * @param {string} options.stream - 'stdout' or 'stderr'
+   * @returns {Array} Log lines, oldest first
+   */
+  getLogs({ limit = 100, stream } = {}) {
+    const logs = stream ? this.logs.filter(entry => entry.stream === stream) : this.logs;
+    return logs.slice(-limit);
+  }
+
+  /**
+   * Get process status
+   * @returns {Object} Status
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      pid: this.child?.pid ?? null,
+      threadId: this.child?.threadId ?? null,
+      policy: this.policy,
+      restarts: this.restarts,
+      startedAt: this.startedAt,
+      lastExit: this.lastExit
+    };
+  }
+}
+
+export default ProcessSupervisor;
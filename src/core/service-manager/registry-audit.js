@@ -0,0 +1,105 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Registry Audit - Who changed which registry entry, how and when
+ *
+ * With Redis, entries go to a capped list shared by every node; without it,
+ * the most recent entries are kept in memory. The actor comes from the
+ * context a change runs in (`run`), so API requests record the caller and
+ * lease expiries and other background changes record `system`.
+ */
+class RegistryAudit {
+  constructor({ logger, redis = null, maxEntries = 5000 }) {
+    this.logger = logger;
+    this.redis = redis;
+    this.maxEntries = maxEntries;
+    this.key = 'service:audit';
+    this.context = new AsyncLocalStorage();
+
+    this.entries = []; // local mode, oldest first
+  }
+
+  /**
+   * Run a function with the actor (and source) its changes are recorded under
+   * @param {string|Object} actor - Actor name, or `{ actor, source }`
+   * @param {Function} fn - Function to run
+   * @returns {*} Result of `fn`
+   */
+  run(actor, fn) {
+    const context = typeof actor === 'string' ? { actor } : actor;
+    return this.context.run({ ...this.context.getStore(), ...context }, fn);
+  }
+
+  /**
+   * Record a change
+   * @param {Object} change - Change
+   * @param {string} change.action - `registered`, `updated`, `deregistered`, `expired` or `imported`
+   * @param {string} change.serviceId - Service ID
+   * @param {string} change.name - Service name
+   * @param {Object} change.changes - Field -> `{ from, to }` of an update
+   * @returns {Object} Audit entry
+   */
+  async record({ action, serviceId = null, name = null, changes = null, ...details }) {
+    const context = this.context.getStore() || {};
+    const entry = {
+      id: uuidv4(),
+      at: new Date().toISOString(),
+      action,
+      serviceId,
+      name,
+      actor: context.actor || 'system',
+      source: context.source || null,
+      changes,
+      ...details
+    };
+
+    try {
+      if (this.redis) {
+        await this.redis.multi()
+          .rpush(this.key, JSON.stringify(entry))
+          .ltrim(this.key, -this.maxEntries, -1)
+          .exec();
+      } else {
+        this.entries.push(entry);
+        if (this.entries.length > this.maxEntries) {
+          this.entries.shift();
+        }
+      }
+    } catch (error) {
+      // The change itself has been committed; a lost audit entry must not undo it
+      this.logger.error(`Failed to record registry audit entry for ${serviceId}:`, error);
+    }
+
+    return entry;
+  }
+
+  /**
+   * List audit entries, newest first
+   * @param {Object} filter - Filter
+   * @param {string} filter.serviceId - Service ID
+   * @param {string} filter.actor - Actor
+   * @param {string} filter.action - Action
+   * @param {string|Date} filter.since - Oldest time
+   * @param {number} filter.limit - Maximum entries (default 100)
+   * @returns {Array} Audit entries
+   */
+  async list({ serviceId, actor, action, since, limit = 100 } = {}) {
+    const entries = this.redis
+      ? (await this.redis.lrange(this.key, 0, -1)).map(item => JSON.parse(item))
+      : [...this.entries];
+
+    const after = since ? new Date(since).getTime() : null;
+
+    return entries
+      .reverse()
+      .filter(entry =>
+        (!serviceId || entry.serviceId === serviceId) &&
+        (!actor || entry.actor === actor) &&
+        (!action || entry.action === action) &&
+        (after === null || new Date(entry.at).getTime() >= after))
+      .slice(0, limit);
+  }
+}
+
+export default RegistryAudit;
@@ -1,55 +1,132 @@
 import { EventEmitter } from 'eventemitter3';
+import semver from 'semver';
+import RegistryAudit from './registry-audit.js';
+
+// Import strategies: `merge` adds services and updates the fields an import
+// sets, `replace` makes the registry match the import (whole definitions,
+// removing services missing from it), `skip-existing` only adds
+export const IMPORT_STRATEGIES = ['merge', 'replace', 'skip-existing'];
+
+// State of a running service rather than part of its definition
+const RUNTIME_FIELDS = [
+  'registeredAt', 'updatedAt', 'status', 'healthStatus', 'startedAt', 'stoppedAt',
+  'lastHealthCheck', 'metrics', 'mode', 'drain'
+];
+
+// Changes too frequent or too noisy to audit
+const UNAUDITED_FIELDS = ['registeredAt', 'updatedAt', 'lastHealthCheck', 'metrics'];
+
+/**
+ * Field-level differences between two entries
+ * @param {Object} before - Old entry
+ * @param {Object} after - New entry
+ * @param {Array} ignore - Fields left out
+ * @returns {Object} Field -> `{ from, to }`
+ */
+function diff(before, after, ignore = []) {
+  const changes = {};
+  for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (ignore.includes(field)) continue;
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes[field] = { from: before[field], to: after[field] };
+    }
+  }
+  return changes;
+}
+
+/**
+ * The definition of a service, without its runtime state
+ * @param {Object} service - Registry entry
+ * @returns {Object} Definition
+ */
+function definitionOf(service) {
+  return Object.fromEntries(
+    Object.entries(service).filter(([field]) => !RUNTIME_FIELDS.includes(field))
+  );
+}
 
 /**
  * Service Registry - Maintains registry of all services
+ *
+ * Each registration holds a lease of `ttl` milliseconds (0 never expires),
+ * renewed by heartbeats. A service whose lease has run out is marked `stale`
+ * and left out of discovery; once the grace period has passed too it is
+ * removed with a `service:expired` event. With Redis, leases live in a sorted
+ * set next to the outbox hash, every node syncs its view from both, and the
+ * node that removes an expired lease publishes the `service.expired` event.
+ *
+ * Every change to an entry is recorded in the audit trail with the actor it
+ * was made by (see `runAs`).
  */
 class ServiceRegistry extends EventEmitter {
-  constructor({ logger, storage = null }) {
+  constructor({
+    logger,
+    storage = null,
+    outbox = null,
+    redis = null,
+    leaseTTL = 30000,
+    leaseGrace = 30000,
+    sweepInterval = 5000,
+    auditSize = 5000
+  }) {
     super();
     this.logger = logger;
     this.storage = storage; // Optional persistent storage
+    this.outbox = outbox; // Optional transactional outbox (event bus)
+    this.redis = redis; // Optional shared lease store
+    this.outboxKey = 'service:registry';
+    this.leasesKey = 'service:leases';
+    this.leaseTTL = leaseTTL;
+    this.leaseGrace = leaseGrace;
+    this.sweepInterval = sweepInterval;
     this.services = new Map();
     this.endpoints = new Map(); // Map endpoints to services
     this.tags = new Map(); // Map tags to services
+    this.leases = new Map(); // serviceId -> { ttl, expiresAt, stale, status }
+    this.audit = new RegistryAudit({ logger, redis, maxEntries: auditSize });
     this.lastSync = null;
+    this.timer = null;
+    this.sweeping = null;
   }
 
   /**
    * Register a service
    * @param {Object} service - Service configuration
+   * @param {number} service.ttl - Lease TTL in ms (defaults to `leaseTTL`, 0 never expires)
    */
   async register(service) {
     if (!service.id || !service.name) {
       throw new Error('Service must have id and name');
     }
 
-    // Store service
-    this.services.set(service.id, {
+    const ttl = service.ttl ?? this.leaseTTL;
+    if (typeof ttl !== 'number' || ttl < 0) {
+      throw new Error('Lease TTL must be a non-negative number of milliseconds');
+    }
+
+    const entry = {
       ...service,
+      ttl,
       registeredAt: new Date(),
       updatedAt: new Date()
-    });
+    };
 
-    // Index endpoints
-    if (service.endpoints) {
-      for (const endpoint of service.endpoints) {
-        const key = `${endpoint.method}:${endpoint.path}`;
-        if (!this.endpoints.has(key)) {
-          this.endpoints.set(key, new Set());
-        }
-        this.endpoints.get(key).add(service.id);
-      }
+    // The lease goes first so other nodes never see an entry without one
+    if (ttl > 0) {
+      await this.setLease(service.id, ttl);
     }
 
-    // Index tags
-    if (service.tags) {
-      for (const tag of service.tags) {
-        if (!this.tags.has(tag)) {
-          this.tags.set(tag, new Set());
-        }
-        this.tags.get(tag).add(service.id);
-      }
-    }
+    await this.commit(service.id, entry, 'service.registered', {
+      serviceId: service.id,
+      name: service.name,
+      version: service.version
+    });
+
+    // Store and index service
+    this.services.set(service.id, entry);
+    this.index(entry);
+
+    await this.audit.record({ action: 'registered', serviceId: service.id, name: service.name });
 
     // Persist if storage is available
     if (this.storage) {
@@ -64,67 +141,42 @@ class ServiceRegistry extends EventEmitter {
    * Update a service
    * @param {string} serviceId - Service ID
    * @param {Object} updates - Service updates
+   * @param {Object} event - `{ topic, data }` published instead of `service.updated`
    */
-  async update(serviceId, updates) {
+  async update(serviceId, updates, event = null) {
     const service = this.services.get(serviceId);
     if (!service) {
       throw new Error(`Service ${serviceId} not found in registry`);
     }
 
-    // Remove old endpoint mappings
-    if (service.endpoints) {
-      for (const endpoint of service.endpoints) {
-        const key = `${endpoint.method}:${endpoint.path}`;
-        const services = this.endpoints.get(key);
-        if (services) {
-          services.delete(serviceId);
-          if (services.size === 0) {
-            this.endpoints.delete(key);
-          }
-        }
-      }
-    }
-
-    // Remove old tag mappings
-    if (service.tags) {
-      for (const tag of service.tags) {
-        const services = this.tags.get(tag);
-        if (services) {
-          services.delete(serviceId);
-          if (services.size === 0) {
-            this.tags.delete(tag);
-          }
-        }
-      }
-    }
-
-    // Update service
     const updatedService = {
       ...service,
       ...updates,
       updatedAt: new Date()
     };
-    this.services.set(serviceId, updatedService);
 
-    // Re-index endpoints
-    if (updatedService.endpoints) {
-      for (const endpoint of updatedService.endpoints) {
-        const key = `${endpoint.method}:${endpoint.path}`;
-        if (!this.endpoints.has(key)) {
-          this.endpoints.set(key, new Set());
-        }
-        this.endpoints.get(key).add(serviceId);
-      }
+    // The stale mark is local to this view; the shared entry keeps the reported status
+    let persisted = updatedService;
+    const lease = this.leases.get(serviceId);
+    if (lease?.stale) {
+      lease.status = updates.status ?? lease.status;
+      updatedService.status = 'stale';
+      persisted = { ...updatedService, status: lease.status };
     }
 
-    // Re-index tags
-    if (updatedService.tags) {
-      for (const tag of updatedService.tags) {
-        if (!this.tags.has(tag)) {
-          this.tags.set(tag, new Set());
-        }
-        this.tags.get(tag).add(serviceId);
-      }
+    await this.commit(serviceId, persisted, event?.topic || 'service.updated', event?.data || {
+      serviceId,
+      changes: Object.keys(updates)
+    });
+
+    // Update service and its indexes
+    this.unindex(service);
+    this.services.set(serviceId, updatedService);
+    this.index(updatedService);
+
+    const changes = diff(service, updatedService, UNAUDITED_FIELDS);
+    if (Object.keys(changes).length > 0) {
+      await this.audit.record({ action: 'updated', serviceId, name: updatedService.name, changes });
     }
 
     // Persist if storage is available
@@ -145,35 +197,21 @@ class ServiceRegistry extends EventEmitter {
       throw new Error(`Service ${serviceId} not found in registry`);
     }
 
-    // Remove endpoint mappings
-    if (service.endpoints) {
-      for (const endpoint of service.endpoints) {
-        const key = `${endpoint.method}:${endpoint.path}`;
-        const services = this.endpoints.get(key);
-        if (services) {
-          services.delete(serviceId);
-          if (services.size === 0) {
-            this.endpoints.delete(key);
-          }
-        }
-      }
-    }
+    await this.commit(serviceId, null, 'service.deregistered', {
+      serviceId,
+      name: service.name
+    });
 
-    // Remove tag mappings
-    if (service.tags) {
-      for (const tag of service.tags) {
-        const services = this.tags.get(tag);
-        if (services) {
-          services.delete(serviceId);
-          if (services.size === 0) {
-            this.tags.delete(tag);
-          }
-        }
-      }
+    if (this.redis) {
+      await this.redis.zrem(this.leasesKey, serviceId);
     }
 
-    // Remove service
+    // Remove service and its indexes
+    this.unindex(service);
     this.services.delete(serviceId);
+    this.leases.delete(serviceId);
+
+    await this.audit.record({ action: 'deregistered', serviceId, name: service.name });
 
     // Persist if storage is available
     if (this.storage) {
@@ -184,6 +222,293 @@ class ServiceRegistry extends EventEmitter {
     this.logger.info(`Service deregistered from registry: ${service.name} (${serviceId})`);
   }
 
+  /**
+   * Renew a service's lease
+   * @param {string} serviceId - Service ID
+   * @param {Object} options - Heartbeat options
+   * @param {number} options.ttl - New lease TTL in ms
+   * @returns {Object} Renewed lease
+   */
+  async renew(serviceId, { ttl } = {}) {
+    // The service may have registered on another node since the last sync
+    if (!this.services.has(serviceId)) {
+      await this.sync();
+    }
+
+    const service = this.services.get(serviceId);
+    if (!service) {
+      throw new Error(`Service ${serviceId} not found in registry`);
+    }
+
+    if (ttl !== undefined && (typeof ttl !== 'number' || ttl <= 0)) {
+      throw new Error('Lease TTL must be a positive number of milliseconds');
+    }
+    if (ttl === undefined && !(service.ttl > 0)) {
+      return null; // registered without a lease
+    }
+
+    const lease = await this.setLease(serviceId, ttl ?? service.ttl);
+
+    // A heartbeat brings a stale service back
+    if (lease.stale) {
+      service.status = lease.status;
+      lease.stale = false;
+      lease.status = null;
+      this.emit('service:renewed', service);
+      this.logger.info(`Service lease renewed after going stale: ${service.name} (${serviceId})`);
+    }
+
+    if (ttl !== undefined && ttl !== service.ttl) {
+      await this.update(serviceId, { ttl });
+    }
+
+    return this.getLease(serviceId);
+  }
+
+  /**
+   * Store a lease locally and, with Redis, in the shared sorted set
+   * @param {string} serviceId - Service ID
+   * @param {number} ttl - Lease TTL in ms
+   * @returns {Object} Lease
+   */
+  async setLease(serviceId, ttl) {
+    const expiresAt = Date.now() + ttl;
+
+    if (this.redis) {
+      await this.redis.zadd(this.leasesKey, expiresAt, serviceId);
+    }
+
+    const lease = this.leases.get(serviceId) || { stale: false, status: null };
+    lease.ttl = ttl;
+    lease.expiresAt = expiresAt;
+    this.leases.set(serviceId, lease);
+
+    return lease;
+  }
+
+  /**
+   * Get a service's lease
+   * @param {string} serviceId - Service ID
+   * @returns {Object|null} `{ ttl, expiresAt, stale }`, or null without a lease
+   */
+  getLease(serviceId) {
+    const lease = this.leases.get(serviceId);
+    if (!lease) return null;
+
+    return {
+      ttl: lease.ttl,
+      expiresAt: new Date(lease.expiresAt),
+      stale: lease.stale
+    };
+  }
+
+  /**
+   * Start sweeping expired leases
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.sweep().catch(err => this.logger.error('Registry lease sweep failed:', err));
+    }, this.sweepInterval);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Stop sweeping
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Sync the shared view, then mark stale and remove expired services
+   * @param {number} now - Current time in ms
+   */
+  async sweep(now = Date.now()) {
+    if (this.sweeping) return this.sweeping;
+
+    this.sweeping = (async () => {
+      await this.sync(now);
+
+      for (const [serviceId, lease] of Array.from(this.leases)) {
+        const service = this.services.get(serviceId);
+        if (!service) {
+          this.leases.delete(serviceId);
+        } else if (lease.expiresAt + this.leaseGrace <= now) {
+          await this.expire(serviceId);
+        } else if (lease.expiresAt <= now && !lease.stale) {
+          lease.stale = true;
+          lease.status = service.status;
+          service.status = 'stale';
+          this.emit('service:stale', service);
+          this.logger.warn(`Service lease expired, marked stale: ${service.name} (${serviceId})`);
+        }
+      }
+    })().finally(() => {
+      this.sweeping = null;
+    });
+
+    return this.sweeping;
+  }
+
+  /**
+   * Remove a service whose lease and grace period have run out
+   * @param {string} serviceId - Service ID
+   */
+  async expire(serviceId) {
+    const service = this.services.get(serviceId);
+    const lease = this.leases.get(serviceId);
+
+    // With Redis, the node that removes the lease owns the shared removal
+    const owner = this.redis
+      ? await this.redis.zrem(this.leasesKey, serviceId) === 1
+      : true;
+
+    if (owner) {
+      await this.commit(serviceId, null, 'service.expired', {
+        serviceId,
+        name: service.name,
+        expiredAt: new Date(lease.expiresAt)
+      });
+      await this.audit.record({ action: 'expired', serviceId, name: service.name });
+    }
+
+    this.removeExpired(service);
+
+    // Persist if storage is available
+    if (this.storage) {
+      await this.persist();
+    }
+  }
+
+  /**
+   * Drop an expired service from the local view
+   * @param {Object} service - Registry entry
+   */
+  removeExpired(service) {
+    this.unindex(service);
+    this.services.delete(service.id);
+    this.leases.delete(service.id);
+
+    this.emit('service:expired', service);
+    this.logger.warn(`Service expired from registry: ${service.name} (${service.id})`);
+  }
+
+  /**
+   * Refresh the local view from the shared outbox hash and lease set
+   * @param {number} now - Current time in ms
+   */
+  async sync(now = Date.now()) {
+    if (!this.redis || !this.outbox) return;
+
+    const [entries, scores] = await Promise.all([
+      this.outbox.read(this.outboxKey),
+      this.redis.zrange(this.leasesKey, 0, -1, 'WITHSCORES')
+    ]);
+
+    const expiries = new Map();
+    for (let i = 0; i < scores.length; i += 2) {
+      expiries.set(scores[i], Number(scores[i + 1]));
+    }
+
+    // Entries whose lease is gone have been expired by another node
+    const current = {};
+    for (const [serviceId, service] of Object.entries(entries)) {
+      if (service.ttl > 0 && !expiries.has(serviceId)) continue;
+      current[serviceId] = service;
+    }
+
+    const previous = this.services;
+    const previousLeases = this.leases;
+    this.rebuild(current);
+
+    this.leases = new Map();
+    for (const [serviceId, service] of this.services) {
+      if (!(service.ttl > 0)) continue;
+
+      const lease = previousLeases.get(serviceId) || { stale: false, status: null };
+      lease.ttl = service.ttl;
+      lease.expiresAt = expiries.get(serviceId);
+      if (lease.stale && lease.expiresAt <= now) {
+        lease.status = service.status;
+        service.status = 'stale';
+      } else {
+        lease.stale = false;
+        lease.status = null;
+      }
+      this.leases.set(serviceId, lease);
+    }
+
+    for (const [serviceId, service] of previous) {
+      if (this.services.has(serviceId)) continue;
+
+      const lease = previousLeases.get(serviceId);
+      if (lease && lease.expiresAt <= now) {
+        this.emit('service:expired', service);
+        this.logger.warn(`Service expired from registry: ${service.name} (${serviceId})`);
+      }
+    }
+
+    // Leases left behind by removed entries
+    for (const [serviceId, expiresAt] of expiries) {
+      if (!entries[serviceId] && expiresAt + this.leaseGrace <= now) {
+        await this.redis.zrem(this.leasesKey, serviceId);
+      }
+    }
+
+    this.lastSync = new Date();
+  }
+
+  /**
+   * Add a service to the endpoint and tag indexes
+   * @param {Object} service - Registry entry
+   */
+  index(service) {
+    for (const endpoint of service.endpoints || []) {
+      const key = `${endpoint.method}:${endpoint.path}`;
+      if (!this.endpoints.has(key)) {
+        this.endpoints.set(key, new Set());
+      }
+      this.endpoints.get(key).add(service.id);
+    }
+
+    for (const tag of service.tags || []) {
+      if (!this.tags.has(tag)) {
+        this.tags.set(tag, new Set());
+      }
+      this.tags.get(tag).add(service.id);
+    }
+  }
+
+  /**
+   * Remove a service from the endpoint and tag indexes
+   * @param {Object} service - Registry entry
+   */
+  unindex(service) {
+    for (const endpoint of service.endpoints || []) {
+      const key = `${endpoint.method}:${endpoint.path}`;
+      const services = this.endpoints.get(key);
+      if (services) {
+        services.delete(service.id);
+        if (services.size === 0) {
+          this.endpoints.delete(key);
+        }
+      }
+    }
+
+    for (const tag of service.tags || []) {
+      const services = this.tags.get(tag);
+      if (services) {
+        services.delete(service.id);
+        if (services.size === 0) {
+          this.tags.delete(tag);
+        }
+      }
+    }
+  }
+
   /**
    * Get a service by ID
    * @param {string} serviceId - Service ID
@@ -238,27 +563,27 @@ class ServiceRegistry extends EventEmitter {
   discover(criteria = {}) {
     let services = Array.from(this.services.values());
 
-    // Filter by status
+    // Filter by status (stale services only when asked for)
     if (criteria.status) {
       services = services.filter(s => s.status === criteria.status);
+    } else if (!criteria.includeStale) {
+      services = services.filter(s => s.status !== 'stale');
+    }
+
+    // Filter by mode (draining, drained and maintenance services only when asked for)
+    if (criteria.mode) {
+      services = services.filter(s => (s.mode || 'active') === criteria.mode);
+    } else if (!criteria.includeInactive) {
+      services = services.filter(s => !s.mode || s.mode === 'active');
     }
 
-    // Filter by version
+    // Filter by semver range (e.g. `^1.2.0`, `>=1.4 <2`, `1.x || 2.1.0 - 2.3.0`)
     if (criteria.version) {
-      services = services.filter(s => {
-        if (criteria.version.startsWith('~')) {
-          // Patch version match
-          const baseVersion = criteria.version.substring(1);
-          return s.version.startsWith(baseVersion.split('.').slice(0, 2).join('.'));
-        } else if (criteria.version.startsWith('^')) {
-          // Minor version match
-          const baseVersion = criteria.version.substring(1);
-          return s.version.startsWith(baseVersion.split('.')[0]);
-        } else {
-          // Exact match
-          return s.version === criteria.version;
-        }
-      });
+      if (!semver.validRange(criteria.version)) {
+        throw new Error(`Invalid version range: ${criteria.version}`);
+      }
+      services = services.filter(s => semver.valid(s.version) &&
+        semver.satisfies(s.version, criteria.version, { includePrerelease: Boolean(criteria.includePrerelease) }));
     }
 
     // Filter by capabilities
@@ -282,6 +607,12 @@ class ServiceRegistry extends EventEmitter {
     // Sort by registration time (newest first)
     services.sort((a, b) => b.registeredAt - a.registeredAt);
 
+    // Only the instances of the highest matching version
+    if (criteria.latest) {
+      const latest = semver.rsort(services.map(s => s.version).filter(v => semver.valid(v)))[0];
+      services = services.filter(s => s.version === latest);
+    }
+
     return services;
   }
 
@@ -314,6 +645,7 @@ class ServiceRegistry extends EventEmitter {
       totalServices: services.length,
       totalEndpoints: this.endpoints.size,
       totalTags: this.tags.size,
+      leases: this.leases.size,
       statusCounts,
       versionCounts,
       lastSync: this.lastSync
@@ -337,10 +669,31 @@ class ServiceRegistry extends EventEmitter {
     this.lastSync = data.lastSync;
   }
 
+  /**
+   * Stage a registry write and its event in the outbox
+   * @param {string} serviceId - Service ID
+   * @param {Object|null} service - New registry entry (null removes it)
+   * @param {string} topic - Event topic
+   * @param {Object} data - Event data
+   */
+  async commit(serviceId, service, topic, data) {
+    if (!this.outbox) return;
+
+    await this.outbox.commit({
+      writes: [{ key: this.outboxKey, field: serviceId, value: service }],
+      events: [{ topic, data, options: { source: 'service-registry' } }]
+    });
+  }
+
   /**
    * Load registry from storage
    */
   async load() {
+    if (this.outbox) {
+      await this.loadFromOutbox();
+      return;
+    }
+
     if (!this.storage) return;
 
     const data = await this.storage.get('service-registry');
@@ -365,6 +718,53 @@ class ServiceRegistry extends EventEmitter {
     this.logger.info(`Registry loaded from storage: ${this.services.size} services`);
   }
 
+  /**
+   * Load registry entries written through the outbox
+   */
+  async loadFromOutbox() {
+    if (this.redis) {
+      await this.sync();
+    } else {
+      this.rebuild(await this.outbox.read(this.outboxKey));
+
+      // Local leases start over; services get one TTL to heartbeat again
+      this.leases = new Map();
+      for (const service of this.services.values()) {
+        if (service.ttl > 0) {
+          this.leases.set(service.id, {
+            ttl: service.ttl,
+            expiresAt: Date.now() + service.ttl,
+            stale: false,
+            status: null
+          });
+        }
+      }
+    }
+
+    this.lastSync = new Date();
+    this.logger.info(`Registry loaded from outbox: ${this.services.size} services`);
+  }
+
+  /**
+   * Replace the local view with stored entries
+   * @param {Object} entries - Service ID -> stored entry
+   */
+  rebuild(entries) {
+    this.services = new Map();
+    this.endpoints = new Map();
+    this.tags = new Map();
+
+    for (const service of Object.values(entries)) {
+      const entry = {
+        ...service,
+        registeredAt: new Date(service.registeredAt),
+        updatedAt: new Date(service.updatedAt)
+      };
+      this.services.set(service.id, entry);
+      this.index(entry);
+    }
+  }
+
   /**
    * Clear registry
    */
@@ -372,6 +772,7 @@ class ServiceRegistry extends EventEmitter {
     this.services.clear();
     this.endpoints.clear();
     this.tags.clear();
+    this.leases.clear();
     this.lastSync = null;
 
     if (this.storage) {
@@ -401,19 +802,132 @@ class ServiceRegistry extends EventEmitter {
   }
 
   /**
-   * Import registry data
-   * @param {Object} data - Registry data to import
+   * Run a function with the actor its registry changes are recorded under
+   * @param {string|Object} actor - Actor name, or `{ actor, source }`
+   * @param {Function} fn - Function to run
+   * @returns {*} Result of `fn`
+   */
+  runAs(actor, fn) {
+    return this.audit.run(actor, fn);
+  }
+
+  /**
+   * List registry changes, newest first
+   * @param {Object} filter - `{ serviceId, actor, action, since, limit }`
+   * @returns {Array} Audit entries
    */
-  async import(data) {
-    // Clear existing data
-    await this.clear();
+  async getAudit(filter = {}) {
+    return this.audit.list(filter);
+  }
+
+  /**
+   * Compare an export with the registry
+   * @param {Object} data - Registry export
+   * @param {string} strategy - Import strategy
+   * @returns {Object} `{ added, changed, removed, skipped, unchanged }`
+   */
+  diff(data, strategy = 'merge') {
+    if (!data || !Array.isArray(data.services)) {
+      throw new Error('Import must contain a services array');
+    }
+    if (!IMPORT_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown import strategy: ${strategy}`);
+    }
+
+    const result = { added: [], changed: [], removed: [], skipped: [], unchanged: [] };
+    const imported = new Set();
 
-    // Import services
     for (const service of data.services) {
-      await this.register(service);
+      if (!service?.id || !service.name) {
+        throw new Error('Service must have id and name');
+      }
+      if (imported.has(service.id)) {
+        throw new Error(`Duplicate service in import: ${service.id}`);
+      }
+      imported.add(service.id);
+
+      const existing = this.services.get(service.id);
+      const definition = definitionOf(service);
+
+      if (!existing) {
+        result.added.push({ id: service.id, name: service.name, service: definition });
+        continue;
+      }
+
+      // Merging leaves fields the import does not set alone
+      const current = definitionOf(existing);
+      const changes = strategy === 'merge'
+        ? diff(Object.fromEntries(Object.keys(definition).map(field => [field, current[field]])), definition)
+        : diff(current, definition);
+      if (Object.keys(changes).length === 0) {
+        result.unchanged.push({ id: service.id, name: service.name });
+      } else if (strategy === 'skip-existing') {
+        result.skipped.push({ id: service.id, name: service.name, changes });
+      } else {
+        result.changed.push({ id: service.id, name: service.name, changes });
+      }
     }
 
-    this.logger.info(`Registry imported: ${data.services.length} services`);
+    if (strategy === 'replace') {
+      for (const service of this.services.values()) {
+        if (!imported.has(service.id)) {
+          result.removed.push({ id: service.id, name: service.name });
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Import registry data
+   * @param {Object} data - Registry data to import (as returned by `export`)
+   * @param {Object} options - Import options
+   * @param {string} options.strategy - `merge` (default), `replace` or `skip-existing`
+   * @param {boolean} options.dryRun - Only return the differences
+   * @returns {Object} Differences, with `applied: true` unless `dryRun`
+   */
+  async import(data, { strategy = 'merge', dryRun = false } = {}) {
+    const result = this.diff(data, strategy);
+    if (dryRun) {
+      return { strategy, dryRun: true, applied: false, ...result };
+    }
+
+    await this.runAs({ source: 'import' }, async () => {
+      // Imported services start out like fresh registrations
+      for (const { service } of result.added) {
+        await this.register({ ...service, status: 'initializing' });
+      }
+
+      for (const { id, changes } of result.changed) {
+        const updates = {};
+        for (const [field, { to }] of Object.entries(changes)) {
+          updates[field] = to;
+        }
+        await this.update(id, updates);
+      }
+
+      for (const { id } of result.removed) {
+        await this.deregister(id);
+      }
+
+      await this.audit.record({
+        action: 'imported',
+        strategy,
+        summary: {
+          added: result.added.length,
+          changed: result.changed.length,
+          removed: result.removed.length,
+          skipped: result.skipped.length,
+          unchanged: result.unchanged.length
+        }
+      });
+    });
+
+    this.logger.info(`Registry imported (${strategy}): ${result.added.length} added, ` +
+      `${result.changed.length} changed, ${result.removed.length} removed`);
+
+    return { strategy, dryRun: false, applied: true, ...result };
   }
 }
 
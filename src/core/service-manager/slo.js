@@ -0,0 +1,236 @@
+/**
+ * Service Level Objectives - Rolling error budgets and burn-rate alerts
+ *
+ * Every objective is a ratio of good events to all events over a rolling
+ * window:
+ * - `availability`: calls and health checks that succeed, e.g. `target: 99.9`
+ * - `latency`: events at or under `threshold` ms; "p95 under 300 ms" is
+ *   `{ type: 'latency', percentile: 95, threshold: 300 }` (the target defaults
+ *   to the percentile)
+ *
+ * The error budget is the share of events allowed to be bad (`1 - target`).
+ * The burn rate of a window is its bad ratio divided by that budget; a rule
+ * fires when both its long and its short window burn at `threshold` or more
+ * (the multi-window alerts of the SRE workbook).
+ */
+
+const UNITS = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+// Page on fast burns, open a ticket on slow ones (tuned for a 30 day window)
+export const DEFAULT_BURN_RULES = [
+  { long: '1h', short: '5m', threshold: 14.4, severity: 'page' },
+  { long: '6h', short: '30m', threshold: 6, severity: 'page' },
+  { long: '3d', short: '6h', threshold: 1, severity: 'ticket' }
+];
+
+/**
+ * Parse a duration such as `30d`, `6h`, `5m` or a number of milliseconds
+ * @param {string|number} value - Duration
+ * @returns {number} Milliseconds
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number' && value > 0) return value;
+
+  const match = /^(\d+(?:\.\d+)?)\s*([smhd])$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid SLO duration: ${value}`);
+  }
+  return Number(match[1]) * UNITS[match[2]];
+}
+
+/**
+ * Validate and fill in SLO definitions
+ * @param {Array|Object} definitions - Objective or objectives
+ * @returns {Array} Objectives with `target` as a ratio and windows in ms
+ */
+export function normalizeObjectives(definitions) {
+  return [].concat(definitions).map((definition, index) => {
+    const type = definition.type || 'availability';
+    if (type !== 'availability' && type !== 'latency') {
+      throw new Error(`Unknown SLO type: ${type}`);
+    }
+    if (type === 'latency' && !(definition.threshold > 0)) {
+      throw new Error('Latency SLOs require a threshold in ms');
+    }
+
+    // Targets may be given as a percentage (99.9) or a ratio (0.999)
+    let target = definition.target ?? (type === 'latency' ? definition.percentile : undefined);
+    if (typeof target !== 'number') {
+      throw new Error(`SLO ${definition.name || index} requires a target`);
+    }
+    if (target > 1) target = Number((target / 100).toPrecision(12));
+    if (!(target > 0 && target < 1)) {
+      throw new Error('SLO targets must be between 0 and 100%');
+    }
+
+    const window = definition.window || '30d';
+
+    return {
+      name: definition.name || (type === 'latency'
+        ? `latency-p${Math.round(target * 1000) / 10}-${definition.threshold}ms`
+        : 'availability'),
+      type,
+      target,
+      threshold: definition.threshold || null,
+      window,
+      windowMs: parseDuration(window),
+      burnRules: (definition.burnRates || DEFAULT_BURN_RULES).map(rule => ({
+        ...rule,
+        longMs: parseDuration(rule.long),
+        shortMs: parseDuration(rule.short)
+      }))
+    };
+  });
+}
+
+/**
+ * Tracks the SLI events of one service in time buckets
+ */
+class SloTracker {
+  constructor({ objectives, bucketSize = 60000 }) {
+    this.objectives = normalizeObjectives(objectives);
+    this.bucketSize = bucketSize;
+    this.retention = Math.max(...this.objectives.flatMap(objective => [
+      objective.windowMs,
+      ...objective.burnRules.map(rule => rule.longMs)
+    ]));
+    this.buckets = []; // oldest first: { start, total, bad: [per objective] }
+    this.firing = new Set(); // `${objective}:${rule index}` of burning rules
+  }
+
+  /**
+   * Record one event
+   * @param {Object} event - Event
+   * @param {boolean} event.success - Whether it succeeded
+   * @param {number} event.latency - Duration in ms
+   * @param {number} event.timestamp - Time in ms
+   */
+  record({ success, latency = 0, timestamp = Date.now() }) {
+    const start = timestamp - (timestamp % this.bucketSize);
+    let bucket = this.buckets[this.buckets.length - 1];
+
+    if (!bucket || bucket.start < start) {
+      bucket = { start, total: 0, bad: this.objectives.map(() => 0) };
+      this.buckets.push(bucket);
+      this.prune(timestamp);
+    } else if (bucket.start > start) {
+      // Late events land in the bucket they belong to, if it is still kept
+      bucket = this.buckets.find(candidate => candidate.start === start);
+      if (!bucket) return;
+    }
+
+    bucket.total++;
+    this.objectives.forEach((objective, index) => {
+      const good = objective.type === 'availability' ? success : latency <= objective.threshold;
+      if (!good) bucket.bad[index]++;
+    });
+  }
+
+  /**
+   * Drop buckets older than the longest window
+   * @param {number} now - Current time in ms
+   */
+  prune(now) {
+    const oldest = now - this.retention;
+    let drop = 0;
+    while (drop < this.buckets.length && this.buckets[drop].start + this.bucketSize <= oldest) {
+      drop++;
+    }
+    if (drop > 0) {
+      this.buckets.splice(0, drop);
+    }
+  }
+
+  /**
+   * Count events of an objective over a window
+   * @param {number} index - Objective index
+   * @param {number} windowMs - Window in ms
+   * @param {number} now - Current time in ms
+   * @returns {Object} `{ total, bad }`
+   */
+  count(index, windowMs, now) {
+    const since = now - windowMs;
+    let total = 0;
+    let bad = 0;
+
+    for (let i = this.buckets.length - 1; i >= 0; i--) {
+      const bucket = this.buckets[i];
+      if (bucket.start + this.bucketSize <= since) break;
+      if (bucket.start > now) continue;
+      total += bucket.total;
+      bad += bucket.bad[index];
+    }
+
+    return { total, bad };
+  }
+
+  /**
+   * Evaluate every objective
+   * @param {number} now - Current time in ms
+   * @param {Object} options - Evaluation options
+   * @param {boolean} options.alert - Track firing rules (default true); false
+   *   leaves alert state untouched and `burning` empty, for read-only reports
+   * @returns {Object} `{ objectives, burning }` where `burning` lists rules that
+   *   started firing since the last evaluation
+   */
+  evaluate(now = Date.now(), { alert = true } = {}) {
+    this.prune(now);
+    const burning = [];
+
+    const objectives = this.objectives.map((objective, index) => {
+      const budget = 1 - objective.target;
+      const { total, bad } = this.count(index, objective.windowMs, now);
+      const allowed = total * budget;
+      const burnRate = (windowMs) => {
+        const window = this.count(index, windowMs, now);
+        return window.total > 0 ? (window.bad / window.total) / budget : 0;
+      };
+
+      const remaining = total > 0 ? 1 - bad / allowed : 1;
+
+      const rules = objective.burnRules.map((rule, ruleIndex) => {
+        const state = {
+          long: rule.long,
+          short: rule.short,
+          threshold: rule.threshold,
+          severity: rule.severity,
+          longRate: burnRate(rule.longMs),
+          shortRate: burnRate(rule.shortMs)
+        };
+        state.firing = state.longRate >= rule.threshold && state.shortRate >= rule.threshold;
+
+        const key = `${objective.name}:${ruleIndex}`;
+        if (alert && state.firing && !this.firing.has(key)) {
+          this.firing.add(key);
+          burning.push({ objective: objective.name, ...state, budgetRemaining: remaining });
+        } else if (alert && !state.firing) {
+          this.firing.delete(key);
+        }
+
+        return state;
+      });
+
+      return {
+        name: objective.name,
+        type: objective.type,
+        target: objective.target,
+        threshold: objective.threshold,
+        window: objective.window,
+        sli: total > 0 ? (total - bad) / total : null,
+        events: { total, bad },
+        errorBudget: {
+          allowed,
+          consumed: bad,
+          remaining,
+          remainingEvents: allowed - bad
+        },
+        burnRates: rules,
+        status: remaining <= 0 ? 'exhausted' : (rules.some(rule => rule.firing) ? 'burning' : 'ok')
+      };
+    });
+
+    return { objectives, burning };
+  }
+}
+
+export default SloTracker;
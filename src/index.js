@@ -7,6 +7,7 @@ import winston from 'winston';
 // Core components
 import ServiceManager from './core/service-manager/index.js';
 import EventBus from './core/event-bus/index.js';
+import WebSocketGateway from './core/event-bus/websocket-gateway.js';
 import config from './config/index.js';
 
 // Load environment variables
@@ -51,9 +52,12 @@ const app = express();
 const server = createServer(app);
 const wss = new WebSocketServer({ server });
 
-// Middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Middleware (the raw body is kept for the service proxy)
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
 
 // Initialize Redis for auth with graceful degradation
 import Redis from 'ioredis';
@@ -86,8 +90,8 @@ try {
 app.use(createMonitoringMiddleware());
 
 // Initialize core components
-const serviceManager = monitorService(new ServiceManager({ logger, config }));
 const eventBus = monitorEventBus(new EventBus({ logger, config }));
+const serviceManager = monitorService(new ServiceManager({ logger, config, eventBus }));
 
 // Health check endpoint with detailed service status
 app.get('/health', async (req, res) => {
@@ -240,6 +244,12 @@ if (redis) {
       };
       next();
     },
+    authenticateCredentials: () => Promise.resolve({
+      userId: 'dev-user',
+      username: 'developer',
+      permissions: ['*']
+    }),
+    apiKeyHeader: config.security.apiKeyHeader,
     authorize: null, // Explicitly null to allow conditional checks
     generateToken: () => 'dev-token-' + Date.now(),
     refreshToken: () => Promise.resolve('dev-refresh-token-' + Date.now()),
@@ -290,6 +300,7 @@ import createEventsRouter from './routes/events.js';
 import createAnalyticsRouter from './routes/analytics.js';
 import createIntegrationRouter from './routes/integration.js';
 import createCoreRouter from './routes/core.js';
+import createProxyRouter from './routes/proxy.js';
 import createAuthRouter from './routes/auth.js';
 
 // Apply security middleware
@@ -321,6 +332,7 @@ if (authMiddleware && userService) {
 // Protected API Routes - only mount if services are available
 app.use('/api/services', authMiddleware.authenticate(), createServicesRouter(serviceManager));
 app.use('/api/events', authMiddleware.authenticate(), createEventsRouter(eventBus));
+app.use('/api/proxy', authMiddleware.authenticate(), createProxyRouter(serviceManager));
 
 if (analyticsEngine) {
   app.use('/api/analytics', authMiddleware.authenticate(), createAnalyticsRouter(analyticsEngine));
@@ -345,54 +357,13 @@ app.use('/api/core', authMiddleware.authenticate(), createCoreRouter(coreConnect
 // WebSocket handling with monitoring
 monitorWebSocket(wss);
 
-wss.on('connection', (ws, req) => {
-  logger.info('WebSocket connection established', {
-    ip: req.socket.remoteAddress
-  });
-  
-  ws.on('message', async (message) => {
-    try {
-      const data = JSON.parse(message);
-      
-      // Handle different message types
-      switch (data.type) {
-        case 'subscribe':
-          eventBus.subscribe(data.topic, (event) => {
-            ws.send(JSON.stringify({
-              type: 'event',
-              topic: data.topic,
-              data: event
-            }));
-          });
-          break;
-          
-        case 'publish':
-          await eventBus.publish(data.topic, data.data);
-          break;
-          
-        default:
-          ws.send(JSON.stringify({
-            type: 'error',
-            message: 'Unknown message type'
-          }));
-      }
-    } catch (error) {
-      logger.error('WebSocket message error', error);
-      ws.send(JSON.stringify({
-        type: 'error',
-        message: error.message
-      }));
-    }
-  });
-  
-  ws.on('close', () => {
-    logger.info('WebSocket connection closed');
-  });
-  
-  ws.on('error', (error) => {
-    logger.error('WebSocket error', error);
-  });
+const wsGateway = new WebSocketGateway({
+  logger,
+  eventBus,
+  auth: authMiddleware,
+  config: config.websocket
 });
+wsGateway.attach(wss);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -515,6 +486,7 @@ process.on('SIGTERM', async () => {
   
   // Stop services
   await serviceManager.stopAll();
+  serviceManager.close();
   
   // Close event bus
   await eventBus.close();
@@ -170,52 +170,70 @@ export class AuthMiddleware {
     await this.redis.del(`${this.apiKeyPrefix}${hashedKey}`);
   }
 
+  /**
+   * Resolve credentials to an auth context
+   * @param {Object} credentials - API key and/or JWT token
+   * @returns {Object|null} Auth context, or null when no credentials were given
+   */
+  async authenticateCredentials({ apiKey, token } = {}) {
+    // Check for API key first
+    if (apiKey) {
+      const metadata = await this.validateApiKey(apiKey);
+      if (metadata) {
+        return {
+          type: 'apikey',
+          apiKey: metadata.name,
+          permissions: metadata.permissions
+        };
+      }
+    }
+
+    // Check for JWT token
+    if (!token) {
+      return null;
+    }
+
+    const decoded = this.verifyToken(token);
+    
+    // Check blacklist
+    if (decoded.jti) {
+      const isBlacklisted = await this.isTokenBlacklisted(decoded.jti);
+      if (isBlacklisted) {
+        throw new Error('Token has been revoked');
+      }
+    }
+
+    return {
+      type: 'jwt',
+      ...decoded
+    };
+  }
+
   /**
    * JWT authentication middleware
    */
   authenticate(options = {}) {
     return async (req, res, next) => {
       try {
-        // Check for API key first
-        const apiKey = req.headers[this.apiKeyHeader];
-        if (apiKey) {
-          const metadata = await this.validateApiKey(apiKey);
-          if (metadata) {
-            req.auth = {
-              type: 'apikey',
-              apiKey: metadata.name,
-              permissions: metadata.permissions
-            };
-            return next();
-          }
-        }
+        const auth = await this.authenticateCredentials({
+          apiKey: req.headers[this.apiKeyHeader],
+          token: this.extractToken(req)
+        });
 
-        // Check for JWT token
-        const token = this.extractToken(req);
-        if (!token) {
+        if (!auth) {
           if (options.optional) {
             return next();
           }
           return res.status(401).json({ error: 'Authentication required' });
         }
 
-        const decoded = this.verifyToken(token);
-        
-        // Check blacklist
-        if (decoded.jti) {
-          const isBlacklisted = await this.isTokenBlacklisted(decoded.jti);
-          if (isBlacklisted) {
-            return res.status(401).json({ error: 'Token has been revoked' });
-          }
-        }
-
-        req.auth = {
-          type: 'jwt',
-          ...decoded
-        };
-
+        req.auth = auth;
         next();
       } catch (error) {
+        if (error.message === 'Token has been revoked') {
+          return res.status(401).json({ error: 'Token has been revoked' });
+        }
+
         this.logger.error('Authentication error:', error);
         
         if (error.message === 'Token expired') {
@@ -155,11 +155,11 @@ export function monitorEventBus(eventBus) {
   };
 
   const originalSubscribe = eventBus.subscribe;
-  eventBus.subscribe = async function(topic, handler, options = {}) {
-    const wrappedHandler = async (event) => {
+  eventBus.subscribe = function(topic, handler, options = {}) {
+    const wrappedHandler = async (event, ...args) => {
       const start = Date.now();
       try {
-        const result = await handler(event);
+        const result = await handler(event, ...args);
         const duration = (Date.now() - start) / 1000;
         metrics.recordEventProcessing(topic, handler.name || 'anonymous', duration);
         return result;
@@ -170,19 +170,50 @@ export function monitorEventBus(eventBus) {
       }
     };
 
-    const result = await originalSubscribe.apply(eventBus, [topic, wrappedHandler, options]);
+    // Keep the handler name for dead-letter reports
+    Object.defineProperty(wrappedHandler, 'name', { value: handler.name });
+
+    const result = originalSubscribe.apply(eventBus, [topic, wrappedHandler, options]);
     updateEventSubscribers(eventBus);
     return result;
   };
 
+  eventBus.on('request:completed', ({ topic, outcome, latency }) => {
+    metrics.recordEventRequest(topic, outcome, latency / 1000);
+  });
+
   // Update subscriber counts periodically
   setInterval(() => {
     updateEventSubscribers(eventBus);
+    updateConsumerGroups(eventBus);
+    updateSubscriptionBacklog(eventBus);
   }, 60000); // Every minute
 
   return eventBus;
 }
 
+async function updateConsumerGroups(eventBus) {
+  try {
+    const groups = await eventBus.getGroupMetrics();
+    for (const group of groups) {
+      metrics.setConsumerGroupStats(group.group, group.pattern, group.lag, group.pending);
+    }
+  } catch (error) {
+    // Metrics collection must never break the event bus
+  }
+}
+
+function updateSubscriptionBacklog(eventBus) {
+  for (const subscription of eventBus.getSubscriptionMetrics()) {
+    metrics.setSubscriptionBacklog(
+      subscription.topic,
+      subscription.name || subscription.id,
+      subscription.pending,
+      subscription.active
+    );
+  }
+}
+
 function updateEventSubscribers(eventBus) {
   if (eventBus.subscribers) {
     eventBus.subscribers.forEach((handlers, topic) => {
@@ -99,6 +99,42 @@ export class MetricsCollector {
       registers: [this.register]
     });
 
+    this.eventRequestDuration = new promClient.Histogram({
+      name: 'eventbus_request_duration_seconds',
+      help: 'Event bus request/reply duration in seconds',
+      labelNames: ['topic', 'outcome'],
+      buckets: [0.005, 0.05, 0.1, 0.5, 1, 5, 30],
+      registers: [this.register]
+    });
+
+    this.eventGroupLag = new promClient.Gauge({
+      name: 'eventbus_consumer_group_lag',
+      help: 'Events not yet delivered to a consumer group',
+      labelNames: ['group', 'pattern'],
+      registers: [this.register]
+    });
+
+    this.eventGroupPending = new promClient.Gauge({
+      name: 'eventbus_consumer_group_pending',
+      help: 'Events delivered to a consumer group but not acknowledged',
+      labelNames: ['group', 'pattern'],
+      registers: [this.register]
+    });
+
+    this.eventSubscriptionPending = new promClient.Gauge({
+      name: 'eventbus_subscription_pending',
+      help: 'Events queued for a local subscription and not yet started',
+      labelNames: ['topic', 'subscription'],
+      registers: [this.register]
+    });
+
+    this.eventSubscriptionActive = new promClient.Gauge({
+      name: 'eventbus_subscription_active',
+      help: 'Events being handled by a local subscription',
+      labelNames: ['topic', 'subscription'],
+      registers: [this.register]
+    });
+
     // Analytics metrics
     this.analyticsEventsTracked = new promClient.Counter({
       name: 'analytics_events_tracked_total',
@@ -292,6 +328,22 @@ export class MetricsCollector {
     this.eventProcessingDuration.labels(topic, handler).observe(duration);
   }
 
+  recordEventRequest(topic, outcome, duration) {
+    this.eventRequestDuration.labels(topic, outcome).observe(duration);
+  }
+
+  setConsumerGroupStats(group, pattern, lag, pending) {
+    if (lag !== null) {
+      this.eventGroupLag.labels(group, pattern).set(lag);
+    }
+    this.eventGroupPending.labels(group, pattern).set(pending);
+  }
+
+  setSubscriptionBacklog(topic, subscription, pending, active) {
+    this.eventSubscriptionPending.labels(topic, subscription).set(pending);
+    this.eventSubscriptionActive.labels(topic, subscription).set(active);
+  }
+
   /**
    * Record analytics metrics
    */
@@ -1,10 +1,57 @@
-import { Router } from 'express';
+import { Router, json, raw } from 'express';
+import { ContentTypes, fromCloudEvent, fromHttp, negotiate, toCloudEvent } from '../core/event-bus/cloudevents.js';
+import { externalPublishOptions } from '../core/event-bus/topic-acl.js';
 
 /**
  * Event bus routes
  */
 const router = Router();
 
+/**
+ * Build a server-side filter for streamed events
+ *
+ * Supports `source`, `correlationId` and `data.<path>` query parameters;
+ * repeating a parameter matches any of its values.
+ * @param {Object} query - Request query
+ * @returns {Function} Filter function
+ */
+function createStreamFilter(query) {
+  const conditions = [];
+  const valuesOf = (value) => [].concat(value).map(String);
+
+  if (query.source) {
+    const sources = valuesOf(query.source);
+    conditions.push(event => sources.includes(String(event.source)));
+  }
+
+  if (query.correlationId) {
+    const ids = valuesOf(query.correlationId);
+    conditions.push(event => ids.includes(String(event.correlationId)));
+  }
+
+  for (const [key, value] of Object.entries(query)) {
+    if (!key.startsWith('data.')) continue;
+
+    const path = key.slice('data.'.length).split('.');
+    const expected = valuesOf(value);
+    conditions.push(event => {
+      const actual = path.reduce((obj, part) => (obj == null ? undefined : obj[part]), event.data);
+      return actual !== undefined && expected.includes(String(actual));
+    });
+  }
+
+  return (event) => conditions.every(condition => condition(event));
+}
+
+/**
+ * Write an event as a Server-Sent Event frame
+ * @param {Object} res - Response
+ * @param {Object} event - Event object
+ */
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
 export default (eventBus) => {
   /**
    * Publish an event
@@ -19,18 +66,225 @@ export default (eventBus) => {
         });
       }
       
-      const eventId = await eventBus.publish(topic, data, options);
+      const eventId = await eventBus.publish(topic, data, { ...externalPublishOptions(options), principal: req.auth });
       
       res.json({ 
         success: true, 
         eventId,
         message: 'Event published successfully' 
       });
+    } catch (error) {
+      if (error.code === 'FORBIDDEN') {
+        res.status(403).json({ error: error.message });
+      } else if (error.validationErrors) {
+        res.status(400).json({ 
+          error: error.message,
+          details: error.validationErrors
+        });
+      } else if (error.message.startsWith('Invalid')) {
+        res.status(400).json({ error: error.message });
+      } else {
+        next(error);
+      }
+    }
+  });
+
+  /**
+   * Ingest CloudEvents (structured, batch or binary mode)
+   */
+  router.post('/cloudevents',
+    json({ type: [ContentTypes.STRUCTURED, ContentTypes.BATCH] }),
+    raw({ type: () => true, limit: '10mb' }),
+    async (req, res, next) => {
+      try {
+        const cloudEvents = fromHttp(req.headers, req.body);
+        const eventIds = [];
+        
+        for (const cloudEvent of cloudEvents) {
+          const { topic, data, options } = fromCloudEvent(cloudEvent);
+          eventIds.push(await eventBus.publish(topic, data, { ...externalPublishOptions(options), principal: req.auth }));
+        }
+        
+        res.status(202).json({ 
+          success: true, 
+          eventIds
+        });
+      } catch (error) {
+        if (error.code === 'FORBIDDEN') {
+          res.status(403).json({ error: error.message });
+        } else if (error.validationErrors) {
+          res.status(400).json({ 
+            error: error.message,
+            details: error.validationErrors
+          });
+        } else if (error.message.startsWith('Invalid') || error instanceof SyntaxError) {
+          res.status(400).json({ error: error.message });
+        } else {
+          next(error);
+        }
+      }
+    }
+  );
+
+  /**
+   * List registered event schemas
+   */
+  router.get('/schemas', (req, res, next) => {
+    try {
+      const schemas = eventBus.schemaRegistry.list();
+      res.json({ 
+        schemas,
+        total: schemas.length,
+        validation: eventBus.validationMode
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * Get all versions of a schema
+   */
+  router.get('/schemas/:pattern', (req, res, next) => {
+    try {
+      const subject = eventBus.schemaRegistry.get(req.params.pattern);
+      if (!subject) {
+        return res.status(404).json({ 
+          error: 'Schema not found' 
+        });
+      }
+      
+      res.json(subject);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * Register a schema for a new topic pattern
+   */
+  router.post('/schemas', async (req, res, next) => {
+    try {
+      eventBus.authorize(req.auth, 'publish', 'schema.#');
+      
+      const { pattern, schema, compatibility, description } = req.body;
+      
+      if (!pattern || !schema) {
+        return res.status(400).json({ 
+          error: 'Pattern and schema are required' 
+        });
+      }
+      
+      if (eventBus.schemaRegistry.get(pattern)) {
+        return res.status(409).json({ 
+          error: `Schema for ${pattern} already exists, use PUT to evolve it` 
+        });
+      }
+      
+      const registered = await eventBus.registerSchema(pattern, schema, { compatibility, description });
+      res.status(201).json({ 
+        success: true,
+        ...registered
+      });
+    } catch (error) {
+      if (error.code === 'FORBIDDEN') {
+        res.status(403).json({ error: error.message });
+      } else if (error.message.startsWith('Invalid JSON Schema')) {
+        res.status(400).json({ error: error.message });
+      } else {
+        next(error);
+      }
+    }
+  });
+
+  /**
+   * Evolve a schema with a new version
+   */
+  router.put('/schemas/:pattern', async (req, res, next) => {
+    try {
+      eventBus.authorize(req.auth, 'publish', 'schema.#');
+      
+      const { schema, compatibility, description } = req.body;
+      
+      if (!schema) {
+        return res.status(400).json({ 
+          error: 'Schema is required' 
+        });
+      }
+      
+      if (!eventBus.schemaRegistry.get(req.params.pattern)) {
+        return res.status(404).json({ 
+          error: 'Schema not found' 
+        });
+      }
+      
+      const registered = await eventBus.registerSchema(req.params.pattern, schema, { compatibility, description });
+      res.json({ 
+        success: true,
+        ...registered
+      });
+    } catch (error) {
+      if (error.code === 'FORBIDDEN') {
+        res.status(403).json({ error: error.message });
+      } else if (error.compatibilityIssues) {
+        res.status(409).json({ 
+          error: error.message,
+          issues: error.compatibilityIssues
+        });
+      } else if (error.message.startsWith('Invalid JSON Schema')) {
+        res.status(400).json({ error: error.message });
+      } else {
+        next(error);
+      }
+    }
+  });
+
+  /**
+   * Check a proposed schema against the latest version
+   */
+  router.post('/schemas/:pattern/compatibility', (req, res, next) => {
+    try {
+      const subject = eventBus.schemaRegistry.get(req.params.pattern);
+      if (!subject) {
+        return res.status(404).json({ 
+          error: 'Schema not found' 
+        });
+      }
+      
+      const latest = subject.versions[subject.versions.length - 1];
+      const result = eventBus.schemaRegistry.checkCompatibility(latest.schema, req.body.schema);
+      
+      res.json({ 
+        ...result,
+        againstVersion: latest.version
+      });
     } catch (error) {
       next(error);
     }
   });
 
+  /**
+   * Get the causal tree of a correlation
+   */
+  router.get('/trace/:correlationId', async (req, res, next) => {
+    try {
+      const trace = await eventBus.getTrace(req.params.correlationId);
+      if (!trace) {
+        return res.status(404).json({ 
+          error: `Trace ${req.params.correlationId} not found` 
+        });
+      }
+      
+      res.json(trace);
+    } catch (error) {
+      if (error.message.includes('not enabled')) {
+        res.status(503).json({ error: error.message });
+      } else {
+        next(error);
+      }
+    }
+  });
+
   /**
    * Get event history
    */
@@ -44,7 +298,16 @@ export default (eventBus) => {
         limit: parseInt(req.query.limit) || 100
       };
       
-      const events = eventBus.getHistory(filter);
+      // Only events the caller could have subscribed to
+      const events = eventBus.getHistory(filter)
+        .filter(event => eventBus.isAllowed(req.auth, 'subscribe', event.topic));
+      
+      // CloudEvents clients get a batch instead of the native envelope
+      if (negotiate(req.get('Accept'))) {
+        return res
+          .type(ContentTypes.BATCH)
+          .send(JSON.stringify(events.map(event => toCloudEvent(event))));
+      }
       
       res.json({ 
         events,
@@ -70,6 +333,47 @@ export default (eventBus) => {
     }
   });
 
+  /**
+   * Replay persisted events to a subscriber
+   */
+  router.post('/replay', async (req, res, next) => {
+    try {
+      const { topic, since, until, fromOffset, limit, subscriptionId } = req.body;
+      
+      if (!subscriptionId) {
+        return res.status(400).json({ 
+          error: 'subscriptionId is required' 
+        });
+      }
+      
+      eventBus.authorize(req.auth, 'subscribe', topic || '#');
+      
+      const result = await eventBus.replay({
+        topic,
+        since,
+        until,
+        fromOffset,
+        limit: parseInt(limit) || 1000,
+        subscriptionId
+      });
+      
+      res.json({ 
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      if (error.code === 'FORBIDDEN') {
+        res.status(403).json({ error: error.message });
+      } else if (error.message.includes('not found')) {
+        res.status(404).json({ error: error.message });
+      } else if (error.message.includes('not enabled')) {
+        res.status(503).json({ error: error.message });
+      } else {
+        next(error);
+      }
+    }
+  });
+
   /**
    * Get event bus metrics
    */
@@ -95,6 +399,12 @@ export default (eventBus) => {
         });
       }
       
+      if (!eventBus.isAllowed(req.auth, 'subscribe', topic)) {
+        return res.status(403).json({ 
+          error: `Not allowed to subscribe ${topic}` 
+        });
+      }
+      
       // Return WebSocket connection info
       res.json({ 
         success: true,
@@ -106,6 +416,9 @@ export default (eventBus) => {
             type: 'subscribe',
             topic
           }
+        },
+        sse: {
+          url: `${req.protocol}://${req.get('host')}${req.baseUrl}/stream?topic=${encodeURIComponent(topic)}`
         }
       });
     } catch (error) {
@@ -113,6 +426,64 @@ export default (eventBus) => {
     }
   });
 
+  /**
+   * Stream events over Server-Sent Events
+   */
+  router.get('/stream', (req, res) => {
+    const topic = req.query.topic || '#';
+    const heartbeat = Math.max(parseInt(req.query.heartbeat) || 15000, 1000);
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    const filter = createStreamFilter(req.query);
+
+    if (!eventBus.isAllowed(req.auth, 'subscribe', topic)) {
+      return res.status(403).json({ error: `Not allowed to subscribe ${topic}` });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    // Subscribe before replaying so nothing published in between is lost; events
+    // enter history before delivery, so live copies of replayed ones are skipped
+    const replayed = new Set();
+    const unsubscribe = eventBus.subscribe(topic, (event) => {
+      if (!replayed.has(event.id)) {
+        writeEvent(res, event);
+      }
+    }, {
+      name: 'sse-stream',
+      filter
+    });
+
+    if (lastEventId) {
+      const index = eventBus.eventHistory.findIndex(event => event.id === lastEventId);
+
+      if (index === -1) {
+        res.write(`event: reset\ndata: ${JSON.stringify({ lastEventId, reason: 'Event no longer in history' })}\n\n`);
+      } else {
+        eventBus.eventHistory
+          .slice(index + 1)
+          .filter(event => eventBus.matchesTopic(event.topic, topic) && filter(event))
+          .forEach(event => {
+            replayed.add(event.id);
+            writeEvent(res, event);
+          });
+      }
+    }
+
+    const timer = setInterval(() => res.write(': heartbeat\n\n'), heartbeat);
+
+    req.on('close', () => {
+      clearInterval(timer);
+      unsubscribe();
+    });
+  });
+
   /**
    * Request-response pattern
    */
@@ -126,14 +497,16 @@ export default (eventBus) => {
         });
       }
       
-      const response = await eventBus.request(topic, data, { timeout });
+      const response = await eventBus.request(topic, data, { timeout, principal: req.auth });
       
       res.json({ 
         success: true,
         response 
       });
     } catch (error) {
-      if (error.message.includes('Timeout')) {
+      if (error.code === 'FORBIDDEN') {
+        res.status(403).json({ error: error.message });
+      } else if (error.code === 'TIMEOUT') {
         res.status(408).json({ 
           error: 'Request timeout' 
         });
@@ -143,6 +516,248 @@ export default (eventBus) => {
     }
   });
 
+  /**
+   * Scatter-gather request collecting replies from every responder
+   */
+  router.post('/request/all', async (req, res, next) => {
+    try {
+      const { topic, data, timeout, expected } = req.body;
+      
+      if (!topic) {
+        return res.status(400).json({ 
+          error: 'Topic is required' 
+        });
+      }
+      
+      const replies = await eventBus.requestAll(topic, data, {
+        timeout: timeout || 5000,
+        expected: expected || Infinity,
+        principal: req.auth
+      });
+      
+      res.json({ 
+        success: true,
+        replies,
+        total: replies.length
+      });
+    } catch (error) {
+      if (error.code === 'FORBIDDEN') {
+        res.status(403).json({ error: error.message });
+      } else {
+        next(error);
+      }
+    }
+  });
+
+  /**
+   * List scheduled events
+   */
+  router.get('/scheduled', async (req, res, next) => {
+    try {
+      // Only jobs on topics the caller may subscribe to
+      const jobs = (await eventBus.scheduler.list({ topic: req.query.topic, limit: Infinity }))
+        .filter(job => eventBus.isAllowed(req.auth, 'subscribe', job.topic));
+      
+      res.json({ 
+        jobs: jobs.slice(0, parseInt(req.query.limit) || 100),
+        total: jobs.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * Get a scheduled event
+   */
+  router.get('/scheduled/:id', async (req, res, next) => {
+    try {
+      const job = await eventBus.scheduler.get(req.params.id);
+      if (!job) {
+        return res.status(404).json({ 
+          error: 'Scheduled event not found' 
+        });
+      }
+      
+      eventBus.authorize(req.auth, 'subscribe', job.topic);
+      
+      res.json(job);
+    } catch (error) {
+      if (error.code === 'FORBIDDEN') {
+        res.status(403).json({ error: error.message });
+      } else {
+        next(error);
+      }
+    }
+  });
+
+  /**
+   * Reschedule a pending event
+   */
+  router.put('/scheduled/:id', async (req, res, next) => {
+    try {
+      const scheduled = await eventBus.scheduler.get(req.params.id);
+      if (!scheduled) {
+        return res.status(404).json({ 
+          error: 'Scheduled event not found' 
+        });
+      }
+      
+      eventBus.authorize(req.auth, 'publish', scheduled.topic);
+      
+      const { delay, at, cron, tz } = req.body;
+      const job = await eventBus.scheduler.reschedule(req.params.id, { delay, at, cron, tz });
+      
+      res.json({ 
+        success: true,
+        job
+      });
+    } catch (error) {
+      if (error.code === 'FORBIDDEN') {
+        res.status(403).json({ error: error.message });
+      } else if (error.message.includes('not found')) {
+        res.status(404).json({ error: error.message });
+      } else if (error.message.startsWith('Invalid') || error.message.includes('is required')) {
+        res.status(400).json({ error: error.message });
+      } else {
+        next(error);
+      }
+    }
+  });
+
+  /**
+   * Cancel a scheduled event
+   */
+  router.delete('/scheduled/:id', async (req, res, next) => {
+    try {
+      const job = await eventBus.scheduler.get(req.params.id);
+      if (!job) {
+        return res.status(404).json({ 
+          error: 'Scheduled event not found' 
+        });
+      }
+      
+      eventBus.authorize(req.auth, 'publish', job.topic);
+      await eventBus.scheduler.cancel(req.params.id);
+      
+      res.json({ 
+        success: true,
+        message: 'Scheduled event cancelled' 
+      });
+    } catch (error) {
+      if (error.code === 'FORBIDDEN') {
+        res.status(403).json({ error: error.message });
+      } else {
+        next(error);
+      }
+    }
+  });
+
+  /**
+   * List dead-lettered events
+   */
+  router.get('/dlq', async (req, res, next) => {
+    try {
+      // Only entries for topics the caller may subscribe to
+      const entries = (await eventBus.getDeadLetters({ topic: req.query.topic, limit: Infinity }))
+        .filter(entry => eventBus.isAllowed(req.auth, 'subscribe', entry.data.originalEvent.topic))
+        .slice(0, parseInt(req.query.limit) || 100);
+      
+      res.json({ 
+        entries,
+        total: entries.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * Redrive a dead-lettered event
+   */
+  router.post('/dlq/:id/redrive', async (req, res, next) => {
+    try {
+      const result = await eventBus.redriveDeadLetter(req.params.id, { principal: req.auth });
+      res.json({ 
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      if (error.code === 'FORBIDDEN') {
+        res.status(403).json({ error: error.message });
+      } else if (error.message.includes('not found')) {
+        res.status(404).json({ error: error.message });
+      } else {
+        next(error);
+      }
+    }
+  });
+
+  /**
+   * Discard a dead-lettered event
+   */
+  router.delete('/dlq/:id', async (req, res, next) => {
+    try {
+      await eventBus.discardDeadLetter(req.params.id, { principal: req.auth });
+      res.json({ 
+        success: true,
+        message: 'Dead-letter entry discarded' 
+      });
+    } catch (error) {
+      if (error.code === 'FORBIDDEN') {
+        res.status(403).json({ error: error.message });
+      } else if (error.message.includes('not found')) {
+        res.status(404).json({ error: error.message });
+      } else {
+        next(error);
+      }
+    }
+  });
+
+  /**
+   * Get consumer group metrics
+   */
+  router.get('/groups', async (req, res, next) => {
+    try {
+      const groups = await eventBus.getGroupMetrics();
+      res.json({ 
+        groups,
+        total: groups.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * Delete a consumer group and its pending events
+   */
+  router.delete('/groups/:group', async (req, res, next) => {
+    try {
+      if (!req.query.pattern) {
+        return res.status(400).json({ 
+          error: 'pattern query parameter is required' 
+        });
+      }
+      
+      eventBus.authorize(req.auth, 'publish', req.query.pattern);
+      
+      await eventBus.consumerGroups.deleteGroup(req.params.group, req.query.pattern);
+      res.json({ 
+        success: true,
+        message: 'Consumer group deleted' 
+      });
+    } catch (error) {
+      if (error.code === 'FORBIDDEN') {
+        res.status(403).json({ error: error.message });
+      } else if (error.message.includes('not found')) {
+        res.status(404).json({ error: error.message });
+      } else {
+        next(error);
+      }
+    }
+  });
+
   /**
    * Get active subscriptions (debug endpoint)
    */
@@ -151,7 +766,8 @@ export default (eventBus) => {
       const subscriptions = Array.from(eventBus.localSubscriptions.entries()).map(
         ([topic, subs]) => ({
           topic,
-          count: subs.length
+          count: subs.length,
+          ids: subs.map(sub => sub.id)
         })
       );
       
@@ -164,5 +780,20 @@ export default (eventBus) => {
     }
   });
 
+  /**
+   * Get per-subscription delivery and backpressure metrics
+   */
+  router.get('/subscriptions/metrics', (req, res, next) => {
+    try {
+      const subscriptions = eventBus.getSubscriptionMetrics();
+      res.json({ 
+        subscriptions,
+        total: subscriptions.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
   return router;
 };
\ No newline at end of file
@@ -5,6 +5,11 @@ import { Router } from 'express';
  */
 const router = Router();
 
+// Messages of invalid schedules
+const SCHEDULE_ERRORS = ['Schedule ', 'Invalid cron expression', 'Invalid time zone', 'overlap policy', 'catch-up policy'];
+
+const isScheduleError = (error) => SCHEDULE_ERRORS.some(message => error.message.includes(message));
+
 export default (dataPipeline) => {
   /**
    * Register a new pipeline
@@ -27,7 +32,11 @@ export default (dataPipeline) => {
         message: 'Pipeline registered successfully' 
       });
     } catch (error) {
-      next(error);
+      if (isScheduleError(error)) {
+        res.status(400).json({ error: error.message });
+      } else {
+        next(error);
+      }
     }
   });
 
@@ -112,6 +121,46 @@ export default (dataPipeline) => {
     }
   });
 
+  /**
+   * Schedule a pipeline (body: `cron` and `tz`, or `interval`, plus `overlap`, `catchUp`, `maxCatchUp` and `jitter`)
+   */
+  router.post('/:id/schedule', async (req, res, next) => {
+    try {
+      const schedule = await dataPipeline.schedulePipeline(req.params.id, req.body);
+      res.json({ 
+        success: true,
+        schedule
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        res.status(404).json({ error: error.message });
+      } else if (isScheduleError(error)) {
+        res.status(400).json({ error: error.message });
+      } else {
+        next(error);
+      }
+    }
+  });
+
+  /**
+   * Remove a pipeline's schedule
+   */
+  router.delete('/:id/schedule', async (req, res, next) => {
+    try {
+      await dataPipeline.cancelSchedule(req.params.id);
+      res.json({ 
+        success: true,
+        message: 'Pipeline schedule removed' 
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        res.status(404).json({ error: error.message });
+      } else {
+        next(error);
+      }
+    }
+  });
+
   /**
    * Delete a pipeline
    */
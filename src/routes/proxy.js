@@ -0,0 +1,115 @@
+import { Router } from 'express';
+
+/**
+ * Service proxy routes
+ */
+const router = Router();
+
+// Connection-level headers are not forwarded in either direction
+const HOP_BY_HOP = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade'
+];
+
+// The backend's credentials stay with the backend
+const REQUEST_EXCLUDED = [...HOP_BY_HOP, 'host', 'content-length', 'authorization', 'cookie'];
+
+// The body is re-sent decoded and with its own length
+const RESPONSE_EXCLUDED = [...HOP_BY_HOP, 'content-length', 'content-encoding'];
+
+/**
+ * Read the request body to forward
+ *
+ * Bodies the parsers already consumed are sent as received (`rawBody`) or
+ * re-encoded from `req.body`; anything else is read from the stream.
+ * @param {Object} req - Express request
+ * @returns {Promise<Buffer|string|undefined>} Body
+ */
+function readBody(req) {
+  if (req.rawBody) {
+    return Promise.resolve(req.rawBody);
+  }
+
+  if (req.readableEnded) {
+    if (req.is('application/json')) {
+      return Promise.resolve(JSON.stringify(req.body));
+    }
+    if (req.is('application/x-www-form-urlencoded')) {
+      const params = new URLSearchParams();
+      for (const [name, value] of Object.entries(req.body)) {
+        [].concat(value).forEach(item => params.append(name, item));
+      }
+      return Promise.resolve(params.toString());
+    }
+    return Promise.resolve(undefined);
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(chunks.length > 0 ? Buffer.concat(chunks) : undefined));
+    req.on('error', reject);
+  });
+}
+
+export default (serviceManager) => {
+  /**
+   * Forward a request to an instance of a service
+   */
+  router.all(['/:serviceName', '/:serviceName/*'], async (req, res, next) => {
+    try {
+      const headers = {};
+      for (const [name, value] of Object.entries(req.headers)) {
+        if (!REQUEST_EXCLUDED.includes(name)) {
+          headers[name] = value;
+        }
+      }
+      headers['x-forwarded-for'] = [req.headers['x-forwarded-for'], req.ip].filter(Boolean).join(', ');
+      headers['x-forwarded-host'] = req.get('host');
+      headers['x-forwarded-proto'] = req.protocol;
+      delete headers['x-lb-key'];
+      delete headers['x-service-version'];
+
+      const search = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+
+      const response = await serviceManager.call(req.params.serviceName, {
+        method: req.method,
+        path: `/${req.params[0] || ''}${search}`,
+        headers,
+        body: await readBody(req),
+        key: req.get('x-lb-key') || req.ip,
+        version: req.get('x-service-version'),
+        raw: true
+      });
+
+      for (const [name, value] of Object.entries(response.headers)) {
+        if (!RESPONSE_EXCLUDED.includes(name)) {
+          res.setHeader(name, value);
+        }
+      }
+      res.setHeader('x-served-by', response.instance);
+      res.setHeader('x-service-version', response.version);
+      res.status(response.status).send(response.body);
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        res.status(404).json({ error: error.message });
+      } else if (error.message.includes('Invalid version range')) {
+        res.status(400).json({ error: error.message });
+      } else if (error.message.includes('No available instances')) {
+        res.status(503).json({ error: error.message });
+      } else if (error.message.includes('failed')) {
+        res.status(502).json({ error: error.message });
+      } else {
+        next(error);
+      }
+    }
+  });
+
+  return router;
+};
@@ -1,4 +1,5 @@
 import { Router } from 'express';
+import { principalName } from '../core/event-bus/topic-acl.js';
 
 /**
  * Service management routes
@@ -6,6 +7,11 @@ import { Router } from 'express';
 const router = Router();
 
 export default (serviceManager) => {
+  // Registry changes made by a request are audited under its caller
+  router.use((req, res, next) => {
+    serviceManager.registry.runAs(req.auth ? principalName(req.auth) : 'anonymous', next);
+  });
+
   /**
    * Register a new service
    */
@@ -18,7 +24,11 @@ export default (serviceManager) => {
         message: 'Service registered successfully' 
       });
     } catch (error) {
-      next(error);
+      if (error.message.includes('must be valid semver')) {
+        res.status(400).json({ error: error.message });
+      } else {
+        next(error);
+      }
     }
   });
 
@@ -52,6 +62,73 @@ export default (serviceManager) => {
     }
   });
 
+  /**
+   * Take a service out of rotation once in-flight calls finish
+   */
+  router.post('/:id/drain', async (req, res, next) => {
+    try {
+      const drain = await serviceManager.drainService(req.params.id, {
+        deadline: req.body?.deadline,
+        reason: req.body?.reason
+      });
+      res.status(req.body?.wait ? 200 : 202).json({ 
+        success: true,
+        drain: req.body?.wait ? await serviceManager.waitForDrain(req.params.id) : drain
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        res.status(404).json({ error: error.message });
+      } else if (error.message.includes('Drain deadline')) {
+        res.status(400).json({ error: error.message });
+      } else {
+        next(error);
+      }
+    }
+  });
+
+  /**
+   * Put a service in maintenance
+   */
+  router.post('/:id/maintenance', async (req, res, next) => {
+    try {
+      const drain = await serviceManager.setMaintenance(req.params.id, {
+        deadline: req.body?.deadline,
+        reason: req.body?.reason
+      });
+      res.status(req.body?.wait ? 200 : 202).json({ 
+        success: true,
+        drain: req.body?.wait ? await serviceManager.waitForDrain(req.params.id) : drain
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        res.status(404).json({ error: error.message });
+      } else if (error.message.includes('Drain deadline')) {
+        res.status(400).json({ error: error.message });
+      } else {
+        next(error);
+      }
+    }
+  });
+
+  /**
+   * Put a drained or maintenance service back into rotation
+   */
+  router.post('/:id/resume', async (req, res, next) => {
+    try {
+      await serviceManager.resumeService(req.params.id);
+      res.json({ 
+        success: true,
+        message: 'Service resumed successfully' 
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        res.status(404).json({ error: error.message });
+      } else {
+        next(error);
+      }
+    }
+  });
+
   /**
    * Get service status
    */
@@ -68,7 +145,13 @@ export default (serviceManager) => {
         id: service.id,
         name: service.name,
         status: service.status,
+        mode: service.mode,
+        drain: service.drain,
         health: service.lastHealthCheck,
+        healthStatus: service.healthStatus,
+        healthHistory: serviceManager.getHealthHistory(service.id),
+        process: serviceManager.supervisors.get(service.id)?.getStatus() || null,
+        lease: serviceManager.registry.getLease(service.id),
         uptime: service.startedAt ? Date.now() - service.startedAt.getTime() : 0,
         metrics: service.metrics
       });
@@ -77,6 +160,68 @@ export default (serviceManager) => {
     }
   });
 
+  /**
+   * Renew a service's registry lease
+   */
+  router.put('/:id/heartbeat', async (req, res, next) => {
+    try {
+      const lease = await serviceManager.heartbeat(req.params.id, {
+        ttl: req.body?.ttl
+      });
+      res.json({ 
+        success: true,
+        lease
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        res.status(404).json({ error: error.message });
+      } else if (error.message.includes('Lease TTL')) {
+        res.status(400).json({ error: error.message });
+      } else {
+        next(error);
+      }
+    }
+  });
+
+  /**
+   * Get a service's SLO report with the remaining error budgets
+   */
+  router.get('/:id/slo', (req, res, next) => {
+    try {
+      res.json(serviceManager.getSloReport(req.params.id));
+    } catch (error) {
+      if (error.message.includes('not found') || error.message.includes('has no SLOs')) {
+        res.status(404).json({ error: error.message });
+      } else {
+        next(error);
+      }
+    }
+  });
+
+  /**
+   * Get captured stdout/stderr of a managed service
+   */
+  router.get('/:id/logs', (req, res, next) => {
+    try {
+      const logs = serviceManager.getServiceLogs(req.params.id, {
+        limit: parseInt(req.query.limit || '100', 10),
+        stream: req.query.stream
+      });
+      res.json({ 
+        logs,
+        total: logs.length
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        res.status(404).json({ error: error.message });
+      } else if (error.message.includes('not a managed process')) {
+        res.status(400).json({ error: error.message });
+      } else {
+        next(error);
+      }
+    }
+  });
+
   /**
    * Get all services
    */
@@ -89,6 +234,7 @@ export default (serviceManager) => {
           name: s.name,
           version: s.version,
           status: s.status,
+          mode: s.mode,
           health: s.lastHealthCheck?.status
         })),
         total: services.length
@@ -120,6 +266,96 @@ export default (serviceManager) => {
     }
   });
 
+  /**
+   * Get the instances of a service with their load balancing state
+   */
+  router.get('/instances/:name', (req, res, next) => {
+    try {
+      const instances = serviceManager.describeInstances(req.params.name);
+      res.json({ 
+        instances,
+        total: instances.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * List canary rollouts
+   */
+  router.get('/canaries', (req, res, next) => {
+    try {
+      const canaries = serviceManager.listCanaries();
+      res.json({ 
+        canaries,
+        total: canaries.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * Send a percentage of a service's calls to a version (body: { version, weight })
+   */
+  router.put('/canary/:name', async (req, res, next) => {
+    try {
+      const canary = await serviceManager.setCanary(req.params.name, req.body);
+      res.json({ 
+        success: true,
+        canary
+      });
+    } catch (error) {
+      if (error.message.includes('Invalid version range') || error.message.includes('Canary weight')) {
+        res.status(400).json({ error: error.message });
+      } else {
+        next(error);
+      }
+    }
+  });
+
+  /**
+   * End a canary rollout
+   */
+  router.delete('/canary/:name', async (req, res, next) => {
+    try {
+      await serviceManager.clearCanary(req.params.name);
+      res.json({ 
+        success: true,
+        message: 'Canary cleared' 
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        res.status(404).json({ error: error.message });
+      } else {
+        next(error);
+      }
+    }
+  });
+
+  /**
+   * Get the dependency graph (?format=json|dot|mermaid)
+   */
+  router.get('/graph', (req, res, next) => {
+    try {
+      const format = req.query.format || 'json';
+      const graph = serviceManager.getDependencyGraph(format);
+      
+      if (format === 'json') {
+        return res.json(graph);
+      }
+      
+      res.type(format === 'dot' ? 'text/vnd.graphviz' : 'text/plain').send(graph);
+    } catch (error) {
+      if (error.message.includes('Unsupported graph format')) {
+        res.status(400).json({ error: error.message });
+      } else {
+        next(error);
+      }
+    }
+  });
+
   /**
    * Deregister a service
    */
@@ -145,6 +381,64 @@ export default (serviceManager) => {
         services,
         total: services.length
       });
+    } catch (error) {
+      if (error.message.includes('Invalid version range')) {
+        res.status(400).json({ error: error.message });
+      } else {
+        next(error);
+      }
+    }
+  });
+
+  /**
+   * Export the registry
+   */
+  router.get('/registry/export', (req, res, next) => {
+    try {
+      res.json(serviceManager.registry.export());
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * Import a registry export (?strategy=merge|replace|skip-existing&dryRun=true)
+   */
+  router.post('/registry/import', async (req, res, next) => {
+    try {
+      const result = await serviceManager.importRegistry(req.body, {
+        strategy: req.query.strategy || 'merge',
+        dryRun: req.query.dryRun === 'true'
+      });
+      res.json(result);
+    } catch (error) {
+      if (error.message.includes('Import must contain') ||
+          error.message.includes('import strategy') ||
+          error.message.includes('Duplicate service') ||
+          error.message.includes('must have id and name')) {
+        res.status(400).json({ error: error.message });
+      } else {
+        next(error);
+      }
+    }
+  });
+
+  /**
+   * Get the registry audit trail (?serviceId=&actor=&action=&since=&limit=)
+   */
+  router.get('/registry/audit', async (req, res, next) => {
+    try {
+      const entries = await serviceManager.registry.getAudit({
+        serviceId: req.query.serviceId,
+        actor: req.query.actor,
+        action: req.query.action,
+        since: req.query.since,
+        limit: parseInt(req.query.limit || '100', 10)
+      });
+      res.json({ 
+        entries,
+        total: entries.length
+      });
     } catch (error) {
       next(error);
     }
@@ -41,10 +41,17 @@ class AnalyticsEngine extends EventEmitter {
    */
   setupEventHandlers() {
     // Subscribe to all events for analytics
-    this.eventBus.subscribe('*', this.handleEvent.bind(this));
+    this.eventBus.subscribe('#', this.handleEvent.bind(this), { dedupe: true });
     
     // Subscribe to specific metric events
-    this.eventBus.subscribe('metrics.*', this.handleMetricEvent.bind(this));
+    this.eventBus.subscribe('metrics.#', this.handleMetricEvent.bind(this));
+    
+    // Scheduled report runs
+    this.eventBus.subscribe('analytics.report.due', async (event) => {
+      if (this.reports.has(event.data.reportId)) {
+        await this.generateReport(event.data.reportId);
+      }
+    });
   }
 
   /**
@@ -813,7 +820,7 @@ class AnalyticsEngine extends EventEmitter {
     
     // Schedule if needed
     if (schedule) {
-      this.scheduleReport(reportId, schedule);
+      await this.scheduleReport(reportId, schedule);
     }
     
     this.logger.info(`Report created: ${name} (${reportId})`);
@@ -1161,9 +1168,18 @@ class AnalyticsEngine extends EventEmitter {
   /**
    * Schedule report generation
    */
-  scheduleReport(reportId, schedule) {
-    // This would integrate with a job scheduler
-    // For now, just log
+  async scheduleReport(reportId, schedule) {
+    if (!schedule.cron) {
+      this.logger.warn(`Report ${reportId} schedule needs a cron expression: ${JSON.stringify(schedule)}`);
+      return;
+    }
+    
+    const report = this.reports.get(reportId);
+    report.scheduleJobId = await this.eventBus.publish('analytics.report.due', { reportId }, {
+      cron: schedule.cron,
+      tz: schedule.tz
+    });
+    
     this.logger.info(`Report ${reportId} scheduled: ${JSON.stringify(schedule)}`);
   }
 
@@ -1182,6 +1198,13 @@ class AnalyticsEngine extends EventEmitter {
       clearInterval(this.cleanupInterval);
     }
     
+    // Reports live in memory, so their schedules must not outlive them
+    for (const report of this.reports.values()) {
+      if (report.scheduleJobId) {
+        await this.eventBus.scheduler.cancel(report.scheduleJobId);
+      }
+    }
+    
     // Final aggregation
     await this.aggregateMetrics();
     
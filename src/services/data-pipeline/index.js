@@ -2,6 +2,7 @@ import EventEmitter from 'eventemitter3';
 import { v4 as uuidv4 } from 'uuid';
 import pRetry from 'p-retry';
 import PQueue from 'p-queue';
+import PipelineScheduler from './scheduler.js';
 
 /**
  * Data Pipeline Service - Orchestrates data flows between storage systems
@@ -39,6 +40,23 @@ class DataPipelineService extends EventEmitter {
     this.dlq = [];
     this.maxDLQSize = config.maxDLQSize || 10000;
     
+    // Executions in progress on this node
+    this.running = new Map(); // executionId -> { pipelineId, controller }
+    
+    // Cron and interval runs; with Redis each run fires on one node
+    this.scheduler = new PipelineScheduler({
+      logger,
+      redis: eventBus.publisher || null,
+      file: config.scheduleFile || null,
+      pollInterval: config.schedulerInterval || 1000,
+      misfireThreshold: config.misfireThreshold,
+      execute: (pipelineId, options) => this.executePipeline(pipelineId, options),
+      cancel: (pipelineId, executionId) => this.eventBus.publish('pipeline.control.cancel', { pipelineId, executionId })
+    });
+    this.scheduler.on('skipped', data => this.emit('pipeline:skipped', data));
+    this.scheduler.on('missed', data => this.emit('pipeline:missed', data));
+    this.scheduler.start();
+    
     this.setupEventHandlers();
   }
 
@@ -47,10 +65,10 @@ class DataPipelineService extends EventEmitter {
    */
   setupEventHandlers() {
     // Subscribe to data events
-    this.eventBus.subscribe('data.*', this.handleDataEvent.bind(this));
+    this.eventBus.subscribe('data.#', this.handleDataEvent.bind(this));
     
     // Subscribe to pipeline control events
-    this.eventBus.subscribe('pipeline.control.*', this.handleControlEvent.bind(this));
+    this.eventBus.subscribe('pipeline.control.#', this.handleControlEvent.bind(this));
   }
 
   /**
@@ -93,6 +111,22 @@ class DataPipelineService extends EventEmitter {
       throw new Error(`Destination adapter ${pipeline.destination.type} not found`);
     }
     
+    // Validate the schedule before anything is stored
+    if (pipeline.schedule) {
+      this.scheduler.normalize(pipeline.schedule);
+    }
+    
+    // Stage the event durably; definitions (and their connection settings) stay on this node
+    if (this.eventBus.outbox) {
+      await this.eventBus.outbox.commit({
+        events: [{
+          topic: 'pipeline.registered',
+          data: { pipelineId, name: pipeline.name, source: pipeline.source.type, destination: pipeline.destination.type },
+          options: { source: 'data-pipeline' }
+        }]
+      });
+    }
+    
     // Create dedicated queue if needed
     if (pipelineConfig.dedicatedQueue) {
       this.queues.set(pipelineId, new PQueue({
@@ -106,7 +140,7 @@ class DataPipelineService extends EventEmitter {
     
     // Schedule if needed
     if (pipeline.schedule) {
-      this.schedulePipeline(pipelineId, pipeline.schedule);
+      await this.schedulePipeline(pipelineId, pipeline.schedule);
     }
     
     this.logger.info(`Pipeline registered: ${pipeline.name} (${pipelineId})`);
@@ -147,6 +181,10 @@ class DataPipelineService extends EventEmitter {
    * Execute a pipeline
    * @param {string} pipelineId - Pipeline ID
    * @param {Object} options - Execution options
+   * @param {boolean} options.force - Run a disabled pipeline
+   * @param {string} options.executionId - Execution ID to use
+   * @param {AbortSignal} options.signal - Cancels the execution before its next batch
+   * @param {Date} options.scheduledFor - Scheduled time of a scheduled run
    */
   async executePipeline(pipelineId, options = {}) {
     const pipeline = this.pipelines.get(pipelineId);
@@ -158,11 +196,15 @@ class DataPipelineService extends EventEmitter {
       throw new Error(`Pipeline ${pipeline.name} is disabled`);
     }
     
-    const executionId = uuidv4();
+    const executionId = options.executionId || uuidv4();
     const startTime = Date.now();
     
+    const controller = new AbortController();
+    options.signal?.addEventListener('abort', () => controller.abort());
+    this.running.set(executionId, { pipelineId, controller });
+    
     this.logger.info(`Executing pipeline: ${pipeline.name} (${executionId})`);
-    this.emit('pipeline:started', { pipelineId, executionId });
+    this.emit('pipeline:started', { pipelineId, executionId, scheduledFor: options.scheduledFor || null });
     
     try {
       // Get source adapter
@@ -176,6 +218,10 @@ class DataPipelineService extends EventEmitter {
       let hasMore = true;
       
       while (hasMore) {
+        if (controller.signal.aborted || options.signal?.aborted) {
+          throw new Error(`Pipeline execution ${executionId} cancelled`);
+        }
+        
         // Fetch batch
         const items = await cursor.next(pipeline.batchSize);
         hasMore = items.length === pipeline.batchSize;
@@ -233,6 +279,12 @@ class DataPipelineService extends EventEmitter {
       return { executionId, processed: totalProcessed, duration };
       
     } catch (error) {
+      if (controller.signal.aborted) {
+        this.logger.warn(`Pipeline cancelled: ${pipeline.name}`, { executionId });
+        this.emit('pipeline:cancelled', { pipelineId, executionId });
+        throw error;
+      }
+      
       pipeline.stats.failures++;
       
       this.logger.error(`Pipeline failed: ${pipeline.name}`, error);
@@ -243,9 +295,24 @@ class DataPipelineService extends EventEmitter {
       });
       
       throw error;
+    } finally {
+      this.running.delete(executionId);
     }
   }
 
+  /**
+   * Cancel an execution running on this node (it stops before its next batch)
+   * @param {string} executionId - Execution ID
+   * @returns {boolean} Whether the execution runs here
+   */
+  cancelExecution(executionId) {
+    const execution = this.running.get(executionId);
+    if (!execution) return false;
+    
+    execution.controller.abort();
+    return true;
+  }
+
   /**
    * Process a batch of items
    * @param {Array} items - Items to process
@@ -396,6 +463,9 @@ class DataPipelineService extends EventEmitter {
       case 'flush':
         await this.flushPipeline(data.pipelineId);
         break;
+      case 'cancel':
+        this.cancelExecution(data.executionId);
+        break;
       default:
         this.logger.warn(`Unknown control action: ${action}`);
     }
@@ -405,24 +475,44 @@ class DataPipelineService extends EventEmitter {
    * Schedule a pipeline
    * @param {string} pipelineId - Pipeline ID
    * @param {Object} schedule - Schedule configuration
+   * @param {string} schedule.cron - Cron expression (5 or 6 fields)
+   * @param {string} schedule.tz - IANA time zone of the cron expression
+   * @param {number} schedule.interval - Milliseconds between runs, instead of `cron`
+   * @param {string} schedule.overlap - `skip` (default), `queue` or `cancel-previous`
+   * @param {string} schedule.catchUp - Missed runs: `none`, `latest` (default) or `all`
+   * @param {number} schedule.maxCatchUp - Most missed runs caught up with `all` (default 10)
+   * @param {number} schedule.jitter - Random delay of each run, up to this many ms
+   * @param {Object} options - `{ skipMissed }`
+   * @returns {Object} Schedule with its next run
    */
-  schedulePipeline(pipelineId, schedule) {
-    // This would integrate with a job scheduler like node-cron
-    // For now, we'll use a simple interval
-    if (schedule.interval) {
-      const intervalId = setInterval(
-        () => this.executePipeline(pipelineId).catch(err => 
-          this.logger.error(`Scheduled pipeline execution failed: ${pipelineId}`, err)
-        ),
-        schedule.interval
-      );
-      
-      // Store interval ID for cleanup
-      const pipeline = this.pipelines.get(pipelineId);
-      if (pipeline) {
-        pipeline.intervalId = intervalId;
-      }
+  async schedulePipeline(pipelineId, schedule, options = {}) {
+    const pipeline = this.pipelines.get(pipelineId);
+    if (!pipeline) {
+      throw new Error(`Pipeline ${pipelineId} not found`);
+    }
+    
+    const scheduled = await this.scheduler.schedule(pipelineId, schedule, options);
+    pipeline.schedule = schedule;
+    
+    return scheduled;
+  }
+
+  /**
+   * Remove a pipeline's schedule
+   * @param {string} scheduleId - Schedule ID (or pipeline ID)
+   */
+  async cancelSchedule(scheduleId) {
+    const pipeline = Array.from(this.pipelines.values()).find(p =>
+      p.id === scheduleId || this.scheduler.describe(p.id)?.scheduleId === scheduleId
+    );
+    if (!pipeline || !this.scheduler.describe(pipeline.id)) {
+      throw new Error(`Schedule ${scheduleId} not found`);
     }
+    
+    await this.scheduler.unschedule(pipeline.id);
+    pipeline.schedule = undefined;
+    
+    this.logger.info(`Pipeline schedule removed: ${pipeline.name}`);
   }
 
   /**
@@ -437,11 +527,8 @@ class DataPipelineService extends EventEmitter {
     
     pipeline.enabled = false;
     
-    // Clear schedule if exists
-    if (pipeline.intervalId) {
-      clearInterval(pipeline.intervalId);
-      delete pipeline.intervalId;
-    }
+    // Stop firing here; the stored schedule stays for other nodes and restarts
+    this.scheduler.deactivate(pipelineId);
     
     // Pause queue if dedicated
     const queue = this.queues.get(pipelineId);
@@ -465,9 +552,9 @@ class DataPipelineService extends EventEmitter {
     
     pipeline.enabled = true;
     
-    // Reschedule if needed
-    if (pipeline.schedule && !pipeline.intervalId) {
-      this.schedulePipeline(pipelineId, pipeline.schedule);
+    // Reschedule if needed; runs due while paused are not caught up
+    if (pipeline.schedule) {
+      await this.schedulePipeline(pipelineId, pipeline.schedule, { skipMissed: true });
     }
     
     // Resume queue if dedicated
@@ -544,6 +631,8 @@ class DataPipelineService extends EventEmitter {
       name: pipeline.name,
       enabled: pipeline.enabled,
       lastRun: pipeline.lastRun,
+      nextRun: this.scheduler.describe(pipelineId)?.nextRun || null,
+      schedule: this.scheduler.describe(pipelineId),
       stats: pipeline.stats,
       queue: {
         size: queue.size,
@@ -564,6 +653,7 @@ class DataPipelineService extends EventEmitter {
       destination: p.destination.type,
       enabled: p.enabled,
       lastRun: p.lastRun,
+      nextRun: this.scheduler.describe(p.id)?.nextRun || null,
       stats: p.stats
     }));
   }
@@ -600,6 +690,7 @@ class DataPipelineService extends EventEmitter {
     
     // Pause first
     await this.pausePipeline(pipelineId);
+    await this.scheduler.unschedule(pipelineId);
     
     // Remove dedicated queue
     const queue = this.queues.get(pipelineId);
@@ -621,7 +712,8 @@ class DataPipelineService extends EventEmitter {
   async shutdown() {
     this.logger.info('Shutting down data pipeline service...');
     
-    // Pause all pipelines
+    // Pause all pipelines (their schedules stay stored for the next start)
+    this.scheduler.stop();
     for (const pipelineId of this.pipelines.keys()) {
       await this.pausePipeline(pipelineId);
     }
@@ -0,0 +1,663 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import EventEmitter from 'eventemitter3';
+import cronParser from 'cron-parser';
+import { v4 as uuidv4 } from 'uuid';
+
+// What a due run does while the previous run of its pipeline is still going
+export const OVERLAP_POLICIES = ['skip', 'queue', 'cancel-previous'];
+
+// Runs missed while no node was running the schedule: `none` drops them,
+// `latest` runs once for the most recent, `all` runs each (up to `maxCatchUp`)
+export const CATCH_UP_POLICIES = ['none', 'latest', 'all'];
+
+// Due times walked through at most when catching up
+const MAX_DUE_TIMES = 1000;
+
+/**
+ * Pipeline Scheduler - Cron and interval runs of data pipelines
+ *
+ * Each schedule keeps the time of its next run, computed from the previous
+ * scheduled time rather than from when the run fired, so runs do not drift.
+ * With Redis, schedules live in a hash and each upcoming run is a member of a
+ * sorted set (`<pipelineId>@<time>`, scored by its due time including
+ * jitter); the node that removes the member fires the run, and a lock and a
+ * queue per pipeline apply the overlap policy across nodes. Without Redis,
+ * schedules are kept in memory and optionally written to a JSON file, so the
+ * runs missed while the backend was down can be caught up after a restart.
+ */
+class PipelineScheduler extends EventEmitter {
+  constructor({
+    logger,
+    redis = null,
+    file = null,
+    pollInterval = 1000,
+    lockTTL = 30000,
+    misfireThreshold = 60000,
+    execute,
+    cancel = null
+  }) {
+    super();
+    this.logger = logger;
+    this.redis = redis;
+    this.file = file;
+    this.pollInterval = pollInterval;
+    this.lockTTL = lockTTL;
+    this.misfireThreshold = misfireThreshold;
+    this.execute = execute; // (pipelineId, { executionId, signal, scheduledFor }) => Promise
+    this.cancel = cancel; // (pipelineId, executionId) => Promise, cancels a run on another node
+    this.jobsKey = 'pipeline:schedules';
+    this.indexKey = 'pipeline:schedules:due';
+    this.lockPrefix = 'pipeline:schedules:running:';
+    this.queuePrefix = 'pipeline:schedules:queued:';
+    this.statsPrefix = 'pipeline:schedules:stats:';
+
+    this.jobs = new Map(); // pipelineId -> schedule (all of them locally, a cache of active ones with Redis)
+    this.stats = new Map(); // pipelineId -> run counters (a cache with Redis)
+    this.active = new Set(); // pipelines this node fires
+    this.running = new Map(); // pipelineId -> { executionId, controller } of runs on this node
+    this.locks = new Map(); // local mode: pipelineId -> executionId
+    this.queues = new Map(); // local mode: pipelineId -> queued scheduled times
+    this.timer = null;
+    this.polling = false;
+    this.saving = Promise.resolve();
+
+    this.ready = this.load().catch(err => {
+      this.logger.error('Failed to load pipeline schedules:', err);
+    });
+  }
+
+  /**
+   * Load schedules from the local file
+   */
+  async load() {
+    if (this.redis || !this.file) return;
+
+    try {
+      const jobs = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      for (const { stats, ...job } of jobs) {
+        this.jobs.set(job.pipelineId, job);
+        this.stats.set(job.pipelineId, stats);
+      }
+      this.logger.info(`Loaded ${jobs.length} pipeline schedules`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  /**
+   * Write schedules to the local file, one write at a time
+   */
+  save() {
+    if (this.redis || !this.file) return Promise.resolve();
+
+    this.saving = this.saving.catch(() => {}).then(() => this.write());
+    return this.saving;
+  }
+
+  async write() {
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(Array.from(this.jobs.values()).map(job => ({
+      ...job,
+      stats: this.stats.get(job.pipelineId)
+    }))));
+    await fs.rename(tmp, this.file);
+  }
+
+  /**
+   * Start polling for due runs
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.poll().catch(err => this.logger.error('Pipeline scheduler poll failed:', err));
+    }, this.pollInterval);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Stop polling; schedules stay stored for the next start
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Validate a schedule
+   * @param {Object} schedule - Schedule configuration
+   * @returns {Object} Schedule with defaults filled in
+   */
+  normalize(schedule = {}) {
+    const {
+      cron,
+      tz,
+      interval,
+      overlap = 'skip',
+      catchUp = 'latest',
+      maxCatchUp = 10,
+      jitter = 0
+    } = schedule;
+
+    if (!cron === (interval === undefined)) {
+      throw new Error('Schedule requires either a cron expression or an interval');
+    }
+    if (interval !== undefined && !(typeof interval === 'number' && interval > 0)) {
+      throw new Error('Schedule interval must be a positive number of milliseconds');
+    }
+    if (tz) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: tz });
+      } catch (error) {
+        throw new Error(`Invalid time zone: ${tz}`);
+      }
+    }
+    if (cron) {
+      try {
+        cronParser.parseExpression(cron, { tz });
+      } catch (error) {
+        throw new Error(`Invalid cron expression: ${cron}`);
+      }
+    }
+    if (!OVERLAP_POLICIES.includes(overlap)) {
+      throw new Error(`Unknown overlap policy: ${overlap}`);
+    }
+    if (!CATCH_UP_POLICIES.includes(catchUp)) {
+      throw new Error(`Unknown catch-up policy: ${catchUp}`);
+    }
+    if (!(typeof jitter === 'number' && jitter >= 0)) {
+      throw new Error('Schedule jitter must be a non-negative number of milliseconds');
+    }
+
+    return { cron: cron || null, tz: tz || null, interval: interval ?? null, overlap, catchUp, maxCatchUp, jitter };
+  }
+
+  /**
+   * Compute the scheduled time after another
+   * @param {Object} job - Schedule
+   * @param {number} from - Previous scheduled time in ms
+   * @returns {number} Next scheduled time in ms
+   */
+  nextTime(job, from) {
+    if (job.cron) {
+      return cronParser.parseExpression(job.cron, { currentDate: new Date(from), tz: job.tz || undefined })
+        .next()
+        .getTime();
+    }
+    return from + job.interval;
+  }
+
+  /**
+   * Due time of a scheduled time, spread by the schedule's jitter
+   * @param {Object} job - Schedule
+   * @param {number} scheduledFor - Scheduled time in ms
+   * @returns {number} Due time in ms
+   */
+  dueTime(job, scheduledFor) {
+    return scheduledFor + Math.floor(Math.random() * job.jitter);
+  }
+
+  /**
+   * Schedule a pipeline, or change its schedule
+   *
+   * A stored schedule with the same timing keeps its next run, so runs due
+   * while no node had the pipeline scheduled are caught up on the next poll.
+   * @param {string} pipelineId - Pipeline ID
+   * @param {Object} schedule - `{ cron, tz }` or `{ interval }`, plus `overlap`, `catchUp`, `maxCatchUp` and `jitter`
+   * @param {Object} options - Options
+   * @param {boolean} options.skipMissed - Start from the next future time (e.g. when resuming)
+   * @returns {Object} Schedule
+   */
+  async schedule(pipelineId, schedule, { skipMissed = false } = {}) {
+    const settings = this.normalize(schedule);
+    await this.ready;
+
+    const stored = await this.getJob(pipelineId);
+    const sameTiming = stored &&
+      stored.cron === settings.cron && stored.tz === settings.tz && stored.interval === settings.interval;
+
+    const now = Date.now();
+    const job = {
+      id: stored?.id || uuidv4(),
+      pipelineId,
+      ...settings,
+      scheduledFor: null,
+      dueAt: null,
+      createdAt: stored?.createdAt || new Date(now).toISOString()
+    };
+
+    if (sameTiming && !skipMissed) {
+      job.scheduledFor = stored.scheduledFor;
+      job.dueAt = stored.dueAt;
+    } else {
+      job.scheduledFor = this.nextTime(job, now);
+      job.dueAt = this.dueTime(job, job.scheduledFor);
+    }
+
+    await this.store(job, stored);
+    await this.loadStats(pipelineId);
+    this.active.add(pipelineId);
+
+    this.logger.debug(`Pipeline scheduled: ${pipelineId}`, { nextRun: new Date(job.scheduledFor).toISOString() });
+    return this.describe(job);
+  }
+
+  /**
+   * Stop firing a pipeline on this node, keeping its stored schedule
+   * @param {string} pipelineId - Pipeline ID
+   */
+  deactivate(pipelineId) {
+    this.active.delete(pipelineId);
+  }
+
+  /**
+   * Remove a pipeline's schedule
+   * @param {string} pipelineId - Pipeline ID
+   * @returns {boolean} Whether a schedule existed
+   */
+  async unschedule(pipelineId) {
+    await this.ready;
+    this.active.delete(pipelineId);
+
+    const job = await this.getJob(pipelineId);
+    if (!job) return false;
+
+    if (this.redis) {
+      await this.redis.multi()
+        .zrem(this.indexKey, this.member(job))
+        .hdel(this.jobsKey, pipelineId)
+        .del(`${this.queuePrefix}${pipelineId}`)
+        .del(`${this.statsPrefix}${pipelineId}`)
+        .exec();
+    } else {
+      this.queues.delete(pipelineId);
+    }
+
+    this.jobs.delete(pipelineId);
+    this.stats.delete(pipelineId);
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Sorted set member of a schedule's upcoming run
+   * @param {Object} job - Schedule
+   * @returns {string} Member
+   */
+  member(job) {
+    return `${job.pipelineId}@${job.scheduledFor}`;
+  }
+
+  /**
+   * Persist a schedule
+   * @param {Object} job - Schedule
+   * @param {Object} previous - Stored schedule it replaces
+   */
+  async store(job, previous = null) {
+    this.jobs.set(job.pipelineId, job);
+
+    if (this.redis) {
+      const multi = this.redis.multi();
+      if (previous && previous.scheduledFor !== job.scheduledFor) {
+        multi.zrem(this.indexKey, this.member(previous));
+      }
+      await multi
+        .hset(this.jobsKey, job.pipelineId, JSON.stringify(job))
+        .zadd(this.indexKey, job.dueAt, this.member(job))
+        .exec();
+      return;
+    }
+
+    await this.save();
+  }
+
+  /**
+   * Get a stored schedule
+   * @param {string} pipelineId - Pipeline ID
+   * @returns {Object|null} Schedule
+   */
+  async getJob(pipelineId) {
+    if (this.redis) {
+      const raw = await this.redis.hget(this.jobsKey, pipelineId);
+      return raw ? JSON.parse(raw) : null;
+    }
+
+    return this.jobs.get(pipelineId) || null;
+  }
+
+  /**
+   * Count an outcome of a schedule's runs
+   * @param {string} pipelineId - Pipeline ID
+   * @param {string} counter - `runs`, `skipped` or `missed`
+   * @param {number} by - Increment
+   * @param {Object} values - Other fields to set (e.g. `lastRunAt`)
+   */
+  async count(pipelineId, counter, by = 1, values = {}) {
+    const stats = this.stats.get(pipelineId) || { runs: 0, skipped: 0, missed: 0 };
+    stats[counter] = (stats[counter] || 0) + by;
+    Object.assign(stats, values);
+    this.stats.set(pipelineId, stats);
+
+    if (this.redis) {
+      // Counters are updated by whichever node runs, separately from the schedule
+      const key = `${this.statsPrefix}${pipelineId}`;
+      const multi = this.redis.multi().hincrby(key, counter, by);
+      for (const [field, value] of Object.entries(values)) {
+        multi.hset(key, field, String(value));
+      }
+      await multi.exec();
+      return;
+    }
+
+    await this.save();
+  }
+
+  /**
+   * Refresh the cached run counters of a schedule
+   * @param {string} pipelineId - Pipeline ID
+   */
+  async loadStats(pipelineId) {
+    if (!this.redis) return;
+
+    const raw = await this.redis.hgetall(`${this.statsPrefix}${pipelineId}`);
+    this.stats.set(pipelineId, {
+      runs: Number(raw.runs || 0),
+      skipped: Number(raw.skipped || 0),
+      missed: Number(raw.missed || 0),
+      lastScheduledFor: raw.lastScheduledFor ? Number(raw.lastScheduledFor) : null,
+      lastRunAt: raw.lastRunAt || null
+    });
+  }
+
+  /**
+   * Fire due runs of the pipelines this node has scheduled
+   */
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      await this.ready;
+      const now = Date.now();
+
+      if (this.redis) {
+        // Keep the locks of runs on this node and the cached schedules fresh
+        for (const pipelineId of this.running.keys()) {
+          await this.redis.pexpire(`${this.lockPrefix}${pipelineId}`, this.lockTTL);
+        }
+        const ids = Array.from(this.active);
+        if (ids.length > 0) {
+          const raw = await this.redis.hmget(this.jobsKey, ...ids);
+          raw.forEach((item, i) => item && this.jobs.set(ids[i], JSON.parse(item)));
+          for (const pipelineId of ids) {
+            await this.loadStats(pipelineId);
+          }
+        }
+
+        const members = await this.redis.zrangebyscore(this.indexKey, '-inf', now, 'LIMIT', 0, 100);
+        for (const member of members) {
+          const at = member.lastIndexOf('@');
+          const pipelineId = member.slice(0, at);
+          if (!this.active.has(pipelineId)) continue;
+
+          // Only the node that removes the member fires the run
+          if (await this.redis.zrem(this.indexKey, member) !== 1) continue;
+
+          const job = await this.getJob(pipelineId);
+          if (job && job.scheduledFor === Number(member.slice(at + 1))) {
+            await this.fire(job, now);
+          }
+        }
+        return;
+      }
+
+      for (const job of Array.from(this.jobs.values())) {
+        if (this.active.has(job.pipelineId) && job.dueAt <= now) {
+          await this.fire(job, now);
+        }
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Run a due schedule, catching up missed runs, and arm its next run
+   * @param {Object} job - Schedule
+   * @param {number} now - Current time in ms
+   */
+  async fire(job, now) {
+    const previous = { ...job };
+
+    // Every scheduled time that has passed
+    const due = [];
+    let next = job.scheduledFor;
+    while (next <= now && due.length < MAX_DUE_TIMES) {
+      due.push(next);
+      next = this.nextTime(job, next);
+    }
+    if (next <= now) {
+      next = this.nextTime(job, now);
+    }
+
+    let runs;
+    if (job.catchUp === 'all') {
+      runs = due.slice(-job.maxCatchUp);
+    } else if (job.catchUp === 'none') {
+      runs = due.slice(-1).filter(time => now - time <= this.misfireThreshold + job.jitter);
+    } else {
+      runs = due.slice(-1);
+    }
+
+    // Arm the next run before this one starts, so a crash loses at most this run
+    job.scheduledFor = next;
+    job.dueAt = this.dueTime(job, next);
+    await this.store(job, previous);
+
+    const missed = due.length - runs.length;
+    if (missed > 0) {
+      await this.count(job.pipelineId, 'missed', missed);
+      this.logger.warn(`Pipeline ${job.pipelineId} missed ${missed} scheduled runs`);
+      this.emit('missed', { pipelineId: job.pipelineId, count: missed, catchUp: job.catchUp });
+    }
+
+    for (const scheduledFor of runs) {
+      // Caught-up runs go one after another whatever the overlap policy
+      await this.trigger(job, scheduledFor, runs.length > 1 ? 'queue' : job.overlap);
+    }
+  }
+
+  /**
+   * Start a run, or apply the overlap policy if one is in progress
+   * @param {Object} job - Schedule
+   * @param {number} scheduledFor - Scheduled time in ms
+   * @param {string} overlap - Overlap policy
+   */
+  async trigger(job, scheduledFor, overlap) {
+    const executionId = uuidv4();
+    if (await this.acquire(job.pipelineId, executionId)) {
+      this.launch(job.pipelineId, scheduledFor, executionId);
+      return;
+    }
+
+    if (overlap === 'skip') {
+      await this.count(job.pipelineId, 'skipped');
+      this.logger.warn(`Skipped run of pipeline ${job.pipelineId}: previous run still in progress`);
+      this.emit('skipped', { pipelineId: job.pipelineId, scheduledFor: new Date(scheduledFor) });
+      return;
+    }
+
+    if (overlap === 'cancel-previous') {
+      await this.cancelRunning(job.pipelineId);
+    }
+    await this.enqueue(job.pipelineId, scheduledFor);
+  }
+
+  /**
+   * Execute a run this node holds the lock for
+   * @param {string} pipelineId - Pipeline ID
+   * @param {number} scheduledFor - Scheduled time in ms
+   * @param {string} executionId - Execution ID
+   */
+  launch(pipelineId, scheduledFor, executionId) {
+    const controller = new AbortController();
+    this.running.set(pipelineId, { executionId, controller });
+
+    this.count(pipelineId, 'runs', 1, { lastScheduledFor: scheduledFor, lastRunAt: new Date().toISOString() })
+      .then(() => this.execute(pipelineId, { executionId, signal: controller.signal, scheduledFor: new Date(scheduledFor) }))
+      .catch(err => this.logger.error(`Scheduled pipeline execution failed: ${pipelineId}`, err))
+      .finally(async () => {
+        this.running.delete(pipelineId);
+        try {
+          await this.release(pipelineId, executionId);
+          await this.drain(pipelineId);
+        } catch (error) {
+          this.logger.error(`Failed to release pipeline ${pipelineId} after its run:`, error);
+        }
+      });
+  }
+
+  /**
+   * Start the next queued run, if any
+   * @param {string} pipelineId - Pipeline ID
+   */
+  async drain(pipelineId) {
+    if (!this.active.has(pipelineId)) return;
+
+    const executionId = uuidv4();
+    if (!(await this.acquire(pipelineId, executionId))) return;
+
+    const scheduledFor = await this.dequeue(pipelineId);
+    if (scheduledFor === null) {
+      await this.release(pipelineId, executionId);
+      return;
+    }
+
+    this.launch(pipelineId, scheduledFor, executionId);
+  }
+
+  /**
+   * Cancel the run in progress, here or on another node
+   * @param {string} pipelineId - Pipeline ID
+   */
+  async cancelRunning(pipelineId) {
+    const local = this.running.get(pipelineId);
+    if (local) {
+      local.controller.abort();
+      return;
+    }
+
+    if (this.redis && this.cancel) {
+      const executionId = await this.redis.get(`${this.lockPrefix}${pipelineId}`);
+      if (executionId) {
+        await this.cancel(pipelineId, executionId);
+      }
+    }
+  }
+
+  /**
+   * Take the run lock of a pipeline
+   * @param {string} pipelineId - Pipeline ID
+   * @param {string} executionId - Execution ID
+   * @returns {boolean} Whether the lock was free
+   */
+  async acquire(pipelineId, executionId) {
+    if (this.redis) {
+      return await this.redis.set(`${this.lockPrefix}${pipelineId}`, executionId, 'PX', this.lockTTL, 'NX') === 'OK';
+    }
+
+    if (this.locks.has(pipelineId)) return false;
+    this.locks.set(pipelineId, executionId);
+    return true;
+  }
+
+  /**
+   * Release the run lock of a pipeline if it is still held by an execution
+   * @param {string} pipelineId - Pipeline ID
+   * @param {string} executionId - Execution ID
+   */
+  async release(pipelineId, executionId) {
+    if (this.redis) {
+      const key = `${this.lockPrefix}${pipelineId}`;
+      if (await this.redis.get(key) === executionId) {
+        await this.redis.del(key);
+      }
+      return;
+    }
+
+    if (this.locks.get(pipelineId) === executionId) {
+      this.locks.delete(pipelineId);
+    }
+  }
+
+  /**
+   * Queue a run behind the one in progress
+   * @param {string} pipelineId - Pipeline ID
+   * @param {number} scheduledFor - Scheduled time in ms
+   */
+  async enqueue(pipelineId, scheduledFor) {
+    if (this.redis) {
+      await this.redis.rpush(`${this.queuePrefix}${pipelineId}`, String(scheduledFor));
+    } else {
+      const queue = this.queues.get(pipelineId) || [];
+      queue.push(scheduledFor);
+      this.queues.set(pipelineId, queue);
+    }
+
+    // The run in progress may have finished in the meantime
+    if (!this.running.has(pipelineId)) {
+      await this.drain(pipelineId);
+    }
+  }
+
+  /**
+   * Take the oldest queued run
+   * @param {string} pipelineId - Pipeline ID
+   * @returns {number|null} Scheduled time in ms
+   */
+  async dequeue(pipelineId) {
+    if (this.redis) {
+      const item = await this.redis.lpop(`${this.queuePrefix}${pipelineId}`);
+      return item === null ? null : Number(item);
+    }
+
+    const queue = this.queues.get(pipelineId);
+    return queue?.length > 0 ? queue.shift() : null;
+  }
+
+  /**
+   * Public view of a pipeline's schedule
+   * @param {Object|string} jobOrId - Schedule or pipeline ID
+   * @returns {Object|null} Schedule
+   */
+  describe(jobOrId) {
+    const job = typeof jobOrId === 'string' ? this.jobs.get(jobOrId) : jobOrId;
+    if (!job) return null;
+
+    const stats = this.stats.get(job.pipelineId) || {};
+
+    return {
+      scheduleId: job.id,
+      pipelineId: job.pipelineId,
+      cron: job.cron,
+      tz: job.tz,
+      interval: job.interval,
+      overlap: job.overlap,
+      catchUp: job.catchUp,
+      jitter: job.jitter,
+      active: this.active.has(job.pipelineId),
+      nextRun: new Date(job.scheduledFor).toISOString(),
+      dueAt: new Date(job.dueAt).toISOString(),
+      lastScheduledFor: stats.lastScheduledFor ? new Date(stats.lastScheduledFor).toISOString() : null,
+      lastRunAt: stats.lastRunAt || null,
+      running: this.running.get(job.pipelineId)?.executionId || null,
+      runs: stats.runs || 0,
+      skipped: stats.skipped || 0,
+      missed: stats.missed || 0
+    };
+  }
+}
+
+export default PipelineScheduler;
@@ -1,5 +1,6 @@
 import { EventEmitter } from 'eventemitter3';
 import { v4 as uuidv4 } from 'uuid';
+import semver from 'semver';
 
 /**
  * Integration Agent Adapter - Bridges AutoWeave IntegrationAgent with Backend services
@@ -27,7 +28,7 @@ class IntegrationAgentAdapter extends EventEmitter {
     this.eventBus.subscribe('integration.module.discovered', this.handleModuleDiscovery.bind(this));
     
     // Listen for integration requests
-    this.eventBus.subscribe('integration.request.*', this.handleIntegrationRequest.bind(this));
+    this.eventBus.subscribe('integration.request.#', this.handleIntegrationRequest.bind(this));
     
     // Listen for OpenAPI spec updates
     this.eventBus.subscribe('integration.openapi.updated', this.handleOpenAPIUpdate.bind(this));
@@ -212,16 +213,17 @@ class IntegrationAgentAdapter extends EventEmitter {
   async registerIntegrationService(integration) {
     const serviceConfig = {
       name: `integration-${integration.name}`,
-      version: integration.spec?.info?.version || '1.0.0',
+      // API versions are free-form (`1.0`, `v2`); services need semver
+      version: semver.coerce(integration.spec?.info?.version)?.version || '1.0.0',
       endpoints: integration.endpoints.map(ep => ({
         method: ep.method,
         path: ep.path,
         handler: this.createEndpointHandler(integration, ep)
       })),
       healthCheck: {
+        type: 'custom',
         interval: 30000,
-        endpoint: '/health',
-        handler: () => this.checkIntegrationHealth(integration)
+        check: () => this.checkIntegrationHealth(integration)
       },
       metadata: {
         integrationId: integration.id,
@@ -273,7 +275,7 @@ class IntegrationAgentAdapter extends EventEmitter {
     };
     
     // Subscribe to integration events for monitoring
-    this.eventBus.subscribe(`integration.${integration.id}.*`, (event) => {
+    this.eventBus.subscribe(`integration.${integration.id}.#`, (event) => {
       this.updateIntegrationMetrics(integration, event);
     });
     
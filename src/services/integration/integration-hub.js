@@ -2,7 +2,9 @@ import { EventEmitter } from 'eventemitter3';
 import { v4 as uuidv4 } from 'uuid';
 import net from 'net';
 import fetch from 'node-fetch';
+import { createHmac } from 'crypto';
 import IntegrationAgentAdapter from './integration-agent-adapter.js';
+import { toCloudEvent, toHttp } from '../../core/event-bus/cloudevents.js';
 
 /**
  * Integration Hub - Central hub for managing all integrations
@@ -297,7 +299,7 @@ class IntegrationHub extends EventEmitter {
     });
     
     // Listen for integration events
-    this.eventBus.subscribe('integration.*', this.handleIntegrationEvent.bind(this));
+    this.eventBus.subscribe('integration.#', this.handleIntegrationEvent.bind(this));
   }
 
   /**
@@ -457,6 +459,17 @@ class IntegrationHub extends EventEmitter {
       throw error;
     }
     
+    // Stage the event durably; the integration itself only lives on this node
+    if (this.eventBus.outbox) {
+      await this.eventBus.outbox.commit({
+        events: [{
+          topic: 'integration.registered',
+          data: { integrationId, name, type },
+          options: { source: 'integration-hub' }
+        }]
+      });
+    }
+    
     // Store in registry
     this.registry.set(integrationId, integration);
     
@@ -569,14 +582,16 @@ class IntegrationHub extends EventEmitter {
    * Register webhook integration
    */
   async registerWebhook(integration) {
-    const { url, events, secret, headers } = integration.config;
+    const { url, events, secret, headers, format, mode } = integration.config;
     
     const webhook = {
       id: integration.id,
       url,
-      events: events || ['*'],
+      events: events || ['#'],
       secret,
       headers: headers || {},
+      format: format || 'native', // native | cloudevents
+      mode: mode || 'structured', // CloudEvents HTTP mode: structured | binary
       active: true,
       deliveries: []
     };
@@ -1251,7 +1266,49 @@ class IntegrationHub extends EventEmitter {
   }
 
   async deliverWebhook(webhook, eventData) {
-    // Deliver webhook
+    if (!webhook.active) return;
+    
+    let message;
+    if (webhook.format === 'cloudevents') {
+      message = toHttp(toCloudEvent(eventData), webhook.mode);
+    } else {
+      message = {
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(eventData)
+      };
+    }
+    
+    const headers = { ...message.headers, ...webhook.headers };
+    if (webhook.secret && message.body !== undefined) {
+      const signature = createHmac('sha256', webhook.secret).update(message.body).digest('hex');
+      headers['X-Webhook-Signature'] = `sha256=${signature}`;
+    }
+    
+    const delivery = {
+      eventId: eventData.id,
+      topic: eventData.topic,
+      timestamp: new Date().toISOString()
+    };
+    
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers,
+        body: message.body
+      });
+      
+      delivery.status = response.status;
+      delivery.success = response.ok;
+    } catch (error) {
+      delivery.success = false;
+      delivery.error = error.message;
+      this.logger.warn(`Webhook delivery to ${webhook.url} failed:`, error.message);
+    }
+    
+    webhook.deliveries.push(delivery);
+    if (webhook.deliveries.length > 100) {
+      webhook.deliveries.shift();
+    }
   }
 
   // Placeholder methods for different integration types
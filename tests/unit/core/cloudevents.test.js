@@ -0,0 +1,104 @@
+import {
+  ContentTypes,
+  fromCloudEvent,
+  fromHttp,
+  negotiate,
+  toCloudEvent,
+  toHttp
+} from '../../../src/core/event-bus/cloudevents.js';
+
+describe('CloudEvents mapping', () => {
+  const cloudEvent = {
+    specversion: '1.0',
+    id: 'evt-42',
+    source: '/partners/acme',
+    type: 'orders.created',
+    subject: 'order-42',
+    time: '2024-01-01T00:00:00.000Z',
+    datacontenttype: 'application/json',
+    correlationid: 'corr-1',
+    partnerid: 'acme',
+    data: { total: 10 }
+  };
+
+  // What EventBus.publish builds from the publish arguments
+  const publishAs = ({ topic, data, options }) => ({
+    id: options.id,
+    topic,
+    data,
+    timestamp: new Date().toISOString(),
+    source: options.source,
+    correlationId: options.correlationId,
+    metadata: options.metadata,
+    ttl: options.ttl
+  });
+
+  it('should map CloudEvents onto publish arguments', () => {
+    const { topic, data, options } = fromCloudEvent(cloudEvent);
+
+    expect(topic).toBe('orders.created');
+    expect(data).toEqual({ total: 10 });
+    expect(options).toMatchObject({
+      id: 'evt-42',
+      source: '/partners/acme',
+      correlationId: 'corr-1',
+      metadata: { cloudevents: { subject: 'order-42', extensions: { partnerid: 'acme' } } }
+    });
+  });
+
+  it('should keep attributes and extensions across a round trip', () => {
+    expect(toCloudEvent(publishAs(fromCloudEvent(cloudEvent)))).toEqual(cloudEvent);
+  });
+
+  it('should reject invalid CloudEvents', () => {
+    expect(() => fromCloudEvent({ ...cloudEvent, source: undefined })).toThrow('missing source');
+    expect(() => fromCloudEvent({ ...cloudEvent, specversion: '0.3' })).toThrow('unsupported specversion');
+    expect(() => fromCloudEvent({ ...cloudEvent, 'Bad-Name': 1 })).toThrow('invalid attribute name');
+  });
+
+  it('should round-trip binary HTTP messages', () => {
+    const { headers, body } = toHttp(cloudEvent, 'binary');
+
+    expect(headers['ce-subject']).toBe('order-42');
+    expect(headers['Content-Type']).toBe('application/json');
+
+    const lowerCased = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+    const [parsed] = fromHttp(lowerCased, Buffer.from(body));
+
+    expect(parsed).toEqual(cloudEvent);
+  });
+
+  it('should carry non-JSON binary data as base64', () => {
+    const headers = {
+      'content-type': 'application/octet-stream',
+      'ce-specversion': '1.0',
+      'ce-id': '1',
+      'ce-source': 'sensor',
+      'ce-type': 'sensor.reading'
+    };
+    const [parsed] = fromHttp(headers, Buffer.from([1, 2, 3]));
+    const event = publishAs(fromCloudEvent(parsed));
+
+    expect(event.data).toBe('AQID');
+    expect(toCloudEvent(event).data_base64).toBe('AQID');
+    expect(toHttp(toCloudEvent(event), 'binary').body).toEqual(Buffer.from([1, 2, 3]));
+  });
+
+  it('should read structured and batch messages', () => {
+    const structured = toHttp(cloudEvent);
+    expect(structured.headers['Content-Type']).toBe(ContentTypes.STRUCTURED);
+    expect(fromHttp({ 'content-type': ContentTypes.STRUCTURED }, structured.body)).toEqual([cloudEvent]);
+
+    const batch = fromHttp({ 'content-type': `${ContentTypes.BATCH}; charset=utf-8` }, [cloudEvent, cloudEvent]);
+    expect(batch).toHaveLength(2);
+
+    expect(() => fromHttp({ 'content-type': 'application/json' }, {})).toThrow('Invalid CloudEvent');
+  });
+
+  it('should negotiate CloudEvents responses from the Accept header', () => {
+    expect(negotiate('application/cloudevents-batch+json')).toBe('batch');
+    expect(negotiate('text/html, application/cloudevents+json;q=0.9')).toBe('structured');
+    expect(negotiate('application/json')).toBeNull();
+    expect(negotiate()).toBeNull();
+  });
+});
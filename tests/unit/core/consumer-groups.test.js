@@ -0,0 +1,146 @@
+import Redis from 'ioredis-mock';
+import ConsumerGroupManager from '../../../src/core/event-bus/consumer-groups.js';
+
+describe('ConsumerGroupManager', () => {
+  let manager;
+  let mockLogger;
+
+  const matchesTopic = (topic, pattern) =>
+    topic === pattern || (pattern.endsWith('.*') && topic.startsWith(pattern.slice(0, -1)));
+
+  const makeEvent = (topic, data = {}) => ({
+    id: `${topic}-${Math.random()}`,
+    topic,
+    data,
+    timestamp: new Date().toISOString(),
+    metadata: {}
+  });
+
+  const tick = (ms = 20) => new Promise(resolve => setTimeout(resolve, ms));
+
+  beforeEach(() => {
+    mockLogger = global.testUtils.createMockLogger();
+    manager = new ConsumerGroupManager({
+      logger: mockLogger,
+      config: { groupVisibilityTimeout: 50 },
+      nodeId: 'node-1',
+      matchesTopic
+    });
+  });
+
+  afterEach(async () => {
+    await manager.close();
+  });
+
+  it('should deliver each event to one member of the group', async () => {
+    const handler1 = jest.fn();
+    const handler2 = jest.fn();
+
+    manager.subscribe('orders.*', handler1, { group: 'billing' });
+    manager.subscribe('orders.*', handler2, { group: 'billing' });
+
+    await manager.dispatch(makeEvent('orders.created'));
+    await manager.dispatch(makeEvent('orders.updated'));
+    await tick();
+
+    expect(handler1).toHaveBeenCalledTimes(1);
+    expect(handler2).toHaveBeenCalledTimes(1);
+  });
+
+  it('should deliver to every group independently', async () => {
+    const billing = jest.fn();
+    const audit = jest.fn();
+
+    manager.subscribe('orders.created', billing, { group: 'billing' });
+    manager.subscribe('orders.created', audit, { group: 'audit' });
+
+    const dispatched = await manager.dispatch(makeEvent('orders.created'));
+    await tick();
+
+    expect(dispatched).toBe(2);
+    expect(billing).toHaveBeenCalledTimes(1);
+    expect(audit).toHaveBeenCalledTimes(1);
+  });
+
+  it('should redeliver events whose handler failed', async () => {
+    const handler = jest.fn()
+      .mockRejectedValueOnce(new Error('Temporary failure'))
+      .mockResolvedValue();
+
+    manager.subscribe('jobs.run', handler, { group: 'workers' });
+    await manager.dispatch(makeEvent('jobs.run'));
+    await tick(120);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(handler.mock.calls[1][1].deliveryCount).toBe(2);
+
+    const [metrics] = await manager.getMetrics();
+    expect(metrics).toMatchObject({ failed: 1, redelivered: 1, acked: 1, pending: 0 });
+  });
+
+  it('should wait for an explicit ack in manual mode', async () => {
+    const handler = jest.fn();
+
+    manager.subscribe('jobs.run', handler, { group: 'workers', ack: 'manual' });
+    await manager.dispatch(makeEvent('jobs.run'));
+    await tick();
+
+    let [metrics] = await manager.getMetrics();
+    expect(metrics.pending).toBe(1);
+
+    await handler.mock.calls[0][1].ack();
+
+    [metrics] = await manager.getMetrics();
+    expect(metrics.pending).toBe(0);
+    expect(metrics.acked).toBe(1);
+  });
+
+  it('should drop events after the maximum number of deliveries', async () => {
+    const dropped = jest.fn();
+    manager.on('group:dropped', dropped);
+
+    manager.subscribe('jobs.run', jest.fn().mockRejectedValue(new Error('Always fails')), {
+      group: 'workers',
+      maxDeliveries: 2
+    });
+
+    await manager.dispatch(makeEvent('jobs.run'));
+    await tick(150);
+
+    expect(dropped).toHaveBeenCalledWith(expect.objectContaining({
+      group: 'workers',
+      deliveries: 2
+    }));
+  });
+
+  it('should leave the group when the last member unsubscribes', async () => {
+    const { unsubscribe } = manager.subscribe('jobs.run', jest.fn(), { group: 'workers' });
+
+    expect(unsubscribe()).toBe(true);
+    expect(manager.groups.size).toBe(0);
+    expect(await manager.dispatch(makeEvent('jobs.run'))).toBe(0);
+  });
+
+  it('should dispatch to a group created on another node right away', async () => {
+    await new Redis().flushall();
+    const node = (nodeId) => new ConsumerGroupManager({
+      logger: mockLogger,
+      redis: new Redis(),
+      nodeId,
+      matchesTopic
+    });
+    const publisher = node('node-a');
+    const consumer = node('node-b');
+
+    // The publishing node has not seen the group yet
+    await publisher.dispatch(makeEvent('orders.created'));
+    consumer.subscribe('orders.*', jest.fn(), { group: 'billing' });
+    await tick();
+
+    expect(await publisher.dispatch(makeEvent('orders.created'))).toBe(1);
+    expect(await new Redis().xlen('eventbus:group:billing:orders.*')).toBe(1);
+
+    await consumer.close();
+    await publisher.close();
+  });
+});
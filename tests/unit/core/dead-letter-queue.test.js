@@ -0,0 +1,128 @@
+import EventBus from '../../../src/core/event-bus/index.js';
+
+describe('EventBus dead-letter topics', () => {
+  let eventBus;
+  let mockLogger;
+
+  const tick = (ms = 30) => new Promise(resolve => setTimeout(resolve, ms));
+
+  beforeEach(() => {
+    mockLogger = global.testUtils.createMockLogger();
+    eventBus = new EventBus({ logger: mockLogger, config: { eventBus: { deadLetterMaxSize: 2 } } });
+  });
+
+  afterEach(async () => {
+    await eventBus.close();
+  });
+
+  it('should publish to dlq.<topic> once attempts are exhausted', async () => {
+    const dlqHandler = jest.fn();
+    const failing = jest.fn().mockRejectedValue(new Error('Handler error'));
+
+    eventBus.subscribe('dlq.orders.created', dlqHandler);
+    eventBus.subscribe('orders.created', failing, {
+      name: 'billing',
+      retry: 2,
+      retryDelay: 1,
+      deadLetter: true
+    });
+
+    await eventBus.publish('orders.created', { orderId: 1 });
+    await tick();
+
+    expect(failing).toHaveBeenCalledTimes(3);
+    expect(dlqHandler).toHaveBeenCalledTimes(1);
+
+    const { data } = dlqHandler.mock.calls[0][0];
+    expect(data).toMatchObject({
+      attempts: 3,
+      subscriber: 'billing',
+      pattern: 'orders.created',
+      error: { message: 'Handler error', stack: expect.any(String) }
+    });
+    expect(data.originalEvent.data).toEqual({ orderId: 1 });
+  });
+
+  it('should not dead-letter without a policy', async () => {
+    eventBus.subscribe('orders.created', jest.fn().mockRejectedValue(new Error('Handler error')));
+
+    await eventBus.publish('orders.created', { orderId: 1 });
+    await tick();
+
+    expect(await eventBus.getDeadLetters()).toHaveLength(0);
+  });
+
+  it('should redrive an entry to the failing subscription', async () => {
+    const handler = jest.fn()
+      .mockRejectedValueOnce(new Error('Handler error'))
+      .mockResolvedValue();
+
+    eventBus.subscribe('orders.created', handler, { deadLetter: { maxAttempts: 1 } });
+    await eventBus.publish('orders.created', { orderId: 1 });
+    await tick();
+
+    const [entry] = await eventBus.getDeadLetters();
+    const result = await eventBus.redriveDeadLetter(entry.id);
+    await tick();
+
+    expect(result.mode).toBe('subscriber');
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(handler.mock.calls[1][0].metadata.redriveCount).toBe(1);
+    expect(await eventBus.getDeadLetters()).toHaveLength(0);
+  });
+
+  it('should republish to the original topic when the subscription is gone', async () => {
+    const unsubscribe = eventBus.subscribe('orders.created', jest.fn().mockRejectedValue(new Error('Handler error')), {
+      deadLetter: true
+    });
+    await eventBus.publish('orders.created', { orderId: 1 });
+    await tick();
+    unsubscribe();
+
+    const replacement = jest.fn();
+    eventBus.subscribe('orders.created', replacement);
+
+    const [entry] = await eventBus.getDeadLetters();
+    const result = await eventBus.redriveDeadLetter(entry.id);
+
+    expect(result.mode).toBe('topic');
+    expect(replacement).toHaveBeenCalledWith(expect.objectContaining({
+      data: { orderId: 1 }
+    }));
+  });
+
+  it('should only let principals allowed to publish the topic redrive or discard', async () => {
+    const unsubscribe = eventBus.subscribe('core.sync', jest.fn().mockRejectedValue(new Error('Handler error')), {
+      deadLetter: true
+    });
+    await eventBus.publish('core.sync', { id: 1 });
+    await tick();
+    unsubscribe();
+
+    const [entry] = await eventBus.getDeadLetters();
+    const principal = { username: 'partner', permissions: ['events:*'] };
+
+    // core.# is reserved
+    await expect(eventBus.redriveDeadLetter(entry.id, { principal })).rejects.toMatchObject({ code: 'FORBIDDEN' });
+    await expect(eventBus.discardDeadLetter(entry.id, { principal })).rejects.toMatchObject({ code: 'FORBIDDEN' });
+    expect(await eventBus.getDeadLetters()).toHaveLength(1);
+
+    const admin = { username: 'admin', permissions: ['*'] };
+    const result = await eventBus.redriveDeadLetter(entry.id, { principal: admin });
+    expect(result.mode).toBe('topic');
+  });
+
+  it('should cap the number of stored entries', async () => {
+    eventBus.subscribe('orders.*', jest.fn().mockRejectedValue(new Error('Handler error')), {
+      deadLetter: true
+    });
+
+    for (let i = 0; i < 3; i++) {
+      await eventBus.publish(`orders.e${i}`, { i });
+    }
+    await tick();
+
+    const entries = await eventBus.getDeadLetters();
+    expect(entries.map(e => e.data.originalEvent.topic)).toEqual(['orders.e2', 'orders.e1']);
+  });
+});
@@ -0,0 +1,63 @@
+import { buildGraph, assertStartable, toDot, toMermaid } from '../../../src/core/service-manager/dependency-graph.js';
+import ServiceManager from '../../../src/core/service-manager/index.js';
+
+describe('Dependency graph', () => {
+  const service = (id, dependencies = []) => ({ id, name: id, status: 'stopped', dependencies });
+
+  it('should group services into waves by depth', () => {
+    const graph = buildGraph([
+      service('api', ['db', { service: 'cache', optional: true }]),
+      service('db'),
+      service('cache'),
+      service('worker', ['api', 'db'])
+    ]);
+
+    expect(graph.waves).toEqual([['db', 'cache'], ['api'], ['worker']]);
+    expect(graph.cycle).toBeNull();
+    expect(graph.edges).toContainEqual(expect.objectContaining({ from: 'api', to: 'cache', optional: true }));
+  });
+
+  it('should name cycles and missing required dependencies', () => {
+    const cyclic = buildGraph([service('a', ['b']), service('b', ['c']), service('c', ['a'])]);
+    expect(cyclic.cycle).toEqual(['a', 'b', 'c', 'a']);
+    expect(() => assertStartable(cyclic)).toThrow('Circular dependency detected: a -> b -> c -> a');
+
+    const missing = buildGraph([service('api', ['db', { service: 'cache', optional: true }])]);
+    expect(missing.missing).toEqual([{ service: 'api', dependency: 'db' }]);
+    expect(() => assertStartable(missing)).toThrow('Missing required dependencies: api -> db');
+  });
+
+  it('should render DOT and Mermaid', () => {
+    const graph = buildGraph([service('api', ['db', { service: 'cache', optional: true }]), service('db')]);
+
+    const dot = toDot(graph);
+    expect(dot).toContain('"api" -> "db";');
+    expect(dot).toContain('"api" -> "missing:cache" [style=dashed];');
+
+    const mermaid = toMermaid(graph);
+    expect(mermaid.split('\n')[0]).toBe('graph TD');
+    expect(mermaid).toContain('s0 --> s1');
+    expect(mermaid).toContain('s0 -.-> m1');
+  });
+
+  it('should start waves in parallel and reject cycles at registration', async () => {
+    const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+    const serviceManager = new ServiceManager({ logger, config: { serviceManager: {} } });
+
+    await serviceManager.registerService({ id: 'db', name: 'db' });
+    await serviceManager.registerService({ id: 'cache', name: 'cache', dependencies: [{ service: 'search', optional: true }] });
+    await serviceManager.registerService({ id: 'api', name: 'api', dependencies: ['db', 'cache'] });
+    await expect(serviceManager.registerService({ id: 'search', name: 'search', dependencies: ['api'] }))
+      .rejects.toThrow('Circular dependency detected: search -> api -> cache -> search');
+
+    const started = Date.now();
+    await serviceManager.startAll();
+
+    // Two waves of simulated one-second starts
+    expect(Date.now() - started).toBeLessThan(2900);
+    expect(serviceManager.listServices().every(s => s.status === 'running')).toBe(true);
+
+    await serviceManager.stopAll();
+    expect(logger.info).toHaveBeenCalledWith('All services stopped');
+  }, 10000);
+});
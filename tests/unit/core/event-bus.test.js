@@ -125,8 +125,9 @@ describe('EventBus', () => {
 
       const history = eventBus.getHistory('history.test');
 
+      // Newest first
       expect(history).toHaveLength(3);
-      expect(history[0].data).toEqual({ id: 1 });
+      expect(history[0].data).toEqual({ id: 3 });
     });
 
     it('should limit history size', async () => {
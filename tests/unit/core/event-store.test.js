@@ -0,0 +1,107 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileSegmentStore, RedisStreamStore } from '../../../src/core/event-bus/stores/index.js';
+
+describe('FileSegmentStore', () => {
+  let directory;
+  let mockLogger;
+
+  const makeEvent = (topic, i) => ({
+    id: `event-${i}`,
+    topic,
+    data: { i },
+    timestamp: new Date(Date.now() + i).toISOString(),
+    source: 'test',
+    metadata: {}
+  });
+
+  beforeEach(async () => {
+    mockLogger = global.testUtils.createMockLogger();
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'event-store-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('should assign sequential offsets and read events back in order', async () => {
+    const store = new FileSegmentStore({ logger: mockLogger, directory });
+
+    const offsets = await Promise.all([
+      store.append(makeEvent('a.one', 0)),
+      store.append(makeEvent('a.two', 1)),
+      store.append(makeEvent('b.one', 2))
+    ]);
+
+    expect(offsets).toEqual([0, 1, 2]);
+
+    const entries = await store.read({ fromOffset: 1 });
+    expect(entries.map(e => e.offset)).toEqual([1, 2]);
+    expect(entries[0].event.id).toBe('event-1');
+  });
+
+  it('should apply filters and limits when reading', async () => {
+    const store = new FileSegmentStore({ logger: mockLogger, directory });
+
+    for (let i = 0; i < 5; i++) {
+      await store.append(makeEvent(i % 2 === 0 ? 'even' : 'odd', i));
+    }
+
+    const entries = await store.read({
+      filter: (event) => event.topic === 'even',
+      limit: 2
+    });
+
+    expect(entries.map(e => e.offset)).toEqual([0, 2]);
+  });
+
+  it('should roll segments and recover offsets after restart', async () => {
+    const store = new FileSegmentStore({ logger: mockLogger, directory, segmentSize: 200 });
+
+    for (let i = 0; i < 6; i++) {
+      await store.append(makeEvent('roll.test', i));
+    }
+    await store.close();
+
+    const files = await fs.readdir(directory);
+    expect(files.length).toBeGreaterThan(1);
+
+    const reopened = new FileSegmentStore({ logger: mockLogger, directory, segmentSize: 200 });
+    const offset = await reopened.append(makeEvent('roll.test', 6));
+
+    expect(offset).toBe(6);
+
+    const entries = await reopened.read({ fromOffset: 4 });
+    expect(entries.map(e => e.offset)).toEqual([4, 5, 6]);
+  });
+
+  it('should discard a partially written trailing entry', async () => {
+    const store = new FileSegmentStore({ logger: mockLogger, directory });
+    await store.append(makeEvent('crash.test', 0));
+    await store.close();
+
+    const [file] = await fs.readdir(directory);
+    await fs.appendFile(path.join(directory, file), '{"offset":1,"event":{');
+
+    const reopened = new FileSegmentStore({ logger: mockLogger, directory });
+    const offset = await reopened.append(makeEvent('crash.test', 1));
+
+    expect(offset).toBe(1);
+    expect(await reopened.read()).toHaveLength(2);
+  });
+});
+
+describe('RedisStreamStore', () => {
+  it('should find the event by field name when a value is also "event"', async () => {
+    const event = { id: 'event-0', topic: 'event', data: { i: 0 } };
+    const redis = {
+      xrange: jest.fn().mockResolvedValue([['1-0', ['topic', 'event', 'event', JSON.stringify(event)]]])
+    };
+    const store = new RedisStreamStore({ logger: global.testUtils.createMockLogger(), redis });
+
+    const entries = await store.read();
+
+    expect(entries).toEqual([{ offset: '1-0', event }]);
+  });
+});
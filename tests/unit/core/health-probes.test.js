@@ -0,0 +1,117 @@
+import http from 'http';
+import { createProbe } from '../../../src/core/service-manager/health-probes.js';
+import ServiceManager from '../../../src/core/service-manager/index.js';
+
+describe('Health probes', () => {
+  const context = { timeout: 1000 };
+  let server;
+  let port;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      res.statusCode = req.url === '/health' ? 200 : 503;
+      res.end(JSON.stringify({ status: req.url === '/health' ? 'ok' : 'down' }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should check HTTP status and body', async () => {
+    const probe = (healthCheck) => createProbe({ healthCheck: { type: 'http', ...healthCheck } })(context);
+
+    await expect(probe({ url: `http://127.0.0.1:${port}/health`, expectedBody: '"ok"' }))
+      .resolves.toEqual({ status: 200 });
+    await expect(probe({ url: `http://127.0.0.1:${port}/down` }))
+      .rejects.toThrow('Unexpected status 503');
+    await expect(probe({ url: `http://127.0.0.1:${port}/down`, expectedStatus: 503, bodyPattern: 'ok' }))
+      .rejects.toThrow('does not match');
+  });
+
+  it('should check TCP connections and Redis PING', async () => {
+    await expect(createProbe({ healthCheck: { type: 'tcp', host: '127.0.0.1', port } })(context))
+      .resolves.toMatchObject({ port });
+    await expect(createProbe({ healthCheck: { type: 'redis' } })(context))
+      .resolves.toEqual({ reply: 'PONG' });
+  });
+
+  it('should reject unknown types and exec unless allowed', () => {
+    expect(() => createProbe({ healthCheck: { type: 'ftp' } })).toThrow('Unknown health check type: ftp');
+    expect(() => createProbe({ healthCheck: { type: 'exec', command: 'true' } })).toThrow('disabled');
+    expect(createProbe({ healthCheck: { type: 'exec', command: 'true' } }, { allowExec: true })).toBeInstanceOf(Function);
+  });
+
+  it('should map untyped handler and endpoint health checks', async () => {
+    const handler = jest.fn().mockResolvedValue({ status: 'healthy' });
+
+    await expect(createProbe({ healthCheck: { interval: 30000, endpoint: '/health', handler } })(context))
+      .resolves.toEqual({ status: 'healthy' });
+    expect(handler).toHaveBeenCalled();
+    await expect(createProbe({ url: `http://127.0.0.1:${port}/api`, healthCheck: { endpoint: '/health' } })(context))
+      .resolves.toEqual({ status: 200 });
+    expect(() => createProbe({ healthCheck: { endpoint: '/health' } })).toThrow('Unknown health check type: undefined');
+  });
+
+  describe('ServiceManager thresholds', () => {
+    const logger = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn()
+    };
+    let serviceManager;
+
+    beforeEach(() => {
+      serviceManager = new ServiceManager({ logger, config: { serviceManager: { healthHistorySize: 3 } } });
+    });
+
+    afterEach(() => {
+      for (const intervalId of serviceManager.healthChecks.values()) {
+        clearInterval(intervalId);
+      }
+    });
+
+    it('should flip health only after consecutive results', async () => {
+      const check = jest.fn().mockResolvedValue(true);
+      const serviceId = await serviceManager.registerService({
+        name: 'billing',
+        healthCheck: { type: 'custom', check, interval: 60000, unhealthyThreshold: 2, healthyThreshold: 2 }
+      });
+      await new Promise(resolve => setImmediate(resolve));
+
+      const service = serviceManager.getService(serviceId);
+      expect(service.healthStatus).toBe('healthy');
+
+      check.mockRejectedValue(new Error('Connection refused'));
+      await serviceManager.checkServiceHealth(serviceId);
+      expect(service.healthStatus).toBe('healthy');
+      await serviceManager.checkServiceHealth(serviceId);
+      expect(service.healthStatus).toBe('unhealthy');
+      expect(service.lastHealthCheck.error).toBe('Connection refused');
+
+      check.mockResolvedValue(true);
+      await serviceManager.checkServiceHealth(serviceId);
+      expect(service.healthStatus).toBe('unhealthy');
+      await serviceManager.checkServiceHealth(serviceId);
+      expect(service.healthStatus).toBe('healthy');
+
+      const history = serviceManager.getHealthHistory(serviceId);
+      expect(history.map(result => result.status)).toEqual(['fail', 'pass', 'pass']);
+    });
+
+    it('should time out slow probes', async () => {
+      const serviceId = await serviceManager.registerService({
+        name: 'search',
+        healthCheck: { type: 'custom', check: () => new Promise(() => {}), timeout: 20, interval: 60000 }
+      });
+
+      const result = await serviceManager.checkServiceHealth(serviceId);
+
+      expect(result).toMatchObject({ status: 'fail', error: 'Health check timed out after 20ms' });
+      expect(serviceManager.getService(serviceId).healthStatus).toBe('unhealthy');
+    });
+  });
+});
@@ -0,0 +1,126 @@
+import http from 'http';
+import LoadBalancer from '../../../src/core/service-manager/load-balancer.js';
+import ServiceManager from '../../../src/core/service-manager/index.js';
+
+describe('Load balancing', () => {
+  const instances = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+
+  it('should rotate, prefer low latency and keep keys on one instance', () => {
+    const balancer = new LoadBalancer();
+
+    const picks = [1, 2, 3, 4].map(() => balancer.pick('search', instances).id);
+    expect(picks).toEqual(['a', 'b', 'c', 'a']);
+
+    const latencies = { a: [40, 60], b: [10, 20], c: [30] };
+    expect(balancer.pick('search', instances, { strategy: 'least-latency', latency: i => latencies[i.id] }).id).toBe('b');
+
+    const first = balancer.pick('search', instances, { strategy: 'consistent-hash', key: 'tenant-42' });
+    expect(balancer.pick('search', [...instances].reverse(), { strategy: 'consistent-hash', key: 'tenant-42' })).toBe(first);
+
+    // Keys on other instances stay put when one leaves
+    const keys = Array.from({ length: 50 }, (_, i) => `key-${i}`);
+    const remaining = instances.filter(i => i !== first);
+    for (const key of keys) {
+      const before = balancer.pick('search', instances, { strategy: 'consistent-hash', key });
+      if (before !== first) {
+        expect(balancer.pick('search', remaining, { strategy: 'consistent-hash', key })).toBe(before);
+      }
+    }
+
+    expect(() => balancer.pick('search', instances, { strategy: 'random' })).toThrow('Unknown load balancing strategy');
+  });
+
+  describe('ServiceManager.call', () => {
+    const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+    const servers = [];
+    let serviceManager;
+
+    const listen = async (handler) => {
+      const server = http.createServer(handler);
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      servers.push(server);
+      return `http://127.0.0.1:${server.address().port}`;
+    };
+
+    const register = async (id, url) => {
+      await serviceManager.registerService({ id, name: 'orders', url });
+      serviceManager.getService(id).status = 'running';
+    };
+
+    beforeEach(() => {
+      serviceManager = new ServiceManager({ logger, config: { serviceManager: { callRetries: 1 } } });
+    });
+
+    afterEach(async () => {
+      serviceManager.close();
+      await Promise.all(servers.splice(0).map(server => new Promise(resolve => server.close(resolve))));
+    });
+
+    it('should retry idempotent requests on another instance', async () => {
+      const down = jest.fn((req, res) => {
+        res.statusCode = 503;
+        res.end();
+      });
+      await register('orders-1', await listen(down));
+      await register('orders-2', await listen((req, res) => {
+        res.setHeader('content-type', 'application/json');
+        res.end(JSON.stringify({ path: req.url }));
+      }));
+
+      const responses = [];
+      for (let i = 0; i < 2; i++) {
+        responses.push(await serviceManager.call('orders', { path: '/orders', query: { page: 2 } }));
+      }
+
+      expect(responses.every(response => response.status === 200 && response.instance === 'orders-2')).toBe(true);
+      expect(responses[0].body).toEqual({ path: '/orders?page=2' });
+      expect(down).toHaveBeenCalled();
+      expect(serviceManager.getInstanceMetrics('orders-1')).toMatchObject({
+        requests: down.mock.calls.length,
+        errors: down.mock.calls.length
+      });
+      expect(serviceManager.getInstanceMetrics('orders-2')).toMatchObject({ requests: 2, errors: 0 });
+
+      // A POST is sent once, whatever it gets back
+      serviceManager.loadBalancer.cursors.clear();
+      const post = await serviceManager.call('orders', { method: 'POST', path: '/orders', body: { sku: 'x' } });
+      expect(post).toMatchObject({ status: 503, instance: 'orders-1', attempts: 1 });
+    });
+
+    it('should skip instances that are down or behind an open breaker', async () => {
+      await register('orders-1', 'http://127.0.0.1:1');
+      await register('orders-2', await listen((req, res) => res.end('ok')));
+
+      for (let i = 0; i < 2; i++) {
+        await expect(serviceManager.call('orders')).resolves.toMatchObject({ status: 200, instance: 'orders-2' });
+      }
+      expect(serviceManager.getInstanceMetrics('orders-1').errors).toBeGreaterThan(0);
+
+      serviceManager.circuitBreakers.get('orders-2').state = 'open';
+      serviceManager.getService('orders-1').healthStatus = 'unhealthy';
+      await expect(serviceManager.call('orders')).rejects.toThrow('No available instances of orders');
+      await expect(serviceManager.call('billing')).rejects.toThrow('Service billing not found');
+
+      serviceManager.circuitBreakers.get('orders-2').state = 'closed';
+      serviceManager.getService('orders-1').healthStatus = 'healthy';
+      serviceManager.getService('orders-2').status = 'stopped';
+      await expect(serviceManager.call('orders')).rejects.toThrow('Call to orders failed');
+    });
+
+    it('should open the breaker only after consecutive failures', async () => {
+      await register('orders-1', 'http://127.0.0.1:1');
+      const breaker = serviceManager.circuitBreakers.get('orders-1');
+
+      // Occasional errors between successes never add up
+      for (let i = 0; i < 10; i++) {
+        serviceManager.recordCall('orders-1', 5, i % 2 === 1);
+      }
+      expect(breaker).toMatchObject({ state: 'closed', failures: 0 });
+
+      for (let i = 0; i < breaker.failureThreshold; i++) {
+        serviceManager.recordCall('orders-1', 5, false);
+      }
+      expect(breaker.state).toBe('open');
+    });
+  });
+});
@@ -0,0 +1,92 @@
+import OrderedDispatcher from '../../../src/core/event-bus/ordered-dispatcher.js';
+import EventBus from '../../../src/core/event-bus/index.js';
+
+describe('OrderedDispatcher', () => {
+  const logger = {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  };
+
+  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  it('should keep per-key order while running keys in parallel', async () => {
+    const dispatcher = new OrderedDispatcher({ logger, orderingKey: e => e.data.key, concurrency: 4 });
+    const log = [];
+    let running = 0;
+    let peak = 0;
+
+    const task = (event, ms) => async () => {
+      running++;
+      peak = Math.max(peak, running);
+      log.push(`start ${event.id}`);
+      await sleep(ms);
+      log.push(`end ${event.id}`);
+      running--;
+    };
+
+    const events = [
+      { id: 'a1', data: { key: 'a' } },
+      { id: 'b1', data: { key: 'b' } },
+      { id: 'a2', data: { key: 'a' } }
+    ];
+    dispatcher.dispatch(events[0], task(events[0], 30));
+    dispatcher.dispatch(events[1], task(events[1], 5));
+    dispatcher.dispatch(events[2], task(events[2], 5));
+
+    expect(dispatcher.getMetrics()).toMatchObject({ active: 2, pending: 1, keys: 2 });
+
+    await dispatcher.idle();
+
+    expect(peak).toBe(2);
+    expect(log.indexOf('start a2')).toBeGreaterThan(log.indexOf('end a1'));
+    expect(log.indexOf('end b1')).toBeLessThan(log.indexOf('end a1'));
+    expect(dispatcher.getMetrics()).toMatchObject({ processed: 3, pending: 0, highWaterMark: 1 });
+  });
+
+  it('should cap concurrency across keys', async () => {
+    const dispatcher = new OrderedDispatcher({ logger, concurrency: 2 });
+    let running = 0;
+    let peak = 0;
+
+    for (let i = 0; i < 6; i++) {
+      dispatcher.dispatch({ id: `e${i}` }, async () => {
+        running++;
+        peak = Math.max(peak, running);
+        await sleep(5);
+        running--;
+      });
+    }
+
+    expect(dispatcher.getMetrics()).toMatchObject({ active: 2, pending: 4, highWaterMark: 4 });
+    await dispatcher.idle();
+    expect(peak).toBe(2);
+  });
+
+  it('should deliver keyed events in order through the event bus, retries included', async () => {
+    const eventBus = new EventBus({ logger, config: { eventBus: {} } });
+    const seen = [];
+    let failed = false;
+
+    eventBus.subscribe('integration.updated', async (event) => {
+      if (event.data.version === 1 && !failed) {
+        failed = true;
+        throw new Error('Temporary failure');
+      }
+      seen.push(`${event.data.integrationId}@${event.data.version}`);
+    }, { orderingKey: e => e.data.integrationId, concurrency: 8, retry: 1, retryDelay: 10 });
+
+    await eventBus.publish('integration.updated', { integrationId: 'slack', version: 1 });
+    await eventBus.publish('integration.updated', { integrationId: 'slack', version: 2 });
+    await eventBus.publish('integration.updated', { integrationId: 'github', version: 1 });
+    await sleep(50);
+
+    expect(seen.filter(entry => entry.startsWith('slack'))).toEqual(['slack@1', 'slack@2']);
+    expect(seen).toHaveLength(3);
+
+    const [metrics] = eventBus.getSubscriptionMetrics();
+    expect(metrics).toMatchObject({ topic: 'integration.updated', ordered: true, concurrency: 8, processed: 3 });
+    await eventBus.close();
+  });
+});
@@ -0,0 +1,91 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import Redis from 'ioredis';
+import Outbox from '../../../src/core/event-bus/outbox.js';
+import EventBus from '../../../src/core/event-bus/index.js';
+import ServiceRegistry from '../../../src/core/service-manager/service-registry.js';
+
+describe('Outbox', () => {
+  const logger = {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  };
+
+  it('should keep state and unpublished events in the journal', async () => {
+    const file = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'outbox-')), 'journal.json');
+    const failing = jest.fn().mockRejectedValue(new Error('Bus unavailable'));
+    const before = new Outbox({ logger, file, publish: failing });
+
+    const [id] = await before.commit({
+      writes: [{ key: 'pipeline:definitions', field: 'p1', value: { name: 'sync' } }],
+      events: [{ topic: 'pipeline.registered', data: { pipelineId: 'p1' } }]
+    });
+    await before.flush();
+    expect(await before.size()).toBe(1);
+
+    const publish = jest.fn();
+    const after = new Outbox({ logger, file, publish });
+    await after.flush();
+
+    expect(await after.read('pipeline:definitions')).toEqual({ p1: { name: 'sync' } });
+    expect(publish).toHaveBeenCalledWith('pipeline.registered', { pipelineId: 'p1' },
+      expect.objectContaining({ id, metadata: { outbox: true } }));
+    expect(await after.size()).toBe(0);
+  });
+
+  it('should relay each staged event once across nodes', async () => {
+    const publishA = jest.fn();
+    const publishB = jest.fn();
+    const nodeA = new Outbox({ logger, redis: new Redis(), nodeId: 'node-a', publish: publishA });
+    const nodeB = new Outbox({ logger, redis: new Redis(), nodeId: 'node-b', publish: publishB });
+
+    await nodeA.commit({
+      writes: [{ key: 'integration:registry', field: 'i1', value: { name: 'slack' } }],
+      events: [{ topic: 'integration.registered', data: { integrationId: 'i1' } }]
+    });
+    await Promise.all([nodeA.flush(), nodeB.flush()]);
+
+    expect(publishA.mock.calls.length + publishB.mock.calls.length).toBe(1);
+    expect(await nodeB.read('integration:registry')).toEqual({ i1: { name: 'slack' } });
+    expect(await nodeA.size()).toBe(0);
+  });
+
+  it('should drop redelivered events for deduplicating subscribers', async () => {
+    const eventBus = new EventBus({ logger, config: { eventBus: {} } });
+    const deduped = jest.fn();
+    const plain = jest.fn();
+    eventBus.subscribe('service.registered', deduped, { dedupe: true });
+    eventBus.subscribe('service.registered', plain);
+
+    await eventBus.publish('service.registered', {}, { id: 'evt-1' });
+    await eventBus.publish('service.registered', {}, { id: 'evt-1' });
+
+    expect(deduped).toHaveBeenCalledTimes(1);
+    expect(plain).toHaveBeenCalledTimes(2);
+    await eventBus.close();
+  });
+
+  it('should stage registry changes with their events', async () => {
+    const eventBus = new EventBus({ logger, config: { eventBus: {} } });
+    const handler = jest.fn();
+    eventBus.subscribe('service.#', handler);
+
+    const registry = new ServiceRegistry({ logger, outbox: eventBus.outbox });
+    await registry.register({ id: 'svc-1', name: 'billing', version: '1.0.0', tags: ['payments'] });
+    await registry.deregister('svc-1');
+    await eventBus.outbox.flush();
+
+    expect(handler.mock.calls.map(([event]) => event.topic)).toEqual(['service.registered', 'service.deregistered']);
+    expect(await eventBus.outbox.read('service:registry')).toEqual({});
+
+    await registry.register({ id: 'svc-2', name: 'search', tags: ['query'] });
+    const restored = new ServiceRegistry({ logger, outbox: eventBus.outbox });
+    await restored.load();
+
+    expect(restored.getServicesByTag('query')).toHaveLength(1);
+    await eventBus.close();
+  });
+});
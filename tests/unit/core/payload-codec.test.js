@@ -0,0 +1,90 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import Redis from 'ioredis-mock';
+import PayloadCodec from '../../../src/core/event-bus/payload-codec.js';
+import EventBus from '../../../src/core/event-bus/index.js';
+
+describe('PayloadCodec', () => {
+  const logger = {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  };
+  const event = {
+    id: 'evt-1',
+    topic: 'pipeline.batch',
+    data: { rows: Array.from({ length: 200 }, (_, i) => ({ id: i, name: 'row' })) },
+    metadata: { source: 'test' }
+  };
+
+  it('should leave small payloads untouched', async () => {
+    const codec = new PayloadCodec({ logger, config: { compressionThreshold: 1024 } });
+    const wire = JSON.parse(await codec.encode({ ...event, data: { ok: true } }));
+
+    expect(wire.data).toEqual({ ok: true });
+    expect(wire.metadata.encoding).toBeUndefined();
+  });
+
+  it.each(['gzip', 'brotli'])('should round-trip %s compressed payloads', async (algorithm) => {
+    const codec = new PayloadCodec({ logger, config: { compressionThreshold: 1024, compressionAlgorithm: algorithm } });
+    const wire = JSON.parse(await codec.encode(event));
+
+    expect(typeof wire.data).toBe('string');
+    expect(wire.metadata.encoding).toBe(algorithm === 'brotli' ? 'br' : 'gzip');
+    expect(codec.getStats().ratio).toBeLessThan(1);
+
+    const decoded = await codec.decode(wire);
+    expect(decoded.data).toEqual(event.data);
+    expect(decoded.metadata).toEqual({ source: 'test' });
+  });
+
+  it('should offload very large payloads to Redis', async () => {
+    const redis = new Redis();
+    const codec = new PayloadCodec({ logger, redis, config: { compressionThreshold: 1024, offloadThreshold: 2048 } });
+    const wire = JSON.parse(await codec.encode(event));
+
+    expect(wire.data).toBeNull();
+    expect(wire.metadata.payloadRef).toBe('redis:eventbus:payloads:evt-1');
+    expect((await codec.decode(wire)).data).toEqual(event.data);
+  });
+
+  it('should offload to blob storage and purge expired blobs', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'payloads-'));
+    const codec = new PayloadCodec({
+      logger,
+      config: { compressionThreshold: 0, offloadThreshold: 2048, offloadBackend: 'file', offloadDir: dir, offloadTTL: 1 }
+    });
+
+    const wire = JSON.parse(await codec.encode(event));
+    expect(wire.metadata.payloadRef).toMatch(/^file:/);
+    expect(wire.metadata.encoding).toBeUndefined();
+    expect((await codec.decode(wire)).data).toEqual(event.data);
+
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(await codec.purge()).toBe(1);
+    await expect(codec.decode(wire)).rejects.toThrow('not found');
+
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should deliver original data to subscribers on other nodes', async () => {
+    const config = (nodeId) => ({ nodeId, redis: {}, eventBus: { compressionThreshold: 512 } });
+    const publisher = new EventBus({ logger, config: config('node-a') });
+    const subscriber = new EventBus({ logger, config: config('node-b') });
+    const handler = jest.fn();
+
+    subscriber.subscribe('pipeline.batch', handler);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await publisher.publish('pipeline.batch', event.data, { metadata: { source: 'test' } });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][0].data).toEqual(event.data);
+    expect(handler.mock.calls[0][0].metadata.encoding).toBeUndefined();
+    expect(publisher.getMetrics().payloads.compressed).toBe(1);
+
+    await Promise.all([publisher.close(), subscriber.close()]);
+  });
+});
@@ -0,0 +1,117 @@
+import { promises as fs } from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import ProcessSupervisor from '../../../src/core/service-manager/process-supervisor.js';
+import ServiceManager from '../../../src/core/service-manager/index.js';
+
+describe('ProcessSupervisor', () => {
+  const logger = {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  };
+
+  const node = (script, options = {}) => new ProcessSupervisor({
+    logger,
+    name: 'sidecar',
+    spec: { command: process.execPath, args: ['-e', script], ...options }
+  });
+
+  const waitFor = (supervisor, event) => new Promise(resolve => supervisor.once(event, resolve));
+
+  const waitForLogs = (supervisor, count) => new Promise(resolve => {
+    supervisor.on('log', () => supervisor.getLogs().length >= count && resolve());
+  });
+
+  it('should capture output and stop gracefully', async () => {
+    const supervisor = node("console.log('listening'); console.error('warming up'); setInterval(() => {}, 1000)");
+    const logged = waitForLogs(supervisor, 2);
+
+    await supervisor.start();
+    expect(supervisor.getStatus()).toMatchObject({ state: 'running', pid: expect.any(Number) });
+
+    await logged;
+    await supervisor.stop();
+
+    expect(supervisor.getLogs().map(entry => [entry.stream, entry.line])).toEqual([
+      ['stdout', 'listening'],
+      ['stderr', 'warming up']
+    ]);
+    expect(supervisor.getStatus()).toMatchObject({ state: 'stopped', lastExit: { signal: 'SIGTERM' } });
+  });
+
+  it('should restart on failure with backoff until the limit', async () => {
+    const supervisor = node('process.exit(3)', {
+      restart: { policy: 'on-failure', maxRestarts: 2, initialDelay: 10, factor: 3 }
+    });
+    const delays = [];
+    supervisor.on('restarting', ({ delay }) => delays.push(delay));
+
+    const failed = waitFor(supervisor, 'failed');
+    await supervisor.start();
+    await failed;
+
+    expect(delays).toEqual([10, 30]);
+    expect(supervisor.getStatus()).toMatchObject({ state: 'failed', restarts: 2, lastExit: { code: 3 } });
+  });
+
+  it('should kill processes that ignore SIGTERM', async () => {
+    const supervisor = node("process.on('SIGTERM', () => {}); console.log('trapped'); setInterval(() => {}, 1000)", { stopTimeout: 200 });
+    const trapped = waitForLogs(supervisor, 1);
+
+    await supervisor.start();
+    await trapped;
+    await supervisor.stop();
+
+    expect(supervisor.getStatus().lastExit.signal).toBe('SIGKILL');
+  });
+
+  it('should abort a hanging readiness probe at the deadline', async () => {
+    const aborted = jest.fn();
+    const server = http.createServer((req) => req.on('close', aborted));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const supervisor = node('setInterval(() => {}, 1000)', {
+      readiness: { type: 'http', url: `http://127.0.0.1:${server.address().port}/ready`, timeout: 5000, deadline: 200 }
+    });
+    const started = Date.now();
+
+    await expect(supervisor.start()).rejects.toThrow('not ready: Readiness check timed out after');
+    expect(Date.now() - started).toBeLessThan(2000);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(aborted).toHaveBeenCalled();
+    expect(supervisor.getStatus().state).toBe('failed');
+
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should run worker threads for the service manager', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'supervisor-'));
+    const worker = path.join(dir, 'worker.mjs');
+    await fs.writeFile(worker, [
+      "import { parentPort } from 'worker_threads';",
+      "console.log('worker ready');",
+      "parentPort.on('message', (message) => { if (message.type === 'shutdown') process.exit(0); });"
+    ].join('\n'));
+
+    const disabled = new ServiceManager({ logger, config: { serviceManager: {} } });
+    await expect(disabled.registerService({ name: 'indexer', worker }))
+      .rejects.toThrow('Managed processes are disabled');
+
+    const serviceManager = new ServiceManager({ logger, config: { serviceManager: { allowProcesses: true } } });
+    const serviceId = await serviceManager.registerService({ name: 'indexer', worker });
+    const logged = waitForLogs(serviceManager.supervisors.get(serviceId), 1);
+
+    await serviceManager.startService(serviceId);
+    expect(serviceManager.getService(serviceId)).toMatchObject({ status: 'running', managed: 'worker' });
+
+    await logged;
+    await serviceManager.stopService(serviceId);
+    expect(serviceManager.getServiceLogs(serviceId)).toEqual([
+      expect.objectContaining({ stream: 'stdout', line: 'worker ready' })
+    ]);
+    expect(serviceManager.supervisors.get(serviceId).getStatus().lastExit).toMatchObject({ code: 0 });
+  });
+});
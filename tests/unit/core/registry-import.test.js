@@ -0,0 +1,115 @@
+import ServiceRegistry from '../../../src/core/service-manager/service-registry.js';
+import ServiceManager from '../../../src/core/service-manager/index.js';
+
+describe('Registry import and audit', () => {
+  const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+  const staging = async () => {
+    const registry = new ServiceRegistry({ logger });
+    await registry.register({ id: 'billing', name: 'billing', version: '1.2.0', url: 'http://billing:8080', status: 'running' });
+    await registry.register({ id: 'search', name: 'search', version: '2.0.0', status: 'running' });
+    return registry;
+  };
+
+  it('should diff an export and apply it with each strategy', async () => {
+    const exported = JSON.parse(JSON.stringify((await staging()).export()));
+
+    const production = new ServiceRegistry({ logger });
+    await production.register({ id: 'billing', name: 'billing', version: '1.1.0', url: 'http://billing:8080', status: 'stopped' });
+    await production.register({ id: 'legacy', name: 'legacy', version: '0.9.0' });
+
+    const preview = await production.import(exported, { strategy: 'replace', dryRun: true });
+    expect(preview).toMatchObject({ dryRun: true, applied: false });
+    expect(preview.added.map(s => s.id)).toEqual(['search']);
+    expect(preview.changed).toEqual([{ id: 'billing', name: 'billing', changes: { version: { from: '1.1.0', to: '1.2.0' } } }]);
+    expect(preview.removed.map(s => s.id)).toEqual(['legacy']);
+    expect(production.getAllServices()).toHaveLength(2);
+
+    // Runtime state is not part of the definition
+    const skipped = await production.import(exported, { strategy: 'skip-existing' });
+    expect(skipped.skipped.map(s => s.id)).toEqual(['billing']);
+    expect(production.getService('billing').version).toBe('1.1.0');
+    expect(production.getService('search')).toMatchObject({ version: '2.0.0', status: 'initializing' });
+
+    const merged = await production.import(exported);
+    expect(merged).toMatchObject({ strategy: 'merge', applied: true, removed: [] });
+    expect(merged.unchanged.map(s => s.id)).toEqual(['search']);
+    expect(production.getService('billing')).toMatchObject({ version: '1.2.0', status: 'stopped' });
+    expect(production.getService('legacy')).toBeDefined();
+
+    await production.import(exported, { strategy: 'replace' });
+    expect(production.getAllServices().map(s => s.id).sort()).toEqual(['billing', 'search']);
+
+    await expect(production.import({ services: 'all' })).rejects.toThrow('Import must contain a services array');
+    await expect(production.import(exported, { strategy: 'overwrite' })).rejects.toThrow('Unknown import strategy: overwrite');
+    await expect(production.import({ services: [{ id: 'a', name: 'a' }, { id: 'a', name: 'a' }] }))
+      .rejects.toThrow('Duplicate service in import: a');
+  });
+
+  it('should audit every change with its actor', async () => {
+    const registry = await staging();
+
+    await registry.runAs('alice', async () => {
+      await registry.update('billing', { url: 'http://billing:9090' });
+      await registry.update('billing', { metrics: { requests: 1 } });
+      await registry.deregister('search');
+    });
+    await registry.runAs('bob', () => registry.import({ services: [{ id: 'search', name: 'search', version: '2.1.0' }] }));
+
+    const entries = await registry.getAudit();
+    expect(entries.map(entry => [entry.action, entry.serviceId, entry.actor, entry.source])).toEqual([
+      ['imported', null, 'bob', 'import'],
+      ['registered', 'search', 'bob', 'import'],
+      ['deregistered', 'search', 'alice', null],
+      ['updated', 'billing', 'alice', null],
+      ['registered', 'search', 'system', null],
+      ['registered', 'billing', 'system', null]
+    ]);
+    expect(entries[0].summary).toMatchObject({ added: 1, changed: 0, removed: 0 });
+    expect(entries[3].changes).toEqual({ url: { from: 'http://billing:8080', to: 'http://billing:9090' } });
+
+    expect(await registry.getAudit({ serviceId: 'billing', action: 'updated' })).toHaveLength(1);
+    expect(await registry.getAudit({ actor: 'bob', limit: 1 })).toEqual([entries[0]]);
+  });
+
+  it('should keep services run by the manager in step with an import', async () => {
+    const serviceManager = new ServiceManager({ logger, config: { serviceManager: {} } });
+    const deregistered = jest.fn();
+    serviceManager.on('service:deregistered', deregistered);
+
+    await serviceManager.registerService({ id: 'billing', name: 'billing', version: '1.0.0' });
+    await serviceManager.registerService({ id: 'legacy', name: 'legacy' });
+
+    await serviceManager.importRegistry({ services: [{ id: 'billing', name: 'billing', version: '1.1.0' }] });
+    expect(serviceManager.getService('billing')).toMatchObject({ version: '1.1.0', dependencies: [] });
+
+    const exported = serviceManager.registry.export();
+    exported.services = exported.services.filter(service => service.id !== 'legacy');
+    const replaced = await serviceManager.importRegistry(exported, { strategy: 'replace' });
+
+    expect(replaced).toMatchObject({ changed: [], removed: [{ id: 'legacy', name: 'legacy' }] });
+    expect(serviceManager.getService('legacy')).toBeUndefined();
+    expect(deregistered).toHaveBeenCalledWith(expect.objectContaining({ id: 'legacy' }));
+    serviceManager.close();
+  });
+
+  it('should keep imported services alive past their lease', async () => {
+    const serviceManager = new ServiceManager({ logger, config: { serviceManager: { leaseTTL: 1000, leaseGrace: 1000 } } });
+    const { registry } = serviceManager;
+
+    await serviceManager.importRegistry({ services: [{ id: 'search', name: 'search', version: '2.0.0' }] });
+    const expiresAt = registry.getLease('search').expiresAt.getTime();
+
+    // Renewed like registrations made through this node
+    jest.spyOn(Date, 'now').mockReturnValue(expiresAt + 1500);
+    await serviceManager.renewLocalLeases();
+    await registry.sweep(expiresAt + 2100);
+    expect(registry.getService('search')).toMatchObject({ status: 'initializing' });
+
+    // Services removed by a later import are left to expire
+    await serviceManager.importRegistry({ services: [] }, { strategy: 'replace' });
+    expect(serviceManager.imported.size).toBe(0);
+    expect(registry.getService('search')).toBeUndefined();
+    serviceManager.close();
+  });
+});
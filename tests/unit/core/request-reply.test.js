@@ -0,0 +1,92 @@
+import EventBus from '../../../src/core/event-bus/index.js';
+
+describe('EventBus request/reply', () => {
+  const logger = {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  };
+  const buses = [];
+
+  const createNode = (nodeId) => {
+    const eventBus = new EventBus({
+      logger,
+      config: { nodeId, redis: {}, eventBus: {} }
+    });
+    buses.push(eventBus);
+    return eventBus;
+  };
+
+  const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+  afterEach(async () => {
+    await Promise.all(buses.splice(0).map(eventBus => eventBus.close()));
+  });
+
+  it('should route replies to the requesting node', async () => {
+    const requester = createNode('node-a');
+    const responder = createNode('node-b');
+
+    responder.subscribe('inventory.check', (event) => ({ sku: event.data.sku, stock: 3 }));
+    await settle();
+
+    const reply = await requester.request('inventory.check', { sku: 'A1' }, { timeout: 1000 });
+
+    expect(reply).toEqual({ sku: 'A1', stock: 3 });
+    expect(requester.getMetrics().requests).toMatchObject({ sent: 1, completed: 1, pending: 0 });
+  });
+
+  it('should reply to requests made on behalf of a principal', async () => {
+    const requester = createNode('node-a');
+    const responder = createNode('node-b');
+    const principal = { username: 'partner', permissions: ['events:publish:inventory.*'] };
+
+    responder.subscribe('inventory.check', (event) => ({ sku: event.data.sku, by: event.metadata.principal }));
+    await settle();
+
+    await expect(requester.request('inventory.check', { sku: 'A1' }, { timeout: 1000, principal }))
+      .resolves.toEqual({ sku: 'A1', by: 'partner' });
+    await expect(requester.requestAll('inventory.check', { sku: 'A1' }, { timeout: 200, principal }))
+      .resolves.toHaveLength(1);
+    await expect(requester.request('orders.check', {}, { timeout: 200, principal }))
+      .rejects.toMatchObject({ code: 'FORBIDDEN' });
+  });
+
+  it('should not deliver a node its own events twice', async () => {
+    const node = createNode('node-a');
+    const handler = jest.fn();
+
+    node.subscribe('orders.created', handler);
+    await settle();
+    await node.publish('orders.created', { id: 1 });
+    await settle();
+
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('should gather replies from every node until the deadline', async () => {
+    const requester = createNode('node-a');
+    createNode('node-b').subscribe('health.ping', () => ({ ok: true }));
+    createNode('node-c').subscribe('health.ping', () => ({ ok: true }));
+    await settle();
+
+    const replies = await requester.requestAll('health.ping', {}, { timeout: 200 });
+
+    expect(replies.map(reply => reply.nodeId).sort()).toEqual(['node-b', 'node-c']);
+  });
+
+  it('should time out and support cancellation', async () => {
+    const requester = createNode('node-a');
+    const controller = new AbortController();
+
+    await expect(requester.request('nobody.home', {}, { timeout: 50 }))
+      .rejects.toMatchObject({ code: 'TIMEOUT' });
+
+    const cancelled = requester.request('nobody.home', {}, { signal: controller.signal });
+    controller.abort();
+    await expect(cancelled).rejects.toMatchObject({ code: 'CANCELLED' });
+
+    expect(requester.getMetrics().requests).toMatchObject({ timeouts: 1, cancelled: 1, pending: 0 });
+  });
+});
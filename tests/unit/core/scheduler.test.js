@@ -0,0 +1,110 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import Redis from 'ioredis';
+import EventScheduler from '../../../src/core/event-bus/scheduler.js';
+import EventBus from '../../../src/core/event-bus/index.js';
+
+describe('EventScheduler', () => {
+  const logger = {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  };
+
+  it('should publish delayed events through the event bus', async () => {
+    const eventBus = new EventBus({ logger, config: { eventBus: { schedulerInterval: 20 } } });
+    const handler = jest.fn();
+    eventBus.subscribe('integration.healthcheck', handler);
+
+    const jobId = await eventBus.publish('integration.healthcheck', { id: 1 }, { delay: 30 });
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(await eventBus.scheduler.get(jobId)).toMatchObject({ topic: 'integration.healthcheck' });
+
+    await new Promise(resolve => setTimeout(resolve, 120));
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][0].metadata.scheduledJobId).toBe(jobId);
+    expect(await eventBus.scheduler.get(jobId)).toBeNull();
+    await eventBus.close();
+  });
+
+  it('should re-arm cron jobs after each run', async () => {
+    const publish = jest.fn();
+    const scheduler = new EventScheduler({ logger, publish });
+
+    const job = await scheduler.schedule('analytics.rollup', {}, { cron: '0 2 * * *', tz: 'UTC' });
+    expect(new Date(job.nextRunAt).getUTCHours()).toBe(2);
+
+    await scheduler.run(await scheduler.getJob(job.id));
+
+    expect(publish).toHaveBeenCalledTimes(1);
+    expect(await scheduler.get(job.id)).toMatchObject({ runs: 1 });
+    expect(new Date((await scheduler.get(job.id)).nextRunAt).getTime()).toBeGreaterThan(new Date(job.nextRunAt).getTime());
+  });
+
+  it('should reschedule and validate timing', async () => {
+    const publish = jest.fn();
+    const scheduler = new EventScheduler({ logger, publish });
+
+    const job = await scheduler.schedule('analytics.rollup', {}, { delay: 60000 });
+    await scheduler.reschedule(job.id, { delay: 0 });
+    await scheduler.poll();
+
+    expect(publish).toHaveBeenCalledTimes(1);
+    expect(await scheduler.size()).toBe(0);
+    await expect(scheduler.schedule('x', {}, { cron: 'not a cron' })).rejects.toThrow('Invalid cron expression');
+  });
+
+  it('should fire each job on exactly one node', async () => {
+    const publishA = jest.fn();
+    const publishB = jest.fn();
+    const redis = new Redis();
+    const nodeA = new EventScheduler({ logger, redis, publish: publishA });
+    const nodeB = new EventScheduler({ logger, redis: new Redis(), publish: publishB });
+
+    await nodeA.schedule('orders.reminder', {}, { delay: 0 });
+    await nodeA.schedule('orders.reminder', {}, { delay: 0 });
+    await Promise.all([nodeA.poll(), nodeB.poll()]);
+
+    expect(publishA.mock.calls.length + publishB.mock.calls.length).toBe(2);
+    expect(await nodeA.size()).toBe(0);
+  });
+
+  it('should run a job again when the node that claimed it dies', async () => {
+    await new Redis().flushall();
+    const publish = jest.fn();
+    const crashed = new EventScheduler({ logger, redis: new Redis(), leaseTTL: 50, publish: jest.fn() });
+    const survivor = new EventScheduler({ logger, redis: new Redis(), leaseTTL: 50, publish });
+
+    const job = await crashed.schedule('analytics.rollup', {}, { cron: '* * * * * *' });
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    // Claimed but never run
+    expect(await crashed.lease(job.id)).not.toBeNull();
+    await survivor.poll();
+    expect(publish).not.toHaveBeenCalled();
+    expect(await survivor.size()).toBe(1);
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    await survivor.poll();
+
+    expect(publish).toHaveBeenCalledTimes(1);
+    expect(await survivor.get(job.id)).toMatchObject({ runs: 1 });
+    expect(new Date((await survivor.get(job.id)).nextRunAt).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('should restore local jobs after a restart', async () => {
+    const file = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'scheduler-')), 'jobs.json');
+    const before = new EventScheduler({ logger, file, publish: jest.fn() });
+    const job = await before.schedule('orders.reminder', {}, { delay: 60000 });
+
+    const after = new EventScheduler({ logger, file, publish: jest.fn() });
+    await after.ready;
+
+    expect(await after.get(job.id)).toMatchObject({ topic: 'orders.reminder' });
+    expect(await after.cancel(job.id)).toBe(true);
+  });
+});
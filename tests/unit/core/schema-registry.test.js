@@ -0,0 +1,102 @@
+import SchemaRegistry from '../../../src/core/event-bus/schema-registry.js';
+import EventBus from '../../../src/core/event-bus/index.js';
+
+describe('SchemaRegistry', () => {
+  let registry;
+  const logger = {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  };
+
+  const orderSchema = {
+    type: 'object',
+    properties: {
+      orderId: { type: 'string' },
+      amount: { type: 'integer' }
+    },
+    required: ['orderId']
+  };
+
+  beforeEach(() => {
+    const eventBus = new EventBus({ logger, config: { eventBus: {} } });
+    registry = new SchemaRegistry({
+      logger,
+      matchesTopic: (topic, pattern) => eventBus.matchesTopic(topic, pattern)
+    });
+  });
+
+  it('should version schemas per pattern', async () => {
+    const v1 = await registry.register('orders.created', orderSchema);
+    const v2 = await registry.register('orders.created', {
+      ...orderSchema,
+      properties: { ...orderSchema.properties, note: { type: 'string' } }
+    });
+
+    expect(v1.version).toBe(1);
+    expect(v2.version).toBe(2);
+    expect(registry.get('orders.created').versions).toHaveLength(2);
+  });
+
+  it('should reject backward incompatible changes', async () => {
+    await registry.register('orders.created', orderSchema);
+
+    await expect(registry.register('orders.created', {
+      ...orderSchema,
+      properties: { ...orderSchema.properties, amount: { type: 'string' } },
+      required: ['orderId', 'amount']
+    })).rejects.toMatchObject({
+      compatibilityIssues: expect.arrayContaining([
+        '$.amount: became required',
+        '$.amount: type integer no longer accepted'
+      ])
+    });
+  });
+
+  it('should validate against the most specific pattern', async () => {
+    await registry.register('orders.*', { type: 'object' });
+    await registry.register('orders.created', orderSchema);
+
+    const result = registry.validate('orders.created', { amount: 5 });
+
+    expect(result.pattern).toBe('orders.created');
+    expect(result.valid).toBe(false);
+    expect(registry.validate('orders.cancelled', {}).pattern).toBe('orders.*');
+    expect(registry.validate('users.created', {})).toBeNull();
+  });
+});
+
+describe('EventBus schema validation', () => {
+  const logger = {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  };
+
+  it('should reject invalid events in strict mode', async () => {
+    const eventBus = new EventBus({ logger, config: { eventBus: { schemaValidation: 'strict' } } });
+    await eventBus.registerSchema('orders.created', {
+      type: 'object',
+      required: ['orderId']
+    });
+
+    await expect(eventBus.publish('orders.created', {})).rejects.toMatchObject({
+      validationErrors: [expect.objectContaining({ message: "must have required property 'orderId'" })]
+    });
+    expect(eventBus.getMetrics().validationFailures).toBe(1);
+  });
+
+  it('should stamp the schema version in warn mode', async () => {
+    const eventBus = new EventBus({ logger, config: { eventBus: { schemaValidation: 'warn' } } });
+    await eventBus.registerSchema('orders.created', { type: 'object', required: ['orderId'] });
+
+    const received = [];
+    eventBus.subscribe('orders.created', (event) => received.push(event));
+    await eventBus.publish('orders.created', {});
+
+    expect(received[0].metadata).toMatchObject({ schemaPattern: 'orders.created', schemaVersion: 1 });
+    expect(logger.warn).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,93 @@
+import http from 'http';
+import ServiceRegistry from '../../../src/core/service-manager/service-registry.js';
+import ServiceManager from '../../../src/core/service-manager/index.js';
+
+describe('Semver discovery and canary routing', () => {
+  const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+  it('should match semver ranges instead of string prefixes', async () => {
+    const registry = new ServiceRegistry({ logger });
+    const versions = ['1.2.0', '1.2.5', '1.20.1', '1.9.0', '2.0.0-rc.1', '2.1.0', '10.0.0'];
+    for (const version of versions) {
+      await registry.register({ id: `search-${version}`, name: 'search', version, status: 'running' });
+    }
+    const found = criteria => registry.discover({ name: 'search', ...criteria }).map(s => s.version).sort();
+
+    expect(found({ version: '^1.2.0' })).toEqual(['1.2.0', '1.2.5', '1.20.1', '1.9.0']);
+    expect(found({ version: '~1.2' })).toEqual(['1.2.0', '1.2.5']);
+    expect(found({ version: '>=1.9.0 <10' })).toEqual(['1.20.1', '1.9.0', '2.1.0']);
+    expect(found({ version: '1.2.0 - 1.9.0 || 10.x' })).toEqual(['1.2.0', '1.2.5', '1.9.0', '10.0.0']);
+    expect(found({ version: '^2.0.0-rc.0' })).toEqual(['2.0.0-rc.1', '2.1.0']);
+    expect(found({ version: '^2.0.0', includePrerelease: true })).toEqual(['2.1.0']);
+    expect(found({ version: '^1.0.0', latest: true })).toEqual(['1.20.1']);
+    expect(found({ latest: true })).toEqual(['10.0.0']);
+    expect(() => found({ version: 'one point two' })).toThrow('Invalid version range: one point two');
+  });
+
+  describe('ServiceManager.call', () => {
+    const servers = [];
+    let serviceManager;
+
+    const register = async (id, version) => {
+      const server = http.createServer((req, res) => res.end(version));
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      servers.push(server);
+
+      await serviceManager.registerService({ id, name: 'orders', version, url: `http://127.0.0.1:${server.address().port}` });
+      serviceManager.getService(id).status = 'running';
+    };
+
+    beforeEach(async () => {
+      serviceManager = new ServiceManager({ logger, config: { serviceManager: {} } });
+      await register('orders-1', '1.4.0');
+      await register('orders-2', '1.4.0');
+      await register('orders-3', '2.0.0');
+    });
+
+    afterEach(async () => {
+      serviceManager.close();
+      await Promise.all(servers.splice(0).map(server => new Promise(resolve => server.close(resolve))));
+    });
+
+    it('should reject invalid versions and pin calls to a range', async () => {
+      await expect(serviceManager.registerService({ name: 'orders', version: 'latest' }))
+        .rejects.toThrow('Service version must be valid semver');
+
+      for (let i = 0; i < 3; i++) {
+        await expect(serviceManager.call('orders', { version: '^2.0.0' }))
+          .resolves.toMatchObject({ instance: 'orders-3', version: '2.0.0', body: '2.0.0' });
+      }
+      await expect(serviceManager.call('orders', { version: '^3.0.0' }))
+        .rejects.toThrow('No available instances of orders match ^3.0.0');
+    });
+
+    it('should send the canary weight to the new version', async () => {
+      await expect(serviceManager.setCanary('orders', { version: '^2.0.0', weight: 120 })).rejects.toThrow('Canary weight');
+
+      await serviceManager.setCanary('orders', { version: '^2.0.0', weight: 20 });
+      const responses = [];
+      for (let i = 0; i < 200; i++) {
+        responses.push(await serviceManager.call('orders', { key: `user-${i}` }));
+      }
+
+      const canary = responses.filter(response => response.canary);
+      expect(canary.every(response => response.instance === 'orders-3')).toBe(true);
+      expect(canary.length).toBeGreaterThan(20);
+      expect(canary.length).toBeLessThan(60);
+      expect(serviceManager.getCanary('orders').routed).toEqual({ canary: canary.length, stable: 200 - canary.length });
+
+      // The same key stays on its side
+      const again = await serviceManager.call('orders', { key: 'user-0' });
+      expect(again.canary).toBe(responses[0].canary);
+
+      // Without an available canary everything goes to the stable version
+      serviceManager.getService('orders-3').healthStatus = 'unhealthy';
+      const fallback = await serviceManager.call('orders', { key: `user-${responses.findIndex(response => response.canary)}` });
+      expect(fallback.version).toBe('1.4.0');
+
+      await serviceManager.clearCanary('orders');
+      expect(serviceManager.listCanaries()).toEqual([]);
+      await expect(serviceManager.clearCanary('orders')).rejects.toThrow('Canary for orders not found');
+    });
+  });
+});
@@ -0,0 +1,89 @@
+import http from 'http';
+import ServiceManager from '../../../src/core/service-manager/index.js';
+
+describe('Service drain and maintenance', () => {
+  const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+  let serviceManager;
+  let server;
+  let url;
+  const hanging = [];
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === '/hang') {
+        hanging.push(res);
+        return;
+      }
+      setTimeout(() => res.end('done'), 100);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    hanging.forEach(res => res.destroy());
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    serviceManager = new ServiceManager({ logger, config: { serviceManager: { callRetries: 0 } } });
+    await serviceManager.registerService({ id: 'api-1', name: 'api', url });
+    serviceManager.getService('api-1').status = 'running';
+  });
+
+  afterEach(() => {
+    serviceManager.close();
+  });
+
+  it('should let in-flight calls finish before the service is drained', async () => {
+    const events = [];
+    serviceManager.on('service:draining', service => events.push(`draining:${service.mode}`));
+    serviceManager.on('service:drained', service => events.push(`drained:${service.mode}`));
+
+    const call = serviceManager.call('api', { path: '/slow' });
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    const drain = await serviceManager.drainService('api-1', { deadline: 5000 });
+    expect(drain.inFlight).toBe(1);
+    expect(serviceManager.isServiceAvailable('api-1')).toBe(false);
+    expect(serviceManager.registry.discover()).toHaveLength(0);
+    expect(serviceManager.registry.discover({ mode: 'draining' })).toHaveLength(1);
+    await expect(serviceManager.call('api')).rejects.toThrow('No available instances of api');
+
+    await expect(call).resolves.toMatchObject({ status: 200, body: 'done' });
+    const drained = await serviceManager.waitForDrain('api-1');
+
+    expect(drained).toMatchObject({ mode: 'drained', aborted: 0 });
+    expect(serviceManager.getService('api-1').mode).toBe('drained');
+    expect(events).toEqual(['draining:draining', 'drained:drained']);
+  });
+
+  it('should abort calls still running at the deadline', async () => {
+    const call = serviceManager.call('api', { path: '/hang' });
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    await serviceManager.setMaintenance('api-1', { deadline: 50, reason: 'upgrade' });
+    const drained = await serviceManager.waitForDrain('api-1');
+
+    expect(drained).toMatchObject({ mode: 'maintenance', reason: 'upgrade', aborted: 1 });
+    await expect(call).rejects.toThrow('Request aborted: instance api-1 drained');
+  });
+
+  it('should freeze the circuit breaker until resumed', async () => {
+    await serviceManager.setMaintenance('api-1');
+    await serviceManager.waitForDrain('api-1');
+
+    serviceManager.updateCircuitBreaker('api-1', false);
+    expect(serviceManager.circuitBreakers.get('api-1').failures).toBe(0);
+
+    const resumed = jest.fn();
+    serviceManager.on('service:resumed', resumed);
+    await serviceManager.resumeService('api-1');
+
+    expect(resumed).toHaveBeenCalled();
+    expect(serviceManager.getService('api-1')).toMatchObject({ mode: 'active', drain: null });
+    expect(serviceManager.registry.discover()).toHaveLength(1);
+    serviceManager.updateCircuitBreaker('api-1', false);
+    expect(serviceManager.circuitBreakers.get('api-1').failures).toBe(1);
+  });
+});
@@ -0,0 +1,115 @@
+import Redis from 'ioredis';
+import Outbox from '../../../src/core/event-bus/outbox.js';
+import ServiceRegistry from '../../../src/core/service-manager/service-registry.js';
+import ServiceManager from '../../../src/core/service-manager/index.js';
+
+describe('Service leases', () => {
+  const logger = {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  };
+
+  it('should mark expired leases stale, then remove them', async () => {
+    const registry = new ServiceRegistry({ logger, leaseTTL: 1000, leaseGrace: 1000 });
+    const stale = jest.fn();
+    const expired = jest.fn();
+    registry.on('service:stale', stale);
+    registry.on('service:expired', expired);
+
+    await registry.register({ id: 'billing', name: 'billing', version: '1.0.0', status: 'running' });
+    await registry.register({ id: 'static', name: 'static', version: '1.0.0', status: 'running', ttl: 0 });
+    const { expiresAt } = registry.getLease('billing');
+
+    await registry.sweep(expiresAt.getTime() + 10);
+    expect(stale).toHaveBeenCalledTimes(1);
+    expect(registry.getService('billing').status).toBe('stale');
+    expect(registry.discover().map(s => s.id)).toEqual(['static']);
+    expect(registry.discover({ includeStale: true })).toHaveLength(2);
+
+    await registry.renew('billing');
+    expect(registry.getService('billing').status).toBe('running');
+    expect(registry.getLease('billing').stale).toBe(false);
+
+    await registry.sweep(registry.getLease('billing').expiresAt.getTime() + 1010);
+    expect(expired).toHaveBeenCalledWith(expect.objectContaining({ id: 'billing' }));
+    expect(registry.getService('billing')).toBeUndefined();
+    expect(registry.getService('static')).toBeDefined();
+  });
+
+  it('should share leases across nodes and publish each expiry once', async () => {
+    await new Redis().flushall();
+    const node = (nodeId) => {
+      const outbox = new Outbox({ logger, redis: new Redis(), nodeId, publish: jest.fn() });
+      jest.spyOn(outbox, 'commit');
+      const registry = new ServiceRegistry({ logger, outbox, redis: new Redis(), leaseTTL: 1000, leaseGrace: 1000 });
+      return { outbox, registry };
+    };
+    const a = node('node-a');
+    const b = node('node-b');
+    const expiredOnB = jest.fn();
+    b.registry.on('service:expired', expiredOnB);
+
+    await a.registry.register({ id: 'search', name: 'search', version: '1.0.0', status: 'running' });
+    await b.registry.sync();
+    expect(b.registry.discover().map(s => s.id)).toEqual(['search']);
+
+    // A heartbeat on node B moves the lease for node A too
+    const before = a.registry.getLease('search').expiresAt.getTime();
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await b.registry.renew('search', { ttl: 2000 });
+    await a.registry.sync();
+    expect(a.registry.getLease('search')).toMatchObject({ ttl: 2000, stale: false });
+    expect(a.registry.getLease('search').expiresAt.getTime()).toBeGreaterThan(before);
+
+    const past = a.registry.getLease('search').expiresAt.getTime() + 1010;
+    await Promise.all([a.registry.sweep(past), b.registry.sweep(past)]);
+
+    const expiries = [...a.outbox.commit.mock.calls, ...b.outbox.commit.mock.calls]
+      .filter(([change]) => change.events[0].topic === 'service.expired');
+    expect(expiries).toHaveLength(1);
+    expect(expiredOnB).toHaveBeenCalledTimes(1);
+    expect(a.registry.getService('search')).toBeUndefined();
+    expect(await a.outbox.read('service:registry')).toEqual({});
+  });
+
+  it('should renew through the manager and drop expired services', async () => {
+    const serviceManager = new ServiceManager({ logger, config: { serviceManager: { leaseTTL: 1000, leaseGrace: 0 } } });
+    const expired = jest.fn();
+    serviceManager.on('service:expired', expired);
+
+    const serviceId = await serviceManager.registerService({ name: 'mailer' });
+    await expect(serviceManager.heartbeat(serviceId, { ttl: 5000 }))
+      .resolves.toMatchObject({ ttl: 5000, stale: false });
+    await expect(serviceManager.heartbeat('missing')).rejects.toThrow('not found');
+
+    await serviceManager.registry.sweep(Date.now() + 6000);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(expired).toHaveBeenCalledWith(expect.objectContaining({ id: serviceId }));
+    expect(serviceManager.getService(serviceId)).toBeUndefined();
+    serviceManager.close();
+  });
+
+  it('should keep renewing services registered through this node', async () => {
+    const serviceManager = new ServiceManager({
+      logger,
+      config: { serviceManager: { leaseTTL: 1500, leaseGrace: 500, leaseSweepInterval: 100 } }
+    });
+    const expired = jest.fn();
+    serviceManager.on('service:expired', expired);
+
+    const local = await serviceManager.registerService({ name: 'slack-integration' });
+    const remote = await serviceManager.registerService({ name: 'crawler', ttl: 1500 });
+
+    // Three TTLs without a heartbeat
+    await new Promise(resolve => setTimeout(resolve, 4500));
+
+    expect(serviceManager.getService(local)).toBeDefined();
+    expect(serviceManager.registry.getLease(local).stale).toBe(false);
+    expect(serviceManager.getService(remote)).toBeUndefined();
+    expect(expired).toHaveBeenCalledTimes(1);
+    serviceManager.close();
+  }, 10000);
+});
@@ -0,0 +1,97 @@
+import SloTracker, { normalizeObjectives, parseDuration } from '../../../src/core/service-manager/slo.js';
+import ServiceManager from '../../../src/core/service-manager/index.js';
+
+describe('Service level objectives', () => {
+  const minute = 60000;
+
+  it('should normalize targets, names and windows', () => {
+    const [availability, latency] = normalizeObjectives([
+      { type: 'availability', target: 99.9, window: '7d' },
+      { type: 'latency', percentile: 95, threshold: 300 }
+    ]);
+
+    expect(availability).toMatchObject({ name: 'availability', target: 0.999, windowMs: 7 * 24 * 60 * minute });
+    expect(latency).toMatchObject({ name: 'latency-p95-300ms', target: 0.95, windowMs: parseDuration('30d') });
+    expect(() => normalizeObjectives({ type: 'latency', target: 95 })).toThrow('threshold');
+    expect(() => normalizeObjectives({ target: 99.9, window: 'a month' })).toThrow('Invalid SLO duration');
+  });
+
+  it('should compute the remaining budget over the rolling window', () => {
+    const tracker = new SloTracker({
+      objectives: [
+        { type: 'availability', target: 90, window: '1h' },
+        { type: 'latency', percentile: 50, threshold: 100, window: '1h' }
+      ]
+    });
+    const start = 10 * 60 * minute;
+
+    // 100 events, 5 failures, 20 slow, all within the last hour
+    for (let i = 0; i < 100; i++) {
+      tracker.record({ success: i % 20 !== 0, latency: i < 20 ? 500 : 50, timestamp: start + i * 1000 });
+    }
+
+    const [availability, latency] = tracker.evaluate(start + 30 * minute).objectives;
+    expect(availability.events).toEqual({ total: 100, bad: 5 });
+    expect(availability.sli).toBeCloseTo(0.95);
+    expect(availability.errorBudget.remaining).toBeCloseTo(0.5);
+    expect(latency.errorBudget.remaining).toBeCloseTo(0.6);
+
+    // The events leave the window after an hour
+    const later = tracker.evaluate(start + 2 * 60 * minute).objectives[0];
+    expect(later.events.total).toBe(0);
+    expect(later.errorBudget.remaining).toBe(1);
+  });
+
+  it('should fire a burn alert once when both windows burn', () => {
+    const tracker = new SloTracker({
+      objectives: { target: 99, window: '1d', burnRates: [{ long: '1h', short: '5m', threshold: 10, severity: 'page' }] }
+    });
+    const start = 10 * 60 * minute;
+
+    for (let i = 0; i < 60; i++) {
+      tracker.record({ success: true, timestamp: start + i * minute });
+    }
+    expect(tracker.evaluate(start + 60 * minute).burning).toEqual([]);
+
+    // A burst of failures: 20% bad over the last 5 minutes, 20/80 over the hour
+    for (let i = 0; i < 20; i++) {
+      tracker.record({ success: false, timestamp: start + 58 * minute + i });
+    }
+    const { burning, objectives } = tracker.evaluate(start + 60 * minute);
+
+    expect(burning).toEqual([expect.objectContaining({ objective: 'availability', severity: 'page', threshold: 10 })]);
+    expect(objectives[0].status).toBe('exhausted');
+    expect(tracker.evaluate(start + 60 * minute).burning).toEqual([]);
+  });
+
+  it('should report and publish burns through the manager', async () => {
+    const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+    const serviceManager = new ServiceManager({ logger, config: { serviceManager: {} } });
+    const burn = jest.fn();
+    serviceManager.on('slo:burn', burn);
+
+    await expect(serviceManager.registerService({ name: 'bad', slo: { type: 'uptime', target: 99 } }))
+      .rejects.toThrow('Unknown SLO type: uptime');
+
+    const serviceId = await serviceManager.registerService({ name: 'checkout', slo: [{ target: 99.9 }] });
+    for (let i = 0; i < 10; i++) {
+      serviceManager.recordCall(serviceId, 20, i < 5);
+    }
+
+    // Reports are read-only; alerts come from the periodic evaluation
+    const report = serviceManager.getSloReport(serviceId);
+    expect(report.objectives[0]).toMatchObject({ name: 'availability', events: { total: 10, bad: 5 }, status: 'exhausted' });
+    expect(burn).not.toHaveBeenCalled();
+
+    serviceManager.evaluateSlos();
+    expect(burn).toHaveBeenCalledWith(expect.objectContaining({ serviceId, name: 'checkout', severity: 'page' }));
+    const alerts = burn.mock.calls.length;
+    serviceManager.getSloReport(serviceId);
+    serviceManager.evaluateSlos();
+    expect(burn).toHaveBeenCalledTimes(alerts);
+
+    const plain = await serviceManager.registerService({ name: 'plain' });
+    expect(() => serviceManager.getSloReport(plain)).toThrow('has no SLOs');
+    serviceManager.close();
+  });
+});
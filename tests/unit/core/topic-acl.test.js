@@ -0,0 +1,91 @@
+import { externalPublishOptions, hasTopicPermission, patternCovers } from '../../../src/core/event-bus/topic-acl.js';
+import EventBus from '../../../src/core/event-bus/index.js';
+
+describe('Topic ACLs', () => {
+  it('should check that a grant covers a topic or pattern', () => {
+    expect(patternCovers('analytics.*', 'analytics.report')).toBe(true);
+    expect(patternCovers('analytics.*', 'analytics.*')).toBe(true);
+    expect(patternCovers('analytics.*', 'analytics.report.daily')).toBe(false);
+    expect(patternCovers('analytics.*', 'analytics.#')).toBe(false);
+    expect(patternCovers('integration.#', 'integration')).toBe(true);
+    expect(patternCovers('integration.#', 'integration.*.error')).toBe(true);
+    expect(patternCovers('integration.#', 'integration.#')).toBe(true);
+    expect(patternCovers('integration.*.error', 'integration.#')).toBe(false);
+  });
+
+  it('should grant actions by permission', () => {
+    expect(hasTopicPermission(['events:publish:analytics.*'], 'publish', 'analytics.insight')).toBe(true);
+    expect(hasTopicPermission(['events:publish:analytics.*'], 'subscribe', 'analytics.insight')).toBe(false);
+    expect(hasTopicPermission(['events:subscribe:integration.#'], 'subscribe', 'integration.slack.error')).toBe(true);
+    expect(hasTopicPermission(['events:publish'], 'publish', 'orders.created')).toBe(true);
+    expect(hasTopicPermission(['events:*'], 'subscribe', '#')).toBe(true);
+    expect(hasTopicPermission([], 'subscribe', 'orders.created')).toBe(false);
+  });
+
+  it('should keep reserved namespaces for internal sources', () => {
+    expect(hasTopicPermission(['events:*'], 'publish', 'pipeline.control.pause')).toBe(false);
+    expect(hasTopicPermission(['events:publish:service.#'], 'publish', 'service.started')).toBe(false);
+    expect(hasTopicPermission(['events:publish', 'events:system'], 'publish', 'service.started')).toBe(true);
+    expect(hasTopicPermission(['*'], 'publish', 'service.started')).toBe(true);
+    expect(hasTopicPermission(['events:*'], 'subscribe', 'service.#')).toBe(true);
+  });
+
+  describe('EventBus principals', () => {
+    const logger = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn()
+    };
+    let eventBus;
+
+    beforeEach(() => {
+      eventBus = new EventBus({ logger, config: { eventBus: {} } });
+    });
+
+    afterEach(async () => {
+      await eventBus.close();
+    });
+
+    it('should enforce ACLs when a principal is attached', async () => {
+      const principal = { username: 'partner', permissions: ['events:publish:analytics.*'] };
+      const handler = jest.fn();
+      eventBus.subscribe('#', handler);
+
+      await eventBus.publish('analytics.insight', {}, { principal });
+      await expect(eventBus.publish('pipeline.control.pause', {}, { principal }))
+        .rejects.toMatchObject({ code: 'FORBIDDEN' });
+      await expect(eventBus.publish('orders.created', {}, { principal }))
+        .rejects.toMatchObject({ code: 'FORBIDDEN' });
+      expect(() => eventBus.subscribe('analytics.*', jest.fn(), { principal }))
+        .toThrow('Not allowed to subscribe analytics.*');
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler.mock.calls[0][0].metadata.principal).toBe('partner');
+    });
+
+    it('should ignore internal publish options from a principal', async () => {
+      const principal = { username: 'partner', permissions: ['events:publish'] };
+      await eventBus.registerSchema('orders.created', {
+        type: 'object',
+        required: ['orderId']
+      });
+      eventBus.validationMode = 'strict';
+
+      await expect(eventBus.publish('orders.created', {}, { principal, validation: 'off' }))
+        .rejects.toHaveProperty('validationErrors');
+      await expect(eventBus.publish('orders.created', {}, { validation: 'off' })).resolves.toBeDefined();
+
+      expect(externalPublishOptions({ id: 'a', validation: 'off', replyTo: 'inbox' })).toEqual({ id: 'a' });
+    });
+
+    it('should let internal code publish to reserved topics', async () => {
+      const handler = jest.fn();
+      eventBus.subscribe('pipeline.control.#', handler);
+
+      await eventBus.publish('pipeline.control.pause', {});
+
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+import TopicTrie, { matchSegments, toRedisGlob } from '../../../src/core/event-bus/topic-trie.js';
+import EventBus from '../../../src/core/event-bus/index.js';
+
+const matches = (topic, pattern) => matchSegments(topic.split('.'), pattern.split('.'));
+
+describe('Topic wildcards', () => {
+  it('should match exactly one segment with *', () => {
+    expect(matches('integration.slack.error', 'integration.*.error')).toBe(true);
+    expect(matches('integration.slack.api.error', 'integration.*.error')).toBe(false);
+    expect(matches('integration.error', 'integration.*.error')).toBe(false);
+    expect(matches('orders', 'orders.*')).toBe(false);
+  });
+
+  it('should match zero or more segments with #', () => {
+    expect(matches('integration', 'integration.#')).toBe(true);
+    expect(matches('integration.slack.error', 'integration.#')).toBe(true);
+    expect(matches('integration.slack.api.error', 'integration.#.error')).toBe(true);
+    expect(matches('integration.error', 'integration.#.error')).toBe(true);
+    expect(matches('integration.slack.created', 'integration.#.error')).toBe(false);
+    expect(matches('anything.at.all', '#')).toBe(true);
+  });
+
+  it('should convert patterns to Redis globs', () => {
+    expect(toRedisGlob('integration.*.error')).toBe('integration.*.error');
+    expect(toRedisGlob('integration.#')).toBe('integration*');
+    expect(toRedisGlob('#')).toBe('*');
+    expect(toRedisGlob('a.#.b')).toBe('a*b');
+    expect(toRedisGlob('data[1].*')).toBe('data\\[1\\].*');
+  });
+});
+
+describe('TopicTrie', () => {
+  it('should return every matching subscription once', () => {
+    const trie = new TopicTrie();
+    trie.add('orders.created', { id: 'exact' });
+    trie.add('orders.*', { id: 'star' });
+    trie.add('orders.#', { id: 'hash' });
+    trie.add('#.#', { id: 'double-hash' });
+    trie.add('users.*', { id: 'other' });
+
+    const ids = trie.match('orders.created').map(sub => sub.id).sort();
+
+    expect(ids).toEqual(['double-hash', 'exact', 'hash', 'star']);
+  });
+
+  it('should prune branches when subscriptions are removed', () => {
+    const trie = new TopicTrie();
+    trie.add('orders.*.shipped', { id: 'a' });
+
+    expect(trie.remove('orders.*.shipped', 'a')).toBe(true);
+    expect(trie.remove('orders.*.shipped', 'a')).toBe(false);
+    expect(trie.size).toBe(0);
+    expect(trie.root.children.size).toBe(0);
+  });
+});
+
+describe('EventBus wildcard delivery', () => {
+  const logger = {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  };
+  const buses = [];
+
+  const createNode = (nodeId) => {
+    const eventBus = new EventBus({
+      logger,
+      config: { nodeId, redis: {}, eventBus: {} }
+    });
+    buses.push(eventBus);
+    return eventBus;
+  };
+
+  const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+  afterEach(async () => {
+    await Promise.all(buses.splice(0).map(eventBus => eventBus.close()));
+  });
+
+  it('should apply the same rules to local and remote events', async () => {
+    const publisher = createNode('node-a');
+    const subscriber = createNode('node-b');
+    const local = jest.fn();
+    const remote = jest.fn();
+
+    publisher.subscribe('integration.*.error', local);
+    subscriber.subscribe('integration.*.error', remote);
+    await settle();
+
+    await publisher.publish('integration.slack.error', {});
+    await publisher.publish('integration.slack.api.error', {});
+    await settle();
+
+    expect(local).toHaveBeenCalledTimes(1);
+    expect(remote).toHaveBeenCalledTimes(1);
+    expect(remote.mock.calls[0][0].topic).toBe('integration.slack.error');
+  });
+
+  it('should deliver once to overlapping remote subscriptions', async () => {
+    const publisher = createNode('node-a');
+    const subscriber = createNode('node-b');
+    const hash = jest.fn();
+    const exact = jest.fn();
+
+    subscriber.subscribe('integration.#', hash);
+    subscriber.subscribe('integration.slack.error', exact);
+    await settle();
+
+    await publisher.publish('integration.slack.error', {});
+    await settle();
+
+    expect(hash).toHaveBeenCalledTimes(1);
+    expect(exact).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,103 @@
+import EventBus from '../../../src/core/event-bus/index.js';
+
+describe('EventBus tracing', () => {
+  const logger = {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  };
+  const buses = [];
+
+  const createBus = (config = {}) => {
+    const eventBus = new EventBus({ logger, config: { eventBus: {}, ...config } });
+    buses.push(eventBus);
+    return eventBus;
+  };
+
+  const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+  afterEach(async () => {
+    await Promise.all(buses.splice(0).map(eventBus => eventBus.close()));
+  });
+
+  it('should inherit the correlation and set the cause inside handlers', async () => {
+    const eventBus = createBus();
+    const created = jest.fn();
+
+    eventBus.subscribe('module.discovered', async (event) => {
+      await eventBus.publish('integration.created', { module: event.data.name });
+    });
+    eventBus.subscribe('integration.created', created);
+
+    const rootId = await eventBus.publish('module.discovered', { name: 'slack' });
+    await settle();
+
+    expect(created.mock.calls[0][0]).toMatchObject({
+      correlationId: rootId,
+      causationId: rootId
+    });
+  });
+
+  it('should keep an explicit correlation ID', async () => {
+    const eventBus = createBus();
+    const handler = jest.fn();
+
+    eventBus.subscribe('orders.created', handler);
+    await eventBus.publish('orders.created', {}, { correlationId: 'order-42' });
+
+    expect(handler.mock.calls[0][0].correlationId).toBe('order-42');
+    expect(handler.mock.calls[0][0].causationId).toBeUndefined();
+  });
+
+  it('should build the causal tree with handlers and failures', async () => {
+    const eventBus = createBus();
+
+    eventBus.subscribe('module.discovered', async () => {
+      await eventBus.publish('integration.created', {});
+    }, { name: 'integration-hub' });
+    eventBus.subscribe('integration.created', async () => {
+      await eventBus.publish('pipeline.run', {});
+    }, { name: 'pipeline' });
+    eventBus.subscribe('pipeline.run', () => {
+      throw new Error('Source adapter missing');
+    }, { name: 'runner' });
+
+    const rootId = await eventBus.publish('module.discovered', {});
+    await settle();
+
+    const trace = await eventBus.getTrace(rootId);
+
+    expect(trace).toMatchObject({ correlationId: rootId, events: 3, handlers: 3 });
+    expect(trace.roots).toHaveLength(1);
+
+    const [root] = trace.roots;
+    expect(root.topic).toBe('module.discovered');
+    expect(root.handlers[0]).toMatchObject({ name: 'integration-hub', status: 'completed' });
+    expect(root.children[0].topic).toBe('integration.created');
+    expect(root.children[0].children[0].topic).toBe('pipeline.run');
+
+    expect(trace.failures).toEqual([
+      expect.objectContaining({ name: 'runner', status: 'failed', error: 'Source adapter missing' })
+    ]);
+    expect(await eventBus.getTrace('unknown')).toBeNull();
+  });
+
+  it('should collect handler runs from every node', async () => {
+    const nodeA = createBus({ nodeId: 'node-a', redis: {} });
+    const nodeB = createBus({ nodeId: 'node-b', redis: {} });
+
+    nodeB.subscribe('module.discovered', async () => {
+      await nodeB.publish('integration.created', {});
+    }, { name: 'remote-hub' });
+    await settle();
+
+    const rootId = await nodeA.publish('module.discovered', {});
+    await settle();
+
+    const trace = await nodeA.getTrace(rootId);
+
+    expect(trace.roots[0].handlers[0]).toMatchObject({ name: 'remote-hub', nodeId: 'node-b' });
+    expect(trace.roots[0].children[0]).toMatchObject({ topic: 'integration.created', nodeId: 'node-b' });
+  });
+});
@@ -0,0 +1,150 @@
+import { EventEmitter } from 'events';
+import WebSocketGateway from '../../../src/core/event-bus/websocket-gateway.js';
+import EventBus from '../../../src/core/event-bus/index.js';
+
+describe('WebSocketGateway', () => {
+  let eventBus;
+  let gateway;
+  let auth;
+
+  const logger = {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  };
+
+  const connect = async (url = '/') => {
+    const ws = new EventEmitter();
+    ws.readyState = 1;
+    ws.sent = [];
+    ws.send = (message) => ws.sent.push(JSON.parse(message));
+    ws.close = jest.fn();
+
+    const connection = gateway.handleConnection(ws, { url, headers: {}, socket: {} });
+    await connection.ready;
+
+    ws.message = async (message) => {
+      await gateway.handleMessage(connection, JSON.stringify(message));
+      return ws.sent[ws.sent.length - 1];
+    };
+    return ws;
+  };
+
+  beforeEach(() => {
+    eventBus = new EventBus({ logger, config: { eventBus: {} } });
+    auth = {
+      apiKeyHeader: 'x-api-key',
+      authenticateCredentials: jest.fn(async ({ token }) => {
+        if (!token) return null;
+        if (token === 'reader') return { username: 'reader', permissions: ['events:subscribe:orders.*'] };
+        if (token === 'admin') return { username: 'admin', permissions: ['*'] };
+        throw new Error('Invalid token');
+      })
+    };
+    gateway = new WebSocketGateway({ logger, eventBus, auth, config: { authTimeout: 50 } });
+  });
+
+  it('should require authentication before subscribing', async () => {
+    const ws = await connect();
+
+    expect(ws.sent[0]).toMatchObject({ type: 'welcome', authenticated: false });
+    expect(await ws.message({ type: 'subscribe', topic: 'orders.*' })).toMatchObject({
+      type: 'error',
+      code: 'AUTH_REQUIRED'
+    });
+    expect(await ws.message({ type: 'auth', token: 'bogus' })).toMatchObject({ code: 'INVALID_TOKEN' });
+    expect(await ws.message({ id: '1', type: 'auth', token: 'admin' })).toMatchObject({
+      type: 'authenticated',
+      id: '1'
+    });
+
+    ws.emit('close');
+  });
+
+  it('should close sockets that never authenticate', async () => {
+    const ws = await connect();
+    await new Promise(resolve => setTimeout(resolve, 80));
+
+    expect(ws.close).toHaveBeenCalledWith(4401, 'Authentication timeout');
+    ws.emit('close');
+  });
+
+  it('should deliver events by subscription and unsubscribe by ID', async () => {
+    const ws = await connect('/?token=reader');
+    const { subscriptionId } = await ws.message({ type: 'subscribe', topic: 'orders.*' });
+
+    await eventBus.publish('orders.created', { id: 1 });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(ws.sent[ws.sent.length - 1]).toMatchObject({
+      type: 'event',
+      subscriptionId,
+      topic: 'orders.created'
+    });
+
+    expect(await ws.message({ type: 'unsubscribe', subscriptionId })).toMatchObject({ type: 'unsubscribed' });
+    expect(await ws.message({ type: 'unsubscribe', subscriptionId })).toMatchObject({ code: 'NOT_FOUND' });
+    ws.emit('close');
+  });
+
+  it('should check topic permissions', async () => {
+    const ws = await connect('/?token=reader');
+
+    expect(await ws.message({ type: 'subscribe', topic: 'users.*' })).toMatchObject({
+      code: 'INSUFFICIENT_PERMISSIONS'
+    });
+    expect(await ws.message({ type: 'subscribe', topic: 'orders.#' })).toMatchObject({
+      code: 'INSUFFICIENT_PERMISSIONS'
+    });
+    expect(await ws.message({ type: 'publish', topic: 'orders.created', data: {} })).toMatchObject({
+      code: 'INSUFFICIENT_PERMISSIONS'
+    });
+    ws.emit('close');
+  });
+
+  it('should acknowledge publishes', async () => {
+    const ws = await connect('/?token=admin');
+    const ack = await ws.message({ id: 'p1', type: 'publish', topic: 'orders.created', data: {} });
+
+    expect(ack).toMatchObject({ v: 1, type: 'ack', id: 'p1', eventId: expect.any(String) });
+    expect(await ws.message({ v: 2, type: 'ping' })).toMatchObject({ code: 'UNSUPPORTED_VERSION' });
+    ws.emit('close');
+  });
+
+  it('should tear down subscriptions when the socket closes', async () => {
+    const ws = await connect('/?token=admin');
+    await ws.message({ type: 'subscribe', topic: 'orders.*' });
+    await ws.message({ type: 'subscribe', topic: 'users.created' });
+
+    expect(gateway.getStats()).toEqual({ connections: 1, subscriptions: 2 });
+
+    ws.emit('close');
+
+    expect(gateway.getStats()).toEqual({ connections: 0, subscriptions: 0 });
+    expect(eventBus.getMetrics().subscriptions).toBe(0);
+  });
+
+  it('should drop a subscribe that was pending when the socket closed', async () => {
+    let finishAuth;
+    auth.authenticateCredentials.mockImplementationOnce(() => new Promise(resolve => {
+      finishAuth = () => resolve({ username: 'admin', permissions: ['*'] });
+    }));
+
+    const ws = new EventEmitter();
+    ws.readyState = 1;
+    ws.send = jest.fn();
+    ws.close = jest.fn();
+    const connection = gateway.handleConnection(ws, { url: '/?token=admin', headers: {}, socket: {} });
+
+    ws.emit('message', JSON.stringify({ type: 'subscribe', topic: 'orders.*' }));
+    ws.readyState = 3;
+    ws.emit('close');
+    finishAuth();
+    await connection.ready;
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(gateway.getStats()).toEqual({ connections: 0, subscriptions: 0 });
+    expect(eventBus.getMetrics().subscriptions).toBe(0);
+    expect(ws.send).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,105 @@
+import express from 'express';
+import http from 'http';
+import EventBus from '../../../src/core/event-bus/index.js';
+import createEventRoutes from '../../../src/routes/events.js';
+
+describe('GET /api/events/stream', () => {
+  let eventBus;
+  let server;
+  let baseUrl;
+  const requests = [];
+
+  // Collects parsed SSE frames until told to stop
+  const openStream = (query = '', headers = {}) => new Promise((resolve, reject) => {
+    const req = http.get(`${baseUrl}/stream${query}`, { headers }, (res) => {
+      const stream = { res, req, frames: [], buffer: '' };
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        stream.buffer += chunk;
+        const blocks = stream.buffer.split('\n\n');
+        stream.buffer = blocks.pop();
+        for (const block of blocks) {
+          const frame = {};
+          for (const line of block.split('\n')) {
+            const [field, ...rest] = line.split(': ');
+            if (field) frame[field] = rest.join(': ');
+          }
+          if (frame.data) stream.frames.push(frame);
+        }
+      });
+      resolve(stream);
+    });
+    req.on('error', (error) => {
+      if (error.code !== 'ECONNRESET') reject(error);
+    });
+    requests.push(req);
+  });
+
+  const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+  // The router is a module singleton, so every test shares one bus
+  beforeAll(async () => {
+    eventBus = new EventBus({ logger: testUtils.createMockLogger(), config: { eventBus: {} } });
+    const app = express();
+    app.use('/api/events', createEventRoutes(eventBus));
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/events`;
+  });
+
+  afterEach(() => {
+    requests.splice(0).forEach(req => req.destroy());
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await eventBus.close();
+  });
+
+  it('should resume after Last-Event-ID without repeating replayed events', async () => {
+    const first = await eventBus.publish('orders.created', { n: 1 });
+    await eventBus.publish('orders.created', { n: 2 });
+    await eventBus.publish('orders.created', { n: 3 });
+
+    const stream = await openStream('?topic=orders.*', { 'Last-Event-ID': first });
+    await settle();
+    await eventBus.publish('orders.created', { n: 4 });
+    await settle();
+
+    expect(stream.frames.map(frame => JSON.parse(frame.data).data.n)).toEqual([2, 3, 4]);
+    expect(new Set(stream.frames.map(frame => frame.id)).size).toBe(3);
+  });
+
+  it('should send a reset frame when Last-Event-ID is no longer in history', async () => {
+    const stream = await openStream('', { 'Last-Event-ID': 'gone' });
+    await settle();
+
+    expect(stream.frames).toEqual([
+      { event: 'reset', data: JSON.stringify({ lastEventId: 'gone', reason: 'Event no longer in history' }) }
+    ]);
+  });
+
+  it('should only stream events matching the topic and filters', async () => {
+    const stream = await openStream('?topic=orders.%23&source=shop');
+    await settle();
+
+    await eventBus.publish('orders.created', { n: 1 }, { source: 'shop' });
+    await eventBus.publish('orders.created', { n: 2 }, { source: 'admin' });
+    await eventBus.publish('users.created', { n: 3 }, { source: 'shop' });
+    await eventBus.publish('orders.line.added', { n: 4 }, { source: 'shop' });
+    await settle();
+
+    expect(stream.frames.map(frame => JSON.parse(frame.data).topic)).toEqual(['orders.created', 'orders.line.added']);
+  });
+
+  it('should unsubscribe when the client disconnects', async () => {
+    const stream = await openStream('?topic=orders.created');
+    await settle();
+    expect(eventBus.localSubscriptions.get('orders.created')).toHaveLength(1);
+
+    stream.req.destroy();
+    await settle();
+
+    expect(eventBus.localSubscriptions.has('orders.created')).toBe(false);
+  });
+});
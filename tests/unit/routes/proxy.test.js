@@ -0,0 +1,76 @@
+import express from 'express';
+import createProxyRouter from '../../../src/routes/proxy.js';
+
+describe('/api/proxy', () => {
+  let server;
+  let baseUrl;
+  const serviceManager = {
+    call: jest.fn()
+  };
+
+  // The router is a module singleton, so every test shares one app
+  beforeAll(async () => {
+    const app = express();
+    const keepRawBody = (req, res, buf) => {
+      req.rawBody = buf;
+    };
+    app.use(express.json({ verify: keepRawBody }));
+    app.use(express.urlencoded({ extended: true }));
+    app.use('/api/proxy', createProxyRouter(serviceManager));
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/proxy`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    serviceManager.call.mockResolvedValue({
+      status: 200,
+      headers: { 'content-type': 'text/plain' },
+      body: 'ok',
+      instance: 'orders-1',
+      version: '1.0.0'
+    });
+  });
+
+  it('should forward bodies the parsers already read', async () => {
+    const form = await fetch(`${baseUrl}/orders/search`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/x-www-form-urlencoded' },
+      body: 'status=open&tag=a&tag=b'
+    });
+    expect(form.status).toBe(200);
+    expect(serviceManager.call).toHaveBeenLastCalledWith('orders', expect.objectContaining({
+      path: '/search',
+      body: 'status=open&tag=a&tag=b'
+    }));
+
+    await fetch(`${baseUrl}/orders/create`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: '{ "id": 1 }'
+    });
+    expect(serviceManager.call.mock.lastCall[1].body.toString()).toBe('{ "id": 1 }');
+
+    await fetch(`${baseUrl}/orders/upload`, {
+      method: 'POST',
+      headers: { 'content-type': 'text/csv' },
+      body: 'id\n1'
+    });
+    expect(serviceManager.call.mock.lastCall[1].body.toString()).toBe('id\n1');
+  });
+
+  it('should forward requests for the service root', async () => {
+    const response = await fetch(`${baseUrl}/orders?page=2`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('x-served-by')).toBe('orders-1');
+    expect(serviceManager.call).toHaveBeenLastCalledWith('orders', expect.objectContaining({
+      method: 'GET',
+      path: '/?page=2'
+    }));
+  });
+});
@@ -0,0 +1,128 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import Redis from 'ioredis';
+import PipelineScheduler from '../../../src/services/data-pipeline/scheduler.js';
+
+describe('PipelineScheduler', () => {
+  const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+  const start = Date.UTC(2026, 2, 28, 12, 0, 0);
+  let now;
+
+  // Runs that finish when told to
+  const controllable = () => {
+    const runs = [];
+    const execute = jest.fn((pipelineId, { signal, scheduledFor }) => new Promise((resolve, reject) => {
+      runs.push({ scheduledFor, finish: resolve });
+      signal.addEventListener('abort', () => reject(new Error('cancelled')));
+    }));
+    return { runs, execute };
+  };
+  const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+  beforeEach(() => {
+    now = start;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should compute cron runs in a time zone and validate schedules', async () => {
+    const scheduler = new PipelineScheduler({ logger, execute: jest.fn() });
+
+    // Paris moves to summer time overnight
+    const schedule = await scheduler.schedule('report', { cron: '0 9 * * *', tz: 'Europe/Paris' });
+    expect(schedule).toMatchObject({ cron: '0 9 * * *', overlap: 'skip', catchUp: 'latest', nextRun: '2026-03-29T07:00:00.000Z' });
+    expect(scheduler.nextTime({ cron: '0 9 * * *', tz: 'Europe/Paris' }, Date.UTC(2026, 2, 29, 7))).toBe(Date.UTC(2026, 2, 30, 7));
+
+    expect(() => scheduler.normalize({ cron: '0 9 * *', interval: 1000 })).toThrow('either a cron expression or an interval');
+    expect(() => scheduler.normalize({ cron: '61 * * * *' })).toThrow('Invalid cron expression');
+    expect(() => scheduler.normalize({ cron: '0 9 * * *', tz: 'Mars/Olympus' })).toThrow('Invalid time zone: Mars/Olympus');
+    expect(() => scheduler.normalize({ interval: 1000, overlap: 'parallel' })).toThrow('Unknown overlap policy');
+  });
+
+  it('should catch up runs missed while the backend was down', async () => {
+    const file = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'pipeline-schedules-')), 'schedules.json');
+    const before = new PipelineScheduler({ logger, file, execute: jest.fn() });
+    await before.schedule('latest', { interval: 1000 });
+    await before.schedule('all', { interval: 1000, catchUp: 'all', maxCatchUp: 3 });
+    await before.schedule('none', { interval: 1000, catchUp: 'none' });
+
+    // Restarted 5.5 runs later
+    now = start + 5500;
+    const { runs, execute } = controllable();
+    const after = new PipelineScheduler({ logger, file, misfireThreshold: 100, execute });
+    for (const pipelineId of ['latest', 'all', 'none']) {
+      await after.schedule(pipelineId, { interval: 1000, catchUp: pipelineId, maxCatchUp: 3 });
+    }
+    await after.poll();
+
+    const calls = pipelineId => execute.mock.calls.filter(([id]) => id === pipelineId);
+    expect(calls('latest').map(([, { scheduledFor }]) => scheduledFor.getTime())).toEqual([start + 5000]);
+    expect(calls('none')).toHaveLength(0);
+    expect(after.describe('none')).toMatchObject({ missed: 5, nextRun: new Date(start + 6000).toISOString() });
+
+    // Caught-up runs go one after another
+    expect(calls('all')).toHaveLength(1);
+    runs.forEach(run => run.finish());
+    await settle();
+    runs.slice(2).forEach(run => run.finish());
+    await settle();
+    expect(calls('all').map(([, { scheduledFor }]) => scheduledFor.getTime())).toEqual([start + 3000, start + 4000, start + 5000]);
+    expect(after.describe('all')).toMatchObject({ runs: 3, missed: 2 });
+  });
+
+  it('should skip, queue or cancel runs that overlap', async () => {
+    const { runs, execute } = controllable();
+    const scheduler = new PipelineScheduler({ logger, execute });
+    await scheduler.schedule('skip', { interval: 1000 });
+    await scheduler.schedule('queue', { interval: 1000, overlap: 'queue' });
+    await scheduler.schedule('cancel', { interval: 1000, overlap: 'cancel-previous' });
+
+    now = start + 1000;
+    await scheduler.poll();
+    now = start + 2000;
+    await scheduler.poll();
+    await settle();
+
+    const calls = pipelineId => execute.mock.calls.filter(([id]) => id === pipelineId).length;
+    expect(scheduler.describe('skip')).toMatchObject({ runs: 1, skipped: 1 });
+    expect(calls('queue')).toBe(1);
+    expect(calls('cancel')).toBe(2);
+    expect(execute.mock.calls.find(([id]) => id === 'cancel')[1].signal.aborted).toBe(true);
+
+    runs[1].finish();
+    await settle();
+    expect(calls('queue')).toBe(2);
+    runs.forEach(run => run.finish());
+  });
+
+  it('should fire each run on one node when they share Redis', async () => {
+    await new Redis().flushall();
+    const nodes = [0, 1].map(() => {
+      const execute = jest.fn().mockResolvedValue();
+      return { execute, scheduler: new PipelineScheduler({ logger, redis: new Redis(), execute }) };
+    });
+
+    for (const { scheduler } of nodes) {
+      await scheduler.schedule('sync', { cron: '*/10 * * * * *', jitter: 500 });
+    }
+    const [a, b] = nodes.map(({ scheduler }) => scheduler.describe('sync'));
+    expect(a.scheduleId).toBe(b.scheduleId);
+
+    for (let i = 1; i <= 3; i++) {
+      now = start + i * 10000 + 500;
+      await Promise.all(nodes.map(({ scheduler }) => scheduler.poll()));
+      await settle();
+    }
+
+    expect(nodes[0].execute.mock.calls.length + nodes[1].execute.mock.calls.length).toBe(3);
+    await nodes[0].scheduler.poll();
+    expect(nodes[0].scheduler.describe('sync')).toMatchObject({ runs: 3, nextRun: new Date(start + 40000).toISOString() });
+
+    expect(await nodes[1].scheduler.unschedule('sync')).toBe(true);
+    expect(await nodes[0].scheduler.getJob('sync')).toBeNull();
+  });
+});